@@ -0,0 +1,287 @@
+/**
+ * Clinic Schedule module for working hours, breaks, holidays and closures.
+ *
+ * Single source of truth for when each dentist can be booked. Used by
+ * googleCalendarService.findAvailableSlots() to generate free slots and by
+ * openaiHandler.checkAvailability() to filter them.
+ *
+ * Schedule model (JSON, from CLINIC_SCHEDULE or the file at CLINIC_SCHEDULE_FILE):
+ * {
+ *   "weekly": {                        // Clinic opening hours per weekday ([] = closed)
+ *     "monday": [{ "start": "09:00", "end": "18:00" }], ...
+ *   },
+ *   "breaks": [                        // Recurring breaks (all weekdays unless "days" given)
+ *     { "start": "12:30", "end": "13:30", "days": ["monday", "tuesday"] }
+ *   ],
+ *   "overrides": {                     // Specific dates with different hours (e.g. half days)
+ *     "2026-12-24": [{ "start": "09:00", "end": "13:00" }]
+ *   },
+ *   "holidays": ["2026-12-25"],        // Public holidays (clinic closed)
+ *   "closures": [{ "from": "2026-08-03", "to": "2026-08-14", "reason": "Summer break" }],
+ *   "dentists": {                      // Per-dentist settings on top of the clinic schedule
+ *     "Dr GeneralA": {
+ *       "weekly": { "friday": [{ "start": "09:00", "end": "13:00" }] },  // Replaces listed weekdays only
+ *       "breaks": [...],               // Added to clinic breaks
+ *       "overrides": { ... },          // Replaces clinic override for the date
+ *       "daysOff": ["2026-11-02"]      // Dentist-only days off (vacation, training)
+ *     }
+ *   }
+ * }
+ *
+ * A dentist's "workingPattern" in the dentist roster (dentistRoster.js) is used as their
+ * "dentists" entry; the schedule's own "dentists" entry takes precedence per section.
+ * 
+ * Every section is optional. Without any configuration the schedule is
+ * Monday-Friday 9:00 AM - 6:00 PM with no breaks (previous hard-coded behavior).
+ *
+ * Times are "HH:MM" (24h) in clinic time (CLINIC_TIMEZONE), dates are "YYYY-MM-DD".
+ * With several clinics (tenants.js) each tenant has its own schedule.
+ *
+ * @module clinicSchedule
+ */
+
+import fs from 'fs';
+import { config } from './config.js';
+import { dentistRoster } from './dentistRoster.js';
+import { tenantRegistry } from './tenants.js';
+import { getZonedParts, toClinicDateKey, zonedDateTime } from './utils/timezone.js';
+
+/**
+ * Weekday keys indexed by Date.getDay() (0 = Sunday).
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Default opening hours: Monday-Friday 9:00 AM - 6:00 PM, weekends closed.
+ */
+const DEFAULT_WEEKLY_HOURS = {
+  sunday: [],
+  monday: [{ start: '09:00', end: '18:00' }],
+  tuesday: [{ start: '09:00', end: '18:00' }],
+  wednesday: [{ start: '09:00', end: '18:00' }],
+  thursday: [{ start: '09:00', end: '18:00' }],
+  friday: [{ start: '09:00', end: '18:00' }],
+  saturday: [],
+};
+
+/**
+ * ClinicSchedule class answering "when can this dentist be booked?".
+ *
+ * @class ClinicSchedule
+ */
+class ClinicSchedule {
+  /**
+   * Initializes the schedule.
+   * Schedules are loaded from configuration per tenant on first use (or the default hours).
+   *
+   * @param {Object|null} [definition] - Schedule definition for every tenant (null = load from config)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // CLINIC_SCHEDULE_FILE=clinic-schedule.json → hours, breaks and holidays from that file
+   */
+  constructor(definition = null) {
+    this.fixedDefinition = definition;
+    this.definitions = new Map(); // tenant ID → schedule definition
+  }
+
+  /**
+   * Schedule definition of the active tenant (see tenants.js).
+   *
+   * @type {Object}
+   */
+  get definition() {
+    if (this.fixedDefinition) return this.fixedDefinition;
+    const tenant = tenantRegistry.getCurrentTenant();
+    if (!this.definitions.has(tenant.id)) {
+      this.definitions.set(tenant.id, this.loadDefinition(tenant.schedule, tenant.id));
+    }
+    return this.definitions.get(tenant.id);
+  }
+
+  /**
+   * Loads a schedule definition from inline JSON (CLINIC_SCHEDULE) or a file (CLINIC_SCHEDULE_FILE).
+   *
+   * Edge cases:
+   * - Nothing configured → {} (default hours)
+   * - Invalid JSON or unreadable file → error logged, {} (default hours)
+   *
+   * @param {Object} [source=config.schedule] - { json, filePath } (a tenant's schedule source)
+   * @param {string} [tenantId='default'] - Tenant ID (for logging)
+   * @returns {Object} Schedule definition
+   * @private
+   */
+  loadDefinition(source = config.schedule, tenantId = 'default') {
+    try {
+      if (source.json) {
+        console.log('🗓️ [SCHEDULE] Loading clinic schedule from inline JSON for tenant', tenantId);
+        return JSON.parse(source.json);
+      }
+      if (source.filePath) {
+        console.log('🗓️ [SCHEDULE] Loading clinic schedule from', source.filePath, 'for tenant', tenantId);
+        return JSON.parse(fs.readFileSync(source.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('❌ [SCHEDULE] Error loading clinic schedule, using default hours:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Returns the bookable periods of a dentist on a given day, with breaks removed.
+   *
+   * Resolution order for the day's hours:
+   * 1. Public holiday, clinic closure or dentist day off → no periods
+   * 2. Dentist date override → clinic date override
+   * 3. Dentist weekly hours for the weekday → clinic weekly hours → default hours
+   * Breaks (clinic + dentist) for that weekday are then cut out of the hours.
+   *
+   * @param {string} doctor - Dentist name (e.g., "Dr GeneralA")
+   * @param {Date} date - Any time on the requested (clinic) day
+   * @returns {Array<{start: Date, end: Date}>} Bookable periods in chronological order ([] if closed)
+   *
+   * @example
+   * // Monday with a 12:30-13:30 lunch break:
+   * clinicSchedule.getWorkingPeriods("Dr GeneralA", new Date("2024-01-15T00:00:00"))
+   * // Returns: [{ start: 09:00, end: 12:30 }, { start: 13:30, end: 18:00 }]
+   *
+   * @example
+   * // Public holiday:
+   * clinicSchedule.getWorkingPeriods("Dr GeneralA", new Date("2024-12-25T00:00:00"))
+   * // Returns: []
+   */
+  getWorkingPeriods(doctor, date) {
+    const dateKey = toClinicDateKey(date);
+    const weekday = WEEKDAYS[getZonedParts(date).weekday];
+    const clinic = this.definition;
+    const dentist = this.getDentistSchedule(doctor);
+
+    if (this.isClosed(doctor, dateKey)) {
+      return [];
+    }
+
+    const hours = dentist.overrides?.[dateKey] ||
+      clinic.overrides?.[dateKey] ||
+      dentist.weekly?.[weekday] ||
+      clinic.weekly?.[weekday] ||
+      DEFAULT_WEEKLY_HOURS[weekday];
+
+    const breaks = [...(clinic.breaks || []), ...(dentist.breaks || [])]
+      .filter(b => !b.days || b.days.map(d => d.toLowerCase()).includes(weekday));
+
+    // Work in minutes since midnight, cut breaks out of each opening period
+    let periods = hours.map(h => ({ start: this.toMinutes(h.start), end: this.toMinutes(h.end) }));
+    for (const b of breaks) {
+      const breakStart = this.toMinutes(b.start);
+      const breakEnd = this.toMinutes(b.end);
+      periods = periods.flatMap(p => {
+        if (breakEnd <= p.start || breakStart >= p.end) return [p];
+        return [
+          { start: p.start, end: breakStart },
+          { start: breakEnd, end: p.end },
+        ].filter(part => part.end > part.start);
+      });
+    }
+
+    return periods
+      .sort((a, b) => a.start - b.start)
+      .map(p => ({ start: this.atMinutes(date, p.start), end: this.atMinutes(date, p.end) }));
+  }
+
+  /**
+   * Checks whether an appointment fits entirely inside one of the dentist's bookable periods.
+   *
+   * @param {string} doctor - Dentist name
+   * @param {Date} startTime - Appointment start
+   * @param {number} [durationMinutes=0] - Appointment length (0 = only check the start time)
+   * @returns {boolean} True if the appointment is within working hours and outside breaks
+   *
+   * @example
+   * clinicSchedule.isWithinWorkingHours("Dr GeneralA", new Date("2024-01-15T12:00:00"), 30)
+   * // Returns: true for 9:00-18:00, false with a 12:15 lunch break
+   */
+  isWithinWorkingHours(doctor, startTime, durationMinutes = 0) {
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
+    return this.getWorkingPeriods(doctor, startTime).some(period =>
+      startTime >= period.start && startTime < period.end && endTime <= period.end
+    );
+  }
+
+  /**
+   * Describes the clinic's regular weekly hours and breaks in plain text (for the AI system prompt).
+   *
+   * @returns {string} Human-readable opening hours
+   *
+   * @example
+   * clinicSchedule.describeClinicHours()
+   * // Returns: "Monday 09:00-18:00, Tuesday 09:00-18:00, ..., Saturday closed, Sunday closed; breaks: 12:30-13:30"
+   */
+  describeClinicHours() {
+    const weekly = { ...DEFAULT_WEEKLY_HOURS, ...(this.definition.weekly || {}) };
+    const days = [...WEEKDAYS.slice(1), WEEKDAYS[0]].map(day => {
+      const name = day.charAt(0).toUpperCase() + day.slice(1);
+      const hours = weekly[day];
+      return hours.length > 0 ? `${name} ${hours.map(h => `${h.start}-${h.end}`).join(', ')}` : `${name} closed`;
+    });
+    const breaks = (this.definition.breaks || []).map(b => `${b.start}-${b.end}${b.days ? ` (${b.days.join(', ')})` : ''}`);
+    return days.join(', ') + (breaks.length > 0 ? `; breaks: ${breaks.join(', ')}` : '');
+  }
+
+  /**
+   * Checks whether the clinic or the dentist is closed on a date.
+   *
+   * @param {string} doctor - Dentist name
+   * @param {string} dateKey - Date as "YYYY-MM-DD"
+   * @returns {boolean} True on public holidays, clinic closures and dentist days off
+   * @private
+   */
+  isClosed(doctor, dateKey) {
+    const clinic = this.definition;
+    const dentist = this.getDentistSchedule(doctor);
+    return (clinic.holidays || []).includes(dateKey) ||
+      (dentist.daysOff || []).includes(dateKey) ||
+      (clinic.closures || []).some(c => dateKey >= c.from && dateKey <= (c.to || c.from));
+  }
+
+  /**
+   * Returns a dentist's schedule settings: roster working pattern, overridden per section
+   * by the schedule's "dentists" entry.
+   *
+   * @param {string} doctor - Dentist name
+   * @returns {Object} Dentist settings ({ weekly, breaks, overrides, daysOff }, all optional)
+   * @private
+   */
+  getDentistSchedule(doctor) {
+    return {
+      ...(dentistRoster.getWorkingPattern(doctor) || {}),
+      ...(this.definition.dentists?.[doctor] || {}),
+    };
+  }
+
+  /**
+   * Converts "HH:MM" to minutes since midnight.
+   *
+   * @param {string} time - Time string (e.g., "12:30")
+   * @returns {number} Minutes since midnight (e.g., 750)
+   * @private
+   */
+  toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Returns the instant on the same clinic day as `date` at the given minutes since midnight (clinic time).
+   *
+   * @param {Date} date - Reference day
+   * @param {number} minutes - Minutes since midnight
+   * @returns {Date} New Date
+   * @private
+   */
+  atMinutes(date, minutes) {
+    const { year, month, day } = getZonedParts(date);
+    return zonedDateTime(year, month, day, Math.floor(minutes / 60), minutes % 60);
+  }
+}
+
+export const clinicSchedule = new ClinicSchedule();
@@ -13,6 +13,13 @@
  * - Sheets: Logging spreadsheet configuration
  * - Docs: Pricing document configuration
  * - Session: Timeout and session management
+ * - Patients: Returning-patient profile storage
+ * - Reminders: Scheduled WhatsApp appointment reminders
+ * - Waitlist: Offers of freed slots to waiting patients
+ * - Slot holds: Offered slots reserved while the patient confirms
+ * - Clinic: Timezone all patient-facing times are in
+ * - Schedule: Clinic/dentist working hours, breaks and holidays
+ * - Tenants: Several clinics served by one deployment
  * - Server: Port and environment settings
  * 
  * @module config
@@ -42,12 +49,21 @@ dotenv.config();
  * @property {string} whatsapp.phoneNumberId - Phone number ID (required)
  * @property {string} whatsapp.accessToken - Access token (required)
  * @property {string} whatsapp.verifyToken - Webhook verify token (required)
+ * @property {string} whatsapp.appSecret - Meta app secret used to verify X-Hub-Signature-256 (required)
+ * @property {number} whatsapp.dedupTtlHours - How long processed message IDs are remembered (default: 168 = 7 days)
+ * @property {string} whatsapp.dedupFilePath - Processed message IDs file for SESSION_STORE=file (default: '.data/webhook-ids.json')
+ * @property {string} whatsapp.deliveryFilePath - Outbound message records file for SESSION_STORE=file (default: '.data/deliveries.json')
+ * @property {string} whatsapp.windowFilePath - Last inbound message times file for SESSION_STORE=file (default: '.data/service-windows.json')
+ * @property {string} [whatsapp.templatesJson] - Approved message templates, JSON: { "<key>": { "name": "...", "language": "de" } }
+ * @property {string} whatsapp.templateLanguage - Default template language code (default: 'en_US')
  * @property {Object} google - Google Cloud service account configuration
  * @property {string} google.serviceAccountEmail - Service account email (required)
  * @property {string} google.privateKey - Private key (required, with \n preserved)
  * @property {string} google.projectId - Google Cloud project ID (required)
  * @property {Object} calendar - Google Calendar configuration
- * @property {Object} calendar.dentistCalendars - Map of dentist names to calendar IDs
+ * @property {Object} calendar.dentistCalendars - Map of dentist names to calendar IDs from GOOGLE_CALENDAR_IDS
+ *   (fills in calendar IDs missing from the dentist roster; use dentistRoster.getCalendarMap() to read calendars)
+ * @property {number} calendar.slotIntervalMinutes - Grid for offered start times, e.g. 15 → :00, :15, :30, :45 (default: 15)
  * @property {Object} sheets - Google Sheets configuration
  * @property {string} sheets.sheetId - Google Sheet ID (required)
  * @property {string} sheets.sheetName - Sheet name (default: 'Conversations')
@@ -55,6 +71,38 @@ dotenv.config();
  * @property {string} docs.docId - Google Document ID (required)
  * @property {Object} session - Session management configuration
  * @property {number} session.timeoutMinutes - Session timeout in minutes (default: 10)
+ * @property {string} session.store - Session storage adapter: 'memory', 'file', or 'redis' (default: 'memory')
+ * @property {string} session.filePath - JSON file path for the 'file' adapter (default: '.data/sessions.json')
+ * @property {string} [session.redisUrl] - Redis connection URL for the 'redis' adapter
+ * @property {Object} patients - Patient profile configuration (stored with the session store adapter)
+ * @property {string} patients.filePath - JSON file path when SESSION_STORE=file (default: '.data/patients.json')
+ * @property {number} patients.retentionDays - Profiles are forgotten after this many days without update (default: 730)
+ * @property {Object} reminders - Appointment reminder configuration (see reminderScheduler.js)
+ * @property {boolean} reminders.enabled - Send reminders (default: false; long-running server only, not on Vercel)
+ * @property {number[]} reminders.offsetsHours - Hours before the appointment a reminder is sent (default: [48, 2])
+ * @property {string} reminders.cronSchedule - node-cron expression for scanning upcoming appointments (default: every 5 minutes)
+ * @property {Object} waitlist - Waitlist configuration (see waitlist.js)
+ * @property {boolean} waitlist.enabled - Offer the waitlist when nothing fits the patient's preference (default: true)
+ * @property {number} waitlist.holdMinutes - How long a freed slot is held for the offered patient (default: 15)
+ * @property {number} waitlist.maxDays - Days a patient without a preferred day waits for (default: 30)
+ * @property {string} waitlist.filePath - Waitlist file for SESSION_STORE=file (default: '.data/waitlist.json')
+ * @property {Object} slotHolds - Slot hold configuration (see slotHolds.js)
+ * @property {number} slotHolds.holdMinutes - How long offered slots are held for the patient (default: session timeout)
+ * @property {string} slotHolds.filePath - Hold file for SESSION_STORE=file (default: '.data/slot-holds.json')
+ * @property {Object} clinic - Clinic settings
+ * @property {string} clinic.timezone - IANA timezone of the clinic, e.g. 'Europe/Berlin' (default: server timezone)
+ * @property {Object} schedule - Working hours configuration (see clinicSchedule.js for the format)
+ * @property {string} [schedule.json] - Inline schedule JSON (takes precedence over the file)
+ * @property {string} [schedule.filePath] - Path to a schedule JSON file (default hours Mon-Fri 9-18 if neither is set)
+ * @property {Object} roster - Dentist roster configuration (see dentistRoster.js for the format)
+ * @property {string} [roster.json] - Inline roster JSON (takes precedence over the file)
+ * @property {string} [roster.filePath] - Path to a roster JSON file (built-in dentists if neither is set)
+ * @property {Object} treatments - Treatment catalog configuration (see treatmentCatalog.js for the format)
+ * @property {string} [treatments.json] - Inline catalog JSON (takes precedence over the file)
+ * @property {string} [treatments.filePath] - Path to a catalog JSON file (built-in treatments if neither is set)
+ * @property {Object} tenants - Multi-clinic configuration (see tenants.js for the format)
+ * @property {string} [tenants.json] - Inline tenants JSON (takes precedence over the file)
+ * @property {string} [tenants.filePath] - Path to a tenants JSON file (single clinic from the variables above if neither is set)
  * @property {Object} server - Server configuration
  * @property {number} server.port - Server port (default: 3000)
  * @property {string} server.nodeEnv - Node environment (default: 'development')
@@ -69,6 +117,17 @@ export const config = {
     phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
     accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
     verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+    appSecret: process.env.WHATSAPP_APP_SECRET,
+    // Meta redelivers unacknowledged webhooks for up to 7 days
+    dedupTtlHours: parseInt(process.env.WHATSAPP_DEDUP_TTL_HOURS || '168', 10),
+    dedupFilePath: process.env.WHATSAPP_DEDUP_FILE_PATH || '.data/webhook-ids.json',
+    // Outbound message records correlated with delivery status webhooks
+    deliveryFilePath: process.env.WHATSAPP_DELIVERY_FILE_PATH || '.data/deliveries.json',
+    // Last inbound message per conversation (24-hour customer service window)
+    windowFilePath: process.env.WHATSAPP_WINDOW_FILE_PATH || '.data/service-windows.json',
+    // Templates for business-initiated messages outside the 24-hour customer service window
+    templatesJson: process.env.WHATSAPP_TEMPLATES,
+    templateLanguage: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en_US',
   },
   google: {
     serviceAccountEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
@@ -79,6 +138,8 @@ export const config = {
     // Parse calendar IDs from environment variable
     // Format: "Dr BracesA:cal_id_1,Dr BracesB:cal_id_2,Dr GeneralA:cal_id_3,Dr GeneralB:cal_id_4"
     dentistCalendars: parseCalendarIds(process.env.GOOGLE_CALENDAR_IDS || ''),
+    // Appointments start on this grid (minutes from clinic midnight), not at odd gap starts like 10:40
+    slotIntervalMinutes: parseInt(process.env.SLOT_INTERVAL_MINUTES || '15', 10),
   },
   sheets: {
     sheetId: process.env.GOOGLE_SHEET_ID,
@@ -89,6 +150,60 @@ export const config = {
   },
   session: {
     timeoutMinutes: parseInt(process.env.SESSION_TIMEOUT_MINUTES || '10', 10),
+    // Persistent session storage: 'memory' (default), 'file', or 'redis'
+    store: process.env.SESSION_STORE || 'memory',
+    filePath: process.env.SESSION_FILE_PATH || '.data/sessions.json',
+    redisUrl: process.env.REDIS_URL,
+  },
+  patients: {
+    // Returning patients: name, preferred dentist, language, last treatments, notes, consent
+    filePath: process.env.PATIENT_PROFILE_FILE_PATH || '.data/patients.json',
+    retentionDays: parseInt(process.env.PATIENT_PROFILE_RETENTION_DAYS || '730', 10),
+  },
+  reminders: {
+    // WhatsApp reminders before appointments, e.g. "48,2" → 48 hours and 2 hours before
+    enabled: process.env.REMINDERS_ENABLED === 'true',
+    offsetsHours: (process.env.REMINDER_OFFSETS_HOURS || '48,2')
+      .split(',')
+      .map(value => parseFloat(value))
+      .filter(hours => hours > 0),
+    cronSchedule: process.env.REMINDER_CRON || '*/5 * * * *',
+  },
+  waitlist: {
+    // Freed slots (cancellations) are offered to waiting patients and held for them while they decide
+    enabled: process.env.WAITLIST_ENABLED !== 'false',
+    holdMinutes: parseInt(process.env.WAITLIST_HOLD_MINUTES || '15', 10),
+    maxDays: parseInt(process.env.WAITLIST_MAX_DAYS || '30', 10),
+    filePath: process.env.WAITLIST_FILE_PATH || '.data/waitlist.json',
+  },
+  slotHolds: {
+    // Slots offered by checkAvailability() are kept from other patients until confirmed, declined or expired
+    holdMinutes: parseInt(process.env.SLOT_HOLD_MINUTES || process.env.SESSION_TIMEOUT_MINUTES || '10', 10),
+    filePath: process.env.SLOT_HOLD_FILE_PATH || '.data/slot-holds.json',
+  },
+  clinic: {
+    // All slot search, date parsing, message formatting and calendar events use this timezone
+    timezone: process.env.CLINIC_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  },
+  schedule: {
+    // Working hours, breaks, holidays and closures per clinic/dentist (JSON)
+    json: process.env.CLINIC_SCHEDULE,
+    filePath: process.env.CLINIC_SCHEDULE_FILE,
+  },
+  roster: {
+    // Dentists: names, aliases, calendar IDs, skills, working patterns, active flag (JSON)
+    json: process.env.DENTIST_ROSTER,
+    filePath: process.env.DENTIST_ROSTER_FILE,
+  },
+  treatments: {
+    // Treatment names, synonyms, dentist categories, durations and buffers (JSON)
+    json: process.env.TREATMENT_CATALOG,
+    filePath: process.env.TREATMENT_CATALOG_FILE,
+  },
+  tenants: {
+    // Clinics keyed by WhatsApp phone number ID, each with its own roster, hours, pricing, sheet and persona (JSON)
+    json: process.env.TENANTS,
+    filePath: process.env.TENANTS_FILE,
   },
   server: {
     port: parseInt(process.env.PORT || '3000', 10),
@@ -165,45 +280,23 @@ function parseCalendarIds(calendarIdsString) {
 }
 
 /**
- * Dentist assignments by treatment type.
- * Maps treatment categories to available dentists.
+ * Preparation and cleanup time around appointments (minutes).
+ * Buffers keep time free before (`before`) and after (`after`) the chair time when
+ * fitting a treatment between existing appointments; the calendar event itself only
+ * covers the chair time. Per-treatment buffers (and dentist-specific treatment buffers)
+ * live in the treatment catalog (treatmentCatalog.js), per-dentist buffers in the
+ * dentist roster (dentistRoster.js, "buffers" of a roster entry).
+ * Resolution: default → treatment → dentist → dentist treatment.
  * 
  * @type {Object}
- * @property {string[]} braces - Dentists available for braces treatment
- * @property {string[]} general - Dentists available for general treatments
+ * @property {Object} default - Buffers for every appointment ({ before, after })
  * 
  * @example
- * // Usage:
- * DENTIST_ASSIGNMENTS.braces // Returns: ['Dr BracesA', 'Dr BracesB']
- * DENTIST_ASSIGNMENTS.general // Returns: ['Dr GeneralA', 'Dr GeneralB']
+ * // Dr BracesB needs 15 minutes cleanup after every appointment (dentist roster entry):
+ * { "name": "Dr BracesB", "buffers": { "after": 15 } }
  */
-export const DENTIST_ASSIGNMENTS = {
-  braces: ['Dr BracesA', 'Dr BracesB'],
-  general: ['Dr GeneralA', 'Dr GeneralB'],
-};
-
-/**
- * Treatment type constants.
- * Standard treatment types used throughout the application.
- * 
- * @type {Object}
- * @property {string} CONSULTATION - General consultation appointment
- * @property {string} CLEANING - Teeth cleaning appointment
- * @property {string} FILLING - Dental filling appointment
- * @property {string} BRACES_MAINTENANCE - Braces maintenance appointment
- * @property {string} OTHER - Other/unspecified treatment
- * 
- * @example
- * // Usage:
- * TREATMENT_TYPES.CLEANING // Returns: 'Cleaning'
- * TREATMENT_TYPES.FILLING // Returns: 'Filling'
- */
-export const TREATMENT_TYPES = {
-  CONSULTATION: 'Consultation',
-  CLEANING: 'Cleaning',
-  FILLING: 'Filling',
-  BRACES_MAINTENANCE: 'Braces Maintenance',
-  OTHER: 'Other',
+export const APPOINTMENT_BUFFERS = {
+  default: { before: 0, after: 5 },
 };
 
 /**
@@ -225,6 +318,7 @@ export function validateConfig() {
     'OPENAI_API_KEY',
     'WHATSAPP_PHONE_NUMBER_ID',
     'WHATSAPP_ACCESS_TOKEN',
+    'WHATSAPP_APP_SECRET',
     'GOOGLE_SERVICE_ACCOUNT_EMAIL',
     'GOOGLE_PRIVATE_KEY',
     'GOOGLE_PROJECT_ID',
@@ -232,7 +326,11 @@ export function validateConfig() {
     'GOOGLE_DOC_ID',
   ];
 
-  const missing = required.filter(key => !process.env[key]);
+  // With tenants these can be set per clinic instead
+  const perTenant = ['WHATSAPP_PHONE_NUMBER_ID', 'GOOGLE_SHEET_ID', 'GOOGLE_DOC_ID'];
+  const hasTenants = !!(process.env.TENANTS || process.env.TENANTS_FILE);
+
+  const missing = required.filter(key => !process.env[key] && !(hasTenants && perTenant.includes(key)));
   
   if (missing.length > 0) {
     console.warn(`Warning: Missing environment variables: ${missing.join(', ')}`);
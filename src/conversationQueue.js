@@ -0,0 +1,77 @@
+/**
+ * Conversation Queue module for serializing message processing per conversation.
+ *
+ * Patients often send several short messages in a row ("yes" then "actually 3pm").
+ * Each arrives as a separate POST /webhook request, and without serialization both
+ * would run generateResponse() concurrently over the same session object, racing on
+ * bookingConfirmationPending, selectedSlot and conversationHistory.
+ *
+ * Tasks for the same conversationId run strictly one after another, in arrival order.
+ * Tasks for different conversationIds run in parallel.
+ *
+ * Note: serialization is per process. Concurrent serverless instances are not
+ * coordinated (WhatsApp usually routes a burst to the same warm instance).
+ *
+ * @module conversationQueue
+ */
+
+/**
+ * ConversationQueue class implementing a per-key promise chain (mutex).
+ *
+ * @class ConversationQueue
+ */
+class ConversationQueue {
+  /**
+   * Initializes the queue.
+   * Sets up the map of conversation tails (last queued task per conversation).
+   *
+   * @example
+   * // Automatically called when module is imported
+   */
+  constructor() {
+    this.tails = new Map(); // conversationId → Promise of last queued task
+  }
+
+  /**
+   * Runs a task after all previously queued tasks for the same conversation.
+   *
+   * The returned promise settles with the task's own result or error. A failing
+   * task never blocks the tasks queued after it.
+   *
+   * @param {string} conversationId - Unique identifier for the conversation (typically phone number)
+   * @param {Function} task - Async function to run exclusively for this conversation
+   * @returns {Promise<*>} Result of the task
+   *
+   * @example
+   * // Two messages from the same patient arrive 1 second apart:
+   * conversationQueue.run("+1234567890", () => handle("yes"))
+   * conversationQueue.run("+1234567890", () => handle("actually 3pm"))
+   * // "actually 3pm" starts only after "yes" has been fully processed
+   *
+   * @example
+   * // Different patients are not blocked by each other:
+   * conversationQueue.run("+1111111111", () => handle("hi"))
+   * conversationQueue.run("+2222222222", () => handle("hello"))
+   * // Both run concurrently
+   */
+  run(conversationId, task) {
+    const previous = this.tails.get(conversationId) || Promise.resolve();
+    if (this.tails.has(conversationId)) {
+      console.log(`⏳ [QUEUE] Waiting for previous message to finish: ${conversationId}`);
+    }
+
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {}); // Keep the chain alive after failures
+
+    this.tails.set(conversationId, tail);
+    tail.then(() => {
+      if (this.tails.get(conversationId) === tail) {
+        this.tails.delete(conversationId); // Nothing else queued → free memory
+      }
+    });
+
+    return result;
+  }
+}
+
+export const conversationQueue = new ConversationQueue();
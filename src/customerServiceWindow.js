@@ -0,0 +1,173 @@
+/**
+ * Customer Service Window module tracking when each conversation last heard from the patient.
+ *
+ * WhatsApp only accepts free-form messages (text, interactive buttons/lists) within 24 hours
+ * of the patient's last message - the customer service window. Outside the window a
+ * business-initiated message (reminder, recall, staff follow-up) must be an approved
+ * template. index.js records every inbound message here; whatsappService.sendNotification()
+ * asks isOpen() to choose between free-form text and a template.
+ *
+ * Keyed by conversation ID (per clinic, see tenants.js): the window belongs to the pair of
+ * patient and business phone number.
+ *
+ * Storage:
+ * - Always kept in an in-process Map
+ * - Also written to the persistent module store (createModuleStore(), WHATSAPP_WINDOW_FILE_PATH),
+ *   so the window is known after a restart or on another instance (the newer of the
+ *   in-process and stored times counts)
+ * - Entries expire with the window (24 hours after the last inbound message)
+ *
+ * @module customerServiceWindow
+ */
+
+import { config } from './config.js';
+import { createModuleStore } from './sessionStore.js';
+
+/**
+ * Length of the WhatsApp customer service window.
+ */
+const WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * CustomerServiceWindow class answering "may we send free-form text to this patient?".
+ *
+ * @class CustomerServiceWindow
+ */
+export class CustomerServiceWindow {
+  /**
+   * Initializes the tracker.
+   * Sets up the in-memory timestamp map, the optional persistent store and the cleanup interval.
+   *
+   * @param {Object|null} [store] - Persistent store adapter (null = in-memory only)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // SESSION_STORE=redis → timestamps also stored in Redis under "inbound:<conversationId>"
+   */
+  constructor(store = createModuleStore(config.whatsapp.windowFilePath, 'inbound:', { persistentOnly: true })) {
+    this.lastInbound = new Map(); // conversationId → last inbound message time (ms)
+    this.store = store;
+    this.cleanupInterval = setInterval(() => this.cleanupClosedWindows(), 60000); // Check every minute
+    this.cleanupInterval.unref?.(); // Don't keep the process alive just for cleanup
+  }
+
+  /**
+   * Records an inbound message (opens or extends the window).
+   *
+   * Edge cases:
+   * - Older timestamp than the recorded one (out-of-order webhook) → ignored
+   * - Persistent store unavailable → error logged, in-memory timestamp still applies
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string|number|Date} [timestamp] - Message time (WhatsApp Unix seconds string; default: now)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await customerServiceWindow.recordInbound("+1234567890", "1760860800")
+   */
+  async recordInbound(conversationId, timestamp = null) {
+    const receivedAt = this.toMillis(timestamp);
+    if ((this.lastInbound.get(conversationId) || 0) >= receivedAt) return;
+    this.lastInbound.set(conversationId, receivedAt);
+
+    if (this.store) {
+      try {
+        const ttlMs = receivedAt + WINDOW_MS - Date.now();
+        if (ttlMs > 0) {
+          await this.store.set(conversationId, { conversationId, lastInboundAt: new Date(receivedAt).toISOString() }, ttlMs);
+        }
+      } catch (error) {
+        console.error('❌ [WINDOW] Error saving inbound timestamp:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Returns the time of the patient's last message.
+   * With a persistent store the stored time is always checked too: the patient may have
+   * written to another instance since this one last heard from them.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Date|null>} Last inbound message time, or null if none within the window
+   */
+  async getLastInbound(conversationId) {
+    let receivedAt = this.lastInbound.get(conversationId) || null;
+    if (this.store) {
+      try {
+        const stored = await this.store.get(conversationId);
+        const storedAt = stored?.lastInboundAt ? new Date(stored.lastInboundAt).getTime() : 0;
+        if (storedAt > (receivedAt || 0)) {
+          receivedAt = storedAt;
+          this.lastInbound.set(conversationId, receivedAt);
+        }
+      } catch (error) {
+        console.error('❌ [WINDOW] Error loading inbound timestamp:', error.message);
+      }
+    }
+    return receivedAt ? new Date(receivedAt) : null;
+  }
+
+  /**
+   * Checks whether free-form messages may be sent to a conversation.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<boolean>} True within 24 hours of the patient's last message
+   *
+   * @example
+   * // Patient wrote 3 hours ago:
+   * await customerServiceWindow.isOpen("+1234567890")  // Returns: true
+   * // Patient never wrote, or 2 days ago:
+   * await customerServiceWindow.isOpen("+1234567890")  // Returns: false (send a template)
+   */
+  async isOpen(conversationId, now = new Date()) {
+    const lastInbound = await this.getLastInbound(conversationId);
+    return !!lastInbound && now.getTime() - lastInbound.getTime() < WINDOW_MS;
+  }
+
+  /**
+   * Converts a WhatsApp timestamp to milliseconds.
+   *
+   * @param {string|number|Date|null} timestamp - Unix seconds (string or number), Date, or null (now)
+   * @returns {number} Milliseconds since epoch
+   * @private
+   */
+  toMillis(timestamp) {
+    if (timestamp instanceof Date) return timestamp.getTime();
+    const seconds = parseInt(timestamp, 10);
+    return Number.isFinite(seconds) ? seconds * 1000 : Date.now();
+  }
+
+  /**
+   * Removes closed windows from memory.
+   * Called automatically every 60 seconds.
+   *
+   * @returns {void}
+   */
+  cleanupClosedWindows() {
+    const now = Date.now();
+    for (const [conversationId, receivedAt] of this.lastInbound.entries()) {
+      if (now - receivedAt >= WINDOW_MS) {
+        this.lastInbound.delete(conversationId);
+      }
+    }
+  }
+
+  /**
+   * Stops the cleanup interval and closes the persistent store.
+   * Should be called during application shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    clearInterval(this.cleanupInterval);
+    try {
+      await this.store?.close();
+    } catch (error) {
+      console.error('❌ [WINDOW] Error closing store:', error.message);
+    }
+    this.lastInbound.clear();
+  }
+}
+
+export const customerServiceWindow = new CustomerServiceWindow();
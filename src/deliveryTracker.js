@@ -0,0 +1,270 @@
+/**
+ * Delivery Tracker module for WhatsApp message status callbacks.
+ *
+ * WhatsApp reports the fate of every outbound message through status webhooks
+ * (value.statuses): sent → delivered → read, or failed. This module remembers which
+ * conversation each outbound message ID (returned by whatsappService.sendMessage())
+ * belongs to and what it was (booking confirmation, cancellation confirmation, appointment
+ * reminder, or a regular reply), then records incoming statuses against that conversation.
+ *
+ * Logging to Google Sheets:
+ * - Confirmations and reminders: delivered, read and failed are logged so staff can see
+ *   whether the patient actually received them
+ * - Failed confirmations and reminders are flagged with 'NEEDS FOLLOW-UP***************'
+ * - Regular replies: only failures are logged (sent/delivered/read go to console only)
+ * - Rows go to the sheet of the tenant whose phone number reported the status (see tenants.js)
+ *
+ * Storage:
+ * - Always kept in an in-process Map
+ * - Also written to the persistent module store (createModuleStore(), WHATSAPP_DELIVERY_FILE_PATH),
+ *   so statuses arriving after a restart or on another instance are still correlated
+ *
+ * @module deliveryTracker
+ */
+
+import { config } from './config.js';
+import { createModuleStore } from './sessionStore.js';
+import { googleSheetsService } from './googleSheets.js';
+import { tenantRegistry } from './tenants.js';
+
+/**
+ * How long outbound messages are tracked. Statuses normally arrive within minutes,
+ * but "delivered" can come days later when the patient's phone was offline.
+ */
+const TRACKING_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Outbound message kinds. Confirmation, reminder and waitlist offer kinds get their delivery logged to Sheets.
+ */
+export const OUTBOUND_KINDS = {
+  CONVERSATION: 'conversation',
+  BOOKING_CONFIRMATION: 'booking_confirmation',
+  CANCELLATION_CONFIRMATION: 'cancellation_confirmation',
+  REMINDER: 'reminder',
+  WAITLIST_OFFER: 'waitlist_offer',
+};
+
+const CONFIRMATION_KINDS = [
+  OUTBOUND_KINDS.BOOKING_CONFIRMATION,
+  OUTBOUND_KINDS.CANCELLATION_CONFIRMATION,
+  OUTBOUND_KINDS.REMINDER,
+  OUTBOUND_KINDS.WAITLIST_OFFER,
+];
+
+/**
+ * DeliveryTracker class correlating WhatsApp status callbacks with sent messages.
+ *
+ * @class DeliveryTracker
+ */
+export class DeliveryTracker {
+  /**
+   * Initializes the tracker.
+   * Sets up the in-memory record map, the optional persistent store and the cleanup interval.
+   *
+   * @param {Object|null} [store] - Persistent store adapter (null = in-memory only)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // SESSION_STORE=redis → records also stored in Redis under "outbound:<messageId>"
+   */
+  constructor(store = createModuleStore(config.whatsapp.deliveryFilePath, 'outbound:', { persistentOnly: true })) {
+    this.records = new Map(); // messageId → { conversationId, phone, kind, ..., statuses, expiresAt }
+    this.store = store;
+    this.cleanupInterval = setInterval(() => this.cleanupExpiredRecords(), 60000); // Check every minute
+    this.cleanupInterval.unref?.(); // Don't keep the process alive just for cleanup
+  }
+
+  /**
+   * Registers an outbound message so its status callbacks can be correlated.
+   *
+   * @param {string} messageId - WhatsApp message ID returned by sendMessage()
+   * @param {Object} details - Conversation context of the message
+   * @param {string} details.conversationId - Conversation the message belongs to
+   * @param {string} details.phone - Recipient phone number
+   * @param {string} [details.kind='conversation'] - One of OUTBOUND_KINDS
+   * @param {string} [details.patientName] - Patient name (for Sheets logging)
+   * @param {string} [details.eventId] - Calendar event ID (for confirmations)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await deliveryTracker.trackOutbound("wamid.OUT1", {
+   *   conversationId: "+1234567890",
+   *   phone: "+1234567890",
+   *   kind: OUTBOUND_KINDS.BOOKING_CONFIRMATION,
+   *   patientName: "John",
+   *   eventId: "evt123"
+   * })
+   */
+  async trackOutbound(messageId, details) {
+    if (!messageId) return;
+
+    const record = {
+      messageId,
+      conversationId: details.conversationId,
+      phone: details.phone,
+      kind: details.kind || OUTBOUND_KINDS.CONVERSATION,
+      patientName: details.patientName || null,
+      eventId: details.eventId || null,
+      sentAt: new Date().toISOString(),
+      statuses: [], // [{ status, timestamp }]
+      expiresAt: Date.now() + TRACKING_TTL_MS,
+    };
+
+    this.records.set(messageId, record);
+    await this.persistRecord(record);
+  }
+
+  /**
+   * Records a status callback against the conversation of the original message.
+   *
+   * Edge cases:
+   * - Same status delivered twice (webhook redelivery) → ignored
+   * - Unknown message ID (not tracked or expired) → console only, failures still logged to Sheets
+   * - Statuses arriving out of order (read before delivered) → all recorded
+   *
+   * @param {Object} statusEvent - Parsed status event from whatsappService.parseWebhookMessage()
+   * @param {string} statusEvent.messageId - ID of the outbound message
+   * @param {string} statusEvent.status - 'sent', 'delivered', 'read', or 'failed'
+   * @param {string} [statusEvent.recipientPhone] - Recipient phone number
+   * @param {string} [statusEvent.timestamp] - Unix timestamp string
+   * @param {Object[]} [statusEvent.errors] - WhatsApp error objects (for 'failed')
+   * @returns {Promise<Object|null>} Updated record, or null if the message is not tracked
+   *
+   * @example
+   * // Booking confirmation could not be delivered:
+   * await deliveryTracker.recordStatus({
+   *   type: "status", messageId: "wamid.OUT1", status: "failed",
+   *   errors: [{ code: 131026, title: "Message undeliverable" }]
+   * })
+   * // Sheets row: action="booking_confirmation_failed", status="NEEDS FOLLOW-UP***************"
+   */
+  async recordStatus(statusEvent) {
+    const { messageId, status, recipientPhone, timestamp, errors } = statusEvent;
+    const errorText = (errors || []).map(e => `${e.code}: ${e.title || e.message || ''}`.trim()).join('; ');
+    const record = await this.getRecord(messageId);
+
+    if (!record) {
+      console.log(`📬 [DELIVERY] Status for untracked message ${messageId}: ${status}`);
+      if (status === 'failed') {
+        await googleSheetsService.logAction({
+          conversationId: tenantRegistry.getConversationId(tenantRegistry.getCurrentTenant(), recipientPhone),
+          phone: recipientPhone,
+          message: errorText,
+          status: 'failed',
+          action: 'message_failed',
+        });
+      }
+      return null;
+    }
+
+    if (record.statuses.some(s => s.status === status)) {
+      return record; // Duplicate callback
+    }
+
+    record.statuses.push({ status, timestamp: timestamp || null });
+    await this.persistRecord(record);
+
+    const isConfirmation = CONFIRMATION_KINDS.includes(record.kind);
+    console.log(`📬 [DELIVERY] ${record.kind} ${messageId} → ${status}`, { conversationId: record.conversationId });
+
+    if (status === 'failed') {
+      console.error(`❌ [DELIVERY] Message to ${record.phone} failed:`, errorText);
+      await googleSheetsService.logAction({
+        conversationId: record.conversationId,
+        phone: record.phone,
+        patientName: record.patientName,
+        message: errorText,
+        eventId: record.eventId,
+        status: isConfirmation ? 'NEEDS FOLLOW-UP***************' : 'failed',
+        action: `${isConfirmation ? record.kind : 'message'}_failed`,
+      });
+    } else if (isConfirmation && status !== 'sent') {
+      await googleSheetsService.logAction({
+        conversationId: record.conversationId,
+        phone: record.phone,
+        patientName: record.patientName,
+        eventId: record.eventId,
+        status,
+        action: `${record.kind}_${status}`,
+      });
+    }
+
+    return record;
+  }
+
+  /**
+   * Looks up a tracked message, falling back to the persistent store.
+   *
+   * @param {string} messageId - WhatsApp message ID
+   * @returns {Promise<Object|null>} Tracking record or null
+   * @private
+   */
+  async getRecord(messageId) {
+    const cached = this.records.get(messageId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    if (this.store) {
+      try {
+        const stored = await this.store.get(messageId);
+        if (stored) {
+          this.records.set(messageId, stored);
+          return stored;
+        }
+      } catch (error) {
+        console.error('❌ [DELIVERY] Error loading record:', error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Writes a record to the persistent store (no-op for in-memory tracking).
+   *
+   * @param {Object} record - Tracking record
+   * @returns {Promise<void>}
+   * @private
+   */
+  async persistRecord(record) {
+    if (!this.store) return;
+    try {
+      await this.store.set(record.messageId, record, Math.max(1, record.expiresAt - Date.now()));
+    } catch (error) {
+      console.error('❌ [DELIVERY] Error persisting record:', error.message);
+    }
+  }
+
+  /**
+   * Removes expired records from memory.
+   * Called automatically every 60 seconds.
+   *
+   * @returns {void}
+   */
+  cleanupExpiredRecords() {
+    const now = Date.now();
+    for (const [messageId, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(messageId);
+      }
+    }
+  }
+
+  /**
+   * Stops the cleanup interval and closes the persistent store.
+   * Should be called during application shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    clearInterval(this.cleanupInterval);
+    try {
+      await this.store?.close();
+    } catch (error) {
+      console.error('❌ [DELIVERY] Error closing store:', error.message);
+    }
+    this.records.clear();
+  }
+}
+
+export const deliveryTracker = new DeliveryTracker();
@@ -0,0 +1,297 @@
+/**
+ * Dentist Roster module, the single source of truth for the clinic's dentists.
+ *
+ * Each dentist has a display name, aliases patients may use, a Google Calendar ID,
+ * skills (dentist categories from the treatment catalog, e.g. "braces") and/or explicit
+ * treatments, an optional working pattern and an active flag. Hiring a dentist means
+ * adding one roster entry. Consumed by treatmentLogic.js (which dentists can do which
+ * treatment), openaiHandler.js (name validation and prompts), googleCalendar.js
+ * (calendars to read and write) and clinicSchedule.js (working patterns).
+ *
+ * Roster model (JSON, from DENTIST_ROSTER or the file at DENTIST_ROSTER_FILE):
+ * {
+ *   "dentists": [
+ *     {
+ *       "name": "Dr GeneralA",                      // Display name used in sessions, prompts and events
+ *       "aliases": ["Anna", "Dr Smith"],            // Other names patients may use (optional)
+ *       "calendarId": "abc@group.calendar.google.com",
+ *       "skills": ["general"],                      // Treatment catalog dentistCategories
+ *       "treatments": ["Braces Maintenance"],       // Extra treatments outside the skills (optional)
+ *       "workingPattern": {                         // Same format as a clinicSchedule "dentists" entry (optional)
+ *         "weekly": { "friday": [{ "start": "09:00", "end": "13:00" }] },
+ *         "daysOff": ["2026-11-02"]
+ *       },
+ *       "buffers": { "before": 0, "after": 15 },    // Prep/cleanup minutes around all this dentist's appointments (optional)
+ *       "active": true                              // false = no new bookings, existing ones still found
+ *     }
+ *   ]
+ * }
+ *
+ * Without a roster the four built-in dentists are used, with calendar IDs from
+ * GOOGLE_CALENDAR_IDS ("Name:calendarId,..."). GOOGLE_CALENDAR_IDS also fills in
+ * calendar IDs missing from roster entries. With several clinics (tenants.js) each
+ * tenant has its own roster.
+ *
+ * @module dentistRoster
+ */
+
+import fs from 'fs';
+import { config } from './config.js';
+import { tenantRegistry } from './tenants.js';
+
+/**
+ * Built-in roster (previous hard-coded dentists).
+ */
+const DEFAULT_ROSTER = {
+  dentists: [
+    { name: 'Dr BracesA', skills: ['braces'] },
+    { name: 'Dr BracesB', skills: ['braces'] },
+    { name: 'Dr GeneralA', skills: ['general'] },
+    { name: 'Dr GeneralB', skills: ['general'] },
+  ],
+};
+
+/**
+ * DentistRoster class answering "who works here, and where is their calendar?".
+ *
+ * @class DentistRoster
+ */
+class DentistRoster {
+  /**
+   * Initializes the roster.
+   * Rosters are loaded from configuration per tenant on first use (or the built-in dentists).
+   *
+   * @param {Object|null} [definition] - Roster definition for every tenant (null = load from config)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // DENTIST_ROSTER_FILE=dentist-roster.json → dentists from that file
+   */
+  constructor(definition = null) {
+    this.fixedDentists = definition ? this.normalizeDentists(definition) : null;
+    this.rosters = new Map(); // tenant ID → normalized roster entries
+  }
+
+  /**
+   * Roster entries of the active tenant (see tenants.js).
+   *
+   * @type {Object[]}
+   */
+  get dentists() {
+    if (this.fixedDentists) return this.fixedDentists;
+    const tenant = tenantRegistry.getCurrentTenant();
+    if (!this.rosters.has(tenant.id)) {
+      this.rosters.set(tenant.id, this.normalizeDentists(this.loadDefinition(tenant.roster, tenant.id)));
+    }
+    return this.rosters.get(tenant.id);
+  }
+
+  /**
+   * Fills in defaults for roster entries (aliases, skills, treatments, calendar ID, active flag).
+   *
+   * @param {Object} roster - Roster definition
+   * @returns {Object[]} Normalized roster entries
+   * @private
+   */
+  normalizeDentists(roster) {
+    return roster.dentists.map(dentist => ({
+      ...dentist,
+      aliases: dentist.aliases || [],
+      skills: dentist.skills || [],
+      treatments: dentist.treatments || [],
+      calendarId: dentist.calendarId || config.calendar.dentistCalendars[dentist.name] || null,
+      active: dentist.active !== false,
+    }));
+  }
+
+  /**
+   * Loads a roster from inline JSON (DENTIST_ROSTER) or a file (DENTIST_ROSTER_FILE).
+   *
+   * Edge cases:
+   * - Nothing configured → built-in dentists
+   * - Invalid JSON, unreadable file or no dentists → error logged, built-in dentists
+   *
+   * @param {Object} [source=config.roster] - { json, filePath } (a tenant's roster source)
+   * @param {string} [tenantId='default'] - Tenant ID (for logging)
+   * @returns {Object} Roster definition
+   * @private
+   */
+  loadDefinition(source = config.roster, tenantId = 'default') {
+    try {
+      let definition = null;
+      if (source.json) {
+        console.log('👩‍⚕️ [ROSTER] Loading dentist roster from inline JSON for tenant', tenantId);
+        definition = JSON.parse(source.json);
+      } else if (source.filePath) {
+        console.log('👩‍⚕️ [ROSTER] Loading dentist roster from', source.filePath, 'for tenant', tenantId);
+        definition = JSON.parse(fs.readFileSync(source.filePath, 'utf8'));
+      }
+      if (definition) {
+        if (!Array.isArray(definition.dentists) || definition.dentists.length === 0) {
+          throw new Error('Roster has no dentists');
+        }
+        return definition;
+      }
+    } catch (error) {
+      console.error('❌ [ROSTER] Error loading dentist roster, using built-in dentists:', error.message);
+    }
+    return DEFAULT_ROSTER;
+  }
+
+  /**
+   * Returns the dentists that can be booked (active flag set).
+   *
+   * @returns {Object[]} Active roster entries
+   */
+  getActiveDentists() {
+    return this.dentists.filter(dentist => dentist.active);
+  }
+
+  /**
+   * Returns the names of bookable dentists.
+   *
+   * @returns {string[]} Dentist names (e.g., ["Dr BracesA", "Dr BracesB", "Dr GeneralA", "Dr GeneralB"])
+   */
+  getDentistNames() {
+    return this.getActiveDentists().map(dentist => dentist.name);
+  }
+
+  /**
+   * Returns a roster entry by exact name (active or not).
+   *
+   * @param {string} name - Dentist name
+   * @returns {Object|null} Roster entry or null
+   */
+  getDentist(name) {
+    return this.dentists.find(dentist => dentist.name === name) || null;
+  }
+
+  /**
+   * Maps a name as written by a patient (or extracted by AI) to a bookable dentist.
+   * Matches the display name and aliases, ignoring case, "Dr"/"Dr." prefixes, dots and spaces.
+   *
+   * @param {string} name - Dentist name as given
+   * @returns {string|null} Roster name or null if no active dentist matches
+   *
+   * @example
+   * dentistRoster.resolveDentistName("dr. general a")  // Returns: "Dr GeneralA"
+   * dentistRoster.resolveDentistName("Anna")           // Returns: "Dr GeneralA" (alias)
+   * dentistRoster.resolveDentistName("Dr Unknown")     // Returns: null
+   */
+  resolveDentistName(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    const wanted = this.normalizeName(name);
+    const match = this.getActiveDentists().find(dentist =>
+      [dentist.name, ...dentist.aliases].some(candidate => this.normalizeName(candidate) === wanted)
+    );
+    return match ? match.name : null;
+  }
+
+  /**
+   * Checks whether a dentist can perform a treatment.
+   * A dentist qualifies when the treatment is listed in `treatments`, or one of the
+   * dentist's `skills` is among the treatment's dentist categories.
+   *
+   * @param {string} name - Dentist name
+   * @param {string} treatmentName - Treatment name (catalog name)
+   * @param {string[]} [treatmentCategories=[]] - Dentist categories of the treatment (from the catalog)
+   * @returns {boolean} True if the dentist is active and qualified
+   */
+  canPerform(name, treatmentName, treatmentCategories = []) {
+    const dentist = this.getDentist(name);
+    if (!dentist || !dentist.active) return false;
+    return dentist.treatments.includes(treatmentName) ||
+      dentist.skills.some(skill => treatmentCategories.includes(skill));
+  }
+
+  /**
+   * Returns the Google Calendar ID of a dentist.
+   *
+   * @param {string} name - Dentist name
+   * @returns {string|null} Calendar ID or null if not configured
+   */
+  getCalendarId(name) {
+    return this.getDentist(name)?.calendarId || null;
+  }
+
+  /**
+   * Returns all dentist calendars, including inactive dentists (so their existing
+   * bookings can still be found, cancelled and rescheduled).
+   *
+   * @returns {Object} Map of dentist name → calendar ID (dentists without a calendar omitted)
+   *
+   * @example
+   * dentistRoster.getCalendarMap()
+   * // Returns: { "Dr BracesA": "cal1@group.calendar.google.com", ... }
+   */
+  getCalendarMap() {
+    return Object.fromEntries(
+      this.dentists.filter(dentist => dentist.calendarId).map(dentist => [dentist.name, dentist.calendarId])
+    );
+  }
+
+  /**
+   * Returns the reverse calendar map (calendar ID → dentist name).
+   *
+   * @returns {Object} Map of calendar ID → dentist name
+   */
+  getCalendarIdToDentistMap() {
+    return Object.fromEntries(
+      Object.entries(this.getCalendarMap()).map(([name, calendarId]) => [calendarId, name])
+    );
+  }
+
+  /**
+   * Returns a dentist's working pattern (clinicSchedule "dentists" entry format).
+   *
+   * @param {string} name - Dentist name
+   * @returns {Object|null} Working pattern or null if none configured
+   */
+  getWorkingPattern(name) {
+    return this.getDentist(name)?.workingPattern || null;
+  }
+
+  /**
+   * Returns a dentist's preparation and cleanup buffers for all treatments.
+   * Override the treatment buffers from the catalog (see getTreatmentBuffers() in treatmentLogic.js).
+   *
+   * @param {string} name - Dentist name
+   * @returns {Object|null} Buffers ({ before, after }, either may be missing) or null if none configured
+   *
+   * @example
+   * // Roster entry: { "name": "Dr BracesB", "buffers": { "after": 15 } }
+   * dentistRoster.getBuffers("Dr BracesB")  // Returns: { after: 15 }
+   */
+  getBuffers(name) {
+    return this.getDentist(name)?.buffers || null;
+  }
+
+  /**
+   * Describes dentist aliases for AI extraction prompts.
+   *
+   * @returns {string} One line per dentist with aliases ('' if none)
+   *
+   * @example
+   * dentistRoster.describeAliases()
+   * // Returns: '   - "Anna", "Dr Smith" → "Dr GeneralA"'
+   */
+  describeAliases() {
+    return this.getActiveDentists()
+      .filter(dentist => dentist.aliases.length > 0)
+      .map(dentist => `   - ${dentist.aliases.map(alias => `"${alias}"`).join(', ')} → "${dentist.name}"`)
+      .join('\n');
+  }
+
+  /**
+   * Normalizes a dentist name for comparison.
+   *
+   * @param {string} name - Name
+   * @returns {string} Lowercase name without "Dr" prefix, dots and whitespace
+   * @private
+   */
+  normalizeName(name) {
+    return name.toLowerCase().replace(/^\s*dr(\.\s*|\s+)/, '').replace(/[.\s]/g, '');
+  }
+}
+
+export const dentistRoster = new DentistRoster();
@@ -7,13 +7,16 @@
  * 
  * Key features:
  * - Fetches available slots for next 1 month
- * - Identifies gaps between existing appointments
+ * - Identifies gaps between existing appointments (all-day, multi-day, transparent
+ *   and declined events handled like the FreeBusy API)
  * - Creates calendar events for confirmed bookings
  * - Cancels appointments by deleting calendar events
  * - Retrieves all AI-booked appointments for 2 months
  * - Finds bookings by patient phone number
+ * - Lists upcoming appointments for reminders; records reminder markers and
+ *   attendance confirmations on the event
  * 
- * Working hours: 9:00 AM - 6:00 PM, Monday-Friday (weekends excluded)
+ * Working hours: per-dentist schedule from clinicSchedule (default 9:00 AM - 6:00 PM, Monday-Friday)
  * Minimum slot duration: 15 minutes
  * 
  * @module googleCalendar
@@ -21,6 +24,12 @@
 
 import { google } from 'googleapis';
 import { config } from './config.js';
+import { clinicSchedule } from './clinicSchedule.js';
+import { getTreatmentBuffers } from './treatmentLogic.js';
+import { treatmentCatalog } from './treatmentCatalog.js';
+import { dentistRoster } from './dentistRoster.js';
+import { patientProfiles } from './patientProfiles.js';
+import { getClinicTimezone, getZonedParts, startOfClinicDay, toClinicDateKey, toClinicDateTimeString, formatClinicTime, zonedDateTime } from './utils/timezone.js';
 import OpenAI from 'openai';
 
 const openai = new OpenAI({
@@ -110,18 +119,19 @@ class GoogleCalendarService {
    * Process:
    * 1. For each dentist, fetches calendar events for next 1 month
    * 2. Parses events into busy time slots
-   * 3. Finds gaps between busy slots (working hours: 9 AM - 6 PM, Mon-Fri)
+   * 3. Finds gaps between busy slots within each dentist's working hours (clinicSchedule),
+   *    keeping the treatment's preparation/cleanup buffers free next to existing appointments
    * 4. Filters gaps to minimum 15-minute duration
    * 5. Returns all available slots sorted by start time
    * 
    * Edge cases:
-   * - Skips weekends (Saturday, Sunday)
-   * - Only includes slots within working hours (9 AM - 6 PM)
+   * - Skips closed days (weekends by default, holidays, closures, dentist days off)
+   * - Only includes slots within working hours, outside breaks
    * - Minimum slot duration: 15 minutes
    * - If calendar fetch fails for a dentist, that dentist is skipped (others continue)
    * - Returns empty array if no slots found
    * 
-   * @param {string} treatmentType - Treatment type (currently not used, reserved for future filtering)
+   * @param {string} treatmentType - Treatment type (selects the buffers, see getTreatmentBuffers())
    * @param {string[]} dentistNames - Array of dentist names to check availability for
    * @returns {Promise<Array>} Array of available slot objects, sorted by start time
    * @returns {string} returns[].doctor - Dentist name
@@ -166,38 +176,46 @@ class GoogleCalendarService {
     const now = new Date();
     
     // Set start time to tomorrow (earliest available)
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0); // Start of tomorrow
+    const tomorrow = startOfClinicDay(now, 1); // Start of tomorrow (clinic time)
     
     const oneMonthLater = new Date(now);
     oneMonthLater.setMonth(oneMonthLater.getMonth() + 1);
 
     // Get calendars for specified dentists
     const calendarsToCheck = dentistNames
-      .map(name => ({ name, calendarId: config.calendar.dentistCalendars[name] }))
+      .map(name => ({ name, calendarId: dentistRoster.getCalendarId(name) }))
       .filter(d => d.calendarId);
 
     for (const { name: doctor, calendarId } of calendarsToCheck) {
       try {
         console.log(`\n🔍 [CALENDAR CHECK] Now checking calendar of ${doctor}...`);
         
-        const events = await this.calendar.events.list({
-          calendarId,
-          timeMin: tomorrow.toISOString(),
-          timeMax: oneMonthLater.toISOString(),
-          singleEvents: true,
-          orderBy: 'startTime',
-        });
+        // All pages: a busy calendar can exceed one page of results in a month
+        const events = [];
+        let pageToken;
+        do {
+          const response = await this.calendar.events.list({
+            calendarId,
+            timeMin: tomorrow.toISOString(),
+            timeMax: oneMonthLater.toISOString(),
+            singleEvents: true,
+            orderBy: 'startTime',
+            maxResults: 2500,
+            pageToken,
+          });
+          events.push(...(response.data.items || []));
+          pageToken = response.data.nextPageToken;
+        } while (pageToken);
 
-        const busySlots = this.parseBusySlots(events.data.items);
-        const availableSlots = this.findAvailableSlots(busySlots, tomorrow, oneMonthLater, doctor, tomorrow);
+        const busySlots = this.parseBusySlots(events, calendarId);
+        const buffers = getTreatmentBuffers(treatmentType, doctor);
+        const availableSlots = this.findAvailableSlots(busySlots, tomorrow, oneMonthLater, doctor, tomorrow, buffers);
         
         // Log first free time slot for this doctor
         if (availableSlots.length > 0) {
           const firstSlot = availableSlots[0];
-          const slotDate = firstSlot.startTime.toISOString().split('T')[0];
-          const slotTime = firstSlot.startTime.toISOString().split('T')[1].substring(0, 5);
+          const slotDate = toClinicDateKey(firstSlot.startTime);
+          const slotTime = formatClinicTime(firstSlot.startTime, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
           console.log(`✅ [CALENDAR CHECK] ${doctor} - Found ${availableSlots.length} available slot(s)`);
           console.log(`   📍 First free time slot: ${slotDate} at ${slotTime} (Duration: ${firstSlot.duration} minutes)`);
         } else {
@@ -218,9 +236,21 @@ class GoogleCalendarService {
 
   /**
    * Parses Google Calendar events into busy time slot objects.
-   * Extracts start time, end time, and event ID from calendar events.
+   * Applies the same rules as the Calendar FreeBusy API, so only events that really block
+   * the dentist's time are returned.
+   * 
+   * Rules:
+   * - Cancelled events → not busy
+   * - Events marked "Show as: Available" (transparency: "transparent") → not busy
+   * - Events the calendar owner declined (own attendee entry with responseStatus "declined") → not busy
+   * - All-day events (start.date / end.date) → busy from midnight of the first day to midnight
+   *   after the last day in clinic time (end.date is exclusive), so multi-day events such as
+   *   vacations block every day they cover
+   * - Appointments booked by the bot → extended by the preparation/cleanup buffers stored in
+   *   extendedProperties.private (bufferBeforeMinutes / bufferAfterMinutes)
    * 
    * @param {Array} events - Array of Google Calendar event objects
+   * @param {string} [calendarId] - Calendar the events belong to (identifies the owner among attendees)
    * @returns {Array} Array of busy slot objects with start, end, and id
    * 
    * @example
@@ -230,37 +260,95 @@ class GoogleCalendarService {
    *     id: "event123",
    *     start: { dateTime: "2024-01-15T10:00:00Z" },
    *     end: { dateTime: "2024-01-15T11:00:00Z" }
+   *   },
+   *   {
+   *     id: "vacation1",
+   *     start: { date: "2024-01-16" },
+   *     end: { date: "2024-01-19" }
+   *   },
+   *   {
+   *     id: "reminder1",
+   *     transparency: "transparent",
+   *     start: { dateTime: "2024-01-15T12:00:00Z" },
+   *     end: { dateTime: "2024-01-15T12:30:00Z" }
    *   }
-   * ])
+   * ], "dr.generala@clinic.com")
    * 
-   * // Output:
+   * // Output (clinic timezone UTC):
    * [
    *   {
    *     start: Date(2024-01-15T10:00:00.000Z),
    *     end: Date(2024-01-15T11:00:00.000Z),
    *     id: "event123"
+   *   },
+   *   {
+   *     start: Date(2024-01-16T00:00:00.000Z),
+   *     end: Date(2024-01-19T00:00:00.000Z), // Jan 16-18 blocked
+   *     id: "vacation1"
    *   }
    * ]
    */
-  parseBusySlots(events) {
-    return events.map(event => ({
-      start: new Date(event.start.dateTime || event.start.date),
-      end: new Date(event.end.dateTime || event.end.date),
-      id: event.id,
-    }));
+  parseBusySlots(events, calendarId = null) {
+    return events
+      .filter(event => {
+        if (event.status === 'cancelled' || event.transparency === 'transparent') {
+          return false;
+        }
+        const owner = (event.attendees || []).find(attendee =>
+          attendee.self || (calendarId && attendee.email === calendarId)
+        );
+        return owner?.responseStatus !== 'declined';
+      })
+      .map(event => {
+        const stored = event.extendedProperties?.private || {};
+        const bufferBefore = parseInt(stored.bufferBeforeMinutes || '0', 10) || 0;
+        const bufferAfter = parseInt(stored.bufferAfterMinutes || '0', 10) || 0;
+        return {
+          start: new Date(this.parseEventTime(event.start).getTime() - bufferBefore * 60 * 1000),
+          end: new Date(this.parseEventTime(event.end).getTime() + bufferAfter * 60 * 1000),
+          id: event.id,
+        };
+      })
+      .filter(slot => slot.end > slot.start);
+  }
+
+  /**
+   * Converts a Google Calendar event start/end to an instant.
+   * Timed events use dateTime (includes offset); all-day events use date ("YYYY-MM-DD"),
+   * which is taken as midnight in clinic time.
+   * 
+   * @param {Object} eventTime - Event start or end ({ dateTime } or { date })
+   * @returns {Date} Instant
+   * @private
+   * 
+   * @example
+   * parseEventTime({ date: "2024-01-16" })  // Output (Berlin): Date(2024-01-15T23:00:00.000Z)
+   */
+  parseEventTime(eventTime) {
+    if (eventTime.dateTime) {
+      return new Date(eventTime.dateTime);
+    }
+    const [year, month, day] = eventTime.date.split('-').map(Number);
+    return zonedDateTime(year, month - 1, day);
   }
 
   /**
    * Finds available time slots between busy periods for a specific doctor.
-   * Assumes working hours are 9:00-18:00, Monday-Friday.
+   * Working hours, breaks and closed days come from clinicSchedule.getWorkingPeriods().
    * Identifies gaps between existing appointments and returns slots with minimum 15-minute duration.
    * For today, starts from the current time instead of 9 AM to avoid offering past time slots.
    * 
+   * Buffers: each busy slot is widened by the new treatment's buffers (cleanup `after` the new
+   * appointment before the next busy slot, preparation `before` it after the previous one).
+   * Opening hours and breaks are not widened, so buffers only apply next to other appointments.
+   * Returned slots therefore are chair-time gaps: any appointment fitting inside keeps its buffers free.
+   * 
    * @param {Array} busySlots - Array of busy slot objects with start and end times
    * @param {Date} startDate - Start date for searching available slots
    * @param {Date} endDate - End date for searching available slots
    * @param {string} doctor - Doctor name to associate with the slots
    * @param {Date} currentTime - Current time (used to filter out past slots for today)
+   * @param {Object} [buffers={ before: 0, after: 0 }] - Preparation/cleanup minutes of the treatment to book
    * @returns {Array} Array of available slot objects (all slots start at or after currentTime)
    * 
    * @example
@@ -286,89 +374,78 @@ class GoogleCalendarService {
    *   }
    * ]
    */
-  findAvailableSlots(busySlots, startDate, endDate, doctor, currentTime) {
+  findAvailableSlots(busySlots, startDate, endDate, doctor, currentTime, buffers = { before: 0, after: 0 }) {
     const availableSlots = [];
-    const workingHours = { start: 9, end: 18 }; // 9 AM to 6 PM
     const slotDuration = 15; // Minimum slot duration in minutes
 
-    let currentDate = new Date(startDate);
+    // Keep the new appointment's buffers free next to existing appointments
+    const paddedBusySlots = busySlots.map(slot => ({
+      ...slot,
+      start: new Date(slot.start.getTime() - (buffers.after || 0) * 60 * 1000),
+      end: new Date(slot.end.getTime() + (buffers.before || 0) * 60 * 1000),
+    }));
+
+    // Walk clinic days (midnight to midnight in the clinic timezone)
+    let currentDate = startOfClinicDay(startDate);
     const now = new Date(currentTime);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = startOfClinicDay(new Date());
     
     while (currentDate < endDate) {
-      // Skip weekends
-      const dayOfWeek = currentDate.getDay();
-      if (dayOfWeek === 0 || dayOfWeek === 6) {
-        currentDate.setDate(currentDate.getDate() + 1);
-        currentDate.setHours(workingHours.start, 0, 0, 0);
-        continue;
-      }
+      const dayOfWeek = getZonedParts(currentDate).weekday;
 
       // Skip today - only allow appointments from tomorrow onwards
-      const dayStart = new Date(currentDate);
-      dayStart.setHours(0, 0, 0, 0);
-      const isToday = dayStart.getTime() === today.getTime();
-      if (isToday) {
-        currentDate.setDate(currentDate.getDate() + 1);
-        currentDate.setHours(workingHours.start, 0, 0, 0);
-        continue;
-      }
+      const isToday = currentDate.getTime() === today.getTime();
 
-      // Check each day
-      dayStart.setHours(workingHours.start, 0, 0, 0);
-      const dayEnd = new Date(currentDate);
-      dayEnd.setHours(workingHours.end, 0, 0, 0);
+      // Bookable periods for this dentist and day (empty on closed days, breaks already removed)
+      const periods = isToday ? [] : clinicSchedule.getWorkingPeriods(doctor, currentDate);
 
-      // Get busy slots for this day
-      const dayBusySlots = busySlots.filter(slot => 
-        slot.start.toDateString() === dayStart.toDateString()
-      );
+      for (const period of periods) {
+        // Busy slots overlapping this period
+        const periodBusySlots = paddedBusySlots.filter(slot => 
+          slot.start < period.end && slot.end > period.start
+        );
 
-      // Find gaps between busy slots
-      // Start from beginning of day (not current time) since we've already skipped today
-      let slotStartTime = new Date(dayStart);
-      
-      for (const busySlot of dayBusySlots.sort((a, b) => a.start - b.start)) {
-        if (slotStartTime < busySlot.start) {
-          const gapDuration = (busySlot.start - slotStartTime) / (1000 * 60); // minutes
+        // Find gaps between busy slots
+        let slotStartTime = new Date(period.start);
+        
+        for (const busySlot of periodBusySlots.sort((a, b) => a.start - b.start)) {
+          if (slotStartTime < busySlot.start) {
+            const gapDuration = (busySlot.start - slotStartTime) / (1000 * 60); // minutes
+            if (gapDuration >= slotDuration) {
+              availableSlots.push({
+                doctor,
+                startTime: new Date(slotStartTime),
+                endTime: new Date(busySlot.start),
+                duration: gapDuration,
+                weekday: this.getWeekdayName(dayOfWeek),
+              });
+            }
+          }
+          slotStartTime = new Date(Math.max(slotStartTime, busySlot.end));
+        }
+
+        // Check gap from last busy slot to end of period
+        if (slotStartTime < period.end) {
+          const gapDuration = (period.end - slotStartTime) / (1000 * 60);
           if (gapDuration >= slotDuration) {
             availableSlots.push({
               doctor,
               startTime: new Date(slotStartTime),
-              endTime: new Date(busySlot.start),
+              endTime: new Date(period.end),
               duration: gapDuration,
               weekday: this.getWeekdayName(dayOfWeek),
             });
           }
         }
-        slotStartTime = new Date(Math.max(slotStartTime, busySlot.end));
-      }
-
-      // Check gap from last busy slot to end of day
-      if (slotStartTime < dayEnd) {
-        const gapDuration = (dayEnd - slotStartTime) / (1000 * 60);
-        if (gapDuration >= slotDuration) {
-          availableSlots.push({
-            doctor,
-            startTime: new Date(slotStartTime),
-            endTime: new Date(dayEnd),
-            duration: gapDuration,
-            weekday: this.getWeekdayName(dayOfWeek),
-          });
-        }
       }
 
       // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
-      currentDate.setHours(workingHours.start, 0, 0, 0);
+      currentDate = startOfClinicDay(currentDate, 1);
     }
 
     // Final safety filter: Remove any slots that start before tomorrow
     // This ensures we never return today's slots, even if there's a logic error
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
+    const tomorrow = startOfClinicDay(new Date(), 1);
     
     const filteredSlots = availableSlots.filter(slot => {
       const slotStart = new Date(slot.startTime);
@@ -378,6 +455,45 @@ class GoogleCalendarService {
     return filteredSlots;
   }
 
+  /**
+   * Splits free gaps into bookable start times on a fixed grid.
+   * Start times are aligned to multiples of `intervalMinutes` from clinic midnight
+   * (e.g. 9:00, 9:15, 9:30 for 15 minutes), so a gap starting at 10:40 first offers 10:45.
+   * Only starts where the whole appointment fits inside the gap are returned.
+   * 
+   * @param {Array} slots - Free gaps from getAvailableSlots() ({ doctor, startTime, endTime, duration, weekday })
+   * @param {number} durationMinutes - Appointment length that must fit after each start
+   * @param {number} [intervalMinutes=config.calendar.slotIntervalMinutes] - Grid size in minutes
+   * @returns {Array} One slot per start time (same shape; endTime = gap end, duration = minutes left in the gap)
+   * 
+   * @example
+   * // Gap 10:40-12:00, 30-minute cleaning, 15-minute grid:
+   * splitIntoStartTimes([{ doctor: "Dr GeneralA", startTime: 10:40, endTime: 12:00, duration: 80 }], 30)
+   * // Output: starts at 10:45, 11:00, 11:15, 11:30 (duration 75, 60, 45, 30)
+   */
+  splitIntoStartTimes(slots, durationMinutes, intervalMinutes = config.calendar.slotIntervalMinutes) {
+    const intervalMs = Math.max(1, intervalMinutes) * 60 * 1000;
+    const durationMs = durationMinutes * 60 * 1000;
+
+    return slots.flatMap(slot => {
+      const gapStart = new Date(slot.startTime).getTime();
+      const gapEnd = new Date(slot.endTime).getTime();
+      const dayStart = startOfClinicDay(new Date(gapStart)).getTime();
+      const startTimes = [];
+
+      // First grid point at or after the gap start
+      let start = dayStart + Math.ceil((gapStart - dayStart) / intervalMs) * intervalMs;
+      for (; start + durationMs <= gapEnd; start += intervalMs) {
+        startTimes.push({
+          ...slot,
+          startTime: new Date(start),
+          duration: (gapEnd - start) / (1000 * 60),
+        });
+      }
+      return startTimes;
+    });
+  }
+
   /**
    * Converts day of week number to weekday name string.
    * 
@@ -480,9 +596,11 @@ class GoogleCalendarService {
    * 
    * Event details:
    * - Title: "##AI Booked## [Doctor] [Patient] [Treatment] [Phone]"
-   * - Description: Includes patient name, treatment, and phone number
-   * - Start/End: UTC timezone, ISO format
-   * - Timezone: UTC (converted from local time if needed)
+   * - Description: Includes patient name, treatment, and phone number (and who booked it for a family member)
+   * - Start/End: clinic wall-clock time ("YYYY-MM-DDTHH:MM:SS")
+   * - Timezone: clinic timezone (CLINIC_TIMEZONE), so Google shows the right hour
+   * - Buffers: preparation/cleanup minutes stored in extendedProperties.private (not in the event time)
+   * - Patient name: also stored in extendedProperties.private, so lookups by person don't depend on parsing the title
    * 
    * Error handling:
    * - If calendar API fails, returns { success: false, error: message }
@@ -491,7 +609,8 @@ class GoogleCalendarService {
    * 
    * @param {string} calendarId - Google Calendar ID for the dentist (from config)
    * @param {Object} appointmentData - Appointment details object
-   * @param {string} appointmentData.patientName - Patient's name (defaults to "Patient" if not set)
+   * @param {string} appointmentData.patientName - Name of the person the appointment is for (defaults to "Patient" if not set)
+   * @param {string} [appointmentData.bookedBy] - Account holder who booked for a family member
    * @param {string} appointmentData.doctor - Doctor's name (must match calendar owner)
    * @param {string} appointmentData.treatment - Treatment type
    * @param {string} appointmentData.phone - Patient's phone number
@@ -541,20 +660,31 @@ class GoogleCalendarService {
    * // }
    */
   async createAppointment(calendarId, appointmentData) {
-    const { patientName, doctor, treatment, phone, startTime, endTime } = appointmentData;
+    const { patientName, bookedBy, doctor, treatment, phone, startTime, endTime } = appointmentData;
+    const buffers = getTreatmentBuffers(treatment, doctor);
     
     const eventTitle = `##AI Booked## ${doctor} ${patientName} ${treatment} ${phone}`;
     
     const event = {
       summary: eventTitle,
-      description: `AI Booked Appointment\nPatient: ${patientName}\nTreatment: ${treatment}\nPhone: ${phone}`,
+      description: `AI Booked Appointment\nPatient: ${patientName}\nTreatment: ${treatment}\nPhone: ${phone}` +
+        (bookedBy ? `\nBooked by: ${bookedBy}` : ''),
+      // Clinic wall-clock time + timezone, so the event shows at the right hour in every calendar view
       start: {
-        dateTime: startTime.toISOString(),
-        timeZone: 'UTC',
+        dateTime: toClinicDateTimeString(startTime),
+        timeZone: getClinicTimezone(),
       },
       end: {
-        dateTime: endTime.toISOString(),
-        timeZone: 'UTC',
+        dateTime: toClinicDateTimeString(endTime),
+        timeZone: getClinicTimezone(),
+      },
+      // Event shows chair time only; buffers are stored so availability keeps them free
+      extendedProperties: {
+        private: {
+          patientName,
+          bufferBeforeMinutes: String(buffers.before),
+          bufferAfterMinutes: String(buffers.after),
+        },
       },
     };
 
@@ -671,8 +801,8 @@ class GoogleCalendarService {
 Title: "${title}"
 Description: "${description}"
 
-Available doctors: Dr BracesA, Dr BracesB, Dr GeneralA, Dr GeneralB
-Available treatments: Cleaning, Braces Maintenance, Consultation, Filling, Root Canal, Extraction
+Available doctors: ${Object.keys(dentistRoster.getCalendarMap()).join(', ')}
+Available treatments: ${treatmentCatalog.getTreatmentNames().join(', ')}
 
 Return format: {"doctor":"Dr Name", "patientName":"Patient Name", "treatment":"Treatment", "phone":"1234567890"}
 
@@ -698,11 +828,12 @@ Use null if not found.`
 
       return {
         patientPhone: extracted.phone,
-        patientName: extracted.patientName || 'Patient',
+        // Name stored at booking time wins over the parsed title (family members share a phone)
+        patientName: event.extendedProperties?.private?.patientName || extracted.patientName || 'Patient',
         doctor: extracted.doctor || defaultDoctor,
-        treatment: extracted.treatment,
-        startTime: new Date(event.start.dateTime || event.start.date),
-        endTime: new Date(event.end.dateTime || event.end.date),
+        treatment: treatmentCatalog.normalizeTreatmentName(extracted.treatment) || extracted.treatment,
+        startTime: this.parseEventTime(event.start),
+        endTime: this.parseEventTime(event.end),
         calendarEventId: event.id,
         calendarId,
       };
@@ -740,7 +871,7 @@ Use null if not found.`
     const twoMonthsLater = new Date(now);
     twoMonthsLater.setMonth(twoMonthsLater.getMonth() + 2);
 
-    for (const [doctor, calendarId] of Object.entries(config.calendar.dentistCalendars)) {
+    for (const [doctor, calendarId] of Object.entries(dentistRoster.getCalendarMap())) {
       try {
         const events = await this.calendar.events.list({
           calendarId,
@@ -766,6 +897,159 @@ Use null if not found.`
     return bookings;
   }
 
+  /**
+   * Lists the appointments of all dentists in a time range, for reminders.
+   *
+   * Unlike getAllBookings(), events are parsed without AI (called every few minutes):
+   * patient, treatment, phone and "booked by" come from the description written by
+   * createAppointment() ("Patient: ...\nTreatment: ...\nPhone: ..."), the patient name
+   * preferably from extendedProperties.private. Manually created events are included
+   * when their title or description contains a phone number.
+   *
+   * Edge cases:
+   * - All-day events and events without a phone number are skipped
+   * - A calendar that cannot be read is logged and skipped
+   *
+   * @param {Date} timeMin - Range start
+   * @param {Date} timeMax - Range end
+   * @returns {Promise<Array>} Appointments with patientPhone, patientName, bookedBy, doctor, treatment,
+   *   startTime, endTime, created, calendarEventId, calendarId and privateProperties
+   *
+   * @example
+   * await getUpcomingAppointments(new Date(), new Date(Date.now() + 48 * 60 * 60 * 1000))
+   * // Output: [{ patientPhone: "+1234567890", patientName: "John Doe", doctor: "Dr GeneralA", treatment: "Cleaning",
+   * //   startTime: Date(...), endTime: Date(...), calendarEventId: "evt123", privateProperties: { reminder48h: "..." }, ... }]
+   */
+  async getUpcomingAppointments(timeMin, timeMax) {
+    const appointments = [];
+
+    for (const [doctor, calendarId] of Object.entries(dentistRoster.getCalendarMap())) {
+      try {
+        const events = await this.calendar.events.list({
+          calendarId,
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+          singleEvents: true,
+          orderBy: 'startTime',
+        });
+
+        for (const event of events.data.items || []) {
+          const appointment = this.parseAppointmentEvent(event, calendarId, doctor);
+          if (appointment) {
+            appointments.push(appointment);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ [CALENDAR] Error listing appointments for ${doctor}:`, error.message);
+      }
+    }
+
+    return appointments;
+  }
+
+  /**
+   * Parses a calendar event into an appointment without AI (see getUpcomingAppointments()).
+   *
+   * @param {Object} event - Google Calendar event
+   * @param {string} calendarId - Calendar ID
+   * @param {string} doctor - Dentist owning the calendar
+   * @returns {Object|null} Appointment, or null for all-day events and events without phone number
+   * @private
+   */
+  parseAppointmentEvent(event, calendarId, doctor) {
+    const description = event.description || '';
+    const privateProperties = event.extendedProperties?.private || {};
+    const field = name => description.match(new RegExp(`^${name}:\\s*(.+)$`, 'm'))?.[1]?.trim() || null;
+    const phone = field('Phone') || `${event.summary || ''} ${description}`.match(/\+?\d[\d\s-]{6,}\d/)?.[0];
+
+    if (!phone || !event.start?.dateTime) return null;
+
+    return {
+      patientPhone: this.normalizePhoneNumber(phone),
+      patientName: privateProperties.patientName || field('Patient') || 'Patient',
+      bookedBy: field('Booked by'),
+      doctor,
+      treatment: treatmentCatalog.normalizeTreatmentName(field('Treatment')) || field('Treatment'),
+      startTime: this.parseEventTime(event.start),
+      endTime: this.parseEventTime(event.end),
+      created: event.created ? new Date(event.created) : null,
+      calendarEventId: event.id,
+      calendarId,
+      privateProperties,
+    };
+  }
+
+  /**
+   * Sets private extended properties on an event (e.g. "reminder sent" markers).
+   * The given properties replace the event's private properties, so pass the existing
+   * ones along (appointment.privateProperties) to keep them.
+   *
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   * @param {Object} properties - Private properties (string values)
+   * @returns {Promise<Object>} { success: true } or { success: false, error }
+   *
+   * @example
+   * await setEventProperties("cal123@group.calendar.google.com", "evt123",
+   *   { ...appointment.privateProperties, reminder48h: "2026-10-18T08:00:00.000Z" })
+   */
+  async setEventProperties(calendarId, eventId, properties) {
+    try {
+      await this.calendar.events.patch({
+        calendarId,
+        eventId,
+        resource: {
+          extendedProperties: { private: properties },
+        },
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating calendar event properties:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Records that the patient confirmed they will attend an appointment (reply to a reminder).
+   *
+   * Written back to the event so staff see it in the calendar: an "Attendance:" line in the
+   * description and extendedProperties.private.attendance = "confirmed" (with timestamp).
+   * Other private properties (patient name, buffers, reminder markers) are kept.
+   *
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} { success: true } or { success: false, error }
+   *
+   * @example
+   * await confirmAttendance("cal123@group.calendar.google.com", "evt123")
+   * // Event description: "...\nPhone: +1234567890\nAttendance: Confirmed by patient"
+   */
+  async confirmAttendance(calendarId, eventId) {
+    try {
+      const event = await this.calendar.events.get({ calendarId, eventId });
+      const description = (event.data.description || '').replace(/\n?^Attendance:.*$/m, '');
+      await this.calendar.events.patch({
+        calendarId,
+        eventId,
+        resource: {
+          description: [description, 'Attendance: Confirmed by patient'].filter(Boolean).join('\n'),
+          extendedProperties: {
+            private: {
+              ...(event.data.extendedProperties?.private || {}),
+              attendance: 'confirmed',
+              attendanceConfirmedAt: new Date().toISOString(),
+            },
+          },
+        },
+      });
+      console.log(`✅ [CALENDAR] Attendance confirmed for event ${eventId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error confirming attendance:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Normalizes phone number for comparison (removes formatting differences).
    * 
@@ -798,8 +1082,10 @@ Use null if not found.`
    * - Phone number matching handles format differences (+1234567890 vs 1234567890)
    * - Searches ALL calendar events, not just AI-booked
    * - Returns undefined if no bookings found (not null)
+   * - Several family members can share a phone: pass patientName to get one person's bookings
    * 
    * @param {string} phone - Patient's phone number (any format: +1234567890, 1234567890, etc.)
+   * @param {string|null} [patientName=null] - Only bookings of this person (see patientProfiles.isSamePerson())
    * @returns {Promise<Object|undefined>} Booking object if found, undefined if not found
    * @returns {string} [returns.patientPhone] - Patient phone number
    * @returns {string} [returns.patientName] - Patient name
@@ -824,15 +1110,20 @@ Use null if not found.`
    * // Format differences handled:
    * await findBookingByPhone("1234567890")  // Missing +
    * // Still matches if event has "+1234567890"
+   * 
+   * @example
+   * // One family member:
+   * await findBookingByPhone("+1234567890", "Emma")
+   * // Output: Bookings of Emma Doe only
    */
-  async findBookingByPhone(phone) {
+  async findBookingByPhone(phone, patientName = null) {
     const normalizedPhone = this.normalizePhoneNumber(phone);
-    console.log('🔍 DIRECT_SEARCH: Phone:', normalizedPhone);
+    console.log('🔍 DIRECT_SEARCH: Phone:', normalizedPhone, patientName ? `(patient: ${patientName})` : '');
     
     const allBookings = []; // Collect all matching bookings
     
     // Search each calendar directly for phone number
-    for (const [doctor, calendarId] of Object.entries(config.calendar.dentistCalendars)) {
+    for (const [doctor, calendarId] of Object.entries(dentistRoster.getCalendarMap())) {
       try {
         // Use Google Calendar's q parameter to search for phone
         const events = await this.calendar.events.list({
@@ -849,7 +1140,8 @@ Use null if not found.`
         // Parse all matching events (not just first one)
         for (const event of events.data.items) {
           const booking = await this.parseEventToBooking(event, calendarId, doctor);
-          if (booking && this.normalizePhoneNumber(booking.patientPhone) === normalizedPhone) {
+          if (booking && this.normalizePhoneNumber(booking.patientPhone) === normalizedPhone &&
+              (!patientName || patientProfiles.isSamePerson(booking.patientName, patientName))) {
             console.log('✅ DIRECT_SEARCH: Found booking for', booking.patientName);
             allBookings.push(booking);
           }
@@ -10,12 +10,14 @@
  * - Searches for specific treatment pricing
  * - Returns formatted text for display to users
  * - Graceful error handling with user-friendly messages
+ * - Reads the active tenant's pricing document (GOOGLE_DOC_ID or the tenant's docId, see tenants.js)
  * 
  * @module googleDocs
  */
 
 import { google } from 'googleapis';
 import { config } from './config.js';
+import { tenantRegistry } from './tenants.js';
 
 /**
  * GoogleDocsService class handles all Google Docs API operations.
@@ -128,7 +130,7 @@ class GoogleDocsService {
   async getPricingInfo() {
     try {
       const response = await this.docs.documents.get({
-        documentId: config.docs.docId,
+        documentId: tenantRegistry.getCurrentTenant().docs.docId,
       });
 
       // Extract text content from the document
@@ -11,6 +11,7 @@
  * - Tracks status (active, confirmed, NEEDS FOLLOW-UP, etc.)
  * - Stores event IDs for calendar integration
  * - Auto-initializes sheet with headers on first run
+ * - Logs to the active tenant's sheet (GOOGLE_SHEET_ID or the tenant's sheetId, see tenants.js)
  * 
  * Sheet columns:
  * Timestamp, Conversation ID, Phone, Patient Name, Role, Message, Intent,
@@ -21,6 +22,7 @@
 
 import { google } from 'googleapis';
 import { config } from './config.js';
+import { tenantRegistry } from './tenants.js';
 
 /**
  * GoogleSheetsService class handles all Google Sheets API operations.
@@ -112,7 +114,8 @@ class GoogleSheetsService {
   /**
    * Initializes the Google Sheet with column headers if the sheet is empty.
    * Checks if headers exist, and if not, creates them with standard column names.
-   * Should be called once during application startup.
+   * Should be called once during application startup (once per tenant, inside
+   * tenantRegistry.runWithTenant(), when several clinics are configured).
    * 
    * @returns {Promise<void>}
    * 
@@ -124,15 +127,16 @@ class GoogleSheetsService {
    * // Subsequent runs - headers already exist, no action taken
    */
   async initializeSheet() {
+    const { sheetId, sheetName } = tenantRegistry.getCurrentTenant().sheets;
     try {
       console.log('📊 Initializing Google Sheet...');
-      console.log('  - Sheet ID:', config.sheets.sheetId ? 'exists' : 'missing');
-      console.log('  - Sheet Name:', config.sheets.sheetName);
+      console.log('  - Sheet ID:', sheetId ? 'exists' : 'missing');
+      console.log('  - Sheet Name:', sheetName);
       
       // Check if headers exist
       const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: config.sheets.sheetId,
-        range: `${config.sheets.sheetName}!A1:Z1`,
+        spreadsheetId: sheetId,
+        range: `${sheetName}!A1:Z1`,
       });
 
       console.log('  - Headers check response:', response.data.values ? 'headers exist' : 'no headers');
@@ -141,8 +145,8 @@ class GoogleSheetsService {
         console.log('  - Adding headers to sheet...');
         // Add headers
         await this.sheets.spreadsheets.values.append({
-          spreadsheetId: config.sheets.sheetId,
-          range: `${config.sheets.sheetName}!A1`,
+          spreadsheetId: sheetId,
+          range: `${sheetName}!A1`,
           valueInputOption: 'RAW',
           resource: {
             values: [[
@@ -179,7 +183,7 @@ class GoogleSheetsService {
   /**
    * Logs a conversation message or action to Google Sheets.
    * 
-   * Appends a new row to the configured Google Sheet with all conversation/action
+   * Appends a new row to the active tenant's Google Sheet with all conversation/action
    * details. This is the core logging method used by all other logging functions.
    * Handles errors gracefully (logs to console but doesn't throw).
    * 
@@ -265,10 +269,12 @@ class GoogleSheetsService {
       action,
     } = conversationData;
 
+    const { sheetId, sheetName } = tenantRegistry.getCurrentTenant().sheets;
+
     try {
       await this.sheets.spreadsheets.values.append({
-        spreadsheetId: config.sheets.sheetId,
-        range: `${config.sheets.sheetName}!A:Z`,
+        spreadsheetId: sheetId,
+        range: `${sheetName}!A:Z`,
         valueInputOption: 'RAW',
         resource: {
           values: [[
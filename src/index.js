@@ -11,10 +11,14 @@
  * - Health check endpoint
  * - Graceful shutdown handling
  * - Automatic initialization on startup
+ * - Appointment reminders (reminderScheduler cron job, long-running server only)
+ * - Waitlist: expired holds on freed slots move on to the next patient (interval in the
+ *   long-running server, with every webhook on Vercel)
  * 
  * Request flow:
  * 1. WhatsApp sends webhook → POST /webhook
- * 2. Parse message → Extract phone number and text
+ * 2. Parse message → Extract phone number and text, resolve the clinic (tenant) from
+ *    the receiving phone number ID
  * 3. Log to Google Sheets → User message logged
  * 4. Generate AI response → openaiHandler.generateResponse()
  * 5. Send response → WhatsApp API
@@ -29,12 +33,26 @@ import { whatsappService } from './whatsapp.js';
 import { openaiHandler } from './openaiHandler.js';
 import { sessionManager } from './sessionManager.js';
 import { googleSheetsService } from './googleSheets.js';
+import { messageDeduplicator } from './messageDeduplicator.js';
+import { conversationQueue } from './conversationQueue.js';
+import { deliveryTracker, OUTBOUND_KINDS } from './deliveryTracker.js';
+import { tenantRegistry } from './tenants.js';
+import { patientProfiles } from './patientProfiles.js';
+import { reminderScheduler } from './reminderScheduler.js';
+import { waitlist } from './waitlist.js';
+import { slotHolds } from './slotHolds.js';
+import { customerServiceWindow } from './customerServiceWindow.js';
 
 const app = express();
 
 // Middleware
 // Parse JSON request bodies (for webhook payloads)
-app.use(express.json());
+// Keep the raw bytes too: X-Hub-Signature-256 is computed over the unparsed body
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 // Parse URL-encoded request bodies (for form data)
 app.use(express.urlencoded({ extended: true }));
 
@@ -49,13 +67,15 @@ app.use(express.urlencoded({ extended: true }));
  * @returns {Object} Status object with 'ok' status and ISO timestamp
  * @returns {string} returns.status - Always "ok" if endpoint is reachable
  * @returns {string} returns.timestamp - Current server time in ISO format
+ * @returns {number} returns.rejectedWebhooks - Webhook POSTs rejected for bad signatures since startup
  * 
  * @example
  * // Request: GET /health
  * // Response (200 OK):
  * {
  *   "status": "ok",
- *   "timestamp": "2024-01-15T10:30:00.000Z"
+ *   "timestamp": "2024-01-15T10:30:00.000Z",
+ *   "rejectedWebhooks": 0
  * }
  * 
  * @example
@@ -65,7 +85,11 @@ app.use(express.urlencoded({ extended: true }));
  * // If timeout/error, server is marked unhealthy
  */
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    rejectedWebhooks: whatsappService.rejectedSignatureCount,
+  });
 });
 
 
@@ -128,6 +152,110 @@ app.get('/webhook', (req, res) => {
   }
 });
 
+/**
+ * Processes a single inbound WhatsApp message event.
+ * 
+ * Skips redelivered messages, then runs the full pipeline inside the
+ * per-conversation queue so messages from the same phone never overlap.
+ * Must run inside tenantRegistry.runWithTenant() for the clinic the message was sent to.
+ * 
+ * Pipeline:
+ * 1. Claim message ID (duplicates are ignored) and record the inbound time
+ *    (customer service window for business-initiated messages)
+ * 2. Load session (from persistent store if not in memory; new sessions of returning
+ *    patients pre-filled from their patient profile)
+ * 3. Log user message to Google Sheets
+ * 4. Generate AI response
+ * 5. Send response via WhatsApp API - as reply buttons / list message if the handler set
+ *    session.replyButtons / session.replyList
+ *    (outbound ID tracked for delivery statuses)
+ * 6. Flush session state to the persistent store
+ * 
+ * @param {Object} event - Parsed message event from whatsappService.parseWebhookMessage()
+ * @param {string} event.phoneNumber - Sender's phone number (conversation ID, prefixed with the tenant ID for non-default tenants)
+ * @param {string} event.messageText - Message text
+ * @param {string} event.messageId - WhatsApp message ID (used for de-duplication)
+ * @param {string} [event.timestamp] - Message time (Unix timestamp string)
+ * @param {string|null} [event.buttonId] - Tapped reply button ID (interactive replies)
+ * @param {string|null} [event.listRowId] - Picked list row ID (interactive list replies)
+ * @returns {Promise<void>}
+ * 
+ * @example
+ * await handleInboundMessage({ type: 'message', phoneNumber: '+1234567890', messageText: 'yes', messageId: 'wamid.1' })
+ * // Patient receives the AI response; a redelivery of wamid.1 is ignored
+ */
+async function handleInboundMessage(event) {
+  const { phoneNumber, messageText, messageId, timestamp, buttonId, listRowId } = event;
+  console.log('💬 Message parsed successfully:', { phoneNumber, messageText, messageId, buttonId, listRowId });
+
+  // Ignore redelivered webhooks (same message ID already processed)
+  if (!(await messageDeduplicator.claim(messageId))) {
+    console.log('🔁 Duplicate webhook ignored:', { phoneNumber, messageId });
+    return;
+  }
+
+  // Use phone number as conversation ID (per clinic, so each practice has its own session)
+  const conversationId = tenantRegistry.getConversationId(tenantRegistry.getCurrentTenant(), phoneNumber);
+
+  // The patient wrote: free-form messages to them are allowed for the next 24 hours
+  await customerServiceWindow.recordInbound(conversationId, timestamp);
+
+  // Process messages from the same phone strictly in order (other phones run in parallel)
+  await conversationQueue.run(conversationId, async () => {
+    // Restore session from persistent store (survives restarts / cold starts)
+    // (new sessions of returning patients are pre-filled from their patient profile)
+    const session = await sessionManager.loadSession(conversationId, phoneNumber);
+    await googleSheetsService.logConversationTurn(
+      conversationId,
+      phoneNumber,
+      'user',
+      messageText,
+      session
+    );
+
+    // Generate AI response
+    const response = await openaiHandler.generateResponse(
+      conversationId,
+      messageText,
+      phoneNumber,
+      { buttonId, listRowId }
+    );
+
+    // Send response via WhatsApp (with reply buttons / list when the handler asked for them)
+    // and remember the outbound ID for delivery status callbacks
+    const sessionData = sessionManager.getSessionData(conversationId);
+    let sendResult;
+    if (sessionData?.replyButtons?.length) {
+      sendResult = await whatsappService.sendInteractiveButtons(phoneNumber, response, sessionData.replyButtons);
+      if (!sendResult.success) {
+        console.log('⚠️ Interactive message failed, falling back to plain text');
+        sendResult = await whatsappService.sendMessage(phoneNumber, response);
+      }
+    } else if (sessionData?.replyList?.rows?.length) {
+      const { buttonText, rows } = sessionData.replyList;
+      sendResult = await whatsappService.sendInteractiveList(phoneNumber, response, buttonText, rows);
+      if (!sendResult.success) {
+        console.log('⚠️ Interactive list failed, falling back to plain text');
+        sendResult = await whatsappService.sendMessage(phoneNumber, response);
+      }
+    } else {
+      sendResult = await whatsappService.sendMessage(phoneNumber, response);
+    }
+    if (sendResult.success) {
+      await deliveryTracker.trackOutbound(sendResult.messageId, {
+        conversationId,
+        phone: phoneNumber,
+        kind: sessionData?.lastResponseKind || OUTBOUND_KINDS.CONVERSATION,
+        patientName: sessionData?.patientName,
+        eventId: sessionData?.eventId,
+      });
+    }
+
+    // Persist final session state before responding (serverless may freeze afterwards)
+    await sessionManager.flush(conversationId);
+  });
+}
+
 /**
  * WhatsApp webhook handler endpoint.
  * 
@@ -136,22 +264,31 @@ app.get('/webhook', (req, res) => {
  * Logs all conversations to Google Sheets for audit trail.
  * 
  * Processing flow:
+ * 0. Verify X-Hub-Signature-256 against the app secret (401 if invalid)
  * 1. Verify webhook is from WhatsApp (check object === 'whatsapp_business_account')
- * 2. Parse message from webhook payload (extract phone number and text)
- * 3. Get or create session for phone number
- * 4. Log user message to Google Sheets
- * 5. Generate AI response (intent detection, information extraction, response generation)
- * 6. Send response via WhatsApp API
- * 7. Return 200 OK (always, even on errors, to prevent WhatsApp retries)
+ * 2. Parse all events from webhook payload (every entry/change/message/status in the batch)
+ * 3. Dispatch each event in order, with the tenant of its receiving phone number ID active
+ *    (tenantRegistry.runWithTenant(): roster, hours, pricing, sheet, persona, sender number):
+ *    - Delivery statuses → deliveryTracker.recordStatus() (correlated with the sent message)
+ *    - Messages → handleInboundMessage():
+ *    a. Skip redelivered messages (message ID already claimed via messageDeduplicator)
+ *    b. Record the inbound time (24-hour customer service window, customerServiceWindow)
+ *       and wait for earlier messages from the same phone (conversationQueue)
+ *    c. Load session, log to Google Sheets, generate AI response, send via WhatsApp
+ *    d. Flush session state to the persistent store
+ * 4. Return 200 OK (always, even on errors, to prevent WhatsApp retries)
  * 
  * Error handling:
  * - Errors are caught and logged to console
- * - Always returns 200 OK (prevents WhatsApp from retrying)
+ * - Always returns 200 OK, including on errors (prevents WhatsApp from retrying)
+ * - Redelivered message IDs return 200 OK without reprocessing (no second
+ *   AI call, booking or Sheets row)
  * - Failed messages are logged to Google Sheets with error status
  * - User receives error message if AI processing fails
  * 
  * Edge cases:
- * - Non-message webhooks (status updates, etc.) → Returns 200 OK, no processing
+ * - Status updates → recorded against the conversation, failed confirmations flagged in Sheets
+ * - Other non-message webhooks → Returns 200 OK, no processing
  * - Invalid webhook structure → Returns 200 OK, error logged
  * - WhatsApp API failure → Returns 200 OK, error logged, user may not receive response
  * 
@@ -159,9 +296,9 @@ app.get('/webhook', (req, res) => {
  * @param {Object} req.body - WhatsApp webhook payload
  * @param {string} req.body.object - Should be 'whatsapp_business_account' (verification)
  * @param {Object[]} req.body.entry - Webhook entry array with message data
- * @param {Object[]} [req.body.entry[0].changes] - Changes array
- * @param {Object} [req.body.entry[0].changes[0].value] - Change value with messages
- * @returns {200|500} 200 OK on success (always), 500 on critical error
+ * @param {Object[]} [req.body.entry[].changes] - Changes array
+ * @param {Object} [req.body.entry[].changes[].value] - Change value with messages
+ * @returns {200|401} 200 OK (always, including duplicates and errors), 401 if the signature is invalid
  * 
  * @example
  * // Valid message webhook:
@@ -196,6 +333,12 @@ app.get('/webhook', (req, res) => {
  * // User may receive error message or no response
  */
 app.post('/webhook', async (req, res) => {
+  // Reject payloads not signed by Meta with our app secret
+  if (!whatsappService.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    console.warn('🚫 Webhook rejected: invalid signature', { ip: req.ip });
+    return res.sendStatus(401);
+  }
+
   try {
     // Log full webhook payload for debugging
     console.log('📥 Webhook received:', {
@@ -211,45 +354,33 @@ app.post('/webhook', async (req, res) => {
     
     // Verify it's from WhatsApp
     if (req.body.object === 'whatsapp_business_account') {
-      const messageData = whatsappService.parseWebhookMessage(req.body);
+      const events = whatsappService.parseWebhookMessage(req.body);
       
-      if (messageData) {
-        const { phoneNumber, messageText } = messageData;
-        console.log('💬 Message parsed successfully:', { phoneNumber, messageText });
-        
-        // Use phone number as conversation ID
-        const conversationId = phoneNumber;
-        
-        // Log incoming message
-        const session = sessionManager.getSession(conversationId);
-        await googleSheetsService.logConversationTurn(
-          conversationId,
-          phoneNumber,
-          'user',
-          messageText,
-          session
-        );
+      if (events.length > 0) {
+        // Dispatch in order; one failing event must not drop the rest of the batch
+        for (const event of events) {
+          try {
+            const tenant = tenantRegistry.resolveTenant(event.phoneNumberId);
+            await tenantRegistry.runWithTenant(tenant, () => (event.type === 'status'
+              ? deliveryTracker.recordStatus(event)
+              : handleInboundMessage(event)));
+          } catch (error) {
+            console.error('❌ Error processing event:', { type: event.type, messageId: event.messageId, error: error.message });
+            console.error('Error stack:', error.stack);
+          }
+        }
 
-        // Generate AI response
-        const response = await openaiHandler.generateResponse(
-          conversationId,
-          messageText,
-          phoneNumber
-        );
-
-        // Send response via WhatsApp
-        await whatsappService.sendMessage(phoneNumber, response);
+        // No expiry interval runs on Vercel: move expired waitlist holds on with each webhook instead
+        if (process.env.VERCEL && waitlist.enabled) {
+          await waitlist.releaseExpiredOffers().catch(error => {
+            console.error('❌ [WAITLIST] Releasing expired offers failed:', error.message);
+          });
+        }
 
         res.status(200).send('OK');
       } else {
-        console.log('⚠️ Webhook received but no message data found');
-        console.log('🔍 Debugging parseWebhookMessage:');
-        console.log('  - entry exists:', !!req.body.entry?.[0]);
-        console.log('  - changes exists:', !!req.body.entry?.[0]?.changes?.[0]);
-        console.log('  - value exists:', !!req.body.entry?.[0]?.changes?.[0]?.value);
-        console.log('  - messages exists:', !!req.body.entry?.[0]?.changes?.[0]?.value?.messages);
-        console.log('  - first message:', req.body.entry?.[0]?.changes?.[0]?.value?.messages?.[0]);
-        res.status(200).send('OK'); // Not a message we handle
+        console.log('⚠️ Webhook received but no message or status data found');
+        res.status(200).send('OK'); // Not an event we handle
       }
     } else {
       console.log('⚠️ Webhook received but object is not whatsapp_business_account:', req.body.object);
@@ -258,7 +389,8 @@ app.post('/webhook', async (req, res) => {
   } catch (error) {
     console.error('❌ Error processing webhook:', error);
     console.error('Error stack:', error.stack);
-    res.status(500).send('Error');
+    // Still acknowledge: a non-200 makes Meta redeliver the same message
+    res.status(200).send('OK');
   }
 });
 
@@ -271,7 +403,7 @@ app.post('/webhook', async (req, res) => {
  * Initialization steps:
  * 1. Logs startup message
  * 2. Validates configuration (checks required environment variables)
- * 3. Initializes Google Sheets (creates headers if sheet is empty)
+ * 3. Initializes Google Sheets (creates headers if sheet is empty), once per tenant
  * 4. Logs ready message
  * 
  * Error handling:
@@ -313,9 +445,14 @@ async function initialize() {
     if (!validateConfig()) {
       console.warn('Warning: Some configuration may be missing. Please check your .env file.');
     }
+    if (!config.whatsapp.appSecret) {
+      console.warn('Warning: WHATSAPP_APP_SECRET is not set - every webhook POST will be rejected with 401');
+    }
 
-    // Initialize Google Sheets
-    await googleSheetsService.initializeSheet();
+    // Initialize Google Sheets (every clinic logs to its own sheet)
+    for (const tenant of tenantRegistry.getTenants()) {
+      await tenantRegistry.runWithTenant(tenant, () => googleSheetsService.initializeSheet());
+    }
     console.log('Google Sheets initialized');
 
     console.log('AI Dental Receptionist is ready!');
@@ -335,21 +472,37 @@ if (!process.env.VERCEL) {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     initialize(); // Initialize Google Sheets and validate config
+    reminderScheduler.start(); // Appointment reminders (if REMINDERS_ENABLED)
+    waitlist.start(); // Moves expired waitlist offers on to the next patient
   });
 
   // Graceful shutdown handlers
   // Clean up resources when receiving termination signals
   // SIGTERM: Sent by process managers (PM2, Docker, etc.) to request shutdown
   // SIGINT: Sent by Ctrl+C in terminal
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
-    sessionManager.destroy(); // Stop cleanup interval, clear all sessions
+    reminderScheduler.stop();
+    await sessionManager.destroy(); // Stop cleanup interval, flush writes, close store
+    await messageDeduplicator.destroy();
+    await deliveryTracker.destroy();
+    await patientProfiles.destroy();
+    await customerServiceWindow.destroy();
+    await waitlist.stop();
+    await slotHolds.destroy();
     process.exit(0); // Exit successfully
   });
 
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
-    sessionManager.destroy(); // Stop cleanup interval, clear all sessions
+    reminderScheduler.stop();
+    await sessionManager.destroy(); // Stop cleanup interval, flush writes, close store
+    await messageDeduplicator.destroy();
+    await deliveryTracker.destroy();
+    await patientProfiles.destroy();
+    await customerServiceWindow.destroy();
+    await waitlist.stop();
+    await slotHolds.destroy();
     process.exit(0); // Exit successfully
   });
 } else {
@@ -0,0 +1,130 @@
+/**
+ * Message Deduplicator module for idempotent webhook processing.
+ *
+ * WhatsApp (Meta) redelivers a webhook when it does not receive 200 OK in time,
+ * and occasionally delivers the same message twice anyway. Without this layer a
+ * redelivered "yes" would run generateResponse() again, create a second calendar
+ * event via confirmBooking(), and write a duplicate row to Google Sheets.
+ *
+ * Each inbound WhatsApp message ID (wamid) is claimed once. Claims expire after
+ * config.whatsapp.dedupTtlHours (default 7 days, Meta's redelivery window).
+ *
+ * Storage:
+ * - Always kept in an in-process Map (blocks concurrent redeliveries instantly)
+ * - Also written to the persistent module store (createModuleStore(), WHATSAPP_DEDUP_FILE_PATH),
+ *   so duplicates are still detected after a restart or on another serverless instance
+ *
+ * @module messageDeduplicator
+ */
+
+import { config } from './config.js';
+import { createModuleStore } from './sessionStore.js';
+
+/**
+ * MessageDeduplicator class tracking processed WhatsApp message IDs.
+ *
+ * @class MessageDeduplicator
+ */
+export class MessageDeduplicator {
+  /**
+   * Initializes the deduplicator.
+   * Sets up the in-memory ID map, the optional persistent store and the cleanup interval.
+   *
+   * @param {Object|null} [store] - Persistent store adapter (null = in-memory only)
+   * @param {number} [ttlHours] - How long claimed IDs are remembered (defaults to config.whatsapp.dedupTtlHours)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // SESSION_STORE=redis → IDs also stored in Redis under "webhook:<messageId>"
+   */
+  constructor(
+    store = createModuleStore(config.whatsapp.dedupFilePath, 'webhook:', { persistentOnly: true }),
+    ttlHours = config.whatsapp.dedupTtlHours
+  ) {
+    this.processedIds = new Map(); // messageId → expiresAt (ms)
+    this.store = store;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.cleanupInterval = setInterval(() => this.cleanupExpiredIds(), 60000); // Check every minute
+    this.cleanupInterval.unref?.(); // Don't keep the process alive just for cleanup
+  }
+
+  /**
+   * Claims a message ID for processing.
+   *
+   * Returns true the first time a message ID is seen and false for every redelivery
+   * within the TTL. The ID is claimed before processing starts, so a redelivery that
+   * arrives while the first delivery is still being processed is also rejected.
+   *
+   * Edge cases:
+   * - Missing message ID → true (cannot deduplicate, process normally)
+   * - Two instances claiming the same ID at once → only one wins (atomic setIfAbsent in the store)
+   * - Persistent store unavailable → error logged, in-memory check still applies
+   *
+   * @param {string} messageId - WhatsApp message ID (e.g., "wamid.HBgLMTIzNDU2Nzg5MA...")
+   * @returns {Promise<boolean>} True if the message should be processed, false if it is a duplicate
+   *
+   * @example
+   * await messageDeduplicator.claim("wamid.ABC123")
+   * // Returns: true (first delivery → process)
+   *
+   * @example
+   * // Meta redelivers the same webhook:
+   * await messageDeduplicator.claim("wamid.ABC123")
+   * // Returns: false (duplicate → acknowledge with 200 OK, don't process)
+   */
+  async claim(messageId) {
+    if (!messageId) return true;
+
+    const expiresAt = this.processedIds.get(messageId);
+    if (expiresAt && expiresAt > Date.now()) {
+      return false;
+    }
+    this.processedIds.set(messageId, Date.now() + this.ttlMs);
+
+    if (this.store) {
+      try {
+        const claimed = await this.store.setIfAbsent(messageId, { messageId, receivedAt: new Date().toISOString() }, this.ttlMs);
+        if (!claimed) {
+          return false;
+        }
+      } catch (error) {
+        console.error('❌ [DEDUP] Error accessing store:', error.message);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Removes expired message IDs from memory.
+   * Called automatically every 60 seconds.
+   *
+   * @returns {void}
+   */
+  cleanupExpiredIds() {
+    const now = Date.now();
+    for (const [messageId, expiresAt] of this.processedIds.entries()) {
+      if (expiresAt <= now) {
+        this.processedIds.delete(messageId);
+      }
+    }
+  }
+
+  /**
+   * Stops the cleanup interval and closes the persistent store.
+   * Should be called during application shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    clearInterval(this.cleanupInterval);
+    try {
+      await this.store?.close();
+    } catch (error) {
+      console.error('❌ [DEDUP] Error closing store:', error.message);
+    }
+    this.processedIds.clear();
+  }
+}
+
+export const messageDeduplicator = new MessageDeduplicator();
@@ -20,11 +20,21 @@
 import OpenAI from 'openai';
 import { config } from './config.js';
 import { sessionManager } from './sessionManager.js';
-import { detectTreatmentType, getAvailableDentists, calculateTreatmentDuration, extractNumberOfTeeth } from './treatmentLogic.js';
+import { detectTreatmentType, getAvailableDentists, getDentistType, isValidDentistForTreatment, calculateTreatmentDuration, extractNumberOfTeeth } from './treatmentLogic.js';
+import { treatmentCatalog } from './treatmentCatalog.js';
+import { dentistRoster } from './dentistRoster.js';
 import { googleCalendarService } from './googleCalendar.js';
 import { googleSheetsService } from './googleSheets.js';
 import { googleDocsService } from './googleDocs.js';
-import { parseDateTimePreference, matchesDateTimePreference } from './utils/dateParser.js';
+import { parseDateTimePreference, matchesDateTimePreference, minutesFromPreferredTime } from './utils/dateParser.js';
+import { OUTBOUND_KINDS } from './deliveryTracker.js';
+import { clinicSchedule } from './clinicSchedule.js';
+import { tenantRegistry } from './tenants.js';
+import { patientProfiles } from './patientProfiles.js';
+import { REMINDER_BUTTON_IDS } from './reminderScheduler.js';
+import { waitlist, WAITLIST_BUTTON_IDS } from './waitlist.js';
+import { slotHolds } from './slotHolds.js';
+import { getZonedParts, toClinicDateKey, formatClinicDate, formatClinicTime, formatClinicDateTime } from './utils/timezone.js';
 
 const openai = new OpenAI({
   apiKey: config.openai.apiKey,
@@ -43,38 +53,6 @@ const INTENTS = {
 
 const VALID_INTENTS = Object.values(INTENTS);
 
-/**
- * Constants for treatment types
- */
-const TREATMENT_TYPES = {
-  CONSULTATION: 'Consultation',
-  CLEANING: 'Cleaning',
-  FILLING: 'Filling',
-  BRACES_MAINTENANCE: 'Braces Maintenance'
-};
-
-const VALID_TREATMENT_TYPES = Object.values(TREATMENT_TYPES);
-
-/**
- * Constants for dentist names
- */
-const DENTISTS = {
-  BRACES_A: 'Dr BracesA',
-  BRACES_B: 'Dr BracesB',
-  GENERAL_A: 'Dr GeneralA',
-  GENERAL_B: 'Dr GeneralB'
-};
-
-const AVAILABLE_DENTISTS = Object.values(DENTISTS);
-
-/**
- * Constants for dentist types
- */
-const DENTIST_TYPES = {
-  BRACES: 'braces',
-  GENERAL: 'general'
-};
-
 /**
  * Constants for action result types
  */
@@ -100,6 +78,79 @@ const DECLINE_KEYWORDS = [
   "don't", 'decline'
 ];
 
+/**
+ * Constants for interactive reply button IDs (returned by WhatsApp as button_reply.id)
+ */
+const REPLY_BUTTON_IDS = {
+  CONFIRM: 'confirm',
+  OTHER_TIME: 'other_time',
+  CANCEL: 'cancel',
+  KEEP: 'keep'
+};
+
+/**
+ * Reply buttons shown when offering a slot ("Would you like to confirm this appointment?")
+ */
+const SLOT_CONFIRMATION_BUTTONS = [
+  { id: REPLY_BUTTON_IDS.CONFIRM, title: 'Confirm' },
+  { id: REPLY_BUTTON_IDS.OTHER_TIME, title: 'Other time' },
+  { id: REPLY_BUTTON_IDS.CANCEL, title: 'Cancel' }
+];
+
+/**
+ * Reply buttons shown when asking to confirm cancellation of an existing appointment
+ */
+const CANCELLATION_CONFIRMATION_BUTTONS = [
+  { id: REPLY_BUTTON_IDS.CONFIRM, title: 'Yes, cancel it' },
+  { id: REPLY_BUTTON_IDS.KEEP, title: 'Keep appointment' }
+];
+
+/**
+ * Prefix of list row IDs in booking pickers (row id = prefix + calendarEventId)
+ */
+const BOOKING_LIST_ROW_PREFIX = 'booking_';
+
+/**
+ * Number of slot options offered at once (one reply button per option, WhatsApp allows max 3)
+ */
+const SLOT_OPTIONS_COUNT = 3;
+
+/**
+ * Prefix of reply button IDs for offered slots (button id = prefix + option number, e.g. "slot_2")
+ */
+const SLOT_OPTION_ID_PREFIX = 'slot_';
+
+/**
+ * Prefix of reply button / list row IDs in the "who is this appointment for?" picker
+ * (id = prefix + option number, e.g. "patient_2")
+ */
+const PATIENT_OPTION_ID_PREFIX = 'patient_';
+
+/**
+ * Reply button / list row ID for booking for someone not booked from this phone before
+ */
+const PATIENT_OTHER_ID = 'patient_other';
+
+/**
+ * Number of people offered as reply buttons (plus "Someone else"); more people are offered as a list
+ */
+const PATIENT_BUTTONS_COUNT = 2;
+
+/**
+ * Intents of the reminder reply buttons ("I'll be there" confirms attendance and has no intent)
+ */
+const REMINDER_BUTTON_INTENTS = {
+  [REMINDER_BUTTON_IDS.RESCHEDULE]: INTENTS.RESCHEDULE,
+  [REMINDER_BUTTON_IDS.CANCEL]: INTENTS.CANCEL
+};
+
+/**
+ * Reply button offered with "nothing available" (joins the waitlist for the patient's preference)
+ */
+const WAITLIST_JOIN_BUTTONS = [
+  { id: WAITLIST_BUTTON_IDS.JOIN, title: 'Join waitlist' }
+];
+
 /**
  * Constants for validation limits
  */
@@ -108,15 +159,9 @@ const VALIDATION_LIMITS = {
   PATIENT_NAME_MAX_LENGTH: 100,
   MAX_TEETH_COUNT: 32,
   DATE_TIME_TEXT_MIN_LENGTH: 3,
-  DATE_TIME_TEXT_MAX_LENGTH: 200
-};
-
-/**
- * Constants for working hours
- */
-const WORKING_HOURS = {
-  START: 9,  // 9 AM
-  END: 18    // 6 PM (18:00)
+  DATE_TIME_TEXT_MAX_LENGTH: 200,
+  PATIENT_NOTE_MIN_LENGTH: 3,
+  PATIENT_NOTE_MAX_LENGTH: 200
 };
 
 /**
@@ -158,7 +203,17 @@ class OpenAIHandler {
    * @param {string} conversationId - Unique conversation identifier (phone number)
    * @param {string} userMessage - User's message text
    * @param {string} phoneNumber - User's phone number
+   * @param {Object} [options] - Extra inbound message details
+   * @param {string} [options.buttonId] - ID of the tapped reply button (see REPLY_BUTTON_IDS)
+   * @param {string} [options.listRowId] - ID of the picked list row (booking pickers)
    * @returns {Promise<string>} AI-generated response message
+   *   (session.replyButtons / session.replyList are set when the reply should be sent
+   *   as an interactive button / list message)
+   * 
+   * @example
+   * // Patient taps "Confirm" on a slot offer (no AI call):
+   * await generateResponse("+1234567890", "Confirm", "+1234567890", { buttonId: "confirm" })
+   * // Output: "✅ Appointment confirmed!\n\nDoctor: Dr GeneralA..."
    * 
    * @example
    * // Standard booking request:
@@ -182,8 +237,10 @@ class OpenAIHandler {
    * // On OpenAI API error:
    * // Output: "I apologize, I am experiencing technical difficulties. Please try again later or contact our receptionist."
    */
-  async generateResponse(conversationId, userMessage, phoneNumber) {
+  async generateResponse(conversationId, userMessage, phoneNumber, options = {}) {
     const session = sessionManager.getSession(conversationId);
+    const buttonId = options.buttonId || null;
+    const listRowId = options.listRowId || null;
     
     console.log('\n🚀 [GENERATE RESPONSE] Starting response generation');
     console.log('🚀 [GENERATE RESPONSE] User message:', userMessage);
@@ -231,12 +288,18 @@ class OpenAIHandler {
         session
       );
       
-      // End the session (clears all state)
+      // End the session (clears all state) and free any slots offered to the patient
+      await slotHolds.release(conversationId);
       sessionManager.endSession(conversationId);
       
       return confirmationMessage;
     }
     
+    // Reset reply classification (set below when this reply confirms a booking/cancellation)
+    session.lastResponseKind = null;
+    session.replyButtons = null;
+    session.replyList = null;
+
     // Update phone if not set
     if (!session.phone) {
       sessionManager.updateSession(session.conversationId, { phone: phoneNumber });
@@ -246,9 +309,41 @@ class OpenAIHandler {
     // Add user message to history
     sessionManager.addMessage(session.conversationId, 'user', userMessage);
 
+    // Appointment inquiry: patient picked one of several bookings from the list → show its details
+    const isBookingSelectionPending = listRowId && session.existingBookings && session.existingBookings.length > 1;
+    if (isBookingSelectionPending && !session.cancellationConfirmationPending && !session.rescheduleConfirmationPending) {
+      const pickedBooking = this.findBookingByListRowId(listRowId, session.existingBookings);
+      if (pickedBooking) {
+        console.log('📋 [APPOINTMENT INQUIRY] Booking picked from list:', pickedBooking.calendarEventId);
+        const detailsMessage = this.formatAppointmentDetails(pickedBooking);
+        const remainingIntents = (session.intents || []).filter(intent => intent !== INTENTS.APPOINTMENT_INQUIRY);
+        sessionManager.updateSession(session.conversationId, { existingBookings: null, intents: remainingIntents });
+        session.existingBookings = null;
+        session.intents = remainingIntents;
+        sessionManager.addMessage(session.conversationId, 'assistant', detailsMessage);
+        await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', detailsMessage, session);
+        return detailsMessage;
+      }
+    }
+
     // STEP 1: Combined intent detection and information extraction (single AI call)
-    console.log('🔍 [PRE-AI] Combined intent detection and information extraction...');
-    const combinedResult = await this.detectIntentsAndExtractInformation(userMessage, session);
+    // Button/list replies to a pending confirmation or selection carry no new information - skip the AI call
+    // (also prevents a "Cancel" button tap from being detected as a cancel-appointment intent)
+    const isPendingConfirmationButton = buttonId &&
+      ((session.selectedSlot && session.bookingConfirmationPending) || session.cancellationConfirmationPending ||
+        session.slotSelectionPending);
+    const patientOptionId = [buttonId, listRowId].find(id => id && id.startsWith(PATIENT_OPTION_ID_PREFIX)) || null;
+    const isPatientOptionReply = session.patientSelectionPending && !!patientOptionId;
+    const isReminderButton = session.reminderReplyPending && Object.values(REMINDER_BUTTON_IDS).includes(buttonId);
+    const isWaitlistButton = Object.values(WAITLIST_BUTTON_IDS).includes(buttonId);
+    let combinedResult;
+    if (isPendingConfirmationButton || isBookingSelectionPending || isPatientOptionReply || isReminderButton || isWaitlistButton) {
+      console.log('🔘 [PRE-AI] Interactive reply to pending confirmation/selection, skipping intent detection:', buttonId || listRowId);
+      combinedResult = { intents: REMINDER_BUTTON_INTENTS[buttonId] && isReminderButton ? [REMINDER_BUTTON_INTENTS[buttonId]] : [], extracted: {} };
+    } else {
+      console.log('🔍 [PRE-AI] Combined intent detection and information extraction...');
+      combinedResult = await this.detectIntentsAndExtractInformation(userMessage, session);
+    }
     const detectedIntents = combinedResult.intents;
     const extracted = combinedResult.extracted;
     
@@ -260,6 +355,36 @@ class OpenAIHandler {
         )
       : [];
     
+    // Reply to an appointment reminder: "I'll be there" / "yes, see you then" confirms attendance of the
+    // reminded booking (cancel/reschedule replies continue below and act on session.existingBooking)
+    const hasPendingQuestion = session.bookingConfirmationPending || session.slotSelectionPending ||
+      session.cancellationConfirmationPending || session.rescheduleConfirmationPending || session.patientSelectionPending;
+    const isAttendanceButton = isReminderButton && buttonId === REMINDER_BUTTON_IDS.CONFIRM;
+    if (session.reminderReplyPending && session.existingBooking && validatedIntents.length === 0 &&
+        (isAttendanceButton || !hasPendingQuestion)) {
+      const { isConfirmation } = isAttendanceButton
+        ? { isConfirmation: true }
+        : await this.detectConfirmationOrDecline(userMessage, { hasPendingAttendance: true });
+      if (isConfirmation) {
+        const attendanceMessage = await this.confirmAttendance(session);
+        sessionManager.addMessage(session.conversationId, 'assistant', attendanceMessage);
+        await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', attendanceMessage, session);
+        return attendanceMessage;
+      }
+    }
+
+    // Waitlist: "Book it" / "No thanks" to a freed slot held for this patient, or joining the
+    // waitlist after nothing fitted their preference
+    const onlyBookingIntent = validatedIntents.every(intent => intent === INTENTS.BOOKING);
+    if (waitlist.enabled && onlyBookingIntent && (isWaitlistButton || !hasPendingQuestion || session.waitlistCandidate)) {
+      const waitlistMessage = await this.handleWaitlistReply(session, userMessage, buttonId, hasPendingQuestion);
+      if (waitlistMessage) {
+        sessionManager.addMessage(session.conversationId, 'assistant', waitlistMessage);
+        await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', waitlistMessage, session);
+        return waitlistMessage;
+      }
+    }
+
     // Handle intent detection: update session with detected intents
     const hadPreviousIntent = session.intents && session.intents.length > 0;
     const hasNewIntent = validatedIntents.length > 0;
@@ -282,6 +407,11 @@ class OpenAIHandler {
       session.intents = [INTENTS.BOOKING];
     }
     // Note: If no intent detected, we still proceed to AI generation - AI will handle greetings and ask clarifying questions
+
+    // Another appointment after a confirmed booking: start over for the new appointment (name and phone are kept)
+    if (session.bookingConfirmed && validatedIntents.includes(INTENTS.BOOKING)) {
+      this.startNextAppointment(session);
+    }
     
     // Get latest intents from session (may have been updated above)
     const latestIntents = session.intents && session.intents.length > 0
@@ -299,6 +429,9 @@ class OpenAIHandler {
       dentistName: null,
       numberOfTeeth: null,
       dateTimeText: null,
+      language: null,
+      patientNote: null,
+      reminderConsent: null,
     };
     
     // Validate patient name: string, trimmed, reasonable length (2-100 chars), alphanumeric with spaces/hyphens/apostrophes only
@@ -314,17 +447,17 @@ class OpenAIHandler {
       }
     }
     
-    // Validate treatment type: must be exact match from allowed list
-    if (typeof extracted.treatmentType === 'string' && VALID_TREATMENT_TYPES.includes(extracted.treatmentType)) {
-      validated.treatmentType = extracted.treatmentType;
+    // Validate treatment type: must be a bookable treatment from the catalog
+    if (treatmentCatalog.normalizeTreatmentName(extracted.treatmentType)) {
+      validated.treatmentType = treatmentCatalog.normalizeTreatmentName(extracted.treatmentType);
       console.log('✅ [PRE-AI] Validated treatmentType:', validated.treatmentType);
     } else if (extracted.treatmentType) {
       console.log('❌ [PRE-AI] Invalid treatmentType:', extracted.treatmentType);
     }
     
-    // Validate dentist name: must be exact match from available dentists
-    if (typeof extracted.dentistName === 'string' && AVAILABLE_DENTISTS.includes(extracted.dentistName)) {
-      validated.dentistName = extracted.dentistName;
+    // Validate dentist name: must be an active roster dentist (display name or alias)
+    if (dentistRoster.resolveDentistName(extracted.dentistName)) {
+      validated.dentistName = dentistRoster.resolveDentistName(extracted.dentistName);
       console.log('✅ [PRE-AI] Validated dentistName:', validated.dentistName);
     } else if (extracted.dentistName) {
       console.log('❌ [PRE-AI] Invalid dentistName:', extracted.dentistName);
@@ -353,10 +486,43 @@ class OpenAIHandler {
       }
     }
 
+    // Validate language: a language name (letters, spaces, hyphens), e.g. "German"
+    if (typeof extracted.language === 'string' && /^[a-zA-Z][a-zA-Z\s-]{1,29}$/.test(extracted.language.trim())) {
+      const cleaned = extracted.language.trim();
+      validated.language = cleaned.charAt(0).toUpperCase() + cleaned.slice(1).toLowerCase();
+    } else if (extracted.language) {
+      console.log('❌ [PRE-AI] Invalid language:', extracted.language);
+    }
+
+    // Validate patient note: string, reasonable length (3-200 chars)
+    if (typeof extracted.patientNote === 'string') {
+      const cleaned = extracted.patientNote.trim();
+      if (cleaned.length >= VALIDATION_LIMITS.PATIENT_NOTE_MIN_LENGTH &&
+          cleaned.length <= VALIDATION_LIMITS.PATIENT_NOTE_MAX_LENGTH) {
+        validated.patientNote = cleaned;
+        console.log('✅ [PRE-AI] Validated patientNote:', validated.patientNote);
+      } else {
+        console.log('❌ [PRE-AI] Invalid patientNote length:', cleaned.length);
+      }
+    }
+
+    // Validate reminder consent: boolean only
+    if (typeof extracted.reminderConsent === 'boolean') {
+      validated.reminderConsent = extracted.reminderConsent;
+      console.log('✅ [PRE-AI] Validated reminderConsent:', validated.reminderConsent);
+    }
+
     // Update session with validated information
     const sessionUpdates = {};
-    if (validated.patientName && !session.patientName) {
+    // Name of the person the appointment is for: a name written in the message replaces the one
+    // remembered from the patient profile (e.g. a parent booking for a child) until it is confirmed
+    // for the current booking; confirmBooking() clears the confirmation for the next booking
+    if (validated.patientName && !session.patientConfirmed &&
+        (!session.patientName || this.mentionsName(userMessage, validated.patientName))) {
       sessionUpdates.patientName = validated.patientName;
+      sessionUpdates.patientConfirmed = true;
+      sessionUpdates.patientSelectionPending = false;
+      sessionUpdates.patientOptions = null;
       console.log('✅ [PRE-AI] Updating patientName:', validated.patientName);
     }
     if (validated.treatmentType && !session.treatmentType) {
@@ -367,15 +533,14 @@ class OpenAIHandler {
       // Validate dentist is available for treatment type
       const currentTreatment = session.treatmentType || validated.treatmentType;
       if (currentTreatment) {
-        const availableDentistsForTreatment = getAvailableDentists(currentTreatment);
-        if (availableDentistsForTreatment.includes(validated.dentistName)) {
+        if (isValidDentistForTreatment(validated.dentistName, currentTreatment)) {
           sessionUpdates.dentistName = validated.dentistName;
-          sessionUpdates.dentistType = currentTreatment === TREATMENT_TYPES.BRACES_MAINTENANCE ? DENTIST_TYPES.BRACES : DENTIST_TYPES.GENERAL;
+          sessionUpdates.dentistType = getDentistType(currentTreatment);
           console.log('✅ [PRE-AI] Updating dentistName:', validated.dentistName);
         }
       }
     }
-    if (validated.numberOfTeeth && session.treatmentType === TREATMENT_TYPES.FILLING && !session.numberOfTeeth) {
+    if (validated.numberOfTeeth && treatmentCatalog.usesUnits(session.treatmentType) && !session.numberOfTeeth) {
       sessionUpdates.numberOfTeeth = validated.numberOfTeeth;
       console.log('✅ [PRE-AI] Updating numberOfTeeth:', validated.numberOfTeeth);
     }
@@ -391,6 +556,28 @@ class OpenAIHandler {
       console.log('🔍 [SESSION UPDATE] Applied updates:', Object.keys(sessionUpdates));
     }
 
+    // Remember what the patient tells about themselves for future conversations (language, notes, reminder consent)
+    if (validated.language || validated.patientNote || validated.reminderConsent !== null) {
+      const updatedProfile = await patientProfiles.recordPreferences(session.phone, {
+        language: validated.language,
+        note: validated.patientNote,
+        reminderConsent: validated.reminderConsent
+      });
+      if (updatedProfile) {
+        sessionManager.updateSession(session.conversationId, { patientProfile: updatedProfile });
+        session.patientProfile = updatedProfile;
+      }
+      // "Stop sending me reminders" on its own gets a direct answer (no AI call)
+      if (validated.reminderConsent !== null && validatedIntents.length === 0 && !hasPendingQuestion) {
+        const consentMessage = validated.reminderConsent
+          ? 'Done! I\'ll send you reminders before your appointments again.'
+          : 'Done! I won\'t send you appointment reminders anymore. Just let me know if you want them again.';
+        sessionManager.addMessage(session.conversationId, 'assistant', consentMessage);
+        await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', consentMessage, session);
+        return consentMessage;
+      }
+    }
+
     // DEBUG: Log session state after updates
     console.log('🔍 [SESSION STATE] After validation/updates:', {
       treatmentType: session.treatmentType,
@@ -399,11 +586,90 @@ class OpenAIHandler {
       bookingConfirmed: session.bookingConfirmed
     });
 
-    // Default treatment to Consultation if booking intent but no treatment specified
+    // Default treatment (Consultation) if booking intent but no treatment specified
     if (!session.treatmentType && latestIntents.includes(INTENTS.BOOKING)) {
-      sessionManager.updateSession(session.conversationId, { treatmentType: TREATMENT_TYPES.CONSULTATION });
-      session.treatmentType = TREATMENT_TYPES.CONSULTATION;
-      console.log('✅ [PRE-AI] Defaulting to Consultation for booking');
+      const defaultTreatment = treatmentCatalog.getDefaultTreatment();
+      sessionManager.updateSession(session.conversationId, { treatmentType: defaultTreatment });
+      session.treatmentType = defaultTreatment;
+      console.log('✅ [PRE-AI] Defaulting to', defaultTreatment, 'for booking');
+    }
+
+    // "Who is this appointment for?" asked: map the reply (button, list row, number or name) to a person
+    if (session.patientSelectionPending && !session.patientConfirmed) {
+      const pickedPatient = this.selectPatientOption(userMessage, session.patientOptions || [], patientOptionId, session.patientProfile?.name);
+      const isSomeoneElse = patientOptionId === PATIENT_OTHER_ID ||
+        (!patientOptionId && /\b(someone|somebody) else\b|\banother person\b/i.test(userMessage));
+      if (pickedPatient) {
+        console.log('✅ [PRE-AI] Appointment is for:', pickedPatient);
+        const patientUpdates = { patientName: pickedPatient, patientConfirmed: true, patientSelectionPending: false, patientOptions: null };
+        sessionManager.updateSession(session.conversationId, patientUpdates);
+        Object.assign(session, patientUpdates);
+      } else if (isSomeoneElse || !validatedIntents.some(intent => intent !== INTENTS.BOOKING)) {
+        let patientMessage;
+        if (isSomeoneElse || !session.patientName) {
+          // Someone not booked from this phone before - the name given next is used for the booking
+          console.log('👪 [PRE-AI] Appointment is for someone else, asking for their name');
+          sessionManager.updateSession(session.conversationId, { patientName: null });
+          session.patientName = null;
+          patientMessage = 'Of course! What is the full name of the person the appointment is for?';
+        } else {
+          // Could not tell who - ask again
+          console.log('⚠️ [PRE-AI] Could not map reply to a person, asking again');
+          patientMessage = this.offerPatientOptions(session, session.patientOptions || []);
+        }
+        sessionManager.addMessage(session.conversationId, 'assistant', patientMessage);
+        await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', patientMessage, session);
+        return patientMessage;
+      } else {
+        // Changed topic - ask again when the booking continues
+        sessionManager.updateSession(session.conversationId, { patientSelectionPending: false, patientOptions: null });
+        session.patientSelectionPending = false;
+        session.patientOptions = null;
+      }
+    }
+
+    // Slot options offered: map the patient's pick (button, number or description) to the exact slot
+    let slotPicked = false;
+    if (session.slotSelectionPending && session.offeredSlots?.length) {
+      const pickedSlot = this.selectOfferedSlot(userMessage, session.offeredSlots, buttonId);
+      if (pickedSlot) {
+        console.log('✅ [PRE-AI] User picked offered slot:', pickedSlot.doctor, pickedSlot.startTime.toISOString());
+        this.applySlotSelection(session, pickedSlot);
+        slotPicked = true;
+      } else {
+        const offeredSlots = session.offeredSlots;
+        sessionManager.updateSession(session.conversationId, { offeredSlots: null, slotSelectionPending: false });
+        session.offeredSlots = null;
+        session.slotSelectionPending = false;
+
+        const changedTopic = validatedIntents.some(intent => intent !== INTENTS.BOOKING);
+        if (validated.dateTimeText) {
+          // Asked for another day/time - availability check below runs again with the new preference
+          console.log('🔄 [PRE-AI] No offered slot picked, new date/time preference:', validated.dateTimeText);
+          sessionManager.updateSession(session.conversationId, { dateTimePreference: validated.dateTimeText });
+          session.dateTimePreference = validated.dateTimeText;
+        } else if (!changedTopic) {
+          const { isDecline } = await this.detectConfirmationOrDecline(userMessage, { hasPendingSlot: true });
+          let slotMessage;
+          if (isDecline) {
+            console.log('❌ [PRE-AI] User declined all offered slots');
+            await slotHolds.release(session.conversationId);
+            sessionManager.updateSession(session.conversationId, { dateTimePreference: null });
+            session.dateTimePreference = null;
+            slotMessage = 'No problem! Which other day or time would suit you better?';
+          } else {
+            // Could not tell which option - offer the same options again
+            console.log('⚠️ [PRE-AI] Could not map reply to an offered slot, re-offering options');
+            slotMessage = this.offerSlotOptions(session, offeredSlots);
+          }
+          sessionManager.addMessage(session.conversationId, 'assistant', slotMessage);
+          await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', slotMessage, session);
+          return slotMessage;
+        } else {
+          // Moved on to something else - the offered slots are free for other patients again
+          await slotHolds.release(session.conversationId);
+        }
+      }
     }
 
     // STEP 3: Handle critical actions before AI (book/cancel)
@@ -426,9 +692,13 @@ class OpenAIHandler {
     
     // Check for confirmation (slot pending + user confirms)
     if (session.selectedSlot && session.bookingConfirmationPending) {
-      const confirmationResult = await this.detectConfirmationOrDecline(userMessage, {
-        hasPendingSlot: true
-      });
+      // Picking one of several offered slots is the confirmation
+      const confirmationResult = slotPicked
+        ? { isConfirmation: true, isDecline: false }
+        : await this.detectConfirmationOrDecline(userMessage, {
+          hasPendingSlot: true,
+          buttonId
+        });
       const isConfirmation = confirmationResult.isConfirmation;
       const isDecline = confirmationResult.isDecline;
       
@@ -460,8 +730,8 @@ class OpenAIHandler {
                 details: {
                   doctor: session.dentistName,
                   treatment: session.treatmentType,
-                  date: slotStartTime?.toLocaleDateString() || 'N/A',
-                  time: slotStartTime?.toLocaleTimeString() || 'N/A'
+                  date: formatClinicDate(slotStartTime) || 'N/A',
+                  time: formatClinicTime(slotStartTime) || 'N/A'
                 }
               };
             } else {
@@ -495,6 +765,7 @@ class OpenAIHandler {
       } else if (isDecline) {
         // User declined slot
         console.log('❌ [PRE-AI] User declined slot');
+        await slotHolds.release(session.conversationId);
         sessionManager.updateSession(session.conversationId, { 
           selectedSlot: null,
           bookingConfirmationPending: false,
@@ -503,6 +774,24 @@ class OpenAIHandler {
         session.selectedSlot = null;
         session.bookingConfirmationPending = false;
         session.bookingConfirmed = false;
+
+        // Button replies get a deterministic answer (no AI call)
+        if (buttonId === REPLY_BUTTON_IDS.OTHER_TIME || buttonId === REPLY_BUTTON_IDS.CANCEL) {
+          let buttonMessage;
+          if (buttonId === REPLY_BUTTON_IDS.OTHER_TIME) {
+            // Forget the old preference so the next message sets a new one
+            sessionManager.updateSession(session.conversationId, { dateTimePreference: null });
+            session.dateTimePreference = null;
+            buttonMessage = 'No problem! Which other day or time would suit you better?';
+          } else {
+            sessionManager.updateSession(session.conversationId, { intents: [] });
+            session.intents = [];
+            buttonMessage = 'No problem, I haven\'t booked anything. Is there anything else I can help you with?';
+          }
+          sessionManager.addMessage(session.conversationId, 'assistant', buttonMessage);
+          await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', buttonMessage, session);
+          return buttonMessage;
+        }
         actionResult = {
           type: ACTION_TYPES.BOOKING,
           success: false,
@@ -519,17 +808,17 @@ class OpenAIHandler {
           ? slot.endTime
           : new Date(slot.endTime);
 
-        const formattedDate = slotStartTime.toLocaleDateString('en-US', {
+        const formattedDate = formatClinicDate(slotStartTime, {
           month: 'numeric',
           day: 'numeric',
           year: 'numeric'
         });
-        const formattedStartTime = slotStartTime.toLocaleTimeString('en-US', {
+        const formattedStartTime = formatClinicTime(slotStartTime, {
           hour: 'numeric',
           minute: '2-digit',
           hour12: true
         });
-        const formattedEndTime = slotEndTime.toLocaleTimeString('en-US', {
+        const formattedEndTime = formatClinicTime(slotEndTime, {
           hour: 'numeric',
           minute: '2-digit',
           hour12: true
@@ -548,7 +837,7 @@ class OpenAIHandler {
     if (!actionResult && latestIntents.includes(INTENTS.CANCEL)) {
       console.log('🔄 [PRE-AI] Cancellation intent detected, processing cancellation...');
       try {
-        const result = await this.handleCancellation(session, userMessage);
+        const result = await this.handleCancellation(session, userMessage, buttonId, listRowId);
         
         // Simple: just check result.success
         actionResult = {
@@ -573,6 +862,7 @@ class OpenAIHandler {
     if (actionResult && actionResult.type === ACTION_TYPES.BOOKING && actionResult.success) {
       console.log('✅ [PRE-AI] Booking successful, returning early to prevent post-processing');
       const bookingMessage = actionResult.message || 'Appointment booked successfully';
+      session.lastResponseKind = OUTBOUND_KINDS.BOOKING_CONFIRMATION;
       sessionManager.addMessage(session.conversationId, 'assistant', bookingMessage);
       await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', bookingMessage, session);
       return bookingMessage;
@@ -583,6 +873,9 @@ class OpenAIHandler {
     if (actionResult && actionResult.type === ACTION_TYPES.CANCELLATION) {
       console.log('🔄 [PRE-AI] Cancellation processed, returning cancellation message');
       const cancellationMessage = actionResult.message || 'Cancellation processed';
+      if (actionResult.success) {
+        session.lastResponseKind = OUTBOUND_KINDS.CANCELLATION_CONFIRMATION;
+      }
       sessionManager.addMessage(session.conversationId, 'assistant', cancellationMessage);
       await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', cancellationMessage, session);
       return cancellationMessage;
@@ -592,7 +885,7 @@ class OpenAIHandler {
     if (latestIntents.includes(INTENTS.RESCHEDULE)) {
       console.log('🔄 [RESCHEDULE] Reschedule intent detected');
       
-      const rescheduleResult = await this.handleReschedule(session, userMessage);
+      const rescheduleResult = await this.handleReschedule(session, userMessage, listRowId);
       
       if (rescheduleResult.success && rescheduleResult.shouldProceedToBooking) {
         // Old booking cancelled, proceed to booking flow
@@ -630,8 +923,20 @@ class OpenAIHandler {
     const noSlotPending = !session.selectedSlot;
     const hasPatientName = session.patientName;
     const isAlreadyConfirmed = session.bookingConfirmed;
+
+    // Returning patients (possibly booking for family members): ask who the appointment is for first
+    const knownPatients = patientProfiles.getPeople(session.patientProfile);
+    if (hasBookingIntent && hasTreatment && noSlotPending && !isAlreadyConfirmed &&
+        !session.patientConfirmed && !session.patientSelectionPending && knownPatients.length > 0) {
+      console.log('👪 [PRE-AI] Asking who the appointment is for:', knownPatients);
+      const patientMessage = this.offerPatientOptions(session, knownPatients);
+      sessionManager.addMessage(session.conversationId, 'assistant', patientMessage);
+      await googleSheetsService.logConversationTurn(session.conversationId, phoneNumber, 'assistant', patientMessage, session);
+      return patientMessage;
+    }
     
-    if (hasBookingIntent && hasTreatment && noSlotPending && hasPatientName && !isAlreadyConfirmed) {
+    if (hasBookingIntent && hasTreatment && noSlotPending && hasPatientName && !isAlreadyConfirmed &&
+        !session.patientSelectionPending) {
       console.log('📅 [PRE-AI] Booking intent detected, checking availability before AI');
       try {
         availabilityResult = await this.checkAvailability(conversationId, session, userMessage);
@@ -743,16 +1048,24 @@ class OpenAIHandler {
       if (session.patientName) {
         contextInfo.push(`Patient name: ${session.patientName}`);
       }
+      if (session.bookedAppointments?.length) {
+        contextInfo.push(`Already booked in this conversation: ${this.describeBookedAppointments(session)}`);
+      }
       
       // Check if user has existing appointment for context
       let appointmentContext = '';
-      if (session.phone) {
+      if (session.reminderReplyPending && session.existingBooking) {
+        // Replying to a reminder: the reminded appointment is the one meant
+        const reminded = session.existingBooking;
+        appointmentContext = `IMPORTANT CONTEXT: User was just reminded of their appointment with ${reminded.doctor} on ${formatClinicDate(reminded.startTime)}. "I can't make it" = cancel, "move it to Friday" = reschedule, "yes, I'll be there" = no intent. `;
+        contextInfo.push(`Reminded appointment: ${reminded.doctor} on ${formatClinicDateTime(reminded.startTime)}`);
+      } else if (session.phone) {
         try {
           const existingBookings = await googleCalendarService.findBookingByPhone(session.phone);
           if (existingBookings && existingBookings.length > 0) {
             const existingBooking = existingBookings[0]; // Use first booking for context
-            appointmentContext = `IMPORTANT CONTEXT: User has an existing appointment with ${existingBooking.doctor} on ${existingBooking.startTime.toLocaleDateString()}. `;
-            contextInfo.push(`Existing appointment: ${existingBooking.doctor} on ${existingBooking.startTime.toLocaleDateString()}`);
+            appointmentContext = `IMPORTANT CONTEXT: User has an existing appointment with ${existingBooking.doctor} on ${formatClinicDate(existingBooking.startTime)}. `;
+            contextInfo.push(`Existing appointment: ${existingBooking.doctor} on ${formatClinicDate(existingBooking.startTime)}`);
           }
         } catch (error) {
           // Ignore errors, continue without context
@@ -781,28 +1094,30 @@ Intent detection rules:
    - If user says "I want to book", "schedule an appointment", "make an appointment" → "booking" (scheduling new)
    - If message contains "my appointment" + question words (when/what/where) → "appointment_inquiry"
 7. DO NOT default to "booking" - if no intents detected, return empty array
+8. Asking for ANOTHER appointment after one was booked in this conversation (e.g., "and one for my son", "also a follow-up") → "booking" (new appointment)
 
 TASK 2: Extract structured information
-Available treatment types: ${VALID_TREATMENT_TYPES.join(', ')}
-Available dentists: ${AVAILABLE_DENTISTS.join(', ')}
+Available treatment types: ${treatmentCatalog.getTreatmentNames().join(', ')}
+Available dentists: ${dentistRoster.getDentistNames().join(', ')}
 
 ${contextInfo.length > 0 ? `Current session context: ${contextInfo.join(', ')}` : ''}
 
 Extract the following information:
-1. Patient name: Extract if mentioned (e.g., "I'm John", "my name is Jane Doe", "this is Mike")
-2. Treatment type: One of: ${VALID_TREATMENT_TYPES.join(', ')} or null if not mentioned
+1. Patient name: Name of the person the appointment is for, if mentioned (e.g., "I'm John", "my name is Jane Doe", "this is Mike", "for my daughter Emma" → "Emma")
+2. Treatment type: One of: ${treatmentCatalog.getTreatmentNames().join(', ')} or null if not mentioned
    - IMPORTANT: Suggest treatment based on symptoms:
-     * Symptoms like "toothache", "pain", "hurt", "ache", "sore", "discomfort", "sensitive", "swollen", "bleeding gums" → "Consultation"
-     * "cleaning", "clean", "teeth cleaning", "dental cleaning", "hygiene" → "Cleaning"
-     * "filling", "fill", "cavity", "cavities", "decay", "hole in tooth" → "Filling"
-     * "braces", "braces maintenance", "orthodontic", "orthodontics", "wire adjustment", "bracket" → "Braces Maintenance"
-   - If treatment is unclear from symptoms/description, default to "Consultation"
+${treatmentCatalog.describeSynonyms()}
+   - If treatment is unclear from symptoms/description, default to "${treatmentCatalog.getDefaultTreatment()}"
    - Only return null if absolutely no treatment-related information is present
 3. Dentist name: One of the available dentists or null if not mentioned
    - Match variations: "GeneralA", "Dr GeneralA", "Dr. GeneralA", "General A" → "Dr GeneralA"
    - Same pattern for all dentists
-4. Number of teeth: Integer 1-32 if mentioned (only relevant for fillings), null otherwise
+${dentistRoster.describeAliases()}
+4. Number of teeth: Integer 1-32 if mentioned (only relevant for ${treatmentCatalog.getUnitTreatmentNames().join(', ') || 'per-tooth treatments'}), null otherwise
 5. Date/time text: Extract any date/time preferences as raw text (e.g., "tomorrow at 10am", "next Tuesday 1pm") or null
+6. Language: English name of the language the message is written in (e.g., "German", "English"), or null if the message is too short to tell (e.g., "ok", "yes", a name or a number)
+7. Patient note: Something the patient tells about themselves that staff should know at future visits (e.g., "anxious about needles", "uses a wheelchair", "allergic to latex"), as a short note, or null
+8. Reminder consent: false if the patient asks to stop receiving appointment reminders, true if they ask to receive them (again), null otherwise
 
 ${existingIntents}${conversationContext}
 User message: "${message}"
@@ -814,7 +1129,10 @@ Return ONLY a valid JSON object with these exact keys:
   "treatmentType": string or null,
   "dentistName": string or null,
   "numberOfTeeth": number or null,
-  "dateTimeText": string or null
+  "dateTimeText": string or null,
+  "language": string or null,
+  "patientNote": string or null,
+  "reminderConsent": true, false or null
 }
 
 JSON object:`;
@@ -824,7 +1142,7 @@ JSON object:`;
         messages: [
           {
             role: 'system',
-            content: 'You are a precise intent detection and information extraction system. Always return ONLY a valid JSON object, no explanations, no markdown, just the JSON. Example: {"intents": ["booking"], "patientName": "John Doe", "treatmentType": "Cleaning", "dentistName": null, "numberOfTeeth": null, "dateTimeText": "tomorrow at 10am"}'
+            content: 'You are a precise intent detection and information extraction system. Always return ONLY a valid JSON object, no explanations, no markdown, just the JSON. Example: {"intents": ["booking"], "patientName": "John Doe", "treatmentType": "Cleaning", "dentistName": null, "numberOfTeeth": null, "dateTimeText": "tomorrow at 10am", "language": "English", "patientNote": null, "reminderConsent": null}'
           },
           {
             role: 'user',
@@ -878,6 +1196,9 @@ JSON object:`;
           dentistName: parsed.dentistName || null,
           numberOfTeeth: parsed.numberOfTeeth || null,
           dateTimeText: parsed.dateTimeText || null,
+          language: parsed.language || null,
+          patientNote: parsed.patientNote || null,
+          reminderConsent: typeof parsed.reminderConsent === 'boolean' ? parsed.reminderConsent : null,
         };
         
         console.log('📝 [COMBINED AI] Parsed extracted:', extracted);
@@ -1072,10 +1393,24 @@ JSON array:`;
    * @param {Object} context - Context about what user is confirming/declining
    * @param {boolean} context.hasPendingSlot - Whether user has a pending appointment slot
    * @param {boolean} context.hasExistingBooking - Whether user has an existing booking to cancel
+   * @param {boolean} [context.hasPendingWaitlistOffer] - Whether a freed slot is held for the user (waitlist)
+   * @param {boolean} [context.hasPendingWaitlistJoin] - Whether the user was asked to join the waitlist
+   * @param {string} [context.buttonId] - Tapped reply button ID (answer is deterministic, no AI call)
    * @returns {Promise<Object>} Object with isConfirmation, isDecline, and confidence
    * @private
    */
   async detectConfirmationOrDecline(userMessage, context = {}) {
+    // Reply buttons: the tapped button IS the answer
+    if (context.buttonId && Object.values(REPLY_BUTTON_IDS).includes(context.buttonId)) {
+      const isConfirmation = context.buttonId === REPLY_BUTTON_IDS.CONFIRM;
+      console.log('🔘 [CONFIRMATION] Button reply:', context.buttonId);
+      return {
+        isConfirmation,
+        isDecline: !isConfirmation,
+        confidence: 1.0
+      };
+    }
+
     try {
       const contextDescription = [];
       if (context.hasPendingSlot) {
@@ -1090,6 +1425,15 @@ JSON array:`;
       if (context.hasExistingBooking) {
         contextDescription.push('User has an existing appointment that can be cancelled');
       }
+      if (context.hasPendingAttendance) {
+        contextDescription.push('User was reminded of an upcoming appointment and asked whether they will be there');
+      }
+      if (context.hasPendingWaitlistOffer) {
+        contextDescription.push('User is on the waitlist and was offered a freed appointment slot, asked whether they want to book it');
+      }
+      if (context.hasPendingWaitlistJoin) {
+        contextDescription.push('No appointment was available and the user was asked whether they want to join the waitlist');
+      }
       
       const prompt = `Determine if the user is confirming or declining something.
 
@@ -1172,8 +1516,9 @@ JSON object:`;
    */
   async extractDateTimeWithAI(userMessage, referenceDate = new Date()) {
     try {
-      const referenceDateStr = referenceDate.toISOString().split('T')[0];
-      const currentDay = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][referenceDate.getDay()];
+      // "Today" as the patient sees it (clinic time, not server time)
+      const referenceDateStr = toClinicDateKey(referenceDate);
+      const currentDay = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][getZonedParts(referenceDate).weekday];
       
       const prompt = `Extract date and time preferences from this message: "${userMessage}"
 
@@ -1467,32 +1812,29 @@ JSON object:`;
 
       const extractionPrompt = `You are an information extraction system for a dental appointment chatbot. Extract structured information from the user's message.
 
-Available treatment types: ${VALID_TREATMENT_TYPES.join(', ')}
-Available dentists: ${AVAILABLE_DENTISTS.join(', ')}
+Available treatment types: ${treatmentCatalog.getTreatmentNames().join(', ')}
+Available dentists: ${dentistRoster.getDentistNames().join(', ')}
 
 ${contextInfo.length > 0 ? `Current session context: ${contextInfo.join(', ')}` : ''}
 
 Extract the following information from the user message:
 1. Patient name: Extract if mentioned (e.g., "I'm John", "my name is Jane Doe", "this is Mike")
-2. Treatment type: One of: ${VALID_TREATMENT_TYPES.join(', ')} or null if not mentioned
+2. Treatment type: One of: ${treatmentCatalog.getTreatmentNames().join(', ')} or null if not mentioned
    - IMPORTANT: Suggest treatment based on symptoms and descriptions:
-     * Symptoms like "toothache", "pain", "hurt", "ache", "sore", "discomfort", "sensitive", "swollen", "bleeding gums" → "Consultation"
-     * "cleaning", "clean", "teeth cleaning", "dental cleaning", "hygiene" → "Cleaning"
-     * "filling", "fill", "cavity", "cavities", "decay", "hole in tooth" → "Filling"
-     * "braces", "braces maintenance", "orthodontic", "orthodontics", "wire adjustment", "bracket" → "Braces Maintenance"
-   - If treatment is unclear from symptoms/description, default to "Consultation"
+${treatmentCatalog.describeSynonyms()}
+   - If treatment is unclear from symptoms/description, default to "${treatmentCatalog.getDefaultTreatment()}"
    - Only return null if absolutely no treatment-related information is present
 3. Dentist name: One of the available dentists or null if not mentioned
    - Match variations: "GeneralA", "Dr GeneralA", "Dr. GeneralA", "General A" → "Dr GeneralA"
-   - Match variations: "BracesA", "Dr BracesA", "Dr. BracesA", "Braces A" → "Dr BracesA"
-   - Same pattern for GeneralB and BracesB
-4. Number of teeth: Integer 1-32 if mentioned (only relevant for fillings), null otherwise
+   - Same pattern for all dentists
+${dentistRoster.describeAliases()}
+4. Number of teeth: Integer 1-32 if mentioned (only relevant for ${treatmentCatalog.getUnitTreatmentNames().join(', ') || 'per-tooth treatments'}), null otherwise
 5. Date/time text: Extract any date/time preferences as raw text (e.g., "tomorrow at 10am", "next Tuesday 1pm", "12/25 at 3pm", "morning", "afternoon", "anytime") or null
 
 Rules:
 - Only extract information that is explicitly mentioned or clearly implied
 - For patient name, extract full name if given (first and last)
-- For treatment, use exact treatment type names (map symptoms like "toothache" to "Consultation")
+- For treatment, use exact treatment type names (map symptoms like "toothache" to "${treatmentCatalog.getDefaultTreatment()}")
 - For dentist, match exactly to available dentist names (handle "Dr" prefix variations)
 - For number of teeth, only extract if clearly about fillings/treatment
 - For date/time, extract the full phrase as user said it (will be parsed separately)
@@ -1569,19 +1911,19 @@ JSON object:`;
             }
           }
 
-          // Validate treatment type: must be exact match from allowed list
+          // Validate treatment type: must be a bookable treatment from the catalog
           // Prevents invalid treatment types that could break business logic
-          if (typeof extracted.treatmentType === 'string' && VALID_TREATMENT_TYPES.includes(extracted.treatmentType)) {
-            validated.treatmentType = extracted.treatmentType;
+          if (treatmentCatalog.normalizeTreatmentName(extracted.treatmentType)) {
+            validated.treatmentType = treatmentCatalog.normalizeTreatmentName(extracted.treatmentType);
             console.log('✅ [INFO EXTRACTION] Validated treatmentType:', validated.treatmentType);
           } else if (extracted.treatmentType) {
             console.log('❌ [INFO EXTRACTION] Invalid treatmentType:', extracted.treatmentType);
           }
 
-          // Validate dentist name: must be exact match from available dentists
-          // Prevents invalid dentist names that don't exist in calendar config
-          if (typeof extracted.dentistName === 'string' && AVAILABLE_DENTISTS.includes(extracted.dentistName)) {
-            validated.dentistName = extracted.dentistName;
+          // Validate dentist name: must be an active roster dentist (display name or alias)
+          // Prevents invalid dentist names that don't exist in the roster
+          if (dentistRoster.resolveDentistName(extracted.dentistName)) {
+            validated.dentistName = dentistRoster.resolveDentistName(extracted.dentistName);
             console.log('✅ [INFO EXTRACTION] Validated dentistName:', validated.dentistName);
           } else if (extracted.dentistName) {
             console.log('❌ [INFO EXTRACTION] Invalid dentistName:', extracted.dentistName);
@@ -1632,7 +1974,7 @@ JSON object:`;
    * Provides context to the AI model for generating appropriate, contextual responses.
    * 
    * Prompt includes:
-   * - Role definition (AI receptionist)
+   * - Role definition (AI receptionist, or the active tenant's persona)
    * - Guidelines (polite, professional, empathetic)
    * - Current conversation context (patient name, intents, treatment, dentist, selected slot)
    * - Available dentists (braces vs general)
@@ -1673,7 +2015,9 @@ JSON object:`;
    * // Output: Prompt includes treatment and intent, but no dentist/patient
    */
   buildSystemPrompt(session, actionResult = null) {
-    let prompt = `You are a polite and professional AI receptionist for a dental clinic. Your role is to help patients book appointments, answer questions about pricing and booking information, and manage cancellations and rescheduling. You can only handle these tasks. Do not answer any medical questions.
+    const persona = tenantRegistry.getCurrentTenant().persona ||
+      'You are a polite and professional AI receptionist for a dental clinic.';
+    let prompt = `${persona} Your role is to help patients book appointments, answer questions about pricing and booking information, and manage cancellations and rescheduling. You can only handle these tasks. Do not answer any medical questions.
 
 Guidelines:
 - Always be polite, professional, and empathetic
@@ -1684,8 +2028,8 @@ Guidelines:
 - Use the patient's name when you know it
 - NEVER claim an appointment is scheduled, booked, or confirmed unless you have actually created a calendar event
 - If a slot is pending confirmation, ask the user to confirm - do not claim it's already scheduled
-- Working hours are 9:00 AM - 6:00 PM, Monday-Friday only
-- NEVER suggest appointment times outside working hours (before 9 AM or after 6 PM, or weekends)
+- Working hours: ${clinicSchedule.describeClinicHours()} (individual dentists, public holidays and closures may differ)
+- NEVER suggest appointment times outside working hours
 
 Current conversation context:
 `;
@@ -1728,6 +2072,34 @@ Current conversation context:
     if (session.patientName) {
       prompt += `- Patient name: ${session.patientName}\n`;
     }
+    const profile = session.patientProfile;
+    if (profile) {
+      const lastVisit = profile.lastTreatments?.[0];
+      prompt += `- Returning patient${profile.name ? ` ${profile.name}` : ''}${lastVisit ? ` (last booking: ${lastVisit.treatment} with ${lastVisit.dentist})` : ''} - greet them by name, do not ask for their name again\n`;
+      if (profile.dependents?.length) {
+        prompt += `- Family members booked from this phone: ${profile.dependents.join(', ')} - appointments may be for them\n`;
+      }
+      if (profile.preferredDentist) {
+        prompt += `- Usual dentist: ${profile.preferredDentist}\n`;
+      }
+      if (profile.preferredLanguage) {
+        prompt += `- Preferred language: ${profile.preferredLanguage} - reply in this language\n`;
+      }
+      if (profile.notes?.length) {
+        prompt += `- Notes: ${profile.notes.join('; ')}\n`;
+      }
+    }
+    if (session.bookedAppointments?.length) {
+      prompt += `- Appointments booked in this conversation: ${this.describeBookedAppointments(session)}\n`;
+    }
+    if (session.reminderReplyPending && session.existingBooking) {
+      const reminded = session.existingBooking;
+      prompt += `- Reminder sent for the appointment of ${reminded.patientName} with ${reminded.doctor} on ${formatClinicDateTime(reminded.startTime)} - the patient can confirm, cancel or reschedule it\n`;
+    }
+    if (session.waitlistOffer) {
+      const offer = session.waitlistOffer;
+      prompt += `- Waitlist offer: appointment with ${offer.doctor} on ${formatClinicDateTime(new Date(offer.startTime))} is held for the patient until ${formatClinicDateTime(new Date(offer.expiresAt))} - ask whether they want to book it (yes/no)\n`;
+    }
     if (session.intents && session.intents.length > 0) {
       prompt += `- Current intents: ${session.intents.join(', ')}\n`;
     }
@@ -1739,29 +2111,24 @@ Current conversation context:
     }
     if (session.selectedSlot && !actionResult) {
       // Only show pending slot if no action was taken (action would have cleared it)
-      prompt += `- Selected slot (pending confirmation): ${session.selectedSlot.startTime.toLocaleString()}\n`;
+      prompt += `- Selected slot (pending confirmation): ${formatClinicDateTime(session.selectedSlot.startTime)}\n`;
       prompt += `- IMPORTANT: This slot is PENDING confirmation. Ask user to confirm, do NOT claim it's already scheduled.\n`;
     }
     if (session.bookingConfirmationPending && !actionResult) {
       prompt += `- Status: Waiting for user confirmation of the selected slot\n`;
     }
 
-    prompt += `\nAvailable dentists for braces: Dr BracesA, Dr BracesB
-Available dentists for general treatments: Dr GeneralA, Dr GeneralB
+    prompt += `\nAvailable dentists per treatment:
+${treatmentCatalog.getTreatmentNames().map(treatment => `- ${treatment}: ${getAvailableDentists(treatment).join(', ')}`).join('\n')}
 
 Treatment durations:
-- Consultation: 15 minutes
-- Cleaning: 30 minutes
-- Braces Maintenance: 45 min (Dr BracesB), 15 min (Dr BracesA)
-- Filling: 30 min for first tooth + 15 min per additional tooth
+${treatmentCatalog.describeDurations()}
 
-Working hours: 9:00 AM - 6:00 PM, Monday-Friday (weekends excluded)
-Minimum appointment time: 9:00 AM
-Maximum appointment time: 6:00 PM
+Working hours: ${clinicSchedule.describeClinicHours()}
 
 IMPORTANT RULES:
 - Patient name is MANDATORY - always ask for it before booking or confirming appointments
-- If user doesn't specify a treatment type, assume they need a Consultation
+- If user doesn't specify a treatment type, assume they need a ${treatmentCatalog.getDefaultTreatment()}
 - Do NOT ask users to choose a dentist - the system will automatically select the dentist with earliest availability
 - Always check availability when user wants to book - don't suggest times without checking first
 - If user doesn't specify a time preference, default to ASAP (earliest available slot)
@@ -1891,7 +2258,9 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         return 'I need your phone number to look up your appointment. Could you please provide it?';
       }
 
-      const bookings = await googleCalendarService.findBookingByPhone(session.phone);
+      // Family members share a phone: only the bookings of the person asked about
+      const lookupPatient = this.findMentionedPatient(userMessage, session);
+      const bookings = await googleCalendarService.findBookingByPhone(session.phone, lookupPatient);
 
       console.log('🔍 APPOINTMENT_LOOKUP: Search result:', bookings ? `${bookings.length} bookings found` : 'NOT FOUND');
       
@@ -1901,33 +2270,16 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
           const booking = bookings[0];
           console.log('🔍 APPOINTMENT_LOOKUP: Found booking for', booking.patientName, 'with doctor', booking.doctor);
           
-          const appointmentDetails = `Here are your appointment details:\n\n` +
-            `**Doctor:** ${booking.doctor}\n` +
-            `**Patient:** ${booking.patientName}\n` +
-            `${booking.treatment ? `**Treatment:** ${booking.treatment}\n` : ''}` +
-            `**Date:** ${booking.startTime.toLocaleDateString()}\n` +
-            `**Time:** ${booking.startTime.toLocaleTimeString()} - ${booking.endTime.toLocaleTimeString()}\n` +
-            `\nIs there anything else I can help you with?`;
-          
-          return appointmentDetails;
+          return this.formatAppointmentDetails(booking);
         } else {
-          // Multiple bookings - show all
-          let appointmentDetails = `You have ${bookings.length} upcoming appointments:\n\n`;
-          
-          bookings.forEach((booking, index) => {
-            appointmentDetails += `**Appointment ${index + 1}:**\n` +
-              `Doctor: ${booking.doctor}\n` +
-              `Patient: ${booking.patientName}\n` +
-              `${booking.treatment ? `Treatment: ${booking.treatment}\n` : ''}` +
-              `Date: ${booking.startTime.toLocaleDateString()}\n` +
-              `Time: ${booking.startTime.toLocaleTimeString()} - ${booking.endTime.toLocaleTimeString()}\n\n`;
-          });
-          
-          appointmentDetails += `Is there anything else I can help you with?`;
-          return appointmentDetails;
+          // Multiple bookings - summarize and let the patient pick one for full details
+          sessionManager.updateSession(session.conversationId, { existingBookings: bookings });
+          session.existingBookings = bookings;
+          this.offerBookingList(session, bookings);
+          return this.formatBookingListMessage(bookings, 'Choose an appointment from the list to see its full details.');
         }
       } else {
-        return 'I could not find any appointments for your phone number. Please contact our receptionist for assistance.';
+        return `I could not find any appointments for ${lookupPatient || 'your phone number'}. Please contact our receptionist for assistance.`;
       }
     }
 
@@ -1941,13 +2293,20 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
   /**
    * Checks calendar availability and suggests appointment slots to the user.
    * Fetches available slots from Google Calendar, matches user date/time preferences,
-   * calculates treatment duration, and presents the best matching slot for confirmation.
+   * calculates treatment duration, and offers up to SLOT_OPTIONS_COUNT slots to pick from.
    * 
    * Matching logic:
    * 1. If user specified date/time preference, finds slots matching that preference
-   * 2. If no preference match found, uses earliest available slot
+   * 2. If no preference match found, uses the earliest available slots
    * 3. Ensures slot duration is sufficient for treatment
-   * 4. Updates session with selected slot and treatment duration
+   *    (free gaps are split into start times every SLOT_INTERVAL_MINUTES, see splitIntoStartTimes())
+   * 4. Picks options spread across days and dentists (see pickSlotOptions())
+   * 5. One option → stored as selectedSlot for confirmation (as before)
+   *    Several options → stored as offeredSlots, patient picks one by number, button or description
+   * 6. Nothing fits the preference (or nothing is free) → session.waitlistCandidate, the patient
+   *    can join the waitlist for it (see waitlist.js)
+   * 7. Slots held for other patients are skipped; the offered slots are held for this patient
+   *    until they confirm, decline or the hold expires (see slotHolds.js)
    * 
    * @param {string} conversationId - Unique conversation identifier
    * @param {Object} session - Current session object
@@ -1973,7 +2332,8 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
    *   dentistName: "Dr GeneralA",
    *   numberOfTeeth: null
    * }, "anytime")
-   * // Output: "I found an available slot:\n\nDoctor: Dr GeneralA\nDate: [earliest date]\nTime: [earliest time]..."
+   * // Output: "I found these available slots:\n\n1. Dr GeneralA - Tue, Jan 16 at 9:00 AM\n2. Dr GeneralB - Tue, Jan 16 at 10:00 AM\n3. Dr GeneralA - Wed, Jan 17 at 9:00 AM\n\nWhich one would you like? ..."
+   * // session.offeredSlots has the 3 options, session.slotSelectionPending = true
    * 
    * @example
    * // Filling with multiple teeth (longer duration):
@@ -1992,7 +2352,8 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
    *   dentistName: "Dr GeneralA",
    *   numberOfTeeth: null
    * }, "tomorrow")
-   * // Output: "I apologize, but I could not find an available slot at the moment. Would you like me to check for a different time, or would you prefer to contact our receptionist directly?"
+   * // Output: "I apologize, but there is no available appointment for Tue, Oct 20 with Dr GeneralA. Would you like to join the waitlist? ..."
+   * // session.waitlistCandidate = { from, to, time: null, dentistName: "Dr GeneralA" }, "Join waitlist" button
    * 
    * @example
    * // Error handling:
@@ -2020,8 +2381,8 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       // Log first free slot overall
       if (slots.length > 0) {
         const firstFreeSlot = slots[0];
-        const slotDate = firstFreeSlot.startTime.toISOString().split('T')[0];
-        const slotTime = firstFreeSlot.startTime.toISOString().split('T')[1].substring(0, 5);
+        const slotDate = toClinicDateKey(firstFreeSlot.startTime);
+        const slotTime = formatClinicTime(firstFreeSlot.startTime, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
         console.log(`🎯 [AVAILABILITY SUMMARY] The first free time slot overall is:`);
         console.log(`   Doctor: ${firstFreeSlot.doctor}`);
         console.log(`   Date: ${slotDate}`);
@@ -2049,20 +2410,21 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         })));
       }
 
-      // REQUIREMENT: Auto-select dentist if not specified - find earliest availability across all dentists
-      let dentistToUse = session.dentistName;
+      // REQUIREMENT: Auto-select dentist if not specified - offer availability across all dentists
+      const dentistToUse = session.dentistName;
       if (!dentistToUse) {
-        console.log('📅 [AVAILABILITY] No dentist specified, will auto-select based on earliest availability');
+        console.log('📅 [AVAILABILITY] No dentist specified, will offer slots across all dentists');
       }
 
-      // FIX 1: Calculate treatment duration using max duration for braces when dentist not specified
-      // For braces maintenance, if dentist not specified, use maximum duration (45 min) to ensure we find slots
-      // that work for both dentists. Duration will be recalculated correctly after dentist is selected.
+      // FIX 1: Calculate treatment duration using max duration across dentists when dentist not specified
+      // Durations can differ per dentist (e.g. braces: Dr BracesB 45 min, Dr BracesA 15 min), so use the maximum
+      // to ensure we find slots that work for every dentist. Recalculated per option after the dentist is known.
       let treatmentDuration;
-      if (session.treatmentType === TREATMENT_TYPES.BRACES_MAINTENANCE && !dentistToUse) {
-        // Use maximum duration for braces (Dr BracesB = 45 min) when dentist not specified
-        treatmentDuration = 45;
-        console.log('📅 [AVAILABILITY] Dentist not specified for braces, using max duration (45 min) for slot filtering');
+      if (!dentistToUse) {
+        treatmentDuration = Math.max(...availableDentists.map(dentist =>
+          calculateTreatmentDuration(session.treatmentType, dentist, session.numberOfTeeth)
+        ), calculateTreatmentDuration(session.treatmentType, null, session.numberOfTeeth));
+        console.log('📅 [AVAILABILITY] Dentist not specified, using max duration across dentists for slot filtering');
       } else {
         treatmentDuration = calculateTreatmentDuration(
           session.treatmentType,
@@ -2072,9 +2434,6 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       }
       console.log('📅 [AVAILABILITY] Calculated treatment duration:', treatmentDuration, 'minutes');
 
-      // Try to find slot matching user preference
-      let selectedSlot = null;
-      
       // Extract date/time preference from user message using AI (language understanding)
       // Then code calculates actual dates (math)
       // Use stored preference ONLY if we're in reschedule flow (cancelledSlotToExclude exists)
@@ -2093,20 +2452,13 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         console.log('⚠️ [AVAILABILITY] WARNING: No date/time preference extracted from message');
       }
       
-      // Filter slots within working hours (9 AM - 6 PM)
-      const workingStartMinutes = 9 * 60; // 9:00 AM
-      const workingEndMinutes = 18 * 60; // 6:00 PM
-      
       // REQUIREMENT: If dentist not specified, consider all available dentists
       // Otherwise, filter by selected dentist
       const validSlots = slots.filter(slot => {
         // If dentist specified, only include that dentist's slots
         if (dentistToUse && slot.doctor !== dentistToUse) return false;
-        // Filter by working hours
-        const hour = slot.startTime.getHours();
-        const minute = slot.startTime.getMinutes();
-        const timeMinutes = hour * 60 + minute;
-        if (timeMinutes < workingStartMinutes || timeMinutes >= workingEndMinutes) return false;
+        // Filter by the dentist's working hours (breaks, holidays and closures excluded)
+        if (!clinicSchedule.isWithinWorkingHours(slot.doctor, slot.startTime)) return false;
         
         // Exclude cancelled slot if rescheduling
         if (session.cancelledSlotToExclude) {
@@ -2135,119 +2487,114 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       });
       
       console.log('📅 [AVAILABILITY] Valid slots (dentist:', dentistToUse || 'any', ', within working hours):', validSlots.length);
+
+      // Split free gaps into bookable start times on the configured grid (e.g. every 15 minutes)
+      // Several appointments in one conversation: never overlap one this patient already booked
+      const ownAppointments = (session.bookedAppointments || []).filter(appointment =>
+        patientProfiles.isSamePerson(appointment.patientName, session.patientName));
+      // Slots held for other patients (offered and awaiting their answer, or freed for the waitlist) are not offered
+      const heldSlots = await this.getSlotsHeldForOthers(session);
+      const overlaps = (slot, appointment) => {
+        const slotStart = slot.startTime.getTime();
+        const slotEnd = slotStart + treatmentDuration * 60 * 1000;
+        return slotStart < new Date(appointment.endTime).getTime() && slotEnd > new Date(appointment.startTime).getTime();
+      };
+      const startSlots = googleCalendarService.splitIntoStartTimes(validSlots, treatmentDuration)
+        .filter(slot => !ownAppointments.some(appointment => overlaps(slot, appointment)))
+        .filter(slot => !heldSlots.some(held => held.doctor === slot.doctor && overlaps(slot, held)));
+      console.log('📅 [AVAILABILITY] Bookable start times:', startSlots.length, `(every ${config.calendar.slotIntervalMinutes} min)`);
       
-      // If user specified a preference, try to match it
+      // Candidate slots: start times matching the user's preference, otherwise every start time (ASAP)
+      let candidateSlots = [];
       if (datePreference.date || datePreference.time) {
         console.log('📅 [AVAILABILITY] User specified preference, matching slots...');
-        // Find slots matching preference AND with sufficient duration AND within working hours
+        // Match against each start time, so "around 11" finds 11:00 inside a 9:00-12:40 gap
         // REQUIREMENT: Consider all dentists if none specified
-        const matchingSlots = validSlots.filter(slot => {
-          const matches = matchesDateTimePreference(slot.startTime, datePreference) &&
-                         slot.duration >= treatmentDuration;
-          if (matches) {
-            console.log('✅ [AVAILABILITY] Matching slot found:', {
-              doctor: slot.doctor,
-              startTime: slot.startTime.toISOString(),
-              hour: slot.startTime.getHours(),
-              minute: slot.startTime.getMinutes(),
-              duration: slot.duration
-            });
-          }
-          return matches;
-        });
-        
-        console.log('📅 [AVAILABILITY] Matching slots count:', matchingSlots.length);
+        candidateSlots = startSlots.filter(slot =>
+          matchesDateTimePreference(slot.startTime, datePreference) &&
+          slot.duration >= treatmentDuration
+        );
         
-        if (matchingSlots.length > 0) {
-          // REQUIREMENT: Auto-select dentist with earliest matching slot
-          selectedSlot = matchingSlots[0]; // Take first matching slot (best match)
-          dentistToUse = selectedSlot.doctor; // Auto-select this dentist
-          console.log('✅ [AVAILABILITY] Selected slot from preference match:', {
-            doctor: selectedSlot.doctor,
-            startTime: selectedSlot.startTime.toISOString(),
-            duration: selectedSlot.duration
-          });
-        } else {
+        console.log('📅 [AVAILABILITY] Matching slots count:', candidateSlots.length);
+        if (candidateSlots.length > 0) {
+          console.log('✅ [AVAILABILITY] First matching slots:', candidateSlots.slice(0, 3).map(slot => ({
+            doctor: slot.doctor,
+            startTime: slot.startTime.toISOString(),
+            clinicTime: formatClinicTime(slot.startTime)
+          })));
+        }
+        if (candidateSlots.length === 0) {
           console.log('⚠️ [AVAILABILITY] No slots matched preference');
         }
       }
 
+      const preferenceUnmatched = !!(datePreference.date || datePreference.time) && candidateSlots.length === 0;
+
       // REQUIREMENT: Fallback to ASAP (earliest available) if no preference match or no preference specified
-      if (!selectedSlot) {
-        console.log('📅 [AVAILABILITY] No preference match, finding earliest available slot (ASAP)...');
+      if (candidateSlots.length === 0) {
+        console.log('📅 [AVAILABILITY] No preference match, using earliest available slots (ASAP)...');
         console.log('📅 [AVAILABILITY] Valid slots available:', validSlots.length, 'Treatment duration needed:', treatmentDuration);
-        
-        if (validSlots.length === 0) {
-          console.log('❌ [AVAILABILITY] No valid slots found (empty array)');
-        } else {
-          // REQUIREMENT: Find earliest across all dentists if none specified
-          selectedSlot = googleCalendarService.findEarliestAvailableSlot(validSlots, treatmentDuration);
-          if (selectedSlot) {
-            // REQUIREMENT: Auto-select dentist with earliest availability
-            dentistToUse = selectedSlot.doctor;
-            console.log('✅ [AVAILABILITY] Selected earliest available slot (ASAP):', {
-              doctor: selectedSlot.doctor,
-              startTime: selectedSlot.startTime.toISOString(),
-              duration: selectedSlot.duration
-            });
-          } else {
-            console.log('❌ [AVAILABILITY] No slots found with sufficient duration');
-            console.log('📅 [AVAILABILITY] Available slot durations:', validSlots.slice(0, 5).map(s => s.duration));
-          }
+        candidateSlots = startSlots.filter(slot => slot.duration >= treatmentDuration);
+        if (candidateSlots.length === 0 && validSlots.length > 0) {
+          console.log('❌ [AVAILABILITY] No slots found with sufficient duration');
+          console.log('📅 [AVAILABILITY] Available slot durations:', validSlots.slice(0, 5).map(s => s.duration));
         }
       }
-      
-      // REQUIREMENT: Update session with auto-selected dentist if not already set
-      if (dentistToUse && !session.dentistName) {
-        console.log('✅ [AVAILABILITY] Auto-selecting dentist:', dentistToUse);
-        const dentistType = session.treatmentType === TREATMENT_TYPES.BRACES_MAINTENANCE ? DENTIST_TYPES.BRACES : DENTIST_TYPES.GENERAL;
-        sessionManager.updateSession(session.conversationId, { 
-          dentistName: dentistToUse,
-          dentistType: dentistType
-        });
-        session.dentistName = dentistToUse;
-        session.dentistType = dentistType;
-      }
 
-      if (selectedSlot) {
-        // Selected slot already came from validSlots (filtered by working hours at line 2001)
-        // No need to validate again - proceed directly to recalculating duration
-        
-        // FIX 1 (continued): Recalculate duration with actual selected dentist to ensure accuracy
-        const finalTreatmentDuration = calculateTreatmentDuration(
+      // REQUIREMENT: Offer several options spread across days and dentists (dentist auto-selected on pick)
+      // Returning patients get an option with their usual dentist when they did not name one
+      const preferredDoctor = dentistToUse ? null : patientProfiles.getPreferredDentist(session.patientProfile, session.patientName);
+      const toOption = slot => {
+        // FIX 1 (continued): Recalculate duration with the option's actual dentist to ensure accuracy
+        const optionDuration = calculateTreatmentDuration(
           session.treatmentType,
-          selectedSlot.doctor, // Use the actual selected dentist
+          slot.doctor,
           session.numberOfTeeth
         );
-        console.log('📅 [AVAILABILITY] Recalculated treatment duration with selected dentist:', finalTreatmentDuration, 'minutes');
-        
-        const endTime = new Date(selectedSlot.startTime);
-        endTime.setMinutes(endTime.getMinutes() + finalTreatmentDuration);
-
-        console.log('✅ [AVAILABILITY] Setting selectedSlot in session:', {
-          startTime: selectedSlot.startTime.toISOString(),
-          endTime: endTime.toISOString(),
-          doctor: selectedSlot.doctor,
-          hour: selectedSlot.startTime.getHours(),
-          minute: selectedSlot.startTime.getMinutes()
-        });
-        
-        sessionManager.updateSession(session.conversationId, {
-          selectedSlot: {
-            ...selectedSlot,
-            endTime,
-          },
-          treatmentDuration: finalTreatmentDuration, // Use recalculated duration
-          bookingConfirmationPending: true,
-        });
-        
-        // Update local session reference
-        session.selectedSlot = {
-          ...selectedSlot,
-          endTime,
-        };
-        session.treatmentDuration = finalTreatmentDuration;
-        session.bookingConfirmationPending = true;
+        const endTime = new Date(slot.startTime);
+        endTime.setMinutes(endTime.getMinutes() + optionDuration);
+        return { ...slot, endTime, treatmentDuration: optionDuration };
+      };
+
+      // Hold the offered slots for this patient until they confirm, decline or the hold expires.
+      // Only slots actually held are offered: when another patient's search has just taken one,
+      // the options are picked again from the remaining candidates
+      let remainingSlots = candidateSlots;
+      let slotOptions = [];
+      while (remainingSlots.length > 0) {
+        const pickedOptions = this.pickSlotOptions(remainingSlots, SLOT_OPTIONS_COUNT, datePreference, preferredDoctor).map(toOption);
+        console.log('📅 [AVAILABILITY] Slot options:', pickedOptions.map(slot => ({
+          doctor: slot.doctor,
+          startTime: slot.startTime.toISOString(),
+          treatmentDuration: slot.treatmentDuration
+        })));
+        slotOptions = await slotHolds.hold(session.conversationId, pickedOptions);
+        if (slotOptions.length === pickedOptions.length) break;
+
+        const lostOptions = pickedOptions.filter(option => !slotOptions.includes(option));
+        remainingSlots = remainingSlots.filter(slot => !lostOptions.some(option =>
+          option.doctor === slot.doctor &&
+          slot.startTime < option.endTime &&
+          slot.startTime.getTime() + option.treatmentDuration * 60 * 1000 > option.startTime.getTime()
+        ));
+        console.log('🔒 [AVAILABILITY] Option(s) held for another patient, picking again from', remainingSlots.length, 'candidates');
+      }
+
+      // Nothing fits the preference (or every free slot is held for others): the patient can join the waitlist for it
+      const waitlistCandidate = waitlist.enabled && (slotOptions.length === 0 || preferenceUnmatched)
+        ? { ...waitlist.buildRange(datePreference), dentistName: dentistToUse || null }
+        : null;
+      sessionManager.updateSession(session.conversationId, { waitlistCandidate, waitlistJoinPending: false });
+      session.waitlistCandidate = waitlistCandidate;
+      session.waitlistJoinPending = false;
+      const waitlistHint = waitlistCandidate
+        ? `\n\nNothing was free on ${waitlist.describe(waitlistCandidate)}. Reply "waitlist" and I'll message you if an appointment opens up then.`
+        : '';
+
+      if (slotOptions.length === 1) {
+        // Only one option - offer it directly for confirmation
+        const selectedSlot = slotOptions[0];
+        this.applySlotSelection(session, selectedSlot);
         
         console.log('✅ [AVAILABILITY] Session updated, verification:', {
           hasSelectedSlot: !!session.selectedSlot,
@@ -2261,7 +2608,19 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
           return 'I found an available slot, but I need your name first. What is your name?';
         }
 
-        return `I found an available slot:\n\nDoctor: ${selectedSlot.doctor}\nDate: ${selectedSlot.startTime.toLocaleDateString()}\nTime: ${selectedSlot.startTime.toLocaleTimeString()} - ${endTime.toLocaleTimeString()}\nDuration: ${finalTreatmentDuration} minutes\n\nWould you like to confirm this appointment?`;
+        session.replyButtons = SLOT_CONFIRMATION_BUTTONS;
+        return `I found an available slot:\n\nDoctor: ${selectedSlot.doctor}\nDate: ${formatClinicDate(selectedSlot.startTime)}\nTime: ${formatClinicTime(selectedSlot.startTime)} - ${formatClinicTime(selectedSlot.endTime)}\nDuration: ${selectedSlot.treatmentDuration} minutes\n\nWould you like to confirm this appointment?${waitlistHint}`;
+      } else if (slotOptions.length > 1) {
+        const optionsMessage = this.offerSlotOptions(session, slotOptions);
+
+        // REQUIREMENT: Check patient name before offering options (options are shown again once named)
+        if (!session.patientName) {
+          console.log('⚠️ [AVAILABILITY] Patient name missing, prompting before showing slots');
+          session.replyButtons = null;
+          return 'I found some available slots, but I need your name first. What is your name?';
+        }
+
+        return optionsMessage + waitlistHint;
       } else {
         console.log('❌ [AVAILABILITY] No slots available');
         console.log('📅 [AVAILABILITY] Debug info:', {
@@ -2270,6 +2629,12 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
           treatmentDuration,
           dentistToUse: dentistToUse || 'none (auto-select)'
         });
+        if (waitlistCandidate) {
+          sessionManager.updateSession(session.conversationId, { waitlistJoinPending: true });
+          session.waitlistJoinPending = true;
+          session.replyButtons = WAITLIST_JOIN_BUTTONS;
+          return `I apologize, but there is no available appointment for ${waitlist.describe(waitlistCandidate)}. Would you like to join the waitlist? If an appointment opens up, I'll message you right away.`;
+        }
         return 'I apologize, but I could not find an available slot at the moment. Would you like me to check for a different time, or would you prefer to contact our receptionist directly?';
       }
     } catch (error) {
@@ -2279,85 +2644,497 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
   }
 
   /**
-   * Confirms and creates a calendar appointment booking.
-   * Creates a calendar event with the appointment details, updates session status,
-   * and logs the booking action. Returns confirmation message or error message.
+   * Picks up to `count` slot options from the candidate slots, spread across days and dentists.
    * 
-   * Process:
-   * 1. Validates calendar ID exists for dentist
-   * 2. Creates calendar event via Google Calendar API
-   * 3. Updates session with confirmation status and event ID
-   * 4. Logs booking action to Google Sheets
-   * 5. Returns confirmation message with appointment details
-   * 
-   * Error handling:
-   * - Missing calendar ID: throws error, logs to sheets
-   * - Calendar API failure: logs failure, returns error message
-   * - All errors logged with "NEEDS FOLLOW-UP" status
+   * Selection passes (each pass walks candidates closest to the preferred time first,
+   * then in chronological order):
+   * 1. Slots on a new day with a dentist not offered yet
+   * 2. Slots on a new day
+   * 3. Slots with a dentist not offered yet
+   * 4. Any remaining slot (earliest first)
+   * The best candidate is always included, and so is the best slot with the preferred dentist
+   * (returning patient's usual dentist) when given. Options are returned in chronological order.
    * 
-   * @param {string} conversationId - Unique conversation identifier
-   * @param {Object} session - Current session object with appointment details
-   * @param {string} session.dentistName - Dentist name (must match config.calendar.dentistCalendars key)
-   * @param {string} session.treatmentType - Treatment type
-   * @param {string} session.phone - Patient phone number
-   * @param {string} [session.patientName] - Patient name (defaults to "Patient" if not set)
-   * @param {Object} session.selectedSlot - Selected appointment slot (required)
-   * @param {Date} session.selectedSlot.startTime - Appointment start time (required)
-   * @param {Date} session.selectedSlot.endTime - Appointment end time (required)
-   * @returns {Promise<string>} Confirmation message with appointment details or error message
+   * @param {Array} candidateSlots - Slots with sufficient duration ({ doctor, startTime, duration })
+   * @param {number} count - Maximum number of options
+   * @param {Object} [datePreference] - Parsed preference; with a time, starts closest to it come first
+   * @param {string} [preferredDoctor] - Dentist to include an option with (e.g., "Dr GeneralA")
+   * @returns {Array} Chosen slot options (chronological)
    * 
    * @example
-   * // Successful booking:
-   * await confirmBooking("+1234567890", {
-   *   dentistName: "Dr GeneralA",
-   *   treatmentType: "Cleaning",
-   *   phone: "+1234567890",
-   *   patientName: "John Doe",
-   *   selectedSlot: {
-   *     startTime: new Date("2024-01-16T10:00:00Z"),
-   *     endTime: new Date("2024-01-16T10:30:00Z")
-   *   }
-   * })
-   * // Output: "✅ Appointment confirmed!\n\nDoctor: Dr GeneralA\nTreatment: Cleaning\nDate: 1/16/2024\nTime: 10:00 AM - 10:30 AM\n\nWe look forward to seeing you!"
-   * // Session updated: bookingConfirmed=true, bookingConfirmationPending=false, eventId="[calendar event ID]"
+   * // Candidates: Mon 9:00 Dr GeneralA, Mon 9:00 Dr GeneralB, Mon 10:00 Dr GeneralA, Tue 9:00 Dr GeneralB
+   * pickSlotOptions(candidates, 3)
+   * // Returns: Mon 9:00 Dr GeneralA, Mon 9:00 Dr GeneralB, Tue 9:00 Dr GeneralB
    * 
    * @example
-   * // Missing patient name (uses default):
-   * await confirmBooking("+1234567890", {
-   *   dentistName: "Dr GeneralA",
-   *   treatmentType: "Cleaning",
-   *   phone: "+1234567890",
-   *   patientName: null,  // Not set
-   *   selectedSlot: { startTime: ..., endTime: ... }
-   * })
-   * // Calendar event created with patientName="Patient"
+   * // "Monday around 11", candidates Mon 10:00-12:45 every 15 minutes for Dr GeneralA
+   * pickSlotOptions(candidates, 3, { date: Monday, time: { hours: 11, minutes: 0 } })
+   * // Returns: Mon 10:45, Mon 11:00, Mon 11:15
+   */
+  pickSlotOptions(candidateSlots, count, datePreference = null, preferredDoctor = null) {
+    const sorted = [...candidateSlots].sort((a, b) =>
+      minutesFromPreferredTime(a.startTime, datePreference) - minutesFromPreferredTime(b.startTime, datePreference) ||
+      a.startTime - b.startTime
+    );
+    const options = [];
+    const usedDays = new Set();
+    const usedDoctors = new Set();
+    const dayKey = slot => toClinicDateKey(slot.startTime);
+
+    // The best candidate, and the best slot with the patient's usual dentist, always come first
+    const preferredSlot = preferredDoctor && sorted.find(slot => slot.doctor === preferredDoctor);
+    for (const slot of [sorted[0], preferredSlot]) {
+      if (!slot || options.length >= count || options.includes(slot)) continue;
+      options.push(slot);
+      usedDays.add(dayKey(slot));
+      usedDoctors.add(slot.doctor);
+    }
+
+    const passes = [
+      slot => !usedDays.has(dayKey(slot)) && !usedDoctors.has(slot.doctor),
+      slot => !usedDays.has(dayKey(slot)),
+      slot => !usedDoctors.has(slot.doctor),
+      () => true,
+    ];
+
+    for (const accepts of passes) {
+      for (const slot of sorted) {
+        if (options.length >= count) break;
+        const alreadyOffered = options.some(option =>
+          option.doctor === slot.doctor && option.startTime.getTime() === slot.startTime.getTime()
+        );
+        if (alreadyOffered || !accepts(slot)) continue;
+        options.push(slot);
+        usedDays.add(dayKey(slot));
+        usedDoctors.add(slot.doctor);
+      }
+    }
+
+    return options.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Stores slot options in the session and builds the message offering them.
+   * Sets one reply button per option (button id = SLOT_OPTION_ID_PREFIX + option number).
    * 
-   * @example
-   * // Calendar API failure:
-   * // If googleCalendarService.createAppointment() fails:
-   * // Output: "I apologize, there was an error creating your appointment. Our receptionist will contact you shortly. Please call us if you need immediate assistance."
-   * // Logged to sheets with status="NEEDS FOLLOW-UP***************"
+   * @param {Object} session - Current session object
+   * @param {Array} slotOptions - Options from pickSlotOptions() with endTime and treatmentDuration
+   * @returns {string} Message listing the options
    * 
    * @example
-   * // Missing calendar ID:
-   * await confirmBooking("+1234567890", {
-   *   dentistName: "Dr. Unknown",  // Not in config
-   *   ...
-   * })
-   * // Throws error, logs to sheets, returns error message
+   * offerSlotOptions(session, slotOptions)
+   * // Returns: "I found these available slots:\n\n1. Dr GeneralA - Tue, Jan 16 at 9:00 AM - 9:30 AM\n2. ...\n\nWhich one would you like? ..."
+   * // session.offeredSlots = slotOptions, session.slotSelectionPending = true
+   * // session.replyButtons = [{ id: "slot_1", title: "1. Tue 9:00 AM" }, ...]
    */
-  async confirmBooking(session) {
-    try {
-      // REQUIREMENT: Patient name is mandatory - defensive check
-      if (!session.patientName || session.patientName.trim().length === 0) {
-        console.log('❌ [BOOKING] Patient name is mandatory but missing');
-        return { 
+  offerSlotOptions(session, slotOptions) {
+    const updates = {
+      offeredSlots: slotOptions,
+      slotSelectionPending: true,
+      selectedSlot: null,
+      bookingConfirmationPending: false,
+    };
+    sessionManager.updateSession(session.conversationId, updates);
+    Object.assign(session, updates);
+
+    const formatTime = date => formatClinicTime(date, { hour: 'numeric', minute: '2-digit', hour12: true });
+
+    let message = 'I found these available slots:\n\n';
+    slotOptions.forEach((slot, index) => {
+      const formattedDate = formatClinicDate(slot.startTime, { weekday: 'short', month: 'short', day: 'numeric' });
+      message += `${index + 1}. ${slot.doctor} - ${formattedDate} at ${formatTime(slot.startTime)} - ${formatTime(slot.endTime)}\n`;
+    });
+    message += '\nWhich one would you like? Tap a button, reply with its number, or tell me another day or time.';
+
+    session.replyButtons = slotOptions.map((slot, index) => ({
+      id: `${SLOT_OPTION_ID_PREFIX}${index + 1}`,
+      title: `${index + 1}. ${formatClinicDate(slot.startTime, { weekday: 'short' })} ${formatTime(slot.startTime)}`
+    }));
+
+    return message;
+  }
+
+  /**
+   * Maps the patient's reply to one of the offered slots.
+   * 
+   * Matching (first that applies):
+   * 1. Tapped slot button ("slot_2")
+   * 2. Option number ("2", "option 2", "#2") or ordinal ("the second one", "last")
+   * 3. Description - every mentioned detail must match exactly one option:
+   *    dentist ("Dr GeneralB"), day ("Tuesday", "today", "tomorrow"), time ("10am", "9:30")
+   * 
+   * @param {string} userMessage - User's message
+   * @param {Array} offeredSlots - Slot options offered to the patient
+   * @param {string|null} [buttonId=null] - Tapped reply button ID
+   * @returns {Object|null} Picked slot or null if the reply doesn't identify exactly one option
+   * 
+   * @example
+   * selectOfferedSlot("2", offeredSlots) // Returns: offeredSlots[1]
+   * selectOfferedSlot("the tuesday one with Dr GeneralB", offeredSlots) // Returns: matching option
+   * selectOfferedSlot("something next week", offeredSlots) // Returns: null
+   */
+  selectOfferedSlot(userMessage, offeredSlots, buttonId = null) {
+    if (buttonId && buttonId.startsWith(SLOT_OPTION_ID_PREFIX)) {
+      const index = parseInt(buttonId.slice(SLOT_OPTION_ID_PREFIX.length), 10) - 1;
+      return offeredSlots[index] || null;
+    }
+
+    const message = (userMessage || '').toLowerCase().trim();
+
+    // Option number
+    const numberMatch = message.match(/^(?:option|number|no\.?|#)?\s*(\d+)[.)]?$/) ||
+      message.match(/\b(?:option|number)\s*(\d+)\b/);
+    if (numberMatch) {
+      const index = parseInt(numberMatch[1], 10) - 1;
+      return offeredSlots[index] || null;
+    }
+
+    // Ordinal
+    const ordinals = { first: 0, '1st': 0, second: 1, '2nd': 1, third: 2, '3rd': 2, last: offeredSlots.length - 1 };
+    const ordinalMatch = message.match(/\b(first|1st|second|2nd|third|3rd|last)\b/);
+    if (ordinalMatch) {
+      return offeredSlots[ordinals[ordinalMatch[1]]] || null;
+    }
+
+    // Description: narrow down by every detail mentioned
+    let matches = offeredSlots;
+    let hasCriteria = false;
+
+    const mentionedDoctors = offeredSlots
+      .map(slot => slot.doctor)
+      .filter(doctor => message.includes(doctor.toLowerCase()) || message.includes(doctor.toLowerCase().replace(/^dr\.?\s*/, '')));
+    if (mentionedDoctors.length > 0) {
+      hasCriteria = true;
+      matches = matches.filter(slot => mentionedDoctors.includes(slot.doctor));
+    }
+
+    const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const weekdayMatch = message.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)\b/);
+    if (weekdayMatch) {
+      hasCriteria = true;
+      matches = matches.filter(slot => getZonedParts(slot.startTime).weekday === weekdays.indexOf(weekdayMatch[1].slice(0, 3)));
+    } else if (/\b(today|tomorrow)\b/.test(message)) {
+      hasCriteria = true;
+      const day = new Date();
+      if (message.includes('tomorrow')) day.setTime(day.getTime() + 24 * 60 * 60 * 1000);
+      matches = matches.filter(slot => toClinicDateKey(slot.startTime) === toClinicDateKey(day));
+    }
+
+    const timeMatch = message.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/) || message.match(/\b(\d{1,2}):(\d{2})\b/);
+    if (timeMatch) {
+      hasCriteria = true;
+      let hours = parseInt(timeMatch[1], 10);
+      const minutes = timeMatch[2] ? parseInt(timeMatch[2], 10) : null;
+      if (timeMatch[3] === 'pm' && hours < 12) hours += 12;
+      if (timeMatch[3] === 'am' && hours === 12) hours = 0;
+      matches = matches.filter(slot => {
+        const slotTime = getZonedParts(slot.startTime);
+        return slotTime.hours === hours && (minutes === null || slotTime.minutes === minutes);
+      });
+    }
+
+    return hasCriteria && matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Makes a slot the selected slot awaiting booking confirmation.
+   * Auto-selects the slot's dentist if none was chosen and clears any offered options.
+   * 
+   * @param {Object} session - Current session object
+   * @param {Object} slot - Slot option ({ doctor, startTime, endTime, duration, treatmentDuration })
+   * @returns {void}
+   * 
+   * @example
+   * applySlotSelection(session, session.offeredSlots[1])
+   * // session.selectedSlot = offeredSlots[1], bookingConfirmationPending = true, dentistName = slot.doctor
+   */
+  applySlotSelection(session, slot) {
+    console.log('✅ [AVAILABILITY] Setting selectedSlot in session:', {
+      startTime: slot.startTime.toISOString(),
+      endTime: slot.endTime.toISOString(),
+      doctor: slot.doctor
+    });
+
+    const updates = {
+      selectedSlot: { ...slot },
+      treatmentDuration: slot.treatmentDuration,
+      bookingConfirmationPending: true,
+      offeredSlots: null,
+      slotSelectionPending: false,
+    };
+
+    // REQUIREMENT: Update session with auto-selected dentist if not already set
+    if (!session.dentistName) {
+      console.log('✅ [AVAILABILITY] Auto-selecting dentist:', slot.doctor);
+      updates.dentistName = slot.doctor;
+      updates.dentistType = getDentistType(session.treatmentType);
+    }
+
+    sessionManager.updateSession(session.conversationId, updates);
+    Object.assign(session, updates);
+  }
+
+  /**
+   * Resets the booking state machine for another appointment in the same conversation.
+   * Clears everything about the previous appointment (treatment, dentist, slot, confirmation,
+   * date/time preference, who it is for) and keeps shared details (phone, patientName,
+   * patientProfile, bookedAppointments, conversation history).
+   * 
+   * @param {Object} session - Current session object
+   * @returns {void}
+   * 
+   * @example
+   * // After "✅ Appointment confirmed!" the patient writes "and a cleaning for my son Ben"
+   * startNextAppointment(session)
+   * // session.bookingConfirmed = false, session.treatmentType = null, session.patientName unchanged
+   */
+  startNextAppointment(session) {
+    console.log('🔁 [PRE-AI] New booking after a confirmed one, starting next appointment:', {
+      booked: (session.bookedAppointments || []).length
+    });
+    const updates = {
+      treatmentType: null,
+      treatmentDuration: null,
+      dentistName: null,
+      dentistType: null,
+      numberOfTeeth: null,
+      selectedSlot: null,
+      offeredSlots: null,
+      slotSelectionPending: false,
+      bookingConfirmationPending: false,
+      bookingConfirmed: false,
+      eventId: null,
+      dateTimePreference: null,
+      askedDoctorPreference: false,
+      askedDateTimePreference: false,
+      patientConfirmed: false,
+      patientSelectionPending: false,
+      patientOptions: null,
+      waitlistCandidate: null,
+      waitlistJoinPending: false,
+    };
+    sessionManager.updateSession(session.conversationId, updates);
+    Object.assign(session, updates);
+  }
+
+  /**
+   * Summarizes the appointments booked in this conversation for the AI prompts.
+   * 
+   * @param {Object} session - Current session object (session.bookedAppointments)
+   * @returns {string} One entry per appointment, separated by "; "
+   * 
+   * @example
+   * describeBookedAppointments(session)
+   * // Returns: "Cleaning for Emma Doe with Dr GeneralA on 10/20/2026, 10:00:00 AM"
+   */
+  describeBookedAppointments(session) {
+    return (session.bookedAppointments || [])
+      .map(appointment => `${appointment.treatment} for ${appointment.patientName} with ${appointment.doctor} on ${formatClinicDateTime(new Date(appointment.startTime))}`)
+      .join('; ');
+  }
+
+  /**
+   * Asks who the appointment is for, offering the people booked from this phone and "Someone else".
+   * Up to PATIENT_BUTTONS_COUNT people are offered as reply buttons, more as a list
+   * (id = PATIENT_OPTION_ID_PREFIX + option number, "Someone else" = PATIENT_OTHER_ID).
+   *
+   * @param {Object} session - Current session object
+   * @param {string[]} people - Names from patientProfiles.getPeople() (account holder first)
+   * @returns {string} Message asking who the appointment is for
+   *
+   * @example
+   * offerPatientOptions(session, ["John Doe", "Emma Doe"])
+   * // Returns: "Who is this appointment for?\n\n1. John Doe\n2. Emma Doe\n3. Someone else\n\n..."
+   * // session.patientOptions = ["John Doe", "Emma Doe"], session.patientSelectionPending = true
+   * // session.replyButtons = [{ id: "patient_1", title: "John Doe" }, { id: "patient_2", ... }, { id: "patient_other", title: "Someone else" }]
+   */
+  offerPatientOptions(session, people) {
+    const patientOptions = people.slice(0, 9); // List messages allow 10 rows including "Someone else"
+    const updates = { patientOptions, patientSelectionPending: true };
+    sessionManager.updateSession(session.conversationId, updates);
+    Object.assign(session, updates);
+
+    let message = 'Who is this appointment for?\n\n';
+    patientOptions.forEach((name, index) => {
+      message += `${index + 1}. ${name}\n`;
+    });
+    message += `${patientOptions.length + 1}. Someone else\n`;
+    message += '\nTap an option or reply with the name of the patient.';
+
+    const options = [
+      ...patientOptions.map((name, index) => ({ id: `${PATIENT_OPTION_ID_PREFIX}${index + 1}`, title: name })),
+      { id: PATIENT_OTHER_ID, title: 'Someone else' }
+    ];
+    if (patientOptions.length <= PATIENT_BUTTONS_COUNT) {
+      session.replyButtons = options;
+    } else {
+      session.replyList = { buttonText: 'Choose patient', rows: options };
+    }
+    return message;
+  }
+
+  /**
+   * Maps the reply to "Who is this appointment for?" to one of the offered people.
+   *
+   * Matching (first that applies):
+   * 1. Tapped button / list row ("patient_2"; "patient_other" → null)
+   * 2. Option number ("2", "#2")
+   * 3. "me" / "myself" → account holder
+   * 4. Name - exactly one offered person mentioned by first name
+   *
+   * @param {string} userMessage - User's message
+   * @param {string[]} patientOptions - People offered
+   * @param {string|null} [optionId=null] - Tapped button / list row ID
+   * @param {string|null} [holderName=null] - Account holder's name (profile name)
+   * @returns {string|null} Picked name or null (someone else, or reply doesn't identify exactly one person)
+   *
+   * @example
+   * selectPatientOption("for emma please", ["John Doe", "Emma Doe"]) // Returns: "Emma Doe"
+   * selectPatientOption("myself", ["John Doe", "Emma Doe"], null, "John Doe") // Returns: "John Doe"
+   */
+  selectPatientOption(userMessage, patientOptions, optionId = null, holderName = null) {
+    if (optionId) {
+      if (optionId === PATIENT_OTHER_ID) return null;
+      const index = parseInt(optionId.slice(PATIENT_OPTION_ID_PREFIX.length), 10) - 1;
+      return patientOptions[index] || null;
+    }
+
+    const message = (userMessage || '').toLowerCase().trim();
+
+    const numberMatch = message.match(/^(?:option|number|no\.?|#)?\s*(\d+)[.)]?$/);
+    if (numberMatch) {
+      return patientOptions[parseInt(numberMatch[1], 10) - 1] || null;
+    }
+
+    if (holderName && /\b(me|myself)\b/.test(message)) {
+      return patientOptions.find(name => patientProfiles.isSamePerson(name, holderName)) || null;
+    }
+
+    const mentioned = patientOptions.filter(name => this.mentionsName(message, name));
+    return mentioned.length === 1 ? mentioned[0] : null;
+  }
+
+  /**
+   * Checks whether a message mentions a person by first name (whole word, case-insensitive).
+   *
+   * @param {string} message - Message text
+   * @param {string} name - Person's name
+   * @returns {boolean} True if the first name appears in the message
+   *
+   * @example
+   * mentionsName("Book a cleaning for Emma", "Emma Doe") // Returns: true
+   * mentionsName("Book a cleaning", "Emma Doe")          // Returns: false
+   */
+  mentionsName(message, name) {
+    const firstName = String(name || '').trim().split(/\s+/)[0];
+    if (!firstName) return false;
+    const escaped = firstName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`, 'i').test(message || '');
+  }
+
+  /**
+   * Finds which of the people booked from this phone a cancel/reschedule/inquiry message is about,
+   * so only that person's bookings are looked up.
+   *
+   * @param {string} userMessage - User's message
+   * @param {Object} session - Current session object (session.patientProfile)
+   * @returns {string|null} Name of the one person mentioned, or null (single patient, nobody or several mentioned)
+   *
+   * @example
+   * // Profile: John Doe with dependents Emma Doe, Ben Doe
+   * findMentionedPatient("when is Ben's appointment?", session) // Returns: "Ben Doe"
+   */
+  findMentionedPatient(userMessage, session) {
+    const people = patientProfiles.getPeople(session.patientProfile);
+    if (people.length < 2) return null;
+    const mentioned = people.filter(name => this.mentionsName(userMessage, name));
+    return mentioned.length === 1 ? mentioned[0] : null;
+  }
+
+  /**
+   * Confirms and creates a calendar appointment booking.
+   * Creates a calendar event with the appointment details, updates session status,
+   * and logs the booking action. Returns confirmation message or error message.
+   * 
+   * Process:
+   * 1. Validates calendar ID exists for dentist
+   * 2. Creates calendar event via Google Calendar API
+   * 3. Updates session with confirmation status and event ID
+   * 4. Logs booking action to Google Sheets
+   * 5. Returns confirmation message with appointment details
+   * 
+   * A slot no longer free in the calendar, or held for another patient who is still deciding
+   * (see slotHolds.js), is not booked - other times are offered instead. The patient's own
+   * holds are released once the calendar event is created (or creating it failed).
+   * 
+   * Error handling:
+   * - Missing calendar ID: throws error, logs to sheets
+   * - Calendar API failure: logs failure, returns error message
+   * - All errors logged with "NEEDS FOLLOW-UP" status
+   * 
+   * @param {string} conversationId - Unique conversation identifier
+   * @param {Object} session - Current session object with appointment details
+   * @param {string} session.dentistName - Dentist name (must have a calendar in the dentist roster)
+   * @param {string} session.treatmentType - Treatment type
+   * @param {string} session.phone - Patient phone number
+   * @param {string} [session.patientName] - Patient name (defaults to "Patient" if not set)
+   * @param {Object} session.selectedSlot - Selected appointment slot (required)
+   * @param {Date} session.selectedSlot.startTime - Appointment start time (required)
+   * @param {Date} session.selectedSlot.endTime - Appointment end time (required)
+   * @returns {Promise<string>} Confirmation message with appointment details or error message
+   * 
+   * @example
+   * // Successful booking:
+   * await confirmBooking("+1234567890", {
+   *   dentistName: "Dr GeneralA",
+   *   treatmentType: "Cleaning",
+   *   phone: "+1234567890",
+   *   patientName: "John Doe",
+   *   selectedSlot: {
+   *     startTime: new Date("2024-01-16T10:00:00Z"),
+   *     endTime: new Date("2024-01-16T10:30:00Z")
+   *   }
+   * })
+   * // Output: "✅ Appointment confirmed!\n\nDoctor: Dr GeneralA\nTreatment: Cleaning\nDate: 1/16/2024\nTime: 10:00 AM - 10:30 AM\n\nWe look forward to seeing you!"
+   * // Session updated: bookingConfirmed=true, bookingConfirmationPending=false, eventId="[calendar event ID]"
+   * 
+   * @example
+   * // Missing patient name (uses default):
+   * await confirmBooking("+1234567890", {
+   *   dentistName: "Dr GeneralA",
+   *   treatmentType: "Cleaning",
+   *   phone: "+1234567890",
+   *   patientName: null,  // Not set
+   *   selectedSlot: { startTime: ..., endTime: ... }
+   * })
+   * // Calendar event created with patientName="Patient"
+   * 
+   * @example
+   * // Calendar API failure:
+   * // If googleCalendarService.createAppointment() fails:
+   * // Output: "I apologize, there was an error creating your appointment. Our receptionist will contact you shortly. Please call us if you need immediate assistance."
+   * // Logged to sheets with status="NEEDS FOLLOW-UP***************"
+   * 
+   * @example
+   * // Missing calendar ID:
+   * await confirmBooking("+1234567890", {
+   *   dentistName: "Dr. Unknown",  // Not in config
+   *   ...
+   * })
+   * // Throws error, logs to sheets, returns error message
+   */
+  async confirmBooking(session) {
+    try {
+      // REQUIREMENT: Patient name is mandatory - defensive check
+      if (!session.patientName || session.patientName.trim().length === 0) {
+        console.log('❌ [BOOKING] Patient name is mandatory but missing');
+        return { 
           success: false, 
           message: 'I apologize, but I need your name to confirm the appointment. What is your name?' 
         };
       }
       
-      const calendarId = config.calendar.dentistCalendars[session.dentistName];
+      const calendarId = dentistRoster.getCalendarId(session.dentistName);
       if (!calendarId) {
         throw new Error(`Calendar ID not found for ${session.dentistName}`);
       }
@@ -2402,6 +3179,7 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         const selectedEnd = new Date(session.selectedSlot.endTime).getTime();
         
         // Slot is available if it fully contains the selected time range
+        // (gaps already keep the treatment's buffers free next to other appointments)
         const available = slotStart <= selectedStart && slotEnd >= selectedEnd && slot.duration >= treatmentDuration;
         if (available) {
           console.log('✅ [BOOKING] Slot still available:', {
@@ -2414,7 +3192,17 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         return available;
       });
 
-      if (!slotStillAvailable) {
+      // Free in the calendar but held for another patient who has not answered yet → treated as taken
+      const heldForOthers = await this.getSlotsHeldForOthers(session);
+      const heldForOther = heldForOthers.some(held =>
+        held.doctor === session.dentistName &&
+        new Date(session.selectedSlot.startTime).getTime() < held.endTime.getTime() &&
+        new Date(session.selectedSlot.endTime).getTime() > held.startTime.getTime());
+      if (heldForOther) {
+        console.log('🔒 [BOOKING] Slot is held for another patient');
+      }
+
+      if (!slotStillAvailable || heldForOther) {
         console.log('❌ [BOOKING] Slot no longer available! Clearing and finding alternatives');
         // Slot is no longer available, clear it and ask user to choose again
         sessionManager.updateSession(session.conversationId, { 
@@ -2453,8 +3241,13 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         throw new Error('Invalid date values in selected slot');
       }
 
+      // Booking for a family member: the account holder is noted on the event
+      const holderName = session.patientProfile?.name;
       const appointmentData = {
         patientName: session.patientName || 'Patient',
+        bookedBy: holderName && session.patientName && !patientProfiles.isSamePerson(holderName, session.patientName)
+          ? holderName
+          : null,
         doctor: session.dentistName,
         treatment: session.treatmentType,
         phone: session.phone,
@@ -2472,6 +3265,8 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       });
 
       const result = await googleCalendarService.createAppointment(calendarId, appointmentData);
+      // Booked (the event now blocks the time) or failed (receptionist follows up): no longer held
+      await slotHolds.release(session.conversationId);
 
       if (result.success) {
         console.log('✅ [BOOKING] Calendar event created successfully:', {
@@ -2484,9 +3279,9 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         const slotEndTime = session.selectedSlot?.endTime;
         const slotStartTimeISO = slotStartTime?.toISOString();
         const slotEndTimeISO = slotEndTime?.toISOString();
-        const slotStartTimeLocale = slotStartTime?.toLocaleDateString();
-        const slotStartTimeLocaleTime = slotStartTime?.toLocaleTimeString();
-        const slotEndTimeLocaleTime = slotEndTime?.toLocaleTimeString();
+        const slotStartTimeLocale = formatClinicDate(slotStartTime);
+        const slotStartTimeLocaleTime = formatClinicTime(slotStartTime);
+        const slotEndTimeLocaleTime = formatClinicTime(slotEndTime);
 
         // FIX 4: Clear selectedSlot after successful booking to prevent post-processing from checking availability again
         // Also store booking details in session for cancellation flow
@@ -2511,12 +3306,14 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
           throw new Error('Invalid date values in booking details');
         }
         
+        const bookedAppointments = [...(session.bookedAppointments || []), bookingDetails];
         sessionManager.updateSession(session.conversationId, {
           bookingConfirmed: true,
           bookingConfirmationPending: false,
           eventId: result.eventId,
           selectedSlot: null, // Clear to prevent re-checking availability
           existingBooking: bookingDetails, // Store for cancellation flow
+          bookedAppointments, // All appointments booked in this conversation
           cancelledSlotToExclude: null // Clear cancelled slot exclusion after booking
         });
         
@@ -2526,6 +3323,7 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         session.eventId = result.eventId;
         session.selectedSlot = null;
         session.existingBooking = bookingDetails;
+        session.bookedAppointments = bookedAppointments;
         session.cancelledSlotToExclude = null;
 
         console.log('✅ [BOOKING] Session updated with confirmation');
@@ -2551,11 +3349,29 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         });
 
         console.log('✅ [BOOKING] Booking logged to Google Sheets');
+
+        // Remember the patient for next time (name or family member, usual dentist, last treatments)
+        const updatedProfile = await patientProfiles.recordBooking(session.phone, {
+          patientName: session.patientName,
+          dentist: session.dentistName,
+          treatment: session.treatmentType,
+          startTime: bookingDetails.startTime,
+          eventId: result.eventId,
+        });
+
+        // The next booking in this conversation asks again who it is for
+        const patientUpdates = {
+          patientProfile: updatedProfile || session.patientProfile,
+          patientConfirmed: false
+        };
+        sessionManager.updateSession(session.conversationId, patientUpdates);
+        Object.assign(session, patientUpdates);
+
         console.log('✅ [BOOKING] Booking complete!');
 
         return { 
           success: true, 
-          message: `✅ Appointment confirmed!\n\nDoctor: ${session.dentistName}\nTreatment: ${session.treatmentType}\nDate: ${slotStartTimeLocale}\nTime: ${slotStartTimeLocaleTime} - ${slotEndTimeLocaleTime}\n\nWe look forward to seeing you!`
+          message: `✅ Appointment confirmed!\n\n${appointmentData.bookedBy ? `Patient: ${session.patientName}\n` : ''}Doctor: ${session.dentistName}\nTreatment: ${session.treatmentType}\nDate: ${slotStartTimeLocale}\nTime: ${slotStartTimeLocaleTime} - ${slotEndTimeLocaleTime}\n\nWe look forward to seeing you! Need another appointment (for you or a family member)? Just let me know.`
         };
       } else {
         console.log('❌ [BOOKING] Calendar event creation failed:', result.error);
@@ -2594,6 +3410,7 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       }
     } catch (error) {
       console.error('Error confirming booking:', error);
+      await slotHolds.release(session.conversationId);
       
       // Clear state on error
       sessionManager.updateSession(session.conversationId, {
@@ -2638,6 +3455,8 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
    * @param {string} session.phone - Patient phone number (required for booking search)
    * @param {Object} [session.existingBooking] - Existing booking object (if already retrieved in previous call)
    * @param {string} userMessage - User's message (may contain confirmation: "yes", "no", etc.)
+   * @param {string|null} [buttonId=null] - Tapped reply button ID ('confirm' / 'keep'), if any
+   * @param {string|null} [listRowId=null] - Picked list row ID when choosing among several bookings
    * @returns {Promise<string>} Response message with booking details, confirmation request, or cancellation result
    * 
    * @example
@@ -2702,12 +3521,17 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
    * // Output: "I found your appointment:\n\nDoctor: ...\n\nWould you like to confirm cancellation?"
    * // (Repeats confirmation request)
    */
-  async handleCancellation(session, userMessage) {
+  async handleCancellation(session, userMessage, buttonId = null, listRowId = null) {
     try {
       // Phase 1: Find booking and ask for confirmation
       if (!session.cancellationConfirmationPending) {
-        // Find booking by phone
-        const bookings = await googleCalendarService.findBookingByPhone(session.phone);
+        // Find booking by phone (only the bookings of the family member named in the message);
+        // after a reminder, the reminded booking
+        const lookupPatient = this.findMentionedPatient(userMessage, session);
+        const remindedBooking = this.getRemindedBooking(session, lookupPatient);
+        const bookings = remindedBooking
+          ? [remindedBooking]
+          : await googleCalendarService.findBookingByPhone(session.phone, lookupPatient);
         
         if (!bookings || bookings.length === 0) {
           await googleSheetsService.logAction({
@@ -2725,69 +3549,48 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
 
           return { 
             success: false, 
-            message: 'I could not find an appointment for your phone number. Please contact our receptionist for assistance.' 
+            message: `I could not find an appointment for ${lookupPatient || 'your phone number'}. Please contact our receptionist for assistance.` 
           };
         }
 
-        // Use first booking if multiple exist (could be enhanced to let user choose)
-        const booking = bookings.length === 1 ? bookings[0] : bookings[0];
+        // Multiple bookings - let the patient pick one from a list
         if (bookings.length > 1) {
-          console.log(`⚠️ [CANCELLATION] Multiple bookings found (${bookings.length}), using first one`);
-        }
-
-        // Validate booking object structure
-        const bookingStartTime = booking.startTime instanceof Date 
-          ? booking.startTime 
-          : new Date(booking.startTime);
-        const bookingEndTime = booking.endTime instanceof Date 
-          ? booking.endTime 
-          : new Date(booking.endTime);
-        
-        // Validate doctor name
-        let doctorName = booking.doctor;
-        if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-          const calendarIdToDoctor = Object.fromEntries(
-            Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-          );
-          doctorName = calendarIdToDoctor[doctorName] || doctorName;
-          console.log('⚠️ [CANCELLATION] Found calendar ID as doctor, mapped to:', doctorName);
-        }
-        
-        // Validate dates
-        if (isNaN(bookingStartTime.getTime()) || isNaN(bookingEndTime.getTime())) {
-          console.error('❌ [CANCELLATION] Invalid dates in booking:', {
-            startTime: booking.startTime,
-            endTime: booking.endTime
+          console.log(`📋 [CANCELLATION] Multiple bookings found (${bookings.length}), asking patient to choose`);
+          sessionManager.updateSession(session.conversationId, {
+            existingBookings: bookings,
+            existingBooking: null,
+            cancellationConfirmationPending: true
           });
-          return { 
-            success: false, 
-            message: 'I found your appointment, but there was an error reading the appointment details. Please contact our receptionist for assistance.' 
+          session.existingBookings = bookings;
+          session.existingBooking = null;
+          session.cancellationConfirmationPending = true;
+          this.offerBookingList(session, bookings);
+          return {
+            success: false,
+            message: this.formatBookingListMessage(bookings, 'Which appointment would you like to cancel? Please choose from the list or reply with its number.')
           };
         }
 
-        // Store booking and ask for confirmation
-        sessionManager.updateSession(session.conversationId, {
-          existingBooking: booking,
-          cancellationConfirmationPending: true
-        });
-        session.existingBooking = booking;
-        session.cancellationConfirmationPending = true;
+        return this.askCancellationConfirmation(session, bookings[0]);
+      }
 
-        const formattedDate = bookingStartTime.toLocaleDateString('en-US', { 
-          month: 'numeric', 
-          day: 'numeric', 
-          year: 'numeric' 
-        });
-        const formattedStartTime = bookingStartTime.toLocaleTimeString('en-US', { 
-          hour: 'numeric', 
-          minute: '2-digit',
-          hour12: true 
-        });
+      // Phase 2a: Patient is choosing which of several bookings to cancel
+      if (!session.existingBooking && session.existingBookings && session.existingBookings.length > 1) {
+        const selectedBooking = this.findBookingByListRowId(listRowId, session.existingBookings) ||
+          this.selectBookingFromMessage(userMessage, session.existingBookings);
 
-        return {
-          success: false, // Not cancelled yet, waiting for confirmation
-          message: `I found your appointment:\n\nDoctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to confirm cancellation?`
-        };
+        if (!selectedBooking) {
+          // Could not determine which booking - re-ask
+          this.offerBookingList(session, session.existingBookings);
+          return {
+            success: false,
+            message: this.formatBookingListMessage(session.existingBookings, 'Which appointment would you like to cancel? Please choose from the list or reply with its number.')
+          };
+        }
+
+        sessionManager.updateSession(session.conversationId, { existingBookings: null });
+        session.existingBookings = null;
+        return this.askCancellationConfirmation(session, selectedBooking);
       }
 
       // Phase 2: User is confirming/declining
@@ -2806,7 +3609,8 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       // Detect confirmation or decline
       const confirmationResult = await this.detectConfirmationOrDecline(userMessage, {
         hasPendingSlot: false,
-        hasPendingCancellation: true
+        hasPendingCancellation: true,
+        buttonId
       });
 
       if (confirmationResult.isConfirmation) {
@@ -2821,9 +3625,7 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         
         let doctorName = booking.doctor;
         if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-          const calendarIdToDoctor = Object.fromEntries(
-            Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-          );
+          const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
           doctorName = calendarIdToDoctor[doctorName] || doctorName;
         }
 
@@ -2862,6 +3664,8 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
           session.existingBooking = null;
           session.cancellationConfirmationPending = false;
           session.intents = [];
+          await this.clearReminderContext(session);
+          await this.offerFreedSlotToWaitlist(session, booking);
           
           return { 
             success: true, 
@@ -2907,26 +3711,25 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         
         let doctorName = booking.doctor;
         if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-          const calendarIdToDoctor = Object.fromEntries(
-            Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-          );
+          const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
           doctorName = calendarIdToDoctor[doctorName] || doctorName;
         }
 
-        const formattedDate = bookingStartTime.toLocaleDateString('en-US', { 
+        const formattedDate = formatClinicDate(bookingStartTime, { 
           month: 'numeric', 
           day: 'numeric', 
           year: 'numeric' 
         });
-        const formattedStartTime = bookingStartTime.toLocaleTimeString('en-US', { 
+        const formattedStartTime = formatClinicTime(bookingStartTime, { 
           hour: 'numeric', 
           minute: '2-digit',
           hour12: true 
         });
 
+        session.replyButtons = CANCELLATION_CONFIRMATION_BUTTONS;
         return {
           success: false,
-          message: `I found your appointment:\n\nDoctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to confirm cancellation?`
+          message: `I found your appointment:\n\n${this.formatPatientLine(session, booking)}Doctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to confirm cancellation?`
         };
       }
     } catch (error) {
@@ -2938,21 +3741,361 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
     }
   }
 
+  /**
+   * Returns the booking an appointment reminder was sent for, if the patient is replying to one.
+   *
+   * @param {Object} session - Current session object
+   * @param {string|null} [patientName] - Family member named in the message
+   * @returns {Object|null} Reminded booking (session.existingBooking), or null if there is no
+   *   reminder context or the message names someone else
+   * @private
+   */
+  getRemindedBooking(session, patientName = null) {
+    const booking = session.reminderReplyPending ? session.existingBooking : null;
+    if (!booking) return null;
+    if (patientName && !patientProfiles.isSamePerson(patientName, booking.patientName)) return null;
+    return booking;
+  }
+
+  /**
+   * Confirms attendance of the reminded appointment: written back to the calendar event
+   * and logged to Google Sheets.
+   *
+   * Edge cases:
+   * - Calendar update fails → thanked anyway, logged with 'NEEDS FOLLOW-UP***************'
+   *
+   * @param {Object} session - Current session object (reminderReplyPending, existingBooking)
+   * @returns {Promise<string>} Reply message
+   *
+   * @example
+   * // Patient taps "I'll be there" on a reminder:
+   * await confirmAttendance(session)
+   * // Output: "Thank you for confirming! We look forward to seeing you:\n\nDoctor: Dr GeneralA\nDate: 10/21/2026\nTime: 9:00 AM"
+   * // Calendar event: "Attendance: Confirmed by patient", Sheets action="attendance_confirmed"
+   */
+  async confirmAttendance(session) {
+    const booking = session.existingBooking;
+    const startTime = booking.startTime instanceof Date ? booking.startTime : new Date(booking.startTime);
+    const endTime = booking.endTime instanceof Date ? booking.endTime : new Date(booking.endTime);
+
+    console.log('✅ [REMINDER] Patient confirmed attendance:', booking.calendarEventId);
+    const result = await googleCalendarService.confirmAttendance(booking.calendarId, booking.calendarEventId);
+
+    await googleSheetsService.logAction({
+      conversationId: session.conversationId,
+      phone: session.phone,
+      patientName: booking.patientName,
+      dentist: booking.doctor,
+      treatment: booking.treatment,
+      dateTime: `${startTime.toISOString()} - ${endTime.toISOString()}`,
+      eventId: booking.calendarEventId,
+      status: result.success ? 'confirmed' : 'NEEDS FOLLOW-UP***************',
+      action: result.success ? 'attendance_confirmed' : 'attendance_confirmation_failed',
+    });
+
+    sessionManager.updateSession(session.conversationId, { existingBooking: null });
+    session.existingBooking = null;
+    await this.clearReminderContext(session);
+
+    const formattedDate = formatClinicDate(startTime, { month: 'numeric', day: 'numeric', year: 'numeric' });
+    const formattedTime = formatClinicTime(startTime, { hour: 'numeric', minute: '2-digit', hour12: true });
+    return `Thank you for confirming! We look forward to seeing you:\n\n${this.formatPatientLine(session, booking)}Doctor: ${booking.doctor}\nDate: ${formattedDate}\nTime: ${formattedTime}`;
+  }
+
+  /**
+   * Ends the reply context of an appointment reminder once the patient confirmed, cancelled or
+   * moved the appointment, so sessions created later are not seeded with it again.
+   *
+   * @param {Object} session - Current session object
+   * @returns {Promise<void>}
+   * @private
+   */
+  async clearReminderContext(session) {
+    if (!session.reminderReplyPending) return;
+    sessionManager.updateSession(session.conversationId, { reminderReplyPending: false });
+    session.reminderReplyPending = false;
+    await patientProfiles.updateProfile(session.phone, { lastReminder: null });
+  }
+
+  /**
+   * Handles replies concerning the waitlist (see waitlist.js).
+   *
+   * 1. A freed slot is held for this patient: "Book it" / yes books it, "No thanks" / no passes
+   *    it on to the next waiting patient (anything else continues to the AI, which knows about the offer)
+   * 2. Nothing fitted the patient's preference (session.waitlistCandidate): "Join waitlist",
+   *    a message mentioning the waitlist, or yes to "Would you like to join the waitlist?" joins it
+   *
+   * @param {Object} session - Current session object
+   * @param {string} userMessage - User's message
+   * @param {string|null} buttonId - Tapped reply button ID
+   * @param {boolean} hasPendingQuestion - Another question (slot, cancellation, ...) awaits an answer
+   * @returns {Promise<string|null>} Reply message, or null to continue with the normal flow
+   * @private
+   */
+  async handleWaitlistReply(session, userMessage, buttonId, hasPendingQuestion) {
+    const isOfferButton = buttonId === WAITLIST_BUTTON_IDS.ACCEPT || buttonId === WAITLIST_BUTTON_IDS.DECLINE;
+    if (isOfferButton || !hasPendingQuestion) {
+      const offeredEntry = await waitlist.getOffer(session.conversationId);
+      const waitlistOffer = offeredEntry?.offer || null;
+      if (waitlistOffer || session.waitlistOffer) {
+        sessionManager.updateSession(session.conversationId, { waitlistOffer });
+        session.waitlistOffer = waitlistOffer;
+      }
+
+      if (offeredEntry) {
+        const { isConfirmation, isDecline } = isOfferButton
+          ? { isConfirmation: buttonId === WAITLIST_BUTTON_IDS.ACCEPT, isDecline: buttonId === WAITLIST_BUTTON_IDS.DECLINE }
+          : await this.detectConfirmationOrDecline(userMessage, { hasPendingWaitlistOffer: true });
+        if (isConfirmation) {
+          return this.acceptWaitlistOffer(session, offeredEntry);
+        }
+        if (isDecline) {
+          console.log('❌ [WAITLIST] Patient declined the offered slot');
+          sessionManager.updateSession(session.conversationId, { waitlistOffer: null });
+          session.waitlistOffer = null;
+          await waitlist.releaseOffer(offeredEntry.id);
+          return `No problem, I've released that appointment. You're still on the waitlist (${waitlist.describe(offeredEntry)}) and I'll let you know if something else opens up.`;
+        }
+        return null;
+      }
+      if (isOfferButton) {
+        return 'I\'m sorry, that appointment is no longer held for you - it has been offered to the next patient on the waitlist. Would you like me to look for other available times?';
+      }
+    }
+
+    const candidate = session.waitlistCandidate;
+    if (!candidate) return null;
+    const wantsToJoin = buttonId === WAITLIST_BUTTON_IDS.JOIN || /\bwait\s*-?\s*list\b/i.test(userMessage) ||
+      (session.waitlistJoinPending && (await this.detectConfirmationOrDecline(userMessage, { hasPendingWaitlistJoin: true })).isConfirmation);
+    if (!wantsToJoin) {
+      if (session.waitlistJoinPending) {
+        sessionManager.updateSession(session.conversationId, { waitlistJoinPending: false });
+        session.waitlistJoinPending = false;
+      }
+      return null;
+    }
+    return this.joinWaitlist(session, candidate);
+  }
+
+  /**
+   * Adds the patient to the waitlist for the preference nothing fitted, and ends the current booking attempt.
+   *
+   * @param {Object} session - Current session object (patientName, treatmentType, numberOfTeeth)
+   * @param {Object} candidate - session.waitlistCandidate ({ from, to, time, dentistName } from checkAvailability())
+   * @returns {Promise<string>} Reply message
+   *
+   * @example
+   * await joinWaitlist(session, { from, to, time: { hours: 9, minutes: 0 }, dentistName: null })
+   * // Output: "You're on the waitlist for Cleaning: Tue, Oct 20 around 9:00 AM with any dentist. ..."
+   */
+  async joinWaitlist(session, candidate) {
+    const result = await waitlist.join({
+      conversationId: session.conversationId,
+      phone: session.phone,
+      patientName: session.patientName,
+      treatmentType: session.treatmentType,
+      numberOfTeeth: session.numberOfTeeth,
+      dentistName: candidate.dentistName,
+      from: candidate.from,
+      to: candidate.to,
+      time: candidate.time,
+    });
+
+    const updates = {
+      waitlistCandidate: null,
+      waitlistJoinPending: false,
+      offeredSlots: null,
+      slotSelectionPending: false,
+      selectedSlot: null,
+      bookingConfirmationPending: false,
+      dateTimePreference: null,
+      intents: []
+    };
+    sessionManager.updateSession(session.conversationId, updates);
+    Object.assign(session, updates);
+    await slotHolds.release(session.conversationId);
+
+    if (!result.success) {
+      await googleSheetsService.logAction({
+        conversationId: session.conversationId,
+        phone: session.phone,
+        patientName: session.patientName,
+        treatment: session.treatmentType,
+        status: 'NEEDS FOLLOW-UP***************',
+        action: 'waitlist_join_failed',
+      });
+      return 'I apologize, I could not add you to the waitlist. Our receptionist will contact you to find a time.';
+    }
+
+    return `You're on the waitlist for ${result.entry.treatmentType}: ${waitlist.describe(result.entry)}. ` +
+      `If an appointment opens up, I'll message you right away and hold it for you for ${waitlist.holdMinutes} minutes.`;
+  }
+
+  /**
+   * Books a freed slot held for the patient. On failure (slot taken meanwhile) the hold is released
+   * and confirmBooking()'s reply offers other times; the patient stays on the waitlist.
+   *
+   * @param {Object} session - Current session object
+   * @param {Object} entry - Offered waitlist entry (entry.offer = held slot)
+   * @returns {Promise<string>} Reply message (booking confirmation on success)
+   * @private
+   */
+  async acceptWaitlistOffer(session, entry) {
+    const { offer } = entry;
+    console.log('✅ [WAITLIST] Patient accepted the offered slot:', offer.doctor, new Date(offer.startTime).toISOString());
+
+    const updates = {
+      intents: [INTENTS.BOOKING],
+      treatmentType: entry.treatmentType,
+      numberOfTeeth: entry.numberOfTeeth,
+      patientName: entry.patientName,
+      patientConfirmed: true,
+      dentistName: offer.doctor,
+      dentistType: getDentistType(entry.treatmentType),
+      selectedSlot: {
+        doctor: offer.doctor,
+        startTime: new Date(offer.startTime),
+        endTime: new Date(offer.endTime),
+        duration: offer.treatmentDuration,
+        treatmentDuration: offer.treatmentDuration
+      },
+      bookingConfirmationPending: true,
+      bookingConfirmed: false,
+      waitlistOffer: null
+    };
+    sessionManager.updateSession(session.conversationId, updates);
+    Object.assign(session, updates);
+
+    const result = await this.confirmBooking(session);
+    if (result.success) {
+      await waitlist.completeOffer(entry.id);
+      session.lastResponseKind = OUTBOUND_KINDS.BOOKING_CONFIRMATION;
+    } else {
+      await waitlist.releaseOffer(entry.id, 'unavailable');
+    }
+    return result.message;
+  }
+
+  /**
+   * Offers an appointment freed by a cancellation (or the old appointment of a reschedule) to the waitlist.
+   *
+   * @param {Object} session - Current session object (its own conversation is not offered the slot)
+   * @param {Object} booking - Cancelled booking { doctor, startTime, endTime }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async offerFreedSlotToWaitlist(session, booking) {
+    if (!waitlist.enabled) return;
+    const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
+    await waitlist.offerFreedSlot({
+      doctor: calendarIdToDoctor[booking.doctor] || booking.doctor,
+      startTime: booking.startTime,
+      endTime: booking.endTime
+    }, { exceptConversationId: session.conversationId });
+  }
+
+  /**
+   * Returns the slots held for other patients: slots offered to them and awaiting their answer
+   * (see slotHolds.js) and freed slots held for waitlisted patients (see waitlist.js).
+   *
+   * @param {Object} session - Current session object (its own holds are left out)
+   * @returns {Promise<Array>} Held slots [{ doctor, startTime, endTime }]
+   * @private
+   */
+  async getSlotsHeldForOthers(session) {
+    const [offered, waitlisted] = await Promise.all([
+      slotHolds.getHeldSlots(session.conversationId),
+      waitlist.enabled ? waitlist.getHeldSlots(session.conversationId) : []
+    ]);
+    return [...offered, ...waitlisted];
+  }
+
+  /**
+   * Stores a booking as the cancellation candidate and asks the patient to confirm.
+   * Used after the booking was found (single booking) or picked (multiple bookings).
+   * 
+   * @param {Object} session - Current session object
+   * @param {Object} booking - Booking to cancel
+   * @returns {Object} { success: false, message } - confirmation question (with reply buttons)
+   * @private
+   */
+  askCancellationConfirmation(session, booking) {
+    // Validate booking object structure
+    const bookingStartTime = booking.startTime instanceof Date 
+      ? booking.startTime 
+      : new Date(booking.startTime);
+    const bookingEndTime = booking.endTime instanceof Date 
+      ? booking.endTime 
+      : new Date(booking.endTime);
+    
+    // Validate doctor name
+    let doctorName = booking.doctor;
+    if (doctorName && doctorName.includes('@group.calendar.google.com')) {
+      const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
+      doctorName = calendarIdToDoctor[doctorName] || doctorName;
+      console.log('⚠️ [CANCELLATION] Found calendar ID as doctor, mapped to:', doctorName);
+    }
+    
+    // Validate dates
+    if (isNaN(bookingStartTime.getTime()) || isNaN(bookingEndTime.getTime())) {
+      console.error('❌ [CANCELLATION] Invalid dates in booking:', {
+        startTime: booking.startTime,
+        endTime: booking.endTime
+      });
+      return { 
+        success: false, 
+        message: 'I found your appointment, but there was an error reading the appointment details. Please contact our receptionist for assistance.' 
+      };
+    }
+
+    // Store booking and ask for confirmation
+    sessionManager.updateSession(session.conversationId, {
+      existingBooking: booking,
+      cancellationConfirmationPending: true
+    });
+    session.existingBooking = booking;
+    session.cancellationConfirmationPending = true;
+
+    const formattedDate = formatClinicDate(bookingStartTime, { 
+      month: 'numeric', 
+      day: 'numeric', 
+      year: 'numeric' 
+    });
+    const formattedStartTime = formatClinicTime(bookingStartTime, { 
+      hour: 'numeric', 
+      minute: '2-digit',
+      hour12: true 
+    });
+
+    session.replyButtons = CANCELLATION_CONFIRMATION_BUTTONS;
+    return {
+      success: false, // Not cancelled yet, waiting for confirmation
+      message: `I found your appointment:\n\n${this.formatPatientLine(session, booking)}Doctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to confirm cancellation?`
+    };
+  }
+
   /**
    * Handles reschedule flow in two phases:
    * Phase 1: Find all existing bookings by phone, ask user which one to reschedule
+   *          (interactive list when there are several)
    * Phase 2: User confirms → Cancel old booking → Proceed with booking flow for new slot
    * 
    * @param {Object} session - Current session object
    * @param {string} userMessage - User's message
+   * @param {string|null} [listRowId=null] - Picked list row ID when choosing among several bookings
    * @returns {Promise<Object>} { success: boolean, message: string, shouldProceedToBooking?: boolean }
    */
-  async handleReschedule(session, userMessage) {
+  async handleReschedule(session, userMessage, listRowId = null) {
     try {
       // Phase 1: Find bookings and ask for confirmation
       if (!session.rescheduleConfirmationPending) {
-        // Find bookings by phone
-        const bookings = await googleCalendarService.findBookingByPhone(session.phone);
+        // Find bookings by phone (only the bookings of the family member named in the message);
+        // after a reminder, the reminded booking
+        const lookupPatient = this.findMentionedPatient(userMessage, session);
+        const remindedBooking = this.getRemindedBooking(session, lookupPatient);
+        const bookings = remindedBooking
+          ? [remindedBooking]
+          : await googleCalendarService.findBookingByPhone(session.phone, lookupPatient);
         
         if (!bookings || bookings.length === 0) {
           await googleSheetsService.logAction({
@@ -2964,7 +4107,7 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
 
           return { 
             success: false, 
-            message: 'I could not find any appointments for your phone number. Would you like to book a new appointment instead?',
+            message: `I could not find any appointments for ${lookupPatient || 'your phone number'}. Would you like to book a new appointment instead?`,
             shouldProceedToBooking: false
           };
         }
@@ -2981,18 +4124,16 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
           
           let doctorName = booking.doctor;
           if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-            const calendarIdToDoctor = Object.fromEntries(
-              Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-            );
+            const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
             doctorName = calendarIdToDoctor[doctorName] || doctorName;
           }
 
-          const formattedDate = bookingStartTime.toLocaleDateString('en-US', { 
+          const formattedDate = formatClinicDate(bookingStartTime, { 
             month: 'numeric', 
             day: 'numeric', 
             year: 'numeric' 
           });
-          const formattedStartTime = bookingStartTime.toLocaleTimeString('en-US', { 
+          const formattedStartTime = formatClinicTime(bookingStartTime, { 
             hour: 'numeric', 
             minute: '2-digit',
             hour12: true 
@@ -3008,43 +4149,14 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
 
           return {
             success: false, // Not rescheduled yet, waiting for confirmation
-            message: `I found your appointment:\n\nDoctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to reschedule this appointment?`,
+            message: `I found your appointment:\n\n${this.formatPatientLine(session, booking)}Doctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to reschedule this appointment?`,
             shouldProceedToBooking: false
           };
         }
 
-        // Multiple bookings - list them and ask user to specify
-        let message = 'I found multiple appointments:\n\n';
-        bookings.forEach((booking, index) => {
-          const bookingStartTime = booking.startTime instanceof Date 
-            ? booking.startTime 
-            : new Date(booking.startTime);
-          const bookingEndTime = booking.endTime instanceof Date 
-            ? booking.endTime 
-            : new Date(booking.endTime);
-          
-          let doctorName = booking.doctor;
-          if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-            const calendarIdToDoctor = Object.fromEntries(
-              Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-            );
-            doctorName = calendarIdToDoctor[doctorName] || doctorName;
-          }
-
-          const formattedDate = bookingStartTime.toLocaleDateString('en-US', { 
-            month: 'numeric', 
-            day: 'numeric', 
-            year: 'numeric' 
-          });
-          const formattedStartTime = bookingStartTime.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-          });
-
-          message += `${index + 1}. Doctor: ${doctorName}, Date: ${formattedDate}, Time: ${formattedStartTime}\n`;
-        });
-        message += '\nWhich appointment would you like to reschedule? Please specify by number or date/time.';
+        // Multiple bookings - let the patient pick one from a list
+        const message = this.formatBookingListMessage(bookings, 'Which appointment would you like to reschedule? Please choose from the list or reply with its number.');
+        this.offerBookingList(session, bookings);
 
         // Store all bookings for selection
         sessionManager.updateSession(session.conversationId, {
@@ -3064,35 +4176,13 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       // Phase 2: User is confirming/selecting booking to reschedule
       if (session.existingBookings && session.existingBookings.length > 1) {
         // User needs to select which booking to reschedule
-        const selectedBooking = this.selectBookingFromMessage(userMessage, session.existingBookings);
+        const selectedBooking = this.findBookingByListRowId(listRowId, session.existingBookings) ||
+          this.selectBookingFromMessage(userMessage, session.existingBookings);
         
         if (!selectedBooking) {
           // Could not determine which booking - re-ask
-          let message = 'I found multiple appointments:\n\n';
-          session.existingBookings.forEach((booking, index) => {
-            const bookingStartTime = booking.startTime instanceof Date 
-              ? booking.startTime 
-              : new Date(booking.startTime);
-            let doctorName = booking.doctor;
-            if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-              const calendarIdToDoctor = Object.fromEntries(
-                Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-              );
-              doctorName = calendarIdToDoctor[doctorName] || doctorName;
-            }
-            const formattedDate = bookingStartTime.toLocaleDateString('en-US', { 
-              month: 'numeric', 
-              day: 'numeric', 
-              year: 'numeric' 
-            });
-            const formattedStartTime = bookingStartTime.toLocaleTimeString('en-US', { 
-              hour: 'numeric', 
-              minute: '2-digit',
-              hour12: true 
-            });
-            message += `${index + 1}. Doctor: ${doctorName}, Date: ${formattedDate}, Time: ${formattedStartTime}\n`;
-          });
-          message += '\nWhich appointment would you like to reschedule? Please specify by number or date/time.';
+          const message = this.formatBookingListMessage(session.existingBookings, 'Which appointment would you like to reschedule? Please choose from the list or reply with its number.');
+          this.offerBookingList(session, session.existingBookings);
 
           return {
             success: false,
@@ -3116,18 +4206,16 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
 
         let doctorName = selectedBooking.doctor;
         if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-          const calendarIdToDoctor = Object.fromEntries(
-            Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-          );
+          const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
           doctorName = calendarIdToDoctor[doctorName] || doctorName;
         }
 
-        const formattedDate = bookingStartTime.toLocaleDateString('en-US', {
+        const formattedDate = formatClinicDate(bookingStartTime, {
           month: 'numeric',
           day: 'numeric',
           year: 'numeric'
         });
-        const formattedStartTime = bookingStartTime.toLocaleTimeString('en-US', {
+        const formattedStartTime = formatClinicTime(bookingStartTime, {
           hour: 'numeric',
           minute: '2-digit',
           hour12: true
@@ -3135,7 +4223,7 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
 
         return {
           success: false, // Not rescheduled yet, waiting for confirmation
-          message: `I selected your appointment:\n\nDoctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to reschedule this appointment?`,
+          message: `I selected your appointment:\n\n${this.formatPatientLine(session, selectedBooking)}Doctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to reschedule this appointment?`,
           shouldProceedToBooking: false
         };
       }
@@ -3187,19 +4275,32 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
           doctor: booking.doctor
         };
 
+        // The new appointment is for the same person as the old one (family members share a phone)
+        const patientName = booking.patientName && booking.patientName !== 'Patient'
+          ? booking.patientName
+          : session.patientName;
+
         // Clear reschedule state and proceed to booking flow
         sessionManager.updateSession(session.conversationId, {
           existingBookingToReschedule: null,
           rescheduleConfirmationPending: false,
           eventId: null, // Clear old event ID
           bookingConfirmed: false, // Reset booking confirmed status
-          cancelledSlotToExclude: cancelledSlot
+          cancelledSlotToExclude: cancelledSlot,
+          patientName,
+          patientConfirmed: !!patientName
         });
         session.existingBookingToReschedule = null;
         session.rescheduleConfirmationPending = false;
         session.eventId = null;
         session.bookingConfirmed = false;
         session.cancelledSlotToExclude = cancelledSlot;
+        session.patientName = patientName;
+        session.patientConfirmed = !!patientName;
+        await this.clearReminderContext(session);
+        if (cancelResult.success) {
+          await this.offerFreedSlotToWaitlist(session, booking);
+        }
 
         return {
           success: true,
@@ -3231,18 +4332,16 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
         
         let doctorName = booking.doctor;
         if (doctorName && doctorName.includes('@group.calendar.google.com')) {
-          const calendarIdToDoctor = Object.fromEntries(
-            Object.entries(config.calendar.dentistCalendars).map(([doc, cal]) => [cal, doc])
-          );
+          const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
           doctorName = calendarIdToDoctor[doctorName] || doctorName;
         }
 
-        const formattedDate = bookingStartTime.toLocaleDateString('en-US', { 
+        const formattedDate = formatClinicDate(bookingStartTime, { 
           month: 'numeric', 
           day: 'numeric', 
           year: 'numeric' 
         });
-        const formattedStartTime = bookingStartTime.toLocaleTimeString('en-US', { 
+        const formattedStartTime = formatClinicTime(bookingStartTime, { 
           hour: 'numeric', 
           minute: '2-digit',
           hour12: true 
@@ -3250,7 +4349,7 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
 
         return {
           success: false,
-          message: `I found your appointment:\n\nDoctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to reschedule this appointment?`,
+          message: `I found your appointment:\n\n${this.formatPatientLine(session, booking)}Doctor: ${doctorName}\nDate: ${formattedDate}\nTime: ${formattedStartTime}\n\nWould you like to reschedule this appointment?`,
           shouldProceedToBooking: false
         };
       }
@@ -3264,6 +4363,152 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
     }
   }
 
+  /**
+   * Maps a booking's doctor field to a display name.
+   * Bookings parsed from calendar events sometimes carry the calendar ID instead of the name.
+   * 
+   * @param {string} doctor - Doctor name or calendar ID
+   * @returns {string} Doctor name (or the input if no mapping exists)
+   * 
+   * @example
+   * getDoctorDisplayName("abc123@group.calendar.google.com") // Returns: "Dr GeneralA"
+   */
+  getDoctorDisplayName(doctor) {
+    if (doctor && doctor.includes('@group.calendar.google.com')) {
+      const calendarIdToDoctor = dentistRoster.getCalendarIdToDentistMap();
+      return calendarIdToDoctor[doctor] || doctor;
+    }
+    return doctor;
+  }
+
+  /**
+   * Formats a numbered list of bookings followed by a question.
+   * Used as the message body (and plain-text fallback) of booking list pickers.
+   * 
+   * @param {Array} bookings - Array of booking objects
+   * @param {string} question - Question appended after the list
+   * @returns {string} Message text
+   * 
+   * @example
+   * formatBookingListMessage(bookings, 'Which appointment would you like to cancel?')
+   * // Returns: "I found multiple appointments:\n\n1. Doctor: Dr GeneralA, Date: 1/16/2024, Time: 10:00 AM\n...\n\nWhich appointment would you like to cancel?"
+   */
+  formatBookingListMessage(bookings, question) {
+    const showPatient = this.hasSeveralPatients(bookings);
+    let message = 'I found multiple appointments:\n\n';
+    bookings.forEach((booking, index) => {
+      const bookingStartTime = booking.startTime instanceof Date 
+        ? booking.startTime 
+        : new Date(booking.startTime);
+      const formattedDate = formatClinicDate(bookingStartTime, { 
+        month: 'numeric', 
+        day: 'numeric', 
+        year: 'numeric' 
+      });
+      const formattedStartTime = formatClinicTime(bookingStartTime, { 
+        hour: 'numeric', 
+        minute: '2-digit',
+        hour12: true 
+      });
+      const patientText = showPatient ? `Patient: ${booking.patientName}, ` : '';
+      message += `${index + 1}. ${patientText}Doctor: ${this.getDoctorDisplayName(booking.doctor)}, Date: ${formattedDate}, Time: ${formattedStartTime}\n`;
+    });
+    message += `\n${question}`;
+    return message;
+  }
+
+  /**
+   * Attaches a WhatsApp list picker of bookings to the current reply.
+   * Each row id is BOOKING_LIST_ROW_PREFIX + calendarEventId, so the pick maps back
+   * to an exact booking via findBookingByListRowId().
+   * 
+   * @param {Object} session - Current session object (session.replyList is set)
+   * @param {Array} bookings - Array of booking objects (max 10 shown)
+   * @returns {void}
+   * 
+   * @example
+   * offerBookingList(session, bookings)
+   * // session.replyList = { buttonText: "Choose appointment", rows: [{ id: "booking_evt123", title: "Tue, Jan 16, 10:00 AM", description: "Dr GeneralA · Cleaning" }, ...] }
+   * // Bookings of several family members: description "Emma Doe · Dr GeneralA · Cleaning"
+   */
+  offerBookingList(session, bookings) {
+    const showPatient = this.hasSeveralPatients(bookings);
+    const rows = bookings.map(booking => {
+      const bookingStartTime = booking.startTime instanceof Date 
+        ? booking.startTime 
+        : new Date(booking.startTime);
+      const title = `${formatClinicDate(bookingStartTime, { weekday: 'short', month: 'short', day: 'numeric' })}, ` +
+        formatClinicTime(bookingStartTime, { hour: 'numeric', minute: '2-digit', hour12: true });
+      const doctorName = this.getDoctorDisplayName(booking.doctor);
+      const details = booking.treatment ? `${doctorName} · ${booking.treatment}` : doctorName;
+      return {
+        id: `${BOOKING_LIST_ROW_PREFIX}${booking.calendarEventId}`,
+        title,
+        description: showPatient ? `${booking.patientName} · ${details}` : details
+      };
+    });
+    session.replyList = { buttonText: 'Choose appointment', rows };
+  }
+
+  /**
+   * Checks whether bookings belong to more than one person (family members sharing a phone).
+   * 
+   * @param {Array} bookings - Array of booking objects
+   * @returns {boolean} True if the bookings have different patient names
+   * @private
+   */
+  hasSeveralPatients(bookings) {
+    return bookings.some(booking => !patientProfiles.isSamePerson(booking.patientName, bookings[0].patientName));
+  }
+
+  /**
+   * Returns the "Patient: <name>" line shown with an appointment when several
+   * people are booked from this phone ('' otherwise).
+   * 
+   * @param {Object} session - Current session object (session.patientProfile)
+   * @param {Object} booking - Booking object
+   * @returns {string} Line with trailing newline, or ''
+   * @private
+   */
+  formatPatientLine(session, booking) {
+    const isFamily = patientProfiles.getPeople(session.patientProfile).length > 1;
+    return isFamily && booking.patientName ? `Patient: ${booking.patientName}\n` : '';
+  }
+
+  /**
+   * Finds the booking picked from a booking list message.
+   * 
+   * @param {string} listRowId - Row ID from the list reply (e.g., "booking_evt123")
+   * @param {Array} bookings - Bookings that were offered
+   * @returns {Object|null} Picked booking or null if the row doesn't match any booking
+   * 
+   * @example
+   * findBookingByListRowId("booking_evt123", bookings) // Returns: booking with calendarEventId "evt123"
+   */
+  findBookingByListRowId(listRowId, bookings) {
+    if (!listRowId || !listRowId.startsWith(BOOKING_LIST_ROW_PREFIX) || !bookings) return null;
+    const calendarEventId = listRowId.slice(BOOKING_LIST_ROW_PREFIX.length);
+    return bookings.find(booking => booking.calendarEventId === calendarEventId) || null;
+  }
+
+  /**
+   * Formats full appointment details for an appointment inquiry.
+   * 
+   * @param {Object} booking - Booking object
+   * @returns {string} Appointment details message
+   */
+  formatAppointmentDetails(booking) {
+    const bookingStartTime = booking.startTime instanceof Date ? booking.startTime : new Date(booking.startTime);
+    const bookingEndTime = booking.endTime instanceof Date ? booking.endTime : new Date(booking.endTime);
+    return `Here are your appointment details:\n\n` +
+      `**Doctor:** ${this.getDoctorDisplayName(booking.doctor)}\n` +
+      `**Patient:** ${booking.patientName}\n` +
+      `${booking.treatment ? `**Treatment:** ${booking.treatment}\n` : ''}` +
+      `**Date:** ${formatClinicDate(bookingStartTime)}\n` +
+      `**Time:** ${formatClinicTime(bookingStartTime)} - ${formatClinicTime(bookingEndTime)}\n` +
+      `\nIs there anything else I can help you with?`;
+  }
+
   /**
    * Helper function to select a booking from user message when multiple bookings exist
    * @param {string} userMessage - User's message
@@ -3287,12 +4532,12 @@ Respond naturally as a dental receptionist would, providing the relevant pricing
       const bookingStartTime = booking.startTime instanceof Date 
         ? booking.startTime 
         : new Date(booking.startTime);
-      const formattedDate = bookingStartTime.toLocaleDateString('en-US', { 
+      const formattedDate = formatClinicDate(bookingStartTime, { 
         month: 'long', 
         day: 'numeric', 
         year: 'numeric' 
       });
-      const formattedTime = bookingStartTime.toLocaleTimeString('en-US', { 
+      const formattedTime = formatClinicTime(bookingStartTime, { 
         hour: 'numeric', 
         minute: '2-digit',
         hour12: true 
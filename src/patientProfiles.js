@@ -0,0 +1,320 @@
+/**
+ * Patient Profiles module remembering returning patients.
+ *
+ * Sessions expire after a few minutes of inactivity; profiles keep what we know about a
+ * patient across conversations so a returning patient is greeted by name and does not
+ * have to repeat themselves. Profiles are keyed by normalized phone number (per clinic
+ * when several tenants are configured, see tenants.js).
+ *
+ * Profile model:
+ * {
+ *   phone: "+491701234567",             // Normalized phone (+ and digits only)
+ *   name: "John Doe",                    // Account holder (the person chatting)
+ *   dependents: ["Emma Doe"],            // Family members booked from this phone (children, partner)
+ *   preferredDentist: "Dr GeneralA",     // Dentist of the account holder's latest booking
+ *   preferredLanguage: "German",         // Language the patient writes in (detected from their messages)
+ *   lastTreatments: [                    // Latest bookings first, at most MAX_LAST_TREATMENTS
+ *     { patientName: "Emma Doe", treatment: "Cleaning", dentist: "Dr GeneralA", startTime: "2026-10-20T08:00:00.000Z", eventId: "evt123" }
+ *   ],
+ *   notes: ["anxious about needles"],    // What the patient told about themselves, for staff and the AI (latest MAX_NOTES)
+ *   consent: { reminders: false },       // Consent flags; reminders: false after "stop sending reminders" (see reminderScheduler.js)
+ *   lastReminder: {                      // Latest appointment reminder (reply context, see reminderScheduler.js)
+ *     booking: { patientName: "Emma Doe", doctor: "Dr GeneralA", startTime: "...", calendarEventId: "evt123", ... },
+ *     offsetHours: 48, sentAt: "..."
+ *   },
+ *   createdAt: "...", updatedAt: "..."
+ * }
+ *
+ * Used by sessionManager.loadSession() (pre-fills new sessions), openaiHandler.js
+ * ("who is this appointment for?" step, per-person booking lookup, language, notes and
+ * reminder consent taken from the patient's messages),
+ * openaiHandler.confirmBooking() (records the booking) and reminderScheduler.js (records
+ * the latest reminder so a reply days later still refers to the reminded appointment).
+ *
+ * Storage: module store (createModuleStore(), "patient:" keys, PATIENT_PROFILE_FILE_PATH).
+ * Profiles expire after PATIENT_PROFILE_RETENTION_DAYS without a booking or update.
+ *
+ * @module patientProfiles
+ */
+
+import { config } from './config.js';
+import { createModuleStore } from './sessionStore.js';
+import { tenantRegistry } from './tenants.js';
+
+/**
+ * Number of past bookings kept in a profile.
+ */
+const MAX_LAST_TREATMENTS = 5;
+
+/**
+ * Number of notes kept in a profile (oldest dropped first).
+ */
+const MAX_NOTES = 10;
+
+/**
+ * PatientProfileStore class answering "have we seen this patient before?".
+ *
+ * @class PatientProfileStore
+ */
+export class PatientProfileStore {
+  /**
+   * Initializes the profile store.
+   *
+   * @param {Object} [store] - Store adapter (defaults to the module store, see createModuleStore())
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // SESSION_STORE=redis → profiles stored in Redis under "patient:<phone>"
+   */
+  constructor(store = createModuleStore(config.patients.filePath, 'patient:')) {
+    this.store = store;
+    this.retentionMs = config.patients.retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Normalizes a phone number for use as profile key.
+   *
+   * @param {string} phone - Phone number in any format ("+49 170 1234567", "491701234567")
+   * @returns {string} "+" followed by digits ('' if no digits)
+   *
+   * @example
+   * patientProfiles.normalizePhone("+49 (170) 123-4567")  // Returns: "+491701234567"
+   * patientProfiles.normalizePhone("491701234567")        // Returns: "+491701234567"
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits ? `+${digits}` : '';
+  }
+
+  /**
+   * Returns the store key of a phone number at the active tenant.
+   *
+   * @param {string} phone - Phone number
+   * @returns {string} Key ('' if the phone has no digits)
+   * @private
+   */
+  getKey(phone) {
+    const normalized = this.normalizePhone(phone);
+    if (!normalized) return '';
+    return tenantRegistry.getConversationId(tenantRegistry.getCurrentTenant(), normalized);
+  }
+
+  /**
+   * Loads the profile of a patient.
+   *
+   * Edge cases:
+   * - Unknown patient → null
+   * - Store unavailable → error logged, null (the conversation continues without profile)
+   *
+   * @param {string} phone - Patient phone number
+   * @returns {Promise<Object|null>} Profile or null
+   *
+   * @example
+   * await patientProfiles.getProfile("+491701234567")
+   * // Returns: { phone: "+491701234567", name: "John Doe", preferredDentist: "Dr GeneralA", ... }
+   */
+  async getProfile(phone) {
+    const key = this.getKey(phone);
+    if (!key) return null;
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error('❌ [PATIENTS] Error loading patient profile:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Creates or updates a patient profile (partial updates, like sessionManager.updateSession()).
+   *
+   * @param {string} phone - Patient phone number
+   * @param {Object} updates - Fields to set (name, dependents, preferredDentist, preferredLanguage, lastTreatments, notes, consent, lastReminder)
+   * @returns {Promise<Object|null>} Updated profile, or null if the phone is invalid or the store failed
+   *
+   * @example
+   * await patientProfiles.updateProfile("+491701234567", { preferredLanguage: "German" })
+   */
+  async updateProfile(phone, updates) {
+    const key = this.getKey(phone);
+    if (!key) return null;
+    try {
+      const existing = await this.store.get(key);
+      const now = new Date().toISOString();
+      const profile = {
+        phone: this.normalizePhone(phone),
+        name: null,
+        dependents: [],
+        preferredDentist: null,
+        preferredLanguage: null,
+        lastTreatments: [],
+        notes: [],
+        consent: {},
+        lastReminder: null,
+        createdAt: now,
+        ...(existing || {}),
+        ...updates,
+        updatedAt: now,
+      };
+      await this.store.set(key, profile, this.retentionMs);
+      return profile;
+    } catch (error) {
+      console.error('❌ [PATIENTS] Error saving patient profile:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether two names refer to the same person (case-insensitive, first names
+   * match when one of the names is a first name only).
+   *
+   * @param {string} nameA - Name
+   * @param {string} nameB - Name
+   * @returns {boolean} True if both names are given and match
+   *
+   * @example
+   * patientProfiles.isSamePerson("Emma Doe", "emma")   // Returns: true
+   * patientProfiles.isSamePerson("Emma Doe", "Ben Doe") // Returns: false
+   */
+  isSamePerson(nameA, nameB) {
+    const partsA = String(nameA || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+    const partsB = String(nameB || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+    if (partsA.length === 0 || partsB.length === 0) return false;
+    if (partsA.join(' ') === partsB.join(' ')) return true;
+    return (partsA.length === 1 || partsB.length === 1) && partsA[0] === partsB[0];
+  }
+
+  /**
+   * Returns everyone booked from a phone: the account holder followed by the dependents.
+   *
+   * @param {Object|null} profile - Profile from getProfile()
+   * @returns {string[]} Names (empty for unknown patients)
+   *
+   * @example
+   * patientProfiles.getPeople({ name: "John Doe", dependents: ["Emma Doe", "Ben Doe"] })
+   * // Returns: ["John Doe", "Emma Doe", "Ben Doe"]
+   */
+  getPeople(profile) {
+    const people = [];
+    for (const name of [profile?.name, ...(profile?.dependents || [])]) {
+      if (name && !people.some(known => this.isSamePerson(known, name))) {
+        people.push(name);
+      }
+    }
+    return people;
+  }
+
+  /**
+   * Returns the usual dentist of a person booked from a phone.
+   *
+   * @param {Object|null} profile - Profile from getProfile()
+   * @param {string} [patientName] - Person the appointment is for (default: account holder)
+   * @returns {string|null} Dentist of the person's latest booking, or null
+   *
+   * @example
+   * patientProfiles.getPreferredDentist(profile, "Emma Doe")  // Returns: "Dr BracesA"
+   */
+  getPreferredDentist(profile, patientName = null) {
+    if (!profile) return null;
+    if (!patientName || this.isSamePerson(patientName, profile.name)) {
+      return profile.preferredDentist || null;
+    }
+    const lastVisit = (profile.lastTreatments || []).find(entry => this.isSamePerson(entry.patientName, patientName));
+    return lastVisit?.dentist || null;
+  }
+
+  /**
+   * Records a confirmed booking and adds the treatment to lastTreatments.
+   *
+   * The first person booked from a phone becomes the account holder (name, preferred
+   * dentist); bookings for anyone else add that person to the dependents.
+   *
+   * @param {string} phone - Patient phone number
+   * @param {Object} booking - Booking details
+   * @param {string} [booking.patientName] - Name of the person the appointment is for
+   * @param {string} booking.dentist - Dentist name
+   * @param {string} booking.treatment - Treatment name
+   * @param {Date} booking.startTime - Appointment start
+   * @param {string} [booking.eventId] - Calendar event ID
+   * @returns {Promise<Object|null>} Updated profile or null
+   *
+   * @example
+   * await patientProfiles.recordBooking("+491701234567", {
+   *   patientName: "Emma Doe", dentist: "Dr GeneralA", treatment: "Cleaning",
+   *   startTime: new Date("2026-10-20T08:00:00Z"), eventId: "evt123"
+   * })
+   * // Profile of John Doe: dependents ["Emma Doe"], preferredDentist unchanged
+   */
+  async recordBooking(phone, booking) {
+    const existing = await this.getProfile(phone);
+    const entry = {
+      patientName: booking.patientName || null,
+      treatment: booking.treatment,
+      dentist: booking.dentist,
+      startTime: booking.startTime,
+      eventId: booking.eventId || null,
+    };
+    const updates = {
+      lastTreatments: [entry, ...(existing?.lastTreatments || [])].slice(0, MAX_LAST_TREATMENTS),
+    };
+
+    const isAccountHolder = !existing?.name || !booking.patientName ||
+      this.isSamePerson(existing.name, booking.patientName);
+    if (isAccountHolder) {
+      if (booking.patientName) updates.name = booking.patientName;
+      updates.preferredDentist = booking.dentist || existing?.preferredDentist || null;
+    } else if (!this.getPeople(existing).some(name => this.isSamePerson(name, booking.patientName))) {
+      updates.dependents = [...(existing.dependents || []), booking.patientName];
+    }
+    return this.updateProfile(phone, updates);
+  }
+
+  /**
+   * Records what the patient told about themselves in a message: the language they write in,
+   * a note for staff (e.g. "anxious about needles") and whether they want appointment reminders.
+   * Only changes are written (same language, a note already present or an unchanged consent
+   * are skipped).
+   *
+   * @param {string} phone - Patient phone number
+   * @param {Object} preferences - Detected preferences (null = not mentioned)
+   * @param {string|null} [preferences.language] - Language name (e.g., "German")
+   * @param {string|null} [preferences.note] - Note text
+   * @param {boolean|null} [preferences.reminderConsent] - false = stop reminders, true = send reminders
+   * @returns {Promise<Object|null>} Updated (or unchanged) profile, or null if the phone is invalid or the store failed
+   *
+   * @example
+   * await patientProfiles.recordPreferences("+491701234567", { language: "German", reminderConsent: false })
+   * // Profile: preferredLanguage "German", consent { reminders: false }
+   */
+  async recordPreferences(phone, { language = null, note = null, reminderConsent = null } = {}) {
+    const existing = await this.getProfile(phone);
+    const updates = {};
+    if (language && language !== existing?.preferredLanguage) {
+      updates.preferredLanguage = language;
+    }
+    const notes = existing?.notes || [];
+    if (note && !notes.some(existingNote => existingNote.toLowerCase() === note.toLowerCase())) {
+      updates.notes = [...notes, note].slice(-MAX_NOTES);
+    }
+    if (typeof reminderConsent === 'boolean' && existing?.consent?.reminders !== reminderConsent) {
+      updates.consent = { ...(existing?.consent || {}), reminders: reminderConsent };
+    }
+    if (Object.keys(updates).length === 0) return existing;
+    return this.updateProfile(phone, updates);
+  }
+
+  /**
+   * Closes the underlying store.
+   * Should be called during application shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    try {
+      await this.store.close();
+    } catch (error) {
+      console.error('❌ [PATIENTS] Error closing store:', error.message);
+    }
+  }
+}
+
+export const patientProfiles = new PatientProfileStore();
@@ -0,0 +1,395 @@
+/**
+ * Reminder Scheduler module sending WhatsApp reminders before appointments.
+ *
+ * A node-cron job (config.reminders.cronSchedule, default every 5 minutes) scans the
+ * dentist calendars of every clinic (tenant) for upcoming appointments and sends a
+ * reminder at each configured offset before the appointment (REMINDER_OFFSETS_HOURS,
+ * default 48 and 2 hours).
+ *
+ * Rules:
+ * - Only the closest due offset is sent: a server that was down at the 48h mark and
+ *   comes back 10 hours before the appointment sends the 48h reminder once, not both
+ * - Reminders whose time had already passed when the appointment was booked are skipped
+ *   (the booking confirmation was just sent)
+ * - Patients who declined reminders (profile consent.reminders === false) are skipped
+ *
+ * Duplicate protection: before a reminder is sent it is marked on the calendar event
+ * (extendedProperties.private.reminder<hours>h = send time). The marker survives restarts
+ * and is shared by all instances, so a reminder is never sent twice. A send that fails
+ * after the marker was written is not retried; it is logged to Sheets with
+ * 'NEEDS FOLLOW-UP***************' so staff can call the patient.
+ *
+ * Every send is logged to the clinic's Sheets log (action "reminder_48h_sent") and tracked
+ * by deliveryTracker, so delivered/read/failed statuses are logged too.
+ *
+ * Patients who have not written in the last 24 hours (WhatsApp customer service window)
+ * get the approved "appointment_reminder" template instead of the free-form text
+ * (see whatsappService.sendNotification()).
+ *
+ * Replies: the reminder carries "I'll be there" / "Reschedule" / "Cancel" buttons and seeds
+ * the patient's session with the reminded booking (existingBooking, reminderReplyPending).
+ * The booking is also stored in the patient profile (lastReminder), so a reply after the
+ * session expired still refers to it. openaiHandler.js then confirms attendance (written
+ * back to the calendar event), or cancels / reschedules exactly that appointment.
+ *
+ * Runs in the long-running server only (started from index.js); Vercel serverless
+ * functions have no process that stays alive for the cron job.
+ *
+ * @module reminderScheduler
+ */
+
+import cron from 'node-cron';
+import { config } from './config.js';
+import { sessionManager } from './sessionManager.js';
+import { conversationQueue } from './conversationQueue.js';
+import { googleCalendarService } from './googleCalendar.js';
+import { googleSheetsService } from './googleSheets.js';
+import { whatsappService } from './whatsapp.js';
+import { deliveryTracker, OUTBOUND_KINDS } from './deliveryTracker.js';
+import { tenantRegistry } from './tenants.js';
+import { patientProfiles } from './patientProfiles.js';
+import { formatClinicDate, formatClinicTime } from './utils/timezone.js';
+
+/**
+ * Reply button IDs of reminder messages (handled by openaiHandler.generateResponse())
+ */
+export const REMINDER_BUTTON_IDS = {
+  CONFIRM: 'reminder_confirm',
+  RESCHEDULE: 'reminder_reschedule',
+  CANCEL: 'reminder_cancel'
+};
+
+/**
+ * Template key of reminders sent outside the 24-hour customer service window (WHATSAPP_TEMPLATES);
+ * body variables: {{1}} patient name, {{2}} doctor, {{3}} date, {{4}} time
+ */
+const REMINDER_TEMPLATE = 'appointment_reminder';
+
+/**
+ * Reply buttons sent with a reminder (not with later reminders once attendance is confirmed)
+ */
+const REMINDER_BUTTONS = [
+  { id: REMINDER_BUTTON_IDS.CONFIRM, title: "I'll be there" },
+  { id: REMINDER_BUTTON_IDS.RESCHEDULE, title: 'Reschedule' },
+  { id: REMINDER_BUTTON_IDS.CANCEL, title: 'Cancel appointment' }
+];
+
+/**
+ * ReminderScheduler class running the reminder cron job.
+ *
+ * @class ReminderScheduler
+ */
+export class ReminderScheduler {
+  /**
+   * Initializes the scheduler (the cron job is created by start()).
+   *
+   * @param {Object} [options] - Reminder configuration (defaults to config.reminders)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // REMINDER_OFFSETS_HOURS=48,2 → offsetsHours [48, 2]
+   */
+  constructor(options = config.reminders) {
+    this.enabled = options.enabled;
+    this.offsetsHours = [...options.offsetsHours].sort((a, b) => b - a); // Largest first
+    this.cronSchedule = options.cronSchedule;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * Starts the cron job. Does nothing when reminders are disabled or already started.
+   *
+   * Edge cases:
+   * - Invalid cron expression → error logged, no reminders
+   * - No offsets configured → warning logged, no reminders
+   *
+   * @returns {boolean} True if the job is running
+   *
+   * @example
+   * reminderScheduler.start()
+   * // Console: "⏰ [REMINDERS] Scheduled (*\/5 * * * *), offsets: 48h, 2h"
+   */
+  start() {
+    if (!this.enabled) {
+      console.log('⏰ [REMINDERS] Disabled (set REMINDERS_ENABLED=true to send appointment reminders)');
+      return false;
+    }
+    if (this.task) return true;
+    if (!cron.validate(this.cronSchedule)) {
+      console.error(`❌ [REMINDERS] Invalid REMINDER_CRON expression: ${this.cronSchedule}`);
+      return false;
+    }
+    if (this.offsetsHours.length === 0) {
+      console.warn('⚠️ [REMINDERS] No reminder offsets configured (REMINDER_OFFSETS_HOURS)');
+      return false;
+    }
+
+    this.task = cron.schedule(this.cronSchedule, () => {
+      this.runOnce().catch(error => {
+        console.error('❌ [REMINDERS] Reminder run failed:', error.message);
+      });
+    });
+    console.log(`⏰ [REMINDERS] Scheduled (${this.cronSchedule}), offsets: ${this.offsetsHours.map(hours => `${hours}h`).join(', ')}`);
+    return true;
+  }
+
+  /**
+   * Stops the cron job.
+   * Should be called during application shutdown.
+   *
+   * @returns {void}
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Sends all reminders that are due now, for every clinic.
+   *
+   * Runs do not overlap: a run that starts while the previous one is still busy
+   * (slow calendar API) is skipped.
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} Counts { sent, failed } (null if skipped)
+   *
+   * @example
+   * await reminderScheduler.runOnce()
+   * // Output: { sent: 2, failed: 0 }
+   */
+  async runOnce(now = new Date()) {
+    if (this.running) {
+      console.log('⏰ [REMINDERS] Previous run still in progress, skipping');
+      return null;
+    }
+
+    this.running = true;
+    const totals = { sent: 0, failed: 0 };
+    try {
+      for (const tenant of tenantRegistry.getTenants()) {
+        const counts = await tenantRegistry.runWithTenant(tenant, () => this.sendDueReminders(tenant, now));
+        totals.sent += counts.sent;
+        totals.failed += counts.failed;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (totals.sent > 0 || totals.failed > 0) {
+      console.log(`⏰ [REMINDERS] Run finished: ${totals.sent} sent, ${totals.failed} failed`);
+    }
+    return totals;
+  }
+
+  /**
+   * Sends the due reminders of the active tenant.
+   *
+   * @param {Object} tenant - Active tenant
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Counts { sent, failed }
+   * @private
+   */
+  async sendDueReminders(tenant, now) {
+    const counts = { sent: 0, failed: 0 };
+    const horizon = new Date(now.getTime() + this.offsetsHours[0] * 60 * 60 * 1000);
+    const appointments = await googleCalendarService.getUpcomingAppointments(now, horizon);
+
+    for (const appointment of appointments) {
+      const offsetHours = this.getDueOffset(appointment, now);
+      if (offsetHours === null) continue;
+
+      const profile = await patientProfiles.getProfile(appointment.patientPhone);
+      if (profile?.consent?.reminders === false) continue;
+
+      const result = await this.sendReminder(tenant, appointment, offsetHours, now);
+      if (result.success) {
+        counts.sent++;
+      } else if (!result.skipped) {
+        counts.failed++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Returns the reminder offset that is due for an appointment.
+   *
+   * @param {Object} appointment - Appointment from googleCalendarService.getUpcomingAppointments()
+   * @param {Date} now - Current time
+   * @returns {number|null} Offset in hours, or null if no reminder is due
+   *
+   * @example
+   * // Appointment in 90 minutes, offsets [48, 2], 48h reminder already sent:
+   * getDueOffset(appointment, now)  // Returns: 2
+   * // Same appointment after the 2h reminder was sent:
+   * getDueOffset(appointment, now)  // Returns: null
+   */
+  getDueOffset(appointment, now) {
+    if (appointment.startTime <= now) return null;
+
+    const due = this.offsetsHours.filter(hours =>
+      appointment.startTime.getTime() - hours * 60 * 60 * 1000 <= now.getTime()
+    );
+    if (due.length === 0) return null;
+
+    const offsetHours = due[due.length - 1]; // Closest to the appointment
+    if (appointment.privateProperties[this.getMarkerKey(offsetHours)]) return null;
+
+    const dueAt = new Date(appointment.startTime.getTime() - offsetHours * 60 * 60 * 1000);
+    if (appointment.created && appointment.created > dueAt) return null; // Booked after the reminder time
+
+    return offsetHours;
+  }
+
+  /**
+   * Marks, sends and logs one reminder.
+   *
+   * @param {Object} tenant - Active tenant
+   * @param {Object} appointment - Appointment from googleCalendarService.getUpcomingAppointments()
+   * @param {number} offsetHours - Reminder offset
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { success: true } or { success: false, skipped?, error }
+   * @private
+   */
+  async sendReminder(tenant, appointment, offsetHours, now) {
+    const { patientPhone, patientName, doctor, treatment, calendarEventId, calendarId } = appointment;
+
+    // Claim the reminder on the calendar event first: if marking fails, retry on the next run
+    const claim = await googleCalendarService.setEventProperties(calendarId, calendarEventId, {
+      ...appointment.privateProperties,
+      [this.getMarkerKey(offsetHours)]: now.toISOString(),
+    });
+    if (!claim.success) {
+      console.error(`❌ [REMINDERS] Could not mark ${offsetHours}h reminder for event ${calendarEventId}, retrying next run`);
+      return { success: false, skipped: true, error: claim.error };
+    }
+
+    const conversationId = tenantRegistry.getConversationId(tenant, patientPhone);
+    const message = this.buildReminderMessage(appointment);
+    const sendResult = await whatsappService.sendNotification(patientPhone, {
+      text: message,
+      buttons: appointment.privateProperties.attendance !== 'confirmed' ? REMINDER_BUTTONS : null,
+      template: {
+        name: REMINDER_TEMPLATE,
+        bodyParameters: [
+          patientName,
+          doctor,
+          formatClinicDate(appointment.startTime),
+          formatClinicTime(appointment.startTime, { hour: 'numeric', minute: '2-digit', hour12: true }),
+        ],
+      },
+    });
+    const logData = {
+      conversationId,
+      phone: patientPhone,
+      patientName,
+      dentist: doctor,
+      treatment,
+      dateTime: `${appointment.startTime.toISOString()} - ${appointment.endTime.toISOString()}`,
+      eventId: calendarEventId,
+    };
+
+    if (!sendResult.success) {
+      const error = typeof sendResult.error === 'string' ? sendResult.error : JSON.stringify(sendResult.error);
+      console.error(`❌ [REMINDERS] ${offsetHours}h reminder to ${patientPhone} failed:`, error);
+      await googleSheetsService.logAction({
+        ...logData,
+        message: error,
+        status: 'NEEDS FOLLOW-UP***************',
+        action: `reminder_${offsetHours}h_failed`,
+      });
+      return { success: false, error };
+    }
+
+    console.log(`✅ [REMINDERS] ${offsetHours}h reminder sent to ${patientPhone} as ${sendResult.via} (event ${calendarEventId})`);
+    await this.rememberReminder(conversationId, appointment, offsetHours, message, now);
+    await deliveryTracker.trackOutbound(sendResult.messageId, {
+      conversationId,
+      phone: patientPhone,
+      kind: OUTBOUND_KINDS.REMINDER,
+      patientName,
+      eventId: calendarEventId,
+    });
+    await googleSheetsService.logAction({
+      ...logData,
+      status: 'sent',
+      action: `reminder_${offsetHours}h_sent`,
+    });
+    return { success: true };
+  }
+
+  /**
+   * Makes replies to a reminder refer to the reminded appointment: stores it in the patient
+   * profile (lastReminder, seeds sessions created later) and seeds the current session
+   * (existingBooking, reminderReplyPending, reminder text in the conversation history).
+   * Runs in the conversation queue so it does not interleave with a message being processed.
+   *
+   * @param {string} conversationId - Conversation of the patient at the active tenant
+   * @param {Object} appointment - Reminded appointment
+   * @param {number} offsetHours - Reminder offset
+   * @param {string} message - Reminder text
+   * @param {Date} now - Send time
+   * @returns {Promise<void>}
+   * @private
+   */
+  async rememberReminder(conversationId, appointment, offsetHours, message, now) {
+    const { patientPhone, patientName, doctor, treatment, startTime, endTime, calendarEventId, calendarId } = appointment;
+    const booking = { patientPhone, patientName, doctor, treatment, startTime, endTime, calendarEventId, calendarId };
+
+    await patientProfiles.updateProfile(patientPhone, {
+      lastReminder: { booking, offsetHours, sentAt: now.toISOString() },
+    });
+
+    await conversationQueue.run(conversationId, async () => {
+      await sessionManager.loadSession(conversationId, patientPhone);
+      sessionManager.updateSession(conversationId, {
+        phone: patientPhone,
+        existingBooking: booking,
+        reminderReplyPending: true,
+      });
+      sessionManager.addMessage(conversationId, 'assistant', message);
+      await sessionManager.flush(conversationId);
+    });
+  }
+
+  /**
+   * Builds the reminder text.
+   *
+   * @param {Object} appointment - Appointment from googleCalendarService.getUpcomingAppointments()
+   * @returns {string} Reminder message
+   *
+   * @example
+   * buildReminderMessage({ patientName: "Emma Doe", bookedBy: "John Doe", doctor: "Dr GeneralA", ... })
+   * // Output: "Hi John Doe! This is a reminder of Emma Doe's appointment:\n\nDoctor: Dr GeneralA\n..."
+   */
+  buildReminderMessage(appointment) {
+    const { patientName, bookedBy, doctor, treatment, startTime } = appointment;
+    const greetingName = bookedBy || (patientName !== 'Patient' ? patientName : '');
+    const whose = bookedBy ? `${patientName}'s` : 'your';
+
+    return `Hi${greetingName ? ` ${greetingName}` : ''}! This is a reminder of ${whose} appointment:\n\n` +
+      `Doctor: ${doctor}\n` +
+      (treatment ? `Treatment: ${treatment}\n` : '') +
+      `Date: ${formatClinicDate(startTime)}\n` +
+      `Time: ${formatClinicTime(startTime, { hour: 'numeric', minute: '2-digit', hour12: true })}\n\n` +
+      (appointment.privateProperties?.attendance === 'confirmed'
+        ? 'See you then! If you need to cancel or reschedule, just reply to this message.'
+        : 'Will you be there? Just reply to this message if you need to reschedule or cancel.');
+  }
+
+  /**
+   * Returns the calendar event property marking a sent reminder.
+   *
+   * @param {number} offsetHours - Reminder offset
+   * @returns {string} Property key (e.g., "reminder48h")
+   * @private
+   */
+  getMarkerKey(offsetHours) {
+    return `reminder${offsetHours}h`;
+  }
+}
+
+export const reminderScheduler = new ReminderScheduler();
@@ -1,7 +1,7 @@
 /**
  * Session Management module for maintaining conversation state.
  * 
- * Manages in-memory sessions for each conversation, tracks conversation history,
+ * Manages sessions for each conversation, tracks conversation history,
  * and automatically cleans up expired sessions. Sessions are keyed by phone number
  * (conversation ID) and store all conversation context including patient info,
  * intents, treatment details, selected slots, and conversation history.
@@ -11,11 +11,22 @@
  * - Automatic cleanup of expired sessions (runs every minute)
  * - Session data includes conversation history for AI context
  * - Thread-safe operations (single instance, singleton pattern)
+ * - Pluggable persistent storage (memory, file, Redis) via sessionStore adapters
+ * 
+ * Persistence model:
+ * - Active sessions live in an in-process Map (synchronous access for handlers)
+ * - loadSession() hydrates the Map from the store before a message is processed
+ * - updateSession(), addMessage() and endSession() write through to the store
+ * - flush() waits for pending writes (call before responding on serverless)
+ * - New sessions of returning patients are pre-filled from their profile (patientProfiles.js),
+ *   including the appointment of their latest reminder (so "can't make it" acts on it)
  * 
  * @module sessionManager
  */
 
 import { config } from './config.js';
+import { createSessionStore } from './sessionStore.js';
+import { patientProfiles } from './patientProfiles.js';
 
 /**
  * SessionManager class handles all session-related operations.
@@ -35,18 +46,125 @@ import { config } from './config.js';
 class SessionManager {
   /**
    * Initializes the SessionManager.
-   * Sets up the sessions Map and starts the cleanup interval timer.
+   * Sets up the sessions Map, the persistent store and starts the cleanup interval timer.
    * 
    * The cleanup interval runs every 60 seconds to remove expired sessions,
    * preventing memory leaks from abandoned conversations.
    * 
+   * @param {Object} [store] - Session store adapter (defaults to the one configured in config.session)
+   * 
    * @example
    * // Automatically called when module is imported
-   * // Creates new Map() and starts cleanup interval
+   * // Creates new Map(), configured store, and starts cleanup interval
    */
-  constructor() {
+  constructor(store = createSessionStore(config.session)) {
     this.sessions = new Map();
+    this.store = store;
+    this.pendingWrites = new Map(); // conversationId → Promise of last queued store write
     this.cleanupInterval = setInterval(() => this.cleanupExpiredSessions(), 60000); // Check every minute
+    this.cleanupInterval.unref?.(); // Don't keep the process alive just for cleanup
+  }
+
+  /**
+   * Loads a session from the persistent store into memory, then returns it.
+   * 
+   * Must be awaited before processing a message so that a session written by a
+   * previous process (restart, serverless cold start, other instance) is used
+   * instead of a blank one. If the session is already in memory and still valid,
+   * the store is not queried. When a new session has to be created and the phone
+   * number is given, it is pre-filled from the patient's profile (returning patients).
+   * 
+   * Edge cases:
+   * - Store unavailable → error logged, falls back to in-memory/new session
+   * - Stored session expired → ignored, new session created
+   * - No profile for the phone → blank session
+   * 
+   * @param {string} conversationId - Unique identifier for the conversation (typically phone number)
+   * @param {string} [phone] - Patient phone number (to look up the patient profile)
+   * @returns {Promise<Object>} Session object (same as getSession())
+   * 
+   * @example
+   * // After a cold start, patient confirms a slot offered before the restart:
+   * const session = await sessionManager.loadSession("+1234567890")
+   * // session.selectedSlot.startTime is a Date again, bookingConfirmationPending: true
+   * 
+   * @example
+   * // Returning patient writes again next month:
+   * const session = await sessionManager.loadSession("+1234567890", "+1234567890")
+   * // session.patientName: "John Doe", session.patientProfile.preferredDentist: "Dr GeneralA"
+   */
+  async loadSession(conversationId, phone = null) {
+    let cached = this.sessions.get(conversationId);
+    if (!cached || this.isExpired(cached)) {
+      try {
+        const stored = await this.store.get(conversationId);
+        if (stored && !this.isExpired(stored)) {
+          console.log(`💾 [SESSION STORE] Restored session: ${conversationId}`);
+          this.sessions.set(conversationId, stored);
+          cached = stored;
+        }
+      } catch (error) {
+        console.error('❌ [SESSION STORE] Error loading session:', error.message);
+      }
+    }
+
+    if (phone && (!cached || this.isExpired(cached))) {
+      const profile = await patientProfiles.getProfile(phone);
+      if (profile) {
+        console.log(`👤 [PATIENTS] Returning patient: ${conversationId}`);
+      }
+      return this.getSession(conversationId, profile);
+    }
+    return this.getSession(conversationId);
+  }
+
+  /**
+   * Queues a write of the current in-memory session to the persistent store.
+   * 
+   * Writes for the same conversation are chained so they reach the store in order.
+   * The session is snapshotted when the write runs, so the latest state is stored.
+   * Errors are logged, never thrown (a store outage must not break the conversation).
+   * 
+   * @param {string} conversationId - Unique identifier for the conversation
+   * @returns {Promise<void>} Resolves when the write has completed
+   */
+  persistSession(conversationId) {
+    const previous = this.pendingWrites.get(conversationId) || Promise.resolve();
+    const write = previous
+      .then(() => {
+        const session = this.sessions.get(conversationId);
+        if (!session) return this.store.delete(conversationId);
+        return this.store.set(conversationId, session, config.session.timeoutMinutes * 60 * 1000);
+      })
+      .catch(error => {
+        console.error('❌ [SESSION STORE] Error persisting session:', error.message);
+      });
+
+    this.pendingWrites.set(conversationId, write);
+    write.then(() => {
+      if (this.pendingWrites.get(conversationId) === write) {
+        this.pendingWrites.delete(conversationId);
+      }
+    });
+    return write;
+  }
+
+  /**
+   * Persists the final state of a session and waits for all pending writes.
+   * 
+   * Handlers also mutate the session object directly (session.x = ...), so this
+   * writes one last snapshot after processing. Call it before sending the HTTP
+   * response on serverless platforms, where the instance may be frozen afterwards.
+   * 
+   * @param {string} conversationId - Unique identifier for the conversation
+   * @returns {Promise<void>}
+   * 
+   * @example
+   * await openaiHandler.generateResponse(conversationId, messageText, phoneNumber)
+   * await sessionManager.flush(conversationId)
+   */
+  async flush(conversationId) {
+    await this.persistSession(conversationId);
   }
 
   /**
@@ -63,6 +181,7 @@ class SessionManager {
    * - Always returns a valid session object (never null/undefined)
    * 
    * @param {string} conversationId - Unique identifier for the conversation (typically phone number)
+   * @param {Object|null} [profile] - Patient profile to pre-fill a newly created session with
    * @returns {Object} Session object containing conversation state (always valid, never null)
    * 
    * @example
@@ -84,7 +203,7 @@ class SessionManager {
    * // Old session deleted, new session created
    * // Returns: Fresh session object with all fields reset to defaults
    */
-  getSession(conversationId) {
+  getSession(conversationId, profile = null) {
     const session = this.sessions.get(conversationId);
     
     if (session && !this.isExpired(session)) {
@@ -97,7 +216,7 @@ class SessionManager {
     }
     
     // Create new session
-    const newSession = this.createNewSession(conversationId);
+    const newSession = this.createNewSession(conversationId, profile);
     this.sessions.set(conversationId, newSession);
     return newSession;
   }
@@ -111,14 +230,21 @@ class SessionManager {
    * 
    * Session structure:
    * - Identity: conversationId, phone
-   * - Patient info: patientName
+   * - Patient info: patientName, patientProfile (returning patients: name and profile pre-filled)
+   * - Patient choice: patientOptions, patientSelectionPending, patientConfirmed ("who is this appointment for?")
    * - Intent tracking: intents (array of latest intents)
    * - Treatment details: treatmentType, dentistName, dentistType, numberOfTeeth
    * - Appointment: selectedSlot, confirmationStatus, availableSlots
+   * - Booked in this conversation: bookedAppointments (several appointments can be booked one after another)
+   * - Reminder reply: existingBooking, reminderReplyPending (appointment of the latest reminder, until it is
+   *   confirmed, cancelled or moved)
+   * - Waitlist: waitlistCandidate, waitlistJoinPending (nothing fitted the preference), waitlistOffer (freed slot held
+   *   for the patient, see waitlist.js)
    * - History: conversationHistory (array of message objects)
    * - Metadata: createdAt, lastActivity (timestamps)
    * 
    * @param {string} conversationId - Unique identifier for the conversation (typically phone number)
+   * @param {Object|null} [profile] - Patient profile from patientProfiles.getProfile()
    * @returns {Object} New session object with all properties initialized to defaults
    * 
    * @example
@@ -130,6 +256,10 @@ class SessionManager {
    *   conversationId: "+1234567890",
    *   phone: null,
    *   patientName: null,
+   *   patientProfile: null,  // Patient profile of returning patients
+   *   patientOptions: null,  // People offered in "who is this appointment for?"
+   *   patientSelectionPending: false,  // Waiting for patient to pick one of patientOptions (or name someone else)
+   *   patientConfirmed: false,  // patientName is confirmed for the current booking
    *   intent: null,  // Legacy field (use intents array instead)
    *   intents: [],   // Array of latest intents: ['booking', 'cancel', etc.]
    *   dentistType: null,  // 'braces' or 'general'
@@ -138,22 +268,49 @@ class SessionManager {
    *   treatmentDuration: null,
    *   numberOfTeeth: null,  // For fillings only
    *   selectedSlot: null,  // { startTime, endTime, doctor, weekday, duration }
+   *   offeredSlots: null,  // Slot options offered to the patient (pick maps to selectedSlot)
+   *   slotSelectionPending: false,  // Waiting for patient to pick one of offeredSlots
    *   confirmationStatus: 'pending',  // 'pending' or 'confirmed'
    *   availableSlots: [],  // Array of available appointment slots (cached)
    *   availableSlotsTimestamp: null,  // Timestamp when slots were fetched (for cache freshness)
    *   existingBookings: [],  // Array of existing bookings
-   *   existingBooking: null,  // Single booking object (for cancellation flow)
+   *   existingBooking: null,  // Single booking object (for cancellation flow; reminded appointment after a reminder)
+   *   reminderReplyPending: false,  // existingBooking was reminded, replies act on it
+   *   waitlistCandidate: null,  // Preference nothing fitted, the patient can join the waitlist for it
+   *   waitlistJoinPending: false,  // Asked "Would you like to join the waitlist?"
+   *   waitlistOffer: null,  // Freed slot held for the patient (waitlist offer)
+   *   bookedAppointments: [],  // Appointments booked in this conversation (kept when the next appointment starts)
    *   conversationHistory: [],  // Array of { role, content, timestamp }
    *   createdAt: 1234567890000,  // Timestamp when session was created
    *   lastActivity: 1234567890000,  // Timestamp of last interaction
    *   eventId: null  // Google Calendar event ID after booking
    * }
+   * 
+   * @example
+   * // Returning patient:
+   * createNewSession("+1234567890", { name: "John Doe", preferredDentist: "Dr GeneralA", ... })
+   * // Output: { ..., patientName: "John Doe", patientProfile: { name: "John Doe", preferredDentist: "Dr GeneralA", ... } }
+   * 
+   * @example
+   * // Patient replies two days after a reminder (session expired meanwhile):
+   * createNewSession("+1234567890", { name: "John Doe", lastReminder: { booking: { calendarEventId: "evt123", ... } }, ... })
+   * // Output: { ..., existingBooking: { calendarEventId: "evt123", startTime: Date(...), ... }, reminderReplyPending: true }
    */
-  createNewSession(conversationId) {
+  createNewSession(conversationId, profile = null) {
+    // Appointment of the latest reminder, while it is still upcoming
+    const reminded = profile?.lastReminder?.booking;
+    const remindedBooking = reminded && new Date(reminded.startTime) > new Date()
+      ? { ...reminded, startTime: new Date(reminded.startTime), endTime: new Date(reminded.endTime) }
+      : null;
+
     return {
       conversationId,
       phone: null,
-      patientName: null,
+      patientName: profile?.name || null,
+      patientProfile: profile, // Returning patient's profile (preferred dentist, language, last treatments, notes)
+      patientOptions: null, // ["John Doe", "Emma Doe"] - people offered in "who is this appointment for?"
+      patientSelectionPending: false, // true when asked who the appointment is for, waiting for the answer
+      patientConfirmed: false, // true when patientName is the confirmed person for the current booking (not just the profile name)
       intent: null, // 'booking', 'cancel', 'reschedule', 'price_inquiry'
       dentistType: null, // 'braces' or 'general'
       dentistName: null,
@@ -161,12 +318,20 @@ class SessionManager {
       treatmentDuration: null,
       numberOfTeeth: null, // For fillings
       selectedSlot: null, // { start, end, doctor, weekday }
+      offeredSlots: null, // [{ doctor, startTime, endTime, duration, treatmentDuration }] - slot options offered to pick from
+      slotSelectionPending: false, // true when several slot options were offered, waiting for user to pick one
       // Separate boolean flags for each operation to avoid confusion
       bookingConfirmationPending: false,  // true when slot selected, waiting for user to confirm booking
       cancellationConfirmationPending: false,  // true when asking user to confirm cancellation
       rescheduleConfirmationPending: false,  // true when asking user to confirm reschedule cancellation
       bookingConfirmed: false,  // true after booking is successfully created (prevents duplicate bookings)
+      bookedAppointments: [], // [{ patientName, doctor, treatment, startTime, endTime, calendarEventId, calendarId }] - appointments booked in this conversation
       existingBookingToReschedule: null,  // { calendarId, calendarEventId, doctor, startTime, endTime, patientName } - booking user wants to reschedule
+      existingBooking: remindedBooking, // Booking to cancel; after a reminder, the reminded booking
+      reminderReplyPending: !!remindedBooking, // true after a reminder until the patient confirmed, cancelled or moved existingBooking
+      waitlistCandidate: null, // { from, to, time, dentistName } - preference nothing fitted, joinable waitlist range
+      waitlistJoinPending: false, // true when asked whether to join the waitlist, waiting for the answer
+      waitlistOffer: null, // { doctor, startTime, endTime, expiresAt } - freed slot held for the patient (waitlist.js)
       availableSlots: [], // Array of available slots for 1 month (cached)
       availableSlotsTimestamp: null, // Timestamp when slots were fetched (for cache freshness)
       existingBookings: [], // Array of existing bookings for 2 months
@@ -175,6 +340,9 @@ class SessionManager {
       cancelledSlotToExclude: null, // { startTime, endTime, doctor } - exclude this slot during reschedule
       askedDoctorPreference: false, // Track if doctor preference question was asked
       askedDateTimePreference: false, // Track if date/time preference question was asked
+      lastResponseKind: null, // 'booking_confirmation' | 'cancellation_confirmation' when the last reply confirmed an action (delivery tracking)
+      replyButtons: null, // [{ id, title }] - send the last reply as an interactive button message
+      replyList: null, // { buttonText, rows } - send the last reply as an interactive list message
       createdAt: Date.now(),
       lastActivity: Date.now(),
     };
@@ -238,6 +406,7 @@ class SessionManager {
     const session = this.getSession(conversationId);
     Object.assign(session, updates);
     session.lastActivity = Date.now();
+    this.persistSession(conversationId);
     return session;
   }
 
@@ -296,6 +465,7 @@ class SessionManager {
       timestamp: new Date(),
     });
     session.lastActivity = Date.now();
+    this.persistSession(conversationId);
   }
 
   /**
@@ -388,7 +558,7 @@ class SessionManager {
   }
 
   /**
-   * Manually ends a session by removing it from memory.
+   * Manually ends a session by removing it from memory and the persistent store.
    * 
    * Used when explicitly terminating a conversation (e.g., after booking completion,
    * cancellation, or user request). Immediately removes the session from the Map,
@@ -396,7 +566,7 @@ class SessionManager {
    * 
    * Edge cases:
    * - If session doesn't exist, returns null (no error thrown)
-   * - Session is permanently deleted (cannot be recovered)
+   * - Session is permanently deleted from memory and store (cannot be recovered)
    * - Does not affect cleanup interval (it will skip this session)
    * 
    * @param {string} conversationId - Unique identifier for the conversation
@@ -421,11 +591,9 @@ class SessionManager {
    */
   endSession(conversationId) {
     const session = this.sessions.get(conversationId);
-    if (session) {
-      this.sessions.delete(conversationId);
-      return session;
-    }
-    return null;
+    this.sessions.delete(conversationId);
+    this.persistSession(conversationId); // Session no longer in Map → deleted from store
+    return session || null;
   }
 
   /**
@@ -480,22 +648,24 @@ class SessionManager {
    * Clears the cleanup interval timer and removes all sessions from memory.
    * Should be called during application shutdown to ensure clean teardown.
    * Prevents memory leaks and ensures background timers are stopped.
+   * Sessions already written to a persistent store are kept there.
    * 
    * Cleanup actions:
    * 1. Stops the cleanup interval timer (prevents further cleanup runs)
-   * 2. Clears all sessions from the Map (frees memory)
+   * 2. Waits for pending store writes, then closes the store
+   * 3. Clears all sessions from the Map (frees memory)
    * 
    * This is typically called by:
    * - Graceful shutdown handlers (SIGTERM, SIGINT)
    * - Application exit handlers
    * - Testing cleanup
    * 
-   * @returns {void} No return value
+   * @returns {Promise<void>} Resolves when pending writes are done and the store is closed
    * 
    * @example
    * // During graceful shutdown:
-   * process.on('SIGTERM', () => {
-   *   sessionManager.destroy()
+   * process.on('SIGTERM', async () => {
+   *   await sessionManager.destroy()
    *   process.exit(0)
    * })
    * // All sessions cleared, cleanup interval stopped, ready for exit
@@ -506,8 +676,14 @@ class SessionManager {
    * // All sessions cleared, cleanup interval stopped
    * // getSession() will create new sessions after this
    */
-  destroy() {
+  async destroy() {
     clearInterval(this.cleanupInterval);
+    await Promise.all(this.pendingWrites.values());
+    try {
+      await this.store.close();
+    } catch (error) {
+      console.error('❌ [SESSION STORE] Error closing store:', error.message);
+    }
     this.sessions.clear();
   }
 }
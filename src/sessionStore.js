@@ -0,0 +1,416 @@
+/**
+ * Session Store module providing persistent storage adapters for sessions.
+ *
+ * SessionManager keeps active sessions in an in-process Map for fast synchronous
+ * access. The adapters in this module persist those sessions outside the process
+ * so that a restart or a serverless cold start (Vercel) does not wipe half-finished
+ * bookings such as a pending slot confirmation.
+ *
+ * Adapter interface (all methods async):
+ * - get(conversationId) → session object or null
+ * - set(conversationId, session, ttlMs) → stores session, expires after ttlMs
+ * - setIfAbsent(key, value, ttlMs) → stores value only if the key is missing (or expired),
+ *   true if it was stored. Atomic across instances with Redis (SET NX)
+ * - delete(conversationId) → removes session
+ * - close() → releases connections / timers
+ *
+ * Available adapters:
+ * - 'memory': In-process only (default, same behavior as before)
+ * - 'file': JSON file on disk (single instance deployments)
+ * - 'redis': Any Redis-protocol server (Redis, Upstash, KeyDB, etc.)
+ *
+ * Module stores: other modules keeping data of their own (processed message IDs, delivery
+ * records, ...) get their store from createModuleStore(): the same backend as sessions,
+ * with their own file or Redis key prefix.
+ *
+ * Serialization:
+ * - Sessions are stored as JSON
+ * - Date fields (startTime, endTime, timestamp) are revived as Date objects on read,
+ *   so selectedSlot.startTime/endTime keep working with toISOString() etc.
+ *
+ * @module sessionStore
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createClient } from 'redis';
+import { config } from './config.js';
+
+/**
+ * Keys whose ISO string values are converted back to Date objects when a session
+ * is read from storage. Applies at any nesting level (selectedSlot, existingBooking,
+ * existingBookings[], availableSlots[], conversationHistory[], etc.).
+ */
+const DATE_FIELDS = ['startTime', 'endTime', 'timestamp'];
+
+/**
+ * Matches ISO 8601 date strings produced by Date.prototype.toJSON().
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+/**
+ * File stores by resolved path. Each file has exactly one FileSessionStore per process,
+ * so all read-modify-write cycles on it run through the same write chain.
+ */
+const fileStores = new Map();
+
+/**
+ * Counter making every temp file name unique within the process.
+ */
+let tempFileCounter = 0;
+
+/**
+ * Serializes a session object to a JSON string for storage.
+ *
+ * @param {Object} session - Session object
+ * @returns {string} JSON string (Date objects become ISO strings)
+ *
+ * @example
+ * serializeSession({ selectedSlot: { startTime: new Date("2024-01-16T10:00:00Z") } })
+ * // Output: '{"selectedSlot":{"startTime":"2024-01-16T10:00:00.000Z"}}'
+ */
+export function serializeSession(session) {
+  return JSON.stringify(session);
+}
+
+/**
+ * Deserializes a stored session JSON string, reviving known Date fields.
+ *
+ * @param {string} json - JSON string from storage
+ * @returns {Object} Session object with Date fields restored
+ *
+ * @example
+ * const session = deserializeSession('{"selectedSlot":{"startTime":"2024-01-16T10:00:00.000Z"}}')
+ * session.selectedSlot.startTime instanceof Date // true
+ */
+export function deserializeSession(json) {
+  return JSON.parse(json, (key, value) => {
+    if (DATE_FIELDS.includes(key) && typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+      return new Date(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * In-memory session store.
+ *
+ * Stores serialized copies in a Map. Data is lost on restart; this is the default
+ * adapter and matches the original behavior of SessionManager.
+ *
+ * @class MemorySessionStore
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(conversationId) {
+    const entry = this.entries.get(conversationId);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(conversationId);
+      return null;
+    }
+    return deserializeSession(entry.data);
+  }
+
+  async set(conversationId, session, ttlMs) {
+    this.entries.set(conversationId, {
+      data: serializeSession(session),
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) return false;
+    this.entries.set(key, { data: serializeSession(value), expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  async delete(conversationId) {
+    this.entries.delete(conversationId);
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * File-backed session store.
+ *
+ * Keeps all sessions in a single JSON file: { [conversationId]: { expiresAt, data } }.
+ * Writes are serialized through a promise chain and written atomically
+ * (temp file + rename) so a crash mid-write never leaves a corrupted file.
+ * Expired entries are purged on every write.
+ *
+ * Suitable for single-instance deployments (VPS, Docker with a volume). For
+ * multiple instances or serverless, use the Redis adapter.
+ *
+ * One instance per file: two instances on the same path would each read, modify and
+ * write the whole file and overwrite each other's keys. Use createSessionStore(), which
+ * returns the same instance for the same path.
+ *
+ * @class FileSessionStore
+ */
+export class FileSessionStore {
+  /**
+   * @param {string} filePath - Path to the JSON file (created if missing)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Reads the whole store file. Missing or unreadable file → empty store.
+   *
+   * @returns {Promise<Object>} Map of conversationId → { expiresAt, data }
+   * @private
+   */
+  async readAll() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ [SESSION STORE] Error reading session file:', error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Writes the whole store file atomically, dropping expired entries.
+   *
+   * @param {Object} entries - Map of conversationId → { expiresAt, data }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeAll(entries) {
+    const now = Date.now();
+    const live = Object.fromEntries(
+      Object.entries(entries).filter(([, entry]) => entry.expiresAt > now)
+    );
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.${++tempFileCounter}.tmp`; // Unique per write
+    await fs.writeFile(tempPath, JSON.stringify(live), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Queues a read-modify-write operation so concurrent writes never clobber each other.
+   *
+   * @param {Function} mutate - Receives entries object and modifies it in place
+   * @returns {Promise<void>}
+   * @private
+   */
+  enqueue(mutate) {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const entries = await this.readAll();
+        mutate(entries);
+        await this.writeAll(entries);
+      })
+      .catch(error => {
+        console.error('❌ [SESSION STORE] Error writing session file:', error.message);
+      });
+    return this.writeChain;
+  }
+
+  async get(conversationId) {
+    await this.writeChain; // Read after pending writes
+    const entries = await this.readAll();
+    const entry = entries[conversationId];
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return deserializeSession(entry.data);
+  }
+
+  async set(conversationId, session, ttlMs) {
+    const data = serializeSession(session); // Snapshot now, not when the write runs
+    await this.enqueue(entries => {
+      entries[conversationId] = { data, expiresAt: Date.now() + ttlMs };
+    });
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const data = serializeSession(value);
+    let stored = false;
+    await this.enqueue(entries => {
+      if (entries[key] && entries[key].expiresAt > Date.now()) return;
+      entries[key] = { data, expiresAt: Date.now() + ttlMs };
+      stored = true;
+    });
+    return stored;
+  }
+
+  async delete(conversationId) {
+    await this.enqueue(entries => {
+      delete entries[conversationId];
+    });
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+}
+
+/**
+ * Redis-protocol session store.
+ *
+ * Stores each session under `${keyPrefix}${conversationId}` with a PX expiry equal
+ * to the session timeout, so Redis handles expiration. Connects lazily on first use.
+ * Works with any server speaking the Redis protocol (Redis, Upstash, KeyDB, Valkey).
+ *
+ * @class RedisSessionStore
+ */
+export class RedisSessionStore {
+  /**
+   * @param {string} url - Redis connection URL (e.g., "redis://localhost:6379", "rediss://...")
+   * @param {string} [keyPrefix='session:'] - Key prefix for session entries
+   */
+  constructor(url, keyPrefix = 'session:') {
+    this.client = createClient({ url });
+    this.client.on('error', error => {
+      console.error('❌ [SESSION STORE] Redis error:', error.message);
+    });
+    this.keyPrefix = keyPrefix;
+    this.connecting = null;
+  }
+
+  /**
+   * Connects on first use; concurrent callers share the same connection attempt.
+   *
+   * @returns {Promise<Object>} Connected Redis client
+   * @private
+   */
+  async connection() {
+    if (!this.client.isOpen) {
+      this.connecting = this.connecting || this.client.connect().finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  async get(conversationId) {
+    const client = await this.connection();
+    const data = await client.get(this.keyPrefix + conversationId);
+    return data ? deserializeSession(data) : null;
+  }
+
+  async set(conversationId, session, ttlMs) {
+    const client = await this.connection();
+    await client.set(this.keyPrefix + conversationId, serializeSession(session), {
+      PX: Math.max(1, Math.round(ttlMs)),
+    });
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const client = await this.connection();
+    const result = await client.set(this.keyPrefix + key, serializeSession(value), {
+      PX: Math.max(1, Math.round(ttlMs)),
+      NX: true, // Only one instance wins
+    });
+    return result === 'OK';
+  }
+
+  async delete(conversationId) {
+    const client = await this.connection();
+    await client.del(this.keyPrefix + conversationId);
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+/**
+ * Creates the session store configured in config.session.
+ *
+ * Falls back to the in-memory store (with a warning) when the configured adapter
+ * is unknown or misconfigured, so a bad setting never prevents startup.
+ *
+ * The 'file' adapter ignores keyPrefix and returns one shared instance per file path.
+ * Modules storing data of their own pass their own filePath (see config.js).
+ *
+ * @param {Object} sessionConfig - config.session object
+ * @param {string} [sessionConfig.store='memory'] - 'memory', 'file', or 'redis'
+ * @param {string} [sessionConfig.filePath] - File path for the 'file' adapter
+ * @param {string} [sessionConfig.redisUrl] - Connection URL for the 'redis' adapter
+ * @param {string} [keyPrefix='session:'] - Redis key prefix (lets other modules share the same server)
+ * @returns {MemorySessionStore|FileSessionStore|RedisSessionStore} Session store instance
+ *
+ * @example
+ * createSessionStore({ store: 'redis', redisUrl: 'redis://localhost:6379' })
+ * // Returns: RedisSessionStore instance
+ *
+ * @example
+ * createSessionStore({ store: 'file', filePath: '.data/sessions.json' }) === createSessionStore({ store: 'file', filePath: '.data/sessions.json' })
+ * // Returns: true (one instance per file)
+ *
+ * @example
+ * createSessionStore({ store: 'redis' })  // Missing URL
+ * // Console: "Warning: SESSION_STORE=redis but REDIS_URL is not set, using in-memory sessions"
+ * // Returns: MemorySessionStore instance
+ */
+export function createSessionStore(sessionConfig = {}, keyPrefix = 'session:') {
+  const storeType = (sessionConfig.store || 'memory').toLowerCase();
+
+  if (storeType === 'file') {
+    const resolvedPath = path.resolve(sessionConfig.filePath);
+    if (!fileStores.has(resolvedPath)) {
+      console.log('💾 [SESSION STORE] Using file session store:', sessionConfig.filePath);
+      fileStores.set(resolvedPath, new FileSessionStore(sessionConfig.filePath));
+    }
+    return fileStores.get(resolvedPath);
+  }
+
+  if (storeType === 'redis') {
+    if (!sessionConfig.redisUrl) {
+      console.warn('Warning: SESSION_STORE=redis but REDIS_URL is not set, using in-memory sessions');
+      return new MemorySessionStore();
+    }
+    console.log('💾 [SESSION STORE] Using Redis session store');
+    return new RedisSessionStore(sessionConfig.redisUrl, keyPrefix);
+  }
+
+  if (storeType !== 'memory') {
+    console.warn(`Warning: Unknown SESSION_STORE "${sessionConfig.store}", using in-memory sessions`);
+  }
+  return new MemorySessionStore();
+}
+
+/**
+ * Creates the store of a module keeping data of its own, in the backend configured for
+ * sessions (SESSION_STORE):
+ * - 'file': the module's own JSON file (never the sessions file, so writers never
+ *   overwrite each other's keys)
+ * - 'redis': the same server, keys behind the module's prefix
+ * - 'memory': an in-process store, or null with persistentOnly (for modules that keep
+ *   an in-process Map anyway and only need the store to survive restarts / share state
+ *   between instances)
+ *
+ * @param {string} filePath - JSON file for the 'file' adapter (from config.js, e.g. WHATSAPP_DEDUP_FILE_PATH)
+ * @param {string} keyPrefix - Redis key prefix (e.g., "webhook:")
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.persistentOnly=false] - Return null instead of an in-process store for 'memory'
+ * @returns {MemorySessionStore|FileSessionStore|RedisSessionStore|null} Store instance
+ *
+ * @example
+ * createModuleStore(config.whatsapp.dedupFilePath, 'webhook:', { persistentOnly: true })
+ * // SESSION_STORE=redis → RedisSessionStore with keys "webhook:<messageId>"
+ * // SESSION_STORE=file → FileSessionStore on .data/webhook-ids.json
+ * // SESSION_STORE=memory → null
+ */
+export function createModuleStore(filePath, keyPrefix, { persistentOnly = false } = {}) {
+  if (persistentOnly && (config.session.store || 'memory').toLowerCase() === 'memory') {
+    return null;
+  }
+  return createSessionStore({ ...config.session, filePath }, keyPrefix);
+}
@@ -0,0 +1,201 @@
+/**
+ * Slot Holds module reserving offered slots while the patient decides.
+ *
+ * checkAvailability() offers one slot ("Would you like to confirm this appointment?") or a few
+ * options to pick from. Until the patient answers, nothing is written to the calendar, so
+ * without a hold another patient could be offered - and book - the same time. Offered slots
+ * are therefore held for the conversation (a local reservation table, not a calendar event):
+ *
+ * - Held slots are left out of other patients' availability checks and waitlist offers, and
+ *   confirmBooking() treats a slot held for someone else as taken
+ * - Offering new slots replaces the conversation's holds; a slot another conversation got hold
+ *   of in the meantime (two searches at the same time) is not held, and checkAvailability()
+ *   picks another option from the remaining free slots instead
+ * - Holds are released when the patient declines, books (the calendar event blocks the time
+ *   from then on), joins the waitlist or starts over, and expire after SLOT_HOLD_MINUTES
+ *   (default: the session timeout, so they end with an abandoned session)
+ *
+ * Hold model:
+ * {
+ *   conversationId: "+491701234567",
+ *   doctor: "Dr GeneralA",
+ *   startTime: Date(2026-10-20T07:00:00.000Z),
+ *   endTime: Date(2026-10-20T07:30:00.000Z),
+ *   expiresAt: "2026-10-19T10:10:00.000Z"
+ * }
+ *
+ * Storage: one list per clinic in the module store (createModuleStore(), "hold:<tenant id>"
+ * keys, SLOT_HOLD_FILE_PATH), so every instance sees the same holds. Changes to a clinic's
+ * list run one after another (conversationQueue).
+ *
+ * @module slotHolds
+ */
+
+import { config } from './config.js';
+import { createModuleStore } from './sessionStore.js';
+import { conversationQueue } from './conversationQueue.js';
+import { tenantRegistry } from './tenants.js';
+
+/**
+ * SlotHolds class managing short-lived reservations of offered slots.
+ *
+ * @class SlotHolds
+ */
+export class SlotHolds {
+  /**
+   * Initializes the hold table.
+   *
+   * @param {Object} [options] - Hold configuration (defaults to config.slotHolds)
+   * @param {Object} [store] - Store adapter (defaults to the module store, see createModuleStore())
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // SESSION_STORE=redis → holds stored in Redis under "hold:<tenant id>"
+   */
+  constructor(options = config.slotHolds, store = createModuleStore(options.filePath, 'hold:')) {
+    this.holdMs = options.holdMinutes * 60 * 1000;
+    this.store = store;
+  }
+
+  /**
+   * Holds the slots offered to a conversation, replacing its previous holds.
+   * Slots overlapping another conversation's hold with the same doctor are left out, checked
+   * in the same one-after-another step that saves the holds, so two patients never hold the same time.
+   *
+   * Edge cases:
+   * - Empty slot list → the conversation's holds are released
+   * - Every slot held for someone else → nothing held, [] returned
+   * - Store unavailable → error logged, slots returned unheld (booking still re-checks the calendar)
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} slots - Offered slots [{ doctor, startTime, endTime }] (endTime = end of the appointment)
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Array>} The slots that may be offered (same objects, in the given order)
+   *
+   * @example
+   * await slotHolds.hold("+491701234567", [{ doctor: "Dr GeneralA", startTime: Date(...), endTime: Date(...) }])
+   * // Returns: [{ doctor: "Dr GeneralA", ... }]
+   * // Console: "🔒 [HOLDS] Holding 1 slot(s) for +491701234567 until 2026-10-19T10:10:00.000Z"
+   */
+  async hold(conversationId, slots, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + this.holdMs).toISOString();
+    try {
+      let held = [];
+      await this.update(entries => {
+        const kept = entries.filter(entry => entry.conversationId !== conversationId && new Date(entry.expiresAt) > now);
+        held = slots.filter(slot => !kept.some(entry =>
+          entry.doctor === slot.doctor &&
+          new Date(slot.startTime) < new Date(entry.endTime) && new Date(slot.endTime) > new Date(entry.startTime)
+        ));
+        kept.push(...held.map(slot => ({
+          conversationId,
+          doctor: slot.doctor,
+          startTime: new Date(slot.startTime),
+          endTime: new Date(slot.endTime),
+          expiresAt,
+        })));
+        return kept;
+      });
+      if (held.length < slots.length) {
+        console.log(`⚠️ [HOLDS] ${slots.length - held.length} slot(s) already held for another patient, not offered to ${conversationId}`);
+      }
+      if (held.length > 0) {
+        console.log(`🔒 [HOLDS] Holding ${held.length} slot(s) for ${conversationId} until ${expiresAt}`);
+      }
+      return held;
+    } catch (error) {
+      console.error('❌ [HOLDS] Error holding slots:', error.message);
+      return slots;
+    }
+  }
+
+  /**
+   * Releases the slots held for a conversation.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   *
+   * @example
+   * // Patient declined the offered slot:
+   * await slotHolds.release("+491701234567")
+   */
+  async release(conversationId) {
+    try {
+      const entries = await this.load();
+      if (!entries.some(entry => entry.conversationId === conversationId)) return;
+      await this.update(current => current.filter(entry => entry.conversationId !== conversationId));
+      console.log(`🔓 [HOLDS] Released slots held for ${conversationId}`);
+    } catch (error) {
+      console.error('❌ [HOLDS] Error releasing slots:', error.message);
+    }
+  }
+
+  /**
+   * Returns the slots held for other conversations.
+   *
+   * @param {string} [exceptConversationId] - Conversation whose own holds are left out
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Array>} Held slots [{ doctor, startTime, endTime }] (expired holds left out)
+   *
+   * @example
+   * await slotHolds.getHeldSlots("+491701234567")
+   * // Returns: [{ doctor: "Dr GeneralB", startTime: Date(...), endTime: Date(...) }]  // Offered to another patient
+   */
+  async getHeldSlots(exceptConversationId = null, now = new Date()) {
+    const entries = await this.load();
+    return entries
+      .filter(entry => entry.conversationId !== exceptConversationId && new Date(entry.expiresAt) > now)
+      .map(entry => ({
+        doctor: entry.doctor,
+        startTime: new Date(entry.startTime),
+        endTime: new Date(entry.endTime),
+      }));
+  }
+
+  /**
+   * Closes the underlying store.
+   * Should be called during application shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    try {
+      await this.store.close();
+    } catch (error) {
+      console.error('❌ [HOLDS] Error closing store:', error.message);
+    }
+  }
+
+  /**
+   * Loads the holds of the active clinic.
+   *
+   * @returns {Promise<Array>} Holds ([] if none or the store failed)
+   * @private
+   */
+  async load() {
+    try {
+      return (await this.store.get(tenantRegistry.getCurrentTenant().id)) || [];
+    } catch (error) {
+      console.error('❌ [HOLDS] Error loading slot holds:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Replaces the holds of the active clinic with the result of `change` and saves them.
+   * Changes run one after another per clinic.
+   *
+   * @param {Function} change - Function receiving the current holds and returning the new list
+   * @returns {Promise<void>}
+   * @private
+   */
+  update(change) {
+    const tenantId = tenantRegistry.getCurrentTenant().id;
+    return conversationQueue.run(`hold:${tenantId}`, async () => {
+      const entries = change((await this.store.get(tenantId)) || []);
+      await this.store.set(tenantId, entries, this.holdMs);
+    });
+  }
+}
+
+export const slotHolds = new SlotHolds();
@@ -0,0 +1,229 @@
+/**
+ * Tenants module for running several clinics (practices) from one deployment.
+ *
+ * Every inbound webhook names the business phone number it was sent to
+ * (metadata.phone_number_id). That number identifies the tenant: its dentist roster,
+ * working hours, treatment catalog, pricing document, log sheet, timezone and prompt
+ * persona. index.js resolves the tenant per webhook event and runs the event inside
+ * runWithTenant(); modules read the active tenant with getCurrentTenant() instead of
+ * reading those settings from config directly:
+ * - clinicSchedule.js, dentistRoster.js, treatmentCatalog.js → definitions per tenant
+ * - googleSheets.js → sheet, googleDocs.js → pricing document
+ * - whatsapp.js → replies are sent from the tenant's phone number
+ * - openaiHandler.js → persona in the system prompt
+ * - utils/timezone.js → clinic timezone
+ *
+ * Tenant model (JSON, from TENANTS or the file at TENANTS_FILE):
+ * {
+ *   "tenants": [
+ *     {
+ *       "id": "north",                               // Stable ID (prefixes conversation IDs)
+ *       "name": "Smile North",
+ *       "phoneNumberId": "1098765",                  // WhatsApp phone number ID of the practice
+ *       "accessToken": "EAAG...",                    // Optional, defaults to WHATSAPP_ACCESS_TOKEN
+ *       "timezone": "Europe/Berlin",                 // Optional, defaults to CLINIC_TIMEZONE
+ *       "schedule": { ... },  "scheduleFile": "...", // clinicSchedule.js format (inline or file)
+ *       "roster": { ... },    "rosterFile": "...",   // dentistRoster.js format
+ *       "treatments": { ... }, "treatmentsFile": "...", // treatmentCatalog.js format
+ *       "sheetId": "...", "sheetName": "Conversations", // Log destination
+ *       "docId": "...",                              // Pricing document
+ *       "persona": "You are Mia, the friendly receptionist of Smile North Dental.",
+ *       "default": true                              // Used for unknown phone number IDs (optional)
+ *     }
+ *   ]
+ * }
+ *
+ * Omitted settings fall back to the single-clinic environment variables
+ * (CLINIC_SCHEDULE, DENTIST_ROSTER, GOOGLE_SHEET_ID, ...). Without TENANTS the
+ * deployment is one clinic built entirely from those variables (previous behavior).
+ *
+ * Conversations are kept apart per tenant: the default tenant uses the patient's phone
+ * number as conversation ID, other tenants prefix it ("north:+1234567890"), so a patient
+ * of two practices has two independent sessions.
+ *
+ * @module tenants
+ */
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from './config.js';
+
+/**
+ * TenantRegistry class answering "which clinic is this message for?".
+ *
+ * @class TenantRegistry
+ */
+class TenantRegistry {
+  /**
+   * Initializes the registry.
+   * Loads tenants from configuration (or builds the single clinic from the environment).
+   *
+   * @param {Object|null} [definition] - Tenants definition (null = load from config)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // TENANTS_FILE=tenants.json → one tenant per practice in that file
+   */
+  constructor(definition = null) {
+    const configured = (definition || this.loadDefinition())?.tenants || [];
+    this.tenants = configured.length > 0
+      ? configured.map(tenant => this.buildTenant(tenant))
+      : [this.buildTenant({ id: 'default', name: 'default' })];
+    this.defaultTenant = this.tenants.find(tenant => tenant.isDefault) || this.tenants[0];
+    this.defaultTenant.isDefault = true;
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Loads tenants from TENANTS (inline JSON) or TENANTS_FILE.
+   *
+   * Edge cases:
+   * - Nothing configured → null (single clinic from the environment)
+   * - Invalid JSON, unreadable file, no tenants or tenants without id → error logged, single clinic
+   *
+   * @returns {Object|null} Tenants definition
+   * @private
+   */
+  loadDefinition() {
+    try {
+      let definition = null;
+      if (config.tenants.json) {
+        console.log('🏥 [TENANTS] Loading tenants from TENANTS');
+        definition = JSON.parse(config.tenants.json);
+      } else if (config.tenants.filePath) {
+        console.log('🏥 [TENANTS] Loading tenants from', config.tenants.filePath);
+        definition = JSON.parse(fs.readFileSync(config.tenants.filePath, 'utf8'));
+      }
+      if (definition) {
+        if (!Array.isArray(definition.tenants) || definition.tenants.length === 0) {
+          throw new Error('No tenants defined');
+        }
+        if (definition.tenants.some(tenant => !tenant.id)) {
+          throw new Error('Every tenant needs an id');
+        }
+        return definition;
+      }
+    } catch (error) {
+      console.error('❌ [TENANTS] Error loading tenants, running as a single clinic:', error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Builds a tenant from its definition, filling in environment defaults.
+   *
+   * @param {Object} tenant - Tenant definition (see module docs)
+   * @returns {Object} Tenant with whatsapp, timezone, schedule/roster/treatments sources, sheets, docs and persona
+   * @private
+   */
+  buildTenant(tenant) {
+    const source = (inline, filePath, fallback) => (inline || filePath)
+      ? { json: inline ? JSON.stringify(inline) : undefined, filePath }
+      : fallback;
+
+    return {
+      id: tenant.id,
+      name: tenant.name || tenant.id,
+      isDefault: tenant.default === true,
+      whatsapp: {
+        phoneNumberId: tenant.phoneNumberId || config.whatsapp.phoneNumberId,
+        accessToken: tenant.accessToken || config.whatsapp.accessToken,
+      },
+      timezone: tenant.timezone || config.clinic.timezone,
+      schedule: source(tenant.schedule, tenant.scheduleFile, config.schedule),
+      roster: source(tenant.roster, tenant.rosterFile, config.roster),
+      treatments: source(tenant.treatments, tenant.treatmentsFile, config.treatments),
+      sheets: {
+        sheetId: tenant.sheetId || config.sheets.sheetId,
+        sheetName: tenant.sheetName || config.sheets.sheetName,
+      },
+      docs: {
+        docId: tenant.docId || config.docs.docId,
+      },
+      persona: tenant.persona || null,
+    };
+  }
+
+  /**
+   * Returns all tenants.
+   *
+   * @returns {Object[]} Tenants (one entry when running as a single clinic)
+   */
+  getTenants() {
+    return this.tenants;
+  }
+
+  /**
+   * Returns a tenant by ID.
+   *
+   * @param {string} id - Tenant ID
+   * @returns {Object|null} Tenant or null if unknown
+   */
+  getTenant(id) {
+    return this.tenants.find(tenant => tenant.id === id) || null;
+  }
+
+  /**
+   * Finds the tenant a webhook event belongs to by the receiving phone number ID.
+   *
+   * Edge cases:
+   * - Missing phone number ID → default tenant
+   * - Unknown phone number ID → default tenant (warning logged)
+   *
+   * @param {string} [phoneNumberId] - metadata.phone_number_id of the webhook
+   * @returns {Object} Tenant
+   *
+   * @example
+   * tenantRegistry.resolveTenant("1098765")   // Returns: { id: "north", name: "Smile North", ... }
+   */
+  resolveTenant(phoneNumberId) {
+    if (!phoneNumberId) return this.defaultTenant;
+    const tenant = this.tenants.find(candidate => candidate.whatsapp.phoneNumberId === phoneNumberId);
+    if (!tenant) {
+      if (this.tenants.length > 1) {
+        console.warn(`⚠️ [TENANTS] Unknown phone number ID ${phoneNumberId}, using tenant ${this.defaultTenant.id}`);
+      }
+      return this.defaultTenant;
+    }
+    return tenant;
+  }
+
+  /**
+   * Runs a function with a tenant as the active tenant (also for everything it awaits).
+   *
+   * @param {Object} tenant - Tenant from resolveTenant()/getTenant()
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of fn
+   *
+   * @example
+   * await tenantRegistry.runWithTenant(tenant, () => handleInboundMessage(event))
+   */
+  runWithTenant(tenant, fn) {
+    return this.context.run(tenant, fn);
+  }
+
+  /**
+   * Returns the active tenant (the default tenant outside runWithTenant()).
+   *
+   * @returns {Object} Tenant
+   */
+  getCurrentTenant() {
+    return this.context.getStore() || this.defaultTenant;
+  }
+
+  /**
+   * Returns the conversation ID of a patient at a tenant.
+   *
+   * @param {Object} tenant - Tenant
+   * @param {string} phone - Patient phone number
+   * @returns {string} Phone number (default tenant) or "<tenant id>:<phone>"
+   *
+   * @example
+   * tenantRegistry.getConversationId(north, "+1234567890")  // Returns: "north:+1234567890"
+   */
+  getConversationId(tenant, phone) {
+    return tenant.isDefault ? phone : `${tenant.id}:${phone}`;
+  }
+}
+
+export const tenantRegistry = new TenantRegistry();
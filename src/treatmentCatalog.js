@@ -0,0 +1,331 @@
+/**
+ * Treatment Catalog module, the single source of truth for bookable treatments.
+ *
+ * Every treatment rule lives here: names, keyword synonyms, which dentist categories
+ * may perform it, chair time (base + per unit, e.g. per tooth), per-dentist overrides
+ * and preparation/cleanup buffers. Consumed by treatmentLogic.js (detection, dentists,
+ * duration, buffers), openaiHandler.js (validation and AI prompts) and googleCalendar.js
+ * (event parsing prompt).
+ *
+ * Catalog model (JSON, from TREATMENT_CATALOG or the file at TREATMENT_CATALOG_FILE):
+ * {
+ *   "defaultTreatment": "Consultation",      // Used when no treatment can be detected
+ *   "treatments": [
+ *     {
+ *       "name": "Filling",                    // Exact name used in sessions, prompts and events
+ *       "synonyms": ["filling", "cavity"],    // Keywords/symptoms mapping to this treatment
+ *       "dentistCategories": ["general"],     // Dentist skills (dentist roster) allowed to perform it
+ *       "duration": 30,                       // Chair time in minutes (first unit included)
+ *       "perUnit": {                          // Optional: variable duration
+ *         "unit": "tooth",
+ *         "minutes": 15,                      // Added per additional unit
+ *         "durationWhenUnknown": 15           // Used until the number of units is known
+ *       },
+ *       "buffers": { "before": 5, "after": 10 },  // Optional preparation/cleanup minutes
+ *       "dentists": {                         // Optional per-dentist overrides
+ *         "Dr GeneralB": { "duration": 40, "buffers": { "after": 15 } }
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * Without configuration the built-in catalog below is used (previous hard-coded rules).
+ * With several clinics (tenants.js) each tenant has its own catalog.
+ *
+ * @module treatmentCatalog
+ */
+
+import fs from 'fs';
+import { config } from './config.js';
+import { tenantRegistry } from './tenants.js';
+
+/**
+ * Duration for unknown treatments (minutes).
+ */
+const DEFAULT_DURATION = 15;
+
+/**
+ * Built-in catalog: Consultation, Cleaning, Filling and Braces Maintenance.
+ */
+const DEFAULT_CATALOG = {
+  defaultTreatment: 'Consultation',
+  treatments: [
+    {
+      name: 'Consultation',
+      synonyms: ['consultation', 'checkup', 'check-up', 'toothache', 'pain', 'hurt', 'ache', 'sore', 'discomfort', 'sensitive', 'swollen', 'bleeding gums'],
+      dentistCategories: ['general'],
+      duration: 15,
+    },
+    {
+      name: 'Cleaning',
+      synonyms: ['cleaning', 'clean', 'teeth cleaning', 'dental cleaning', 'hygiene'],
+      dentistCategories: ['general'],
+      duration: 30,
+      buffers: { after: 10 },
+    },
+    {
+      name: 'Filling',
+      synonyms: ['filling', 'fill', 'cavity', 'cavities', 'decay', 'hole in tooth'],
+      dentistCategories: ['general'],
+      duration: 30,
+      perUnit: { unit: 'tooth', minutes: 15, durationWhenUnknown: 15 },
+      buffers: { before: 5, after: 10 },
+    },
+    {
+      name: 'Braces Maintenance',
+      synonyms: ['braces', 'brace', 'braces maintenance', 'orthodontic', 'orthodontics', 'wire adjustment', 'bracket'],
+      dentistCategories: ['braces'],
+      duration: 15,
+      buffers: { after: 10 },
+      dentists: {
+        'Dr BracesB': { duration: 45 },
+      },
+    },
+  ],
+};
+
+/**
+ * TreatmentCatalog class answering "what can be booked, with whom, and for how long?".
+ *
+ * @class TreatmentCatalog
+ */
+class TreatmentCatalog {
+  /**
+   * Initializes the catalog.
+   * Catalogs are loaded from configuration per tenant on first use (or the built-in catalog).
+   *
+   * @param {Object|null} [definition] - Catalog definition for every tenant (null = load from config)
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // TREATMENT_CATALOG_FILE=treatment-catalog.json → treatments from that file
+   */
+  constructor(definition = null) {
+    this.fixedDefinition = definition;
+    this.definitions = new Map(); // tenant ID → catalog definition
+  }
+
+  /**
+   * Catalog definition of the active tenant (see tenants.js).
+   *
+   * @type {Object}
+   */
+  get definition() {
+    if (this.fixedDefinition) return this.fixedDefinition;
+    const tenant = tenantRegistry.getCurrentTenant();
+    if (!this.definitions.has(tenant.id)) {
+      this.definitions.set(tenant.id, this.loadDefinition(tenant.treatments, tenant.id));
+    }
+    return this.definitions.get(tenant.id);
+  }
+
+  /**
+   * Loads a catalog from inline JSON (TREATMENT_CATALOG) or a file (TREATMENT_CATALOG_FILE).
+   *
+   * Edge cases:
+   * - Nothing configured → built-in catalog
+   * - Invalid JSON, unreadable file or no treatments → error logged, built-in catalog
+   *
+   * @param {Object} [source=config.treatments] - { json, filePath } (a tenant's catalog source)
+   * @param {string} [tenantId='default'] - Tenant ID (for logging)
+   * @returns {Object} Catalog definition
+   * @private
+   */
+  loadDefinition(source = config.treatments, tenantId = 'default') {
+    try {
+      let definition = null;
+      if (source.json) {
+        console.log('🦷 [CATALOG] Loading treatment catalog from inline JSON for tenant', tenantId);
+        definition = JSON.parse(source.json);
+      } else if (source.filePath) {
+        console.log('🦷 [CATALOG] Loading treatment catalog from', source.filePath, 'for tenant', tenantId);
+        definition = JSON.parse(fs.readFileSync(source.filePath, 'utf8'));
+      }
+      if (definition) {
+        if (!Array.isArray(definition.treatments) || definition.treatments.length === 0) {
+          throw new Error('Catalog has no treatments');
+        }
+        return definition;
+      }
+    } catch (error) {
+      console.error('❌ [CATALOG] Error loading treatment catalog, using built-in treatments:', error.message);
+    }
+    return DEFAULT_CATALOG;
+  }
+
+  /**
+   * Returns the names of all bookable treatments.
+   *
+   * @returns {string[]} Treatment names (e.g., ["Consultation", "Cleaning", "Filling", "Braces Maintenance"])
+   */
+  getTreatmentNames() {
+    return this.definition.treatments.map(treatment => treatment.name);
+  }
+
+  /**
+   * Returns the catalog entry of a treatment (case-insensitive name match).
+   *
+   * @param {string} name - Treatment name
+   * @returns {Object|null} Catalog entry or null if not bookable
+   */
+  getTreatment(name) {
+    if (typeof name !== 'string') return null;
+    const wanted = name.trim().toLowerCase();
+    return this.definition.treatments.find(treatment => treatment.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Maps a treatment name to its exact catalog name.
+   *
+   * @param {string} name - Treatment name as extracted (e.g., "cleaning")
+   * @returns {string|null} Catalog name (e.g., "Cleaning") or null if not bookable
+   *
+   * @example
+   * treatmentCatalog.normalizeTreatmentName("braces maintenance") // Returns: "Braces Maintenance"
+   * treatmentCatalog.normalizeTreatmentName("Root Canal")          // Returns: null
+   */
+  normalizeTreatmentName(name) {
+    return this.getTreatment(name)?.name || null;
+  }
+
+  /**
+   * Returns the treatment used when none can be detected (e.g., "Consultation").
+   *
+   * @returns {string} Default treatment name
+   */
+  getDefaultTreatment() {
+    return this.normalizeTreatmentName(this.definition.defaultTreatment) || this.definition.treatments[0].name;
+  }
+
+  /**
+   * Detects a treatment from a message by keyword synonyms.
+   * Specific treatments are checked in catalog order before the default treatment,
+   * so "toothache, and I'd like a cleaning" still detects Cleaning.
+   *
+   * @param {string} message - User's message text
+   * @returns {string} Detected treatment name, or the default treatment
+   *
+   * @example
+   * treatmentCatalog.detectTreatment("I want to clean my teeth") // Returns: "Cleaning"
+   */
+  detectTreatment(message) {
+    const text = String(message || '').toLowerCase();
+    const defaultTreatment = this.getDefaultTreatment();
+    const match = this.definition.treatments
+      .filter(treatment => treatment.name !== defaultTreatment)
+      .find(treatment => (treatment.synonyms || []).some(synonym => text.includes(synonym.toLowerCase())));
+    return match ? match.name : defaultTreatment;
+  }
+
+  /**
+   * Returns the dentist categories allowed to perform a treatment.
+   *
+   * @param {string} name - Treatment name
+   * @returns {string[]} Dentist skills from the roster (e.g., ["braces"]), [] if unknown
+   */
+  getDentistCategories(name) {
+    return this.getTreatment(name)?.dentistCategories || [];
+  }
+
+  /**
+   * Returns the catalog entry with a dentist's duration overrides applied.
+   *
+   * @param {string} name - Treatment name
+   * @param {string} [dentistName] - Dentist name
+   * @returns {Object|null} Effective entry or null if unknown
+   * @private
+   */
+  getEffectiveTreatment(name, dentistName = null) {
+    const treatment = this.getTreatment(name);
+    if (!treatment) return null;
+    const override = treatment.dentists?.[dentistName] || {};
+    return {
+      ...treatment,
+      ...override,
+      perUnit: treatment.perUnit ? { ...treatment.perUnit, ...(override.perUnit || {}) } : override.perUnit,
+    };
+  }
+
+  /**
+   * Calculates chair time for a treatment.
+   *
+   * @param {string} name - Treatment name
+   * @param {string} [dentistName] - Dentist name (per-dentist duration overrides)
+   * @param {number|null} [units=null] - Number of units (e.g., teeth) for per-unit treatments
+   * @returns {number} Duration in minutes (15 for unknown treatments)
+   *
+   * @example
+   * treatmentCatalog.getDuration("Filling", "Dr GeneralA", 3)             // Returns: 60
+   * treatmentCatalog.getDuration("Braces Maintenance", "Dr BracesB")      // Returns: 45
+   */
+  getDuration(name, dentistName = null, units = null) {
+    const treatment = this.getEffectiveTreatment(name, dentistName);
+    if (!treatment) return DEFAULT_DURATION;
+
+    const baseDuration = treatment.duration || DEFAULT_DURATION;
+    if (!treatment.perUnit) return baseDuration;
+    if (units === null || units === undefined) {
+      return treatment.perUnit.durationWhenUnknown || baseDuration;
+    }
+    return baseDuration + Math.max(0, units - 1) * (treatment.perUnit.minutes || 0);
+  }
+
+  /**
+   * Checks whether a treatment's duration depends on a number of units (e.g., teeth).
+   *
+   * @param {string} name - Treatment name
+   * @returns {boolean} True for per-unit treatments such as Filling
+   */
+  usesUnits(name) {
+    return !!this.getTreatment(name)?.perUnit;
+  }
+
+  /**
+   * Returns the names of per-unit treatments (for prompts).
+   *
+   * @returns {string[]} Treatment names (e.g., ["Filling"])
+   */
+  getUnitTreatmentNames() {
+    return this.definition.treatments.filter(treatment => treatment.perUnit).map(treatment => treatment.name);
+  }
+
+  /**
+   * Describes how keywords and symptoms map to treatments (for AI extraction prompts).
+   *
+   * @returns {string} One line per treatment
+   *
+   * @example
+   * treatmentCatalog.describeSynonyms()
+   * // Returns: '     * "cleaning", "clean", ... → "Cleaning"\n     * ...'
+   */
+  describeSynonyms() {
+    return this.definition.treatments
+      .filter(treatment => treatment.synonyms?.length)
+      .map(treatment => `     * ${treatment.synonyms.map(s => `"${s}"`).join(', ')} → "${treatment.name}"`)
+      .join('\n');
+  }
+
+  /**
+   * Describes treatment durations in plain text (for the AI system prompt).
+   *
+   * @returns {string} One line per treatment
+   *
+   * @example
+   * treatmentCatalog.describeDurations()
+   * // Returns: "- Consultation: 15 minutes\n...\n- Filling: 30 min for first tooth + 15 min per additional tooth\n- Braces Maintenance: 15 minutes (Dr BracesB: 45 min)"
+   */
+  describeDurations() {
+    return this.definition.treatments.map(treatment => {
+      let line = `- ${treatment.name}: `;
+      line += treatment.perUnit
+        ? `${treatment.duration} min for first ${treatment.perUnit.unit} + ${treatment.perUnit.minutes} min per additional ${treatment.perUnit.unit}`
+        : `${treatment.duration} minutes`;
+      const overrides = Object.entries(treatment.dentists || {})
+        .filter(([, override]) => override.duration)
+        .map(([dentist, override]) => `${dentist}: ${override.duration} min`);
+      return overrides.length > 0 ? `${line} (${overrides.join(', ')})` : line;
+    }).join('\n');
+  }
+}
+
+export const treatmentCatalog = new TreatmentCatalog();
@@ -10,8 +10,13 @@
  * - Keyword-based treatment detection (fallback when AI extraction unavailable)
  * - Dentist type categorization (braces vs general)
  * - Treatment duration calculation (including variable durations for fillings)
+ * - Preparation/cleanup buffers per treatment and dentist
  * - Dentist-treatment compatibility validation
  * 
+ * Treatment rules (names, synonyms, categories, durations, buffers) come from the
+ * treatment catalog (treatmentCatalog.js), dentists and their skills from the dentist
+ * roster (dentistRoster.js); this module applies them.
+ * 
  * Note: This module provides fallback/helper functions. Primary treatment detection
  * is now handled by AI in openaiHandler.js, but these functions remain for
  * validation and fallback scenarios.
@@ -19,7 +24,9 @@
  * @module treatmentLogic
  */
 
-import { TREATMENT_TYPES, DENTIST_ASSIGNMENTS } from './config.js';
+import { APPOINTMENT_BUFFERS } from './config.js';
+import { treatmentCatalog } from './treatmentCatalog.js';
+import { dentistRoster } from './dentistRoster.js';
 
 /**
  * Detects treatment type from user message using keyword matching.
@@ -28,11 +35,11 @@ import { TREATMENT_TYPES, DENTIST_ASSIGNMENTS } from './config.js';
  * Uses simple keyword matching as a fallback when AI extraction is unavailable.
  * This is a less sophisticated method than AI extraction but provides reliability.
  * 
- * Detection priority:
+ * Detection priority (treatment catalog synonyms, in catalog order):
  * 1. "cleaning" or "clean" → Cleaning
  * 2. "filling" or "fill" → Filling
  * 3. "braces" or "brace" → Braces Maintenance
- * 4. Default → Consultation
+ * 4. Default → Consultation (catalog defaultTreatment)
  * 
  * Edge cases:
  * - Case-insensitive matching
@@ -40,7 +47,7 @@ import { TREATMENT_TYPES, DENTIST_ASSIGNMENTS } from './config.js';
  * - Defaults to Consultation if no keywords found
  * 
  * @param {string} userMessage - User's message text
- * @returns {string} Treatment type constant from TREATMENT_TYPES
+ * @returns {string} Treatment name from the treatment catalog
  * 
  * @example
  * // Cleaning detection:
@@ -73,22 +80,8 @@ import { TREATMENT_TYPES, DENTIST_ASSIGNMENTS } from './config.js';
  * // Output: "Cleaning" (matches "clean")
  */
 export function detectTreatmentType(userMessage) {
-  const message = userMessage.toLowerCase();
-  
-  if (message.includes('cleaning') || message.includes('clean')) {
-    return TREATMENT_TYPES.CLEANING;
-  }
-  
-  if (message.includes('filling') || message.includes('fill')) {
-    return TREATMENT_TYPES.FILLING;
-  }
-  
-  if (message.includes('braces') || message.includes('brace')) {
-    return TREATMENT_TYPES.BRACES_MAINTENANCE;
-  }
-  
-  // Default to consultation if unsure
-  return TREATMENT_TYPES.CONSULTATION;
+  // Falls back to the catalog's default treatment (Consultation) if unsure
+  return treatmentCatalog.detectTreatment(userMessage);
 }
 
 /**
@@ -98,11 +91,12 @@ export function detectTreatmentType(userMessage) {
  * business rule: braces treatments require braces specialists, while all other
  * treatments can be handled by general dentists.
  * 
- * Mapping:
+ * Mapping (first of the treatment's dentistCategories in the catalog):
  * - Braces Maintenance → 'braces'
  * - All other treatments (Cleaning, Filling, Consultation) → 'general'
+ * - Unknown treatments → 'general'
  * 
- * @param {string} treatmentType - Treatment type constant from TREATMENT_TYPES
+ * @param {string} treatmentType - Treatment name from the treatment catalog
  * @returns {string} 'braces' or 'general'
  * 
  * @example
@@ -124,10 +118,7 @@ export function detectTreatmentType(userMessage) {
  * // Output: "general"
  */
 export function getDentistType(treatmentType) {
-  if (treatmentType === TREATMENT_TYPES.BRACES_MAINTENANCE) {
-    return 'braces';
-  }
-  return 'general';
+  return treatmentCatalog.getDentistCategories(treatmentType)[0] || 'general';
 }
 
 /**
@@ -138,11 +129,11 @@ export function getDentistType(treatmentType) {
  * options when presenting dentist choices to users.
  * 
  * Logic:
- * 1. Determines dentist type (braces or general) from treatment type
- * 2. Returns corresponding dentist list from DENTIST_ASSIGNMENTS
+ * 1. Looks up the treatment's dentist categories in the treatment catalog
+ * 2. Returns active roster dentists with a matching skill, or the treatment in their `treatments`
  * 3. Returns empty array if treatment type is invalid
  * 
- * @param {string} treatmentType - Treatment type constant from TREATMENT_TYPES
+ * @param {string} treatmentType - Treatment name from the treatment catalog
  * @returns {string[]} Array of dentist names that can handle this treatment
  * 
  * @example
@@ -165,8 +156,11 @@ export function getDentistType(treatmentType) {
  * // Output: [] (empty array, no dentists available)
  */
 export function getAvailableDentists(treatmentType) {
-  const dentistType = getDentistType(treatmentType);
-  return DENTIST_ASSIGNMENTS[dentistType] || [];
+  const treatmentName = treatmentCatalog.normalizeTreatmentName(treatmentType);
+  if (!treatmentName) return [];
+  const categories = treatmentCatalog.getDentistCategories(treatmentName);
+  return dentistRoster.getDentistNames()
+    .filter(name => dentistRoster.canPerform(name, treatmentName, categories));
 }
 
 /**
@@ -175,7 +169,7 @@ export function getAvailableDentists(treatmentType) {
  * Implements business rules for different treatment durations. This is critical
  * for scheduling as it determines how long an appointment slot needs to be.
  * 
- * Duration rules:
+ * Duration rules (built-in treatment catalog; duration, perUnit and dentists overrides):
  * - Consultation: 15 minutes (fixed)
  * - Cleaning: 30 minutes (fixed)
  * - Braces Maintenance: 45 min (Dr BracesB), 15 min (Dr BracesA)
@@ -185,11 +179,11 @@ export function getAvailableDentists(treatmentType) {
  * Edge cases:
  * - Filling with null/undefined numberOfTeeth defaults to 15 minutes
  * - Invalid treatment type defaults to 15 minutes
- * - Dentist name only matters for Braces Maintenance
+ * - Dentist name only matters for treatments with per-dentist overrides (Braces Maintenance)
  * 
- * @param {string} treatmentType - Treatment type constant from TREATMENT_TYPES
- * @param {string} dentistName - Name of the dentist (only used for Braces Maintenance)
- * @param {number|null} [numberOfTeeth=null] - Number of teeth (for fillings only), null for other treatments
+ * @param {string} treatmentType - Treatment name from the treatment catalog
+ * @param {string} dentistName - Name of the dentist (for per-dentist overrides)
+ * @param {number|null} [numberOfTeeth=null] - Number of teeth (for per-unit treatments like fillings), null for other treatments
  * @returns {number} Duration in minutes (always positive integer)
  * 
  * @example
@@ -238,33 +232,44 @@ export function getAvailableDentists(treatmentType) {
  * // Output: 15 (default fallback)
  */
 export function calculateTreatmentDuration(treatmentType, dentistName, numberOfTeeth = null) {
-  switch (treatmentType) {
-    case TREATMENT_TYPES.CONSULTATION:
-      return 15;
-    
-    case TREATMENT_TYPES.CLEANING:
-      return 30;
-    
-    case TREATMENT_TYPES.BRACES_MAINTENANCE:
-      if (dentistName === 'Dr BracesB') {
-        return 45;
-      } else if (dentistName === 'Dr BracesA') {
-        return 15;
-      }
-      return 15; // Default
-    
-    case TREATMENT_TYPES.FILLING:
-      if (numberOfTeeth === null || numberOfTeeth === undefined) {
-        return 15; // Default if not specified
-      }
-      if (numberOfTeeth === 1) {
-        return 30;
-      }
-      return 30 + (numberOfTeeth - 1) * 15;
-    
-    default:
-      return 15;
-  }
+  return treatmentCatalog.getDuration(treatmentType, dentistName, numberOfTeeth);
+}
+
+/**
+ * Returns the preparation and cleanup buffers around a treatment's chair time.
+ * 
+ * Buffers are not part of the appointment itself (calculateTreatmentDuration() stays
+ * chair time only); they are the minutes that must stay free next to other appointments,
+ * e.g. for sterilization. Defaults come from APPOINTMENT_BUFFERS in config.js, dentist buffers from
+ * the dentist roster, treatment buffers (and dentist-specific treatment buffers) from the treatment catalog.
+ * 
+ * Resolution (later wins, per field): default → treatment → dentist → dentist's treatment override
+ * 
+ * @param {string} treatmentType - Treatment name from the treatment catalog
+ * @param {string} [dentistName] - Name of the dentist
+ * @returns {{before: number, after: number}} Buffers in minutes
+ * 
+ * @example
+ * getTreatmentBuffers("Filling", "Dr GeneralA")
+ * // Output: { before: 5, after: 10 }
+ * 
+ * @example
+ * // Unknown treatment (defaults):
+ * getTreatmentBuffers("Unknown", "Dr GeneralA")
+ * // Output: { before: 0, after: 5 }
+ */
+export function getTreatmentBuffers(treatmentType, dentistName = null) {
+  const treatment = treatmentCatalog.getTreatment(treatmentType);
+  const buffers = {
+    ...APPOINTMENT_BUFFERS.default,
+    ...(treatment?.buffers || {}),
+    ...(dentistName ? dentistRoster.getBuffers(dentistName) || {} : {}),
+    ...(treatment?.dentists?.[dentistName]?.buffers || {}),
+  };
+  return {
+    before: Math.max(0, buffers.before || 0),
+    after: Math.max(0, buffers.after || 0),
+  };
 }
 
 /**
@@ -341,13 +346,13 @@ export function extractNumberOfTeeth(message) {
  * Validates if a dentist is qualified to handle a specific treatment type.
  * 
  * Checks if the dentist is in the list of available dentists for that treatment.
- * This ensures business rules are enforced: braces dentists can only do braces
- * treatments, and general dentists can only do general treatments.
+ * This ensures business rules are enforced: dentists only get treatments matching
+ * their roster skills (braces dentists braces treatments, general dentists general ones).
  * 
  * Validation logic:
- * 1. Gets available dentists for the treatment type
- * 2. Checks if dentist name is in that list
- * 3. Returns true if found, false otherwise
+ * 1. Resolves the name against the roster (display name or alias)
+ * 2. Gets available dentists for the treatment type
+ * 3. Returns true if the resolved dentist is in that list, false otherwise
  * 
  * Use cases:
  * - Validating AI-extracted dentist names
@@ -355,7 +360,7 @@ export function extractNumberOfTeeth(message) {
  * - Filtering dentist options in UI
  * 
  * @param {string} dentistName - Name of the dentist to validate
- * @param {string} treatmentType - Treatment type constant from TREATMENT_TYPES
+ * @param {string} treatmentType - Treatment name from the treatment catalog
  * @returns {boolean} True if dentist can handle the treatment, false otherwise
  * 
  * @example
@@ -384,7 +389,8 @@ export function extractNumberOfTeeth(message) {
  * // Output: false (not in available dentists list)
  */
 export function isValidDentistForTreatment(dentistName, treatmentType) {
+  const resolvedName = dentistRoster.resolveDentistName(dentistName);
   const availableDentists = getAvailableDentists(treatmentType);
-  return availableDentists.includes(dentistName);
+  return !!resolvedName && availableDentists.includes(resolvedName);
 }
 
@@ -2,9 +2,14 @@
  * Date Parser utilities for extracting date and time preferences from user messages.
  * Provides functions to parse natural language date/time expressions and match them with calendar slots.
  * 
+ * Relative days ("today", "Monday") and times ("10am") are interpreted in clinic time
+ * (CLINIC_TIMEZONE). Parsed dates are calendar days stored as 00:00 UTC of that day.
+ * 
  * @module dateParser
  */
 
+import { getZonedParts } from './timezone.js';
+
 /**
  * Parses date and time preferences from a user's message.
  * Extracts relative dates (today, tomorrow, next week), day-of-week references (Monday, next Tuesday),
@@ -121,14 +126,15 @@ export function parseDateTimePreference(message, referenceDate = new Date()) {
   // Track if "this" pattern was found (for day of week logic)
   let wasThisPattern = false;
 
+  // Today in clinic time (the server may run in another timezone, e.g. UTC on Vercel)
+  const clinicToday = getZonedParts(referenceDate);
+  const clinicDay = (daysToAdd = 0) => new Date(Date.UTC(clinicToday.year, clinicToday.month, clinicToday.day + daysToAdd));
+
   // Parse relative dates
   if (msg.includes('today')) {
-    result.date = new Date(referenceDate);
-    result.date.setUTCHours(0, 0, 0, 0);
+    result.date = clinicDay(0);
   } else if (msg.includes('tomorrow')) {
-    result.date = new Date(referenceDate);
-    result.date.setUTCDate(result.date.getUTCDate() + 1);
-    result.date.setUTCHours(0, 0, 0, 0);
+    result.date = clinicDay(1);
   } else {
     // Parse day of week (Monday, Tuesday, etc.)
     const dayNames = {
@@ -195,8 +201,7 @@ export function parseDateTimePreference(message, referenceDate = new Date()) {
 
     // Calculate the target date
     if (targetDay !== null) {
-      const currentDate = new Date(referenceDate);
-      const currentDay = currentDate.getDay();
+      const currentDay = clinicToday.weekday;
       let daysToAdd = targetDay - currentDay;
 
       if (isNextWeek) {
@@ -223,14 +228,10 @@ export function parseDateTimePreference(message, referenceDate = new Date()) {
         // If daysToAdd === 0 and wasThisPattern, it's today (no change needed)
       }
 
-      result.date = new Date(referenceDate);
-      result.date.setUTCDate(result.date.getUTCDate() + daysToAdd);
-      result.date.setUTCHours(0, 0, 0, 0);
+      result.date = clinicDay(daysToAdd);
     } else if (!targetDay && msg.includes('next week')) {
       // Handle generic "next week" (no specific day mentioned)
-      result.date = new Date(referenceDate);
-      result.date.setUTCDate(result.date.getUTCDate() + 7);
-      result.date.setUTCHours(0, 0, 0, 0);
+      result.date = clinicDay(7);
     }
   }
 
@@ -331,7 +332,7 @@ export function parseDateTimePreference(message, referenceDate = new Date()) {
       if (match) {
         monthNameMatch = monthNum;
         dayMatch = parseInt(match[1], 10);
-        yearMatch = match[2] ? parseInt(match[2], 10) : referenceDate.getUTCFullYear();
+        yearMatch = match[2] ? parseInt(match[2], 10) : clinicToday.year;
         break;
       }
 
@@ -341,13 +342,13 @@ export function parseDateTimePreference(message, referenceDate = new Date()) {
       if (match) {
         monthNameMatch = monthNum;
         dayMatch = parseInt(match[1], 10);
-        yearMatch = match[2] ? parseInt(match[2], 10) : referenceDate.getUTCFullYear();
+        yearMatch = match[2] ? parseInt(match[2], 10) : clinicToday.year;
         break;
       }
     }
 
     if (monthNameMatch !== null && dayMatch !== null) {
-      const year = yearMatch || referenceDate.getUTCFullYear();
+      const year = yearMatch || clinicToday.year;
       result.date = new Date(Date.UTC(year, monthNameMatch, dayMatch));
     } else {
       // Pattern 2: Numeric formats (MM/DD, YYYY-MM-DD)
@@ -363,7 +364,7 @@ export function parseDateTimePreference(message, referenceDate = new Date()) {
             // MM/DD or DD/MM - assume MM/DD
             const month = parseInt(match[1], 10) - 1;
             const day = parseInt(match[2], 10);
-            const year = referenceDate.getUTCFullYear();
+            const year = clinicToday.year;
             result.date = new Date(Date.UTC(year, month, day));
           } else {
             // YYYY-MM-DD
@@ -479,21 +480,20 @@ export function matchesDateTimePreference(slotDate, preference) {
 
   let matches = true;
 
+  // Slot day and time as the patient sees them (clinic time)
+  const slotParts = getZonedParts(slotDate);
+
   if (preference.date) {
-    const slotDateOnly = new Date(slotDate);
-    slotDateOnly.setUTCHours(0, 0, 0, 0);
     const prefDateOnly = new Date(preference.date);
-    prefDateOnly.setUTCHours(0, 0, 0, 0);
     // Compare dates by year, month, day only (ignore time)
     matches = matches && 
-              slotDateOnly.getUTCFullYear() === prefDateOnly.getUTCFullYear() &&
-              slotDateOnly.getUTCMonth() === prefDateOnly.getUTCMonth() &&
-              slotDateOnly.getUTCDate() === prefDateOnly.getUTCDate();
+              slotParts.year === prefDateOnly.getUTCFullYear() &&
+              slotParts.month === prefDateOnly.getUTCMonth() &&
+              slotParts.day === prefDateOnly.getUTCDate();
   }
 
   if (preference.time) {
-    const slotHours = slotDate.getUTCHours();
-    const slotMinutes = slotDate.getUTCMinutes();
+    const slotHours = slotParts.hours;
     // Allow ±1 hour flexibility (compare hours only, minutes don't matter)
     const hourDiff = Math.abs(slotHours - preference.time.hours);
     matches = matches && (hourDiff <= 1);
@@ -502,3 +502,25 @@ export function matchesDateTimePreference(slotDate, preference) {
   return matches;
 }
 
+
+/**
+ * Returns how far a slot start is from the preferred time of day, in minutes (clinic time).
+ * Used to offer the closest start times first, e.g. 11:00 for "around 11" inside a 9:00-12:40 gap.
+ * 
+ * @param {Date} slotDate - Calendar slot start date/time
+ * @param {Object} preference - Parsed preference object from parseDateTimePreference
+ * @param {Object|null} [preference.time] - Preferred time with {hours, minutes}
+ * @returns {number} Absolute difference in minutes (0 if no time preference)
+ * 
+ * @example
+ * minutesFromPreferredTime(new Date("2024-01-16T10:45:00Z"), { time: { hours: 11, minutes: 0 } })
+ * // Output: 15
+ */
+export function minutesFromPreferredTime(slotDate, preference) {
+  if (!preference?.time) {
+    return 0;
+  }
+  const slotParts = getZonedParts(slotDate);
+  const slotMinutes = slotParts.hours * 60 + slotParts.minutes;
+  return Math.abs(slotMinutes - (preference.time.hours * 60 + (preference.time.minutes || 0)));
+}
@@ -0,0 +1,196 @@
+/**
+ * Timezone utilities for working in the clinic's local time.
+ *
+ * Dates are stored as absolute instants (Date objects), but everything a patient sees or
+ * says ("10am", "tomorrow", "Monday") is in clinic time. These helpers convert between the
+ * two using the IANA timezone of the clinic (CLINIC_TIMEZONE, or the active tenant's
+ * timezone, see tenants.js), so results are the same whether the server runs in UTC
+ * (Vercel) or in the clinic's own timezone.
+ *
+ * Calendar-day convention: a day without a time (e.g. a parsed date preference) is
+ * represented as a Date at 00:00 UTC of that calendar day, matching dateParser.js.
+ *
+ * @module timezone
+ */
+
+import { tenantRegistry } from '../tenants.js';
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const partsFormatters = new Map(); // timeZone → Intl.DateTimeFormat (creating formatters is slow)
+
+/**
+ * Returns the IANA timezone of the active clinic.
+ *
+ * @returns {string} Timezone (e.g., "Europe/Berlin")
+ */
+export function getClinicTimezone() {
+  return tenantRegistry.getCurrentTenant().timezone;
+}
+
+/**
+ * Returns the wall-clock parts of an instant in a timezone.
+ *
+ * @param {Date} date - Instant to convert
+ * @param {string} [timeZone=getClinicTimezone()] - IANA timezone (e.g., "Europe/Berlin")
+ * @returns {Object} { year, month (0-11), day, hours, minutes, seconds, weekday (0 = Sunday) }
+ *
+ * @example
+ * getZonedParts(new Date("2024-01-15T08:30:00Z"), "Europe/Berlin")
+ * // Output: { year: 2024, month: 0, day: 15, hours: 9, minutes: 30, seconds: 0, weekday: 1 }
+ */
+export function getZonedParts(date, timeZone = getClinicTimezone()) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  const parts = Object.fromEntries(
+    partsFormatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10) - 1,
+    day: parseInt(parts.day, 10),
+    hours: parseInt(parts.hour, 10),
+    minutes: parseInt(parts.minute, 10),
+    seconds: parseInt(parts.second, 10),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+/**
+ * Converts a wall-clock time in a timezone to an absolute instant.
+ * Handles daylight saving time (offset re-checked at the resulting instant).
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11, overflow allowed)
+ * @param {number} day - Day of month (overflow allowed, e.g. 32 → next month)
+ * @param {number} [hours=0] - Hours (0-23)
+ * @param {number} [minutes=0] - Minutes
+ * @param {string} [timeZone=getClinicTimezone()] - IANA timezone
+ * @returns {Date} Instant at that wall-clock time in the timezone
+ *
+ * @example
+ * zonedDateTime(2024, 0, 15, 10, 0, "Europe/Berlin")
+ * // Output: Date(2024-01-15T09:00:00.000Z)  // 10:00 in Berlin (UTC+1)
+ */
+export function zonedDateTime(year, month, day, hours = 0, minutes = 0, timeZone = getClinicTimezone()) {
+  const wallClockAsUtc = Date.UTC(year, month, day, hours, minutes);
+  let instant = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(wallClockAsUtc), timeZone) * 60000;
+  // Offset may differ at the actual instant when a DST change lies in between
+  instant = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+/**
+ * Returns the offset of a timezone from UTC at a given instant.
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timeZone=getClinicTimezone()] - IANA timezone
+ * @returns {number} Offset in minutes (e.g., 60 for UTC+1, -300 for UTC-5)
+ *
+ * @example
+ * getTimezoneOffsetMinutes(new Date("2024-07-01T00:00:00Z"), "Europe/Berlin") // Output: 120
+ */
+export function getTimezoneOffsetMinutes(date, timeZone = getClinicTimezone()) {
+  const p = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(p.year, p.month, p.day, p.hours, p.minutes, p.seconds);
+  return Math.round((wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Returns midnight (clinic time) of the day `days` after the day containing `date`.
+ *
+ * @param {Date} date - Reference instant
+ * @param {number} [days=0] - Days to add (0 = start of the same day)
+ * @param {string} [timeZone=getClinicTimezone()] - IANA timezone
+ * @returns {Date} Start of the resulting clinic day
+ *
+ * @example
+ * // 23:30 UTC on Jan 15 is already Jan 16 in Berlin:
+ * startOfClinicDay(new Date("2024-01-15T23:30:00Z"), 1, "Europe/Berlin")
+ * // Output: Date(2024-01-16T23:00:00.000Z)  // Jan 17, 00:00 Berlin
+ */
+export function startOfClinicDay(date, days = 0, timeZone = getClinicTimezone()) {
+  const p = getZonedParts(date, timeZone);
+  return zonedDateTime(p.year, p.month, p.day + days, 0, 0, timeZone);
+}
+
+/**
+ * Returns the clinic calendar day of an instant as "YYYY-MM-DD".
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timeZone=getClinicTimezone()] - IANA timezone
+ * @returns {string} Date key (e.g., "2024-01-15")
+ */
+export function toClinicDateKey(date, timeZone = getClinicTimezone()) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month + 1).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the clinic wall-clock time of an instant as "YYYY-MM-DDTHH:MM:SS" (no offset),
+ * the format Google Calendar expects together with a timeZone field.
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timeZone=getClinicTimezone()] - IANA timezone
+ * @returns {string} Local date-time string
+ *
+ * @example
+ * toClinicDateTimeString(new Date("2024-01-15T09:00:00Z"), "Europe/Berlin") // Output: "2024-01-15T10:00:00"
+ */
+export function toClinicDateTimeString(date, timeZone = getClinicTimezone()) {
+  const p = getZonedParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${toClinicDateKey(date, timeZone)}T${pad(p.hours)}:${pad(p.minutes)}:${pad(p.seconds)}`;
+}
+
+/**
+ * Formats the date part of an instant in clinic time (toLocaleDateString in the clinic timezone).
+ *
+ * @param {Date} date - Instant (falsy → empty string)
+ * @param {Object} [options={}] - Intl.DateTimeFormat options (e.g., { weekday: 'short' })
+ * @returns {string} Formatted date
+ *
+ * @example
+ * formatClinicDate(new Date("2024-01-15T23:30:00Z"))  // Output (Berlin): "1/16/2024"
+ */
+export function formatClinicDate(date, options = {}) {
+  if (!date) return '';
+  return date.toLocaleDateString('en-US', { timeZone: getClinicTimezone(), ...options });
+}
+
+/**
+ * Formats the time part of an instant in clinic time (toLocaleTimeString in the clinic timezone).
+ *
+ * @param {Date} date - Instant (falsy → empty string)
+ * @param {Object} [options={}] - Intl.DateTimeFormat options (e.g., { hour: 'numeric', minute: '2-digit' })
+ * @returns {string} Formatted time
+ *
+ * @example
+ * formatClinicTime(new Date("2024-01-15T09:00:00Z"))  // Output (Berlin): "10:00:00 AM"
+ */
+export function formatClinicTime(date, options = {}) {
+  if (!date) return '';
+  return date.toLocaleTimeString('en-US', { timeZone: getClinicTimezone(), ...options });
+}
+
+/**
+ * Formats date and time of an instant in clinic time (toLocaleString in the clinic timezone).
+ *
+ * @param {Date} date - Instant (falsy → empty string)
+ * @returns {string} Formatted date and time (e.g., "1/15/2024, 10:00:00 AM")
+ */
+export function formatClinicDateTime(date) {
+  if (!date) return '';
+  return date.toLocaleString('en-US', { timeZone: getClinicTimezone() });
+}
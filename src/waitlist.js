@@ -0,0 +1,716 @@
+/**
+ * Waitlist module offering freed appointment slots to waiting patients.
+ *
+ * When checkAvailability() finds nothing for the patient's preference ("Tuesday morning"),
+ * the patient can join the waitlist for that date range, dentist (or any dentist for the
+ * treatment) and treatment. When a cancellation (or the cancelled old appointment of a
+ * reschedule) frees a slot, offerFreedSlot() offers it to the first waiting patient it fits:
+ *
+ * 1. Entries are checked in the order patients joined (first come, first served)
+ * 2. An entry fits when the dentist matches (or can do the treatment when no dentist was named),
+ *    the freed time lies in the entry's date range (and near its preferred time of day), and
+ *    the treatment fits into the free gap on a fresh calendar check (buffers included)
+ * 3. The patient gets a WhatsApp offer with "Book it" / "No thanks" buttons (approved
+ *    "waitlist_offer" template outside the 24-hour customer service window), and the slot
+ *    is held for them for WAITLIST_HOLD_MINUTES (hidden from other patients' searches); times
+ *    held for a patient deciding on offered slots (slotHolds.js) are not offered
+ * 4. "No thanks", an expired hold or a failed send moves the offer to the next fitting entry;
+ *    the patient stays on the waitlist for other slots
+ * 5. "Book it" books the slot through openaiHandler.confirmBooking() and removes the entry
+ *
+ * Entry model:
+ * {
+ *   id: "wl_1760860800000_ab12",
+ *   conversationId: "+491701234567",     // Per clinic, see tenants.js
+ *   phone: "+491701234567",
+ *   patientName: "John Doe",
+ *   treatmentType: "Cleaning",
+ *   numberOfTeeth: null,
+ *   dentistName: null,                   // null = any dentist for the treatment
+ *   from: "2026-10-20T07:00:00.000Z",    // Date range (clinic days), to is exclusive
+ *   to: "2026-10-21T07:00:00.000Z",
+ *   time: { hours: 9, minutes: 0 },      // Preferred time of day (±1 hour), or null
+ *   status: "waiting",                   // 'waiting' | 'offered'
+ *   offer: null,                         // { doctor, startTime, endTime, treatmentDuration, freedSlot, expiresAt }
+ *   declinedSlots: [],                   // Freed slots declined/missed, never offered again to this entry
+ *   createdAt: "..."
+ * }
+ *
+ * Storage: one list per clinic in the module store (createModuleStore(), "waitlist:<tenant id>"
+ * keys, WAITLIST_FILE_PATH). Changes to a clinic's list run one after another
+ * (conversationQueue), so two cancellations at the same time never offer to the same
+ * patient twice.
+ *
+ * Picking the patient and marking the entry as offered run inside that one-after-another
+ * step; calendar checks and the WhatsApp send run outside it, so a slow API call never
+ * holds up the clinic's other waitlist changes.
+ *
+ * Expired holds are moved on by a one-minute interval in the long-running server (started
+ * from index.js); on Vercel, where no interval runs, index.js moves them on with every
+ * webhook. Entries are removed once their date range has passed.
+ *
+ * @module waitlist
+ */
+
+import { config } from './config.js';
+import { createModuleStore } from './sessionStore.js';
+import { conversationQueue } from './conversationQueue.js';
+import { slotHolds } from './slotHolds.js';
+import { googleCalendarService } from './googleCalendar.js';
+import { googleSheetsService } from './googleSheets.js';
+import { whatsappService } from './whatsapp.js';
+import { deliveryTracker, OUTBOUND_KINDS } from './deliveryTracker.js';
+import { tenantRegistry } from './tenants.js';
+import { clinicSchedule } from './clinicSchedule.js';
+import { calculateTreatmentDuration, isValidDentistForTreatment } from './treatmentLogic.js';
+import { matchesDateTimePreference } from './utils/dateParser.js';
+import { startOfClinicDay, zonedDateTime, formatClinicDate, formatClinicTime } from './utils/timezone.js';
+
+/**
+ * Reply button IDs of waitlist messages (handled by openaiHandler.generateResponse())
+ */
+export const WAITLIST_BUTTON_IDS = {
+  JOIN: 'waitlist_join',
+  ACCEPT: 'waitlist_accept',
+  DECLINE: 'waitlist_decline'
+};
+
+/**
+ * Template key of offers sent outside the 24-hour customer service window (WHATSAPP_TEMPLATES);
+ * body variables: {{1}} patient name, {{2}} doctor, {{3}} date, {{4}} time, {{5}} hold minutes
+ */
+const OFFER_TEMPLATE = 'waitlist_offer';
+
+/**
+ * Reply buttons sent with an offer
+ */
+const OFFER_BUTTONS = [
+  { id: WAITLIST_BUTTON_IDS.ACCEPT, title: 'Book it' },
+  { id: WAITLIST_BUTTON_IDS.DECLINE, title: 'No thanks' }
+];
+
+/**
+ * How long a clinic's list is kept in the store after its last change.
+ */
+const LIST_TTL_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+/**
+ * Waitlist class managing waitlist entries and slot offers.
+ *
+ * @class Waitlist
+ */
+export class Waitlist {
+  /**
+   * Initializes the waitlist (the expiry interval is started by start()).
+   *
+   * @param {Object} [options] - Waitlist configuration (defaults to config.waitlist)
+   * @param {Object} [store] - Store adapter (defaults to the module store, see createModuleStore())
+   *
+   * @example
+   * // Automatically called when module is imported
+   * // SESSION_STORE=redis → lists stored in Redis under "waitlist:<tenant id>"
+   */
+  constructor(options = config.waitlist, store = createModuleStore(options.filePath, 'waitlist:')) {
+    this.enabled = options.enabled;
+    this.holdMinutes = options.holdMinutes;
+    this.maxDays = options.maxDays;
+    this.store = store;
+    this.expiryInterval = null;
+  }
+
+  /**
+   * Starts the interval moving expired holds on to the next patient.
+   * Not called on Vercel: there index.js calls releaseExpiredOffers() on every webhook.
+   *
+   * @returns {boolean} True if the interval is running
+   */
+  start() {
+    if (!this.enabled) {
+      console.log('📝 [WAITLIST] Disabled (WAITLIST_ENABLED=false)');
+      return false;
+    }
+    if (!this.expiryInterval) {
+      this.expiryInterval = setInterval(() => {
+        this.releaseExpiredOffers().catch(error => {
+          console.error('❌ [WAITLIST] Releasing expired offers failed:', error.message);
+        });
+      }, 60000); // Check every minute
+      this.expiryInterval.unref?.(); // Don't keep the process alive just for the waitlist
+      console.log(`📝 [WAITLIST] Started, offers held for ${this.holdMinutes} minutes`);
+    }
+    return true;
+  }
+
+  /**
+   * Stops the expiry interval and closes the store.
+   * Should be called during application shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.expiryInterval);
+    this.expiryInterval = null;
+    try {
+      await this.store.close();
+    } catch (error) {
+      console.error('❌ [WAITLIST] Error closing store:', error.message);
+    }
+  }
+
+  /**
+   * Builds the date range a patient waits for from their parsed date/time preference.
+   *
+   * Rules:
+   * - Preferred day → that clinic day ("Tuesday morning" → Tuesday 00:00 until Wednesday 00:00)
+   * - No day → from tomorrow for WAITLIST_MAX_DAYS days
+   * - Preferred time of day is kept and matched like availability (±1 hour)
+   *
+   * @param {Object} datePreference - Result of extractDateTimeWithAI() ({ date, time })
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Object} { from: Date, to: Date, time: { hours, minutes } | null }
+   *
+   * @example
+   * // "Tuesday morning" (date: Tuesday, time: 9:00):
+   * waitlist.buildRange({ date: Date(2026-10-20), time: { hours: 9, minutes: 0 } })
+   * // Returns: { from: Tue 00:00, to: Wed 00:00, time: { hours: 9, minutes: 0 } }
+   */
+  buildRange(datePreference, now = new Date()) {
+    const day = datePreference?.date;
+    const from = day
+      ? zonedDateTime(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+      : startOfClinicDay(now, 1);
+    const to = day ? startOfClinicDay(from, 1) : startOfClinicDay(now, 1 + this.maxDays);
+    return { from, to, time: datePreference?.time || null };
+  }
+
+  /**
+   * Describes what an entry waits for, for patient messages.
+   *
+   * @param {Object} entry - Waitlist entry (or range from buildRange() with dentistName/treatmentType)
+   * @returns {string} Description (e.g., "Tue, Oct 20 around 9:00 AM with any dentist")
+   *
+   * @example
+   * waitlist.describe({ from, to, time: { hours: 9, minutes: 0 }, dentistName: null })
+   * // Returns: "Tue, Oct 20 around 9:00 AM with any dentist"
+   */
+  describe(entry) {
+    const from = new Date(entry.from);
+    const to = new Date(entry.to);
+    const singleDay = startOfClinicDay(from, 1).getTime() >= to.getTime();
+    const dayText = singleDay
+      ? formatClinicDate(from, { weekday: 'short', month: 'short', day: 'numeric' })
+      : `any day until ${formatClinicDate(new Date(to.getTime() - 1), { weekday: 'short', month: 'short', day: 'numeric' })}`;
+    const timeText = entry.time
+      ? ` around ${formatClinicTime(zonedDateTime(2000, 0, 1, entry.time.hours, entry.time.minutes), { hour: 'numeric', minute: '2-digit', hour12: true })}`
+      : '';
+    return `${dayText}${timeText} with ${entry.dentistName || 'any dentist'}`;
+  }
+
+  /**
+   * Adds a patient to the waitlist of the active clinic.
+   * Joining again for the same person and treatment updates the existing entry (keeps its place).
+   *
+   * @param {Object} request - What the patient waits for
+   * @param {string} request.conversationId - Conversation ID
+   * @param {string} request.phone - Patient phone number
+   * @param {string} request.patientName - Person the appointment is for
+   * @param {string} request.treatmentType - Treatment
+   * @param {number|null} [request.numberOfTeeth] - Number of teeth (fillings)
+   * @param {string|null} [request.dentistName] - Dentist (null = any dentist for the treatment)
+   * @param {Date} request.from - Range start
+   * @param {Date} request.to - Range end (exclusive)
+   * @param {Object|null} [request.time] - Preferred time of day { hours, minutes }
+   * @returns {Promise<Object>} { success: true, entry } or { success: false, error }
+   *
+   * @example
+   * await waitlist.join({ conversationId: "+491701234567", phone: "+491701234567", patientName: "John Doe",
+   *   treatmentType: "Cleaning", dentistName: null, ...waitlist.buildRange(datePreference) })
+   * // Output: { success: true, entry: { id: "wl_...", status: "waiting", ... } }
+   */
+  async join(request) {
+    try {
+      const entry = await this.update(entries => {
+        const existing = entries.find(item =>
+          item.conversationId === request.conversationId &&
+          item.patientName === request.patientName &&
+          item.treatmentType === request.treatmentType
+        );
+        const fields = {
+          conversationId: request.conversationId,
+          phone: request.phone,
+          patientName: request.patientName,
+          treatmentType: request.treatmentType,
+          numberOfTeeth: request.numberOfTeeth || null,
+          dentistName: request.dentistName || null,
+          from: new Date(request.from).toISOString(),
+          to: new Date(request.to).toISOString(),
+          time: request.time || null,
+        };
+        if (existing) {
+          Object.assign(existing, fields);
+          return existing;
+        }
+        const created = {
+          id: `wl_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+          ...fields,
+          status: 'waiting',
+          offer: null,
+          declinedSlots: [],
+          createdAt: new Date().toISOString(),
+        };
+        entries.push(created);
+        return created;
+      });
+
+      console.log(`📝 [WAITLIST] ${entry.patientName} waiting for ${entry.treatmentType}, ${this.describe(entry)}`);
+      await googleSheetsService.logAction({
+        conversationId: entry.conversationId,
+        phone: entry.phone,
+        patientName: entry.patientName,
+        treatment: entry.treatmentType,
+        dentist: entry.dentistName || 'any',
+        dateTime: `${entry.from} - ${entry.to}`,
+        status: 'waiting',
+        action: 'waitlist_joined',
+      });
+      return { success: true, entry };
+    } catch (error) {
+      console.error('❌ [WAITLIST] Error joining waitlist:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Returns the slot currently held for a conversation.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object|null>} Offered entry (entry.offer set) or null if none or the hold expired
+   *
+   * @example
+   * await waitlist.getOffer("+491701234567")
+   * // Returns: { id: "wl_...", patientName: "John Doe", offer: { doctor: "Dr GeneralA", startTime: Date(...), ... } }
+   */
+  async getOffer(conversationId, now = new Date()) {
+    const entries = await this.load();
+    return entries.find(entry =>
+      entry.conversationId === conversationId && entry.status === 'offered' &&
+      new Date(entry.offer.expiresAt) > now
+    ) || null;
+  }
+
+  /**
+   * Returns the slots held for waitlisted patients, so other patients are not offered them.
+   *
+   * @param {string} [exceptConversationId] - Conversation whose own held slot stays visible
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Array>} Held slots [{ doctor, startTime, endTime }]
+   */
+  async getHeldSlots(exceptConversationId = null, now = new Date()) {
+    const entries = await this.load();
+    return entries
+      .filter(entry => entry.status === 'offered' && entry.conversationId !== exceptConversationId &&
+        new Date(entry.offer.expiresAt) > now)
+      .map(entry => ({
+        doctor: entry.offer.doctor,
+        startTime: new Date(entry.offer.startTime),
+        endTime: new Date(entry.offer.endTime),
+      }));
+  }
+
+  /**
+   * Offers a freed slot to the first waiting patient it fits.
+   *
+   * Edge cases:
+   * - Nobody fits → nothing sent, null
+   * - Offer cannot be sent (e.g. window closed and no template) → hold released, next patient tried
+   * - Conversation that freed the slot → skipped (the patient just cancelled it)
+   * - Entry changed or time held for someone else since the calendar check → next patient tried
+ * - Time held for a patient deciding on offered slots (slotHolds) → not offered
+   *
+   * @param {Object} freedSlot - Freed appointment { doctor, startTime, endTime }
+   * @param {Object} [options] - Options
+   * @param {string} [options.exceptConversationId] - Conversation that freed the slot
+   * @param {Date} [options.now=new Date()] - Current time
+   * @returns {Promise<Object|null>} Offered entry, or null if no patient was offered the slot
+   *
+   * @example
+   * // Dr GeneralA's Tuesday 9:00-9:30 appointment was cancelled:
+   * await waitlist.offerFreedSlot({ doctor: "Dr GeneralA", startTime: Date(...), endTime: Date(...) })
+   * // First fitting patient gets: "Good news, John Doe! An appointment has become available: ..."
+   */
+  async offerFreedSlot(freedSlot, options = {}) {
+    if (!this.enabled) return null;
+    const now = options.now || new Date();
+    const slot = {
+      doctor: freedSlot.doctor,
+      startTime: new Date(freedSlot.startTime),
+      endTime: new Date(freedSlot.endTime),
+    };
+    if (slot.startTime <= now) return null;
+
+    try {
+      const entries = await this.load();
+      const heldSlots = await slotHolds.getHeldSlots(null, now); // Offered in other conversations
+      const slotsByTreatment = new Map(); // Fresh availability per treatment, fetched once per offer
+
+      for (const candidate of entries) {
+        if (candidate.status !== 'waiting' || candidate.conversationId === options.exceptConversationId) continue;
+        if (candidate.declinedSlots.includes(this.getSlotKey(slot)) || new Date(candidate.to) <= now) continue;
+
+        const offer = await this.findOfferSlot(candidate, slot, entries, heldSlots, slotsByTreatment, now);
+        if (!offer) continue;
+
+        const entry = await this.claimOffer(candidate.id, offer, now);
+        if (!entry) continue;
+
+        if (await this.sendOffer(entry, offer)) return entry;
+        // Could not reach this patient: release the hold and try the next one
+        await this.update(current => {
+          const claimed = current.find(item => item.id === entry.id && item.status === 'offered');
+          if (claimed) this.resetEntry(claimed);
+        });
+      }
+
+      console.log(`📝 [WAITLIST] No waiting patient fits ${slot.doctor} ${slot.startTime.toISOString()}`);
+      return null;
+    } catch (error) {
+      console.error('❌ [WAITLIST] Error offering freed slot:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Completes an accepted offer: the slot was booked, the entry leaves the waitlist.
+   *
+   * @param {string} entryId - Waitlist entry ID
+   * @returns {Promise<void>}
+   */
+  async completeOffer(entryId) {
+    try {
+      const entry = await this.update(entries => {
+        const index = entries.findIndex(item => item.id === entryId);
+        return index === -1 ? null : entries.splice(index, 1)[0];
+      });
+      if (entry) {
+        console.log(`✅ [WAITLIST] ${entry.patientName} booked the offered slot, removed from waitlist`);
+      }
+    } catch (error) {
+      console.error('❌ [WAITLIST] Error completing offer:', error.message);
+    }
+  }
+
+  /**
+   * Releases an offered slot (patient declined, or booking it failed) and offers it to the next patient.
+   * The patient stays on the waitlist and is not offered the same slot again.
+   *
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} [reason='declined'] - 'declined' | 'expired' | 'unavailable' (logged as waitlist_offer_<reason>)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await waitlist.releaseOffer(entry.id)
+   * // Entry back to 'waiting'; next fitting patient gets the offer
+   */
+  async releaseOffer(entryId, reason = 'declined') {
+    try {
+      const released = await this.update(entries => {
+        const entry = entries.find(item => item.id === entryId && item.status === 'offered');
+        return entry ? this.resetEntry(entry) : null;
+      });
+      if (!released) return;
+
+      const { entry, offer } = released;
+      console.log(`📝 [WAITLIST] Offer to ${entry.patientName} ${reason}, moving on`);
+      await this.logOffer(entry, offer, reason === 'declined' ? 'declined' : 'released', `waitlist_offer_${reason}`);
+      if (reason !== 'unavailable') {
+        await this.offerFreedSlot(offer.freedSlot);
+      }
+    } catch (error) {
+      console.error('❌ [WAITLIST] Error releasing offer:', error.message);
+    }
+  }
+
+  /**
+   * Moves expired holds on to the next patient, for every clinic.
+   * Called automatically every 60 seconds once started.
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<void>}
+   */
+  async releaseExpiredOffers(now = new Date()) {
+    for (const tenant of tenantRegistry.getTenants()) {
+      await tenantRegistry.runWithTenant(tenant, async () => {
+        const entries = await this.load();
+        const expired = entries.filter(entry => entry.status === 'offered' && new Date(entry.offer.expiresAt) <= now);
+        for (const entry of expired) {
+          await this.releaseOffer(entry.id, 'expired');
+        }
+      });
+    }
+  }
+
+  /**
+   * Finds the start time to offer an entry within a freed slot.
+   *
+   * @param {Object} entry - Waiting entry
+   * @param {Object} slot - Freed slot { doctor, startTime, endTime }
+   * @param {Array} entries - All entries (slots held for other patients are skipped)
+   * @param {Array} heldSlots - Slots held in other conversations (slotHolds.getHeldSlots(), skipped)
+   * @param {Map} slotsByTreatment - Cache of fresh availability per treatment
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Offer { doctor, startTime, endTime, treatmentDuration, freedSlot } or null
+   * @private
+   */
+  async findOfferSlot(entry, slot, entries, heldSlots, slotsByTreatment, now) {
+    const from = new Date(entry.from);
+    const to = new Date(entry.to);
+    if (slot.endTime <= from || slot.startTime >= to) return null;
+    if (entry.dentistName ? entry.dentistName !== slot.doctor : !isValidDentistForTreatment(slot.doctor, entry.treatmentType)) {
+      return null;
+    }
+
+    const treatmentDuration = calculateTreatmentDuration(entry.treatmentType, slot.doctor, entry.numberOfTeeth);
+    const cacheKey = `${entry.treatmentType}|${slot.doctor}`;
+    if (!slotsByTreatment.has(cacheKey)) {
+      slotsByTreatment.set(cacheKey, await googleCalendarService.getAvailableSlots(entry.treatmentType, [slot.doctor]));
+    }
+
+    const durationMs = treatmentDuration * 60 * 1000;
+    const startTimes = googleCalendarService.splitIntoStartTimes(slotsByTreatment.get(cacheKey), treatmentDuration)
+      .filter(start => {
+        const startMs = start.startTime.getTime();
+        const endMs = startMs + durationMs;
+        return start.startTime >= from && start.startTime < to &&
+          startMs < slot.endTime.getTime() && endMs > slot.startTime.getTime() && // Uses the freed time
+          clinicSchedule.isWithinWorkingHours(slot.doctor, start.startTime) &&
+          matchesDateTimePreference(start.startTime, { date: null, time: entry.time }) &&
+          !this.isHeld(entries, heldSlots, slot.doctor, start.startTime, new Date(endMs), now);
+      })
+      // Closest to the cancelled appointment's start first
+      .sort((a, b) => Math.abs(a.startTime - slot.startTime) - Math.abs(b.startTime - slot.startTime));
+
+    if (startTimes.length === 0) return null;
+    const startTime = startTimes[0].startTime;
+    return {
+      doctor: slot.doctor,
+      startTime,
+      endTime: new Date(startTime.getTime() + durationMs),
+      treatmentDuration,
+      freedSlot: slot,
+    };
+  }
+
+  /**
+   * Marks an entry as offered (hold starts now), if it is still waiting and the offered time
+   * was not held for another patient (waitlist or slotHolds) in the meantime.
+   *
+   * @param {string} entryId - Waitlist entry ID
+   * @param {Object} offer - Offer from findOfferSlot()
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Offered entry, or null if it can no longer be offered this slot
+   * @private
+   */
+  async claimOffer(entryId, offer, now) {
+    return this.update(async entries => {
+      this.removePastEntries(entries, now);
+      const entry = entries.find(item => item.id === entryId && item.status === 'waiting');
+      const heldSlots = await slotHolds.getHeldSlots(null, now);
+      if (!entry || entry.declinedSlots.includes(this.getSlotKey(offer.freedSlot)) ||
+          this.isHeld(entries, heldSlots, offer.doctor, offer.startTime, offer.endTime, now)) {
+        return null;
+      }
+      entry.status = 'offered';
+      entry.offer = { ...offer, expiresAt: new Date(now.getTime() + this.holdMinutes * 60 * 1000).toISOString() };
+      return { ...entry };
+    });
+  }
+
+  /**
+   * Checks whether a time overlaps a slot held (not yet expired) for a waitlisted patient,
+   * or one of the given slots held in other conversations.
+   *
+   * @param {Array} entries - Entries of the active clinic
+   * @param {Array} heldSlots - Slots held in other conversations [{ doctor, startTime, endTime }]
+   * @param {string} doctor - Doctor name
+   * @param {Date} startTime - Start of the time
+   * @param {Date} endTime - End of the time
+   * @param {Date} now - Current time
+   * @returns {boolean} True if the time is held
+   * @private
+   */
+  isHeld(entries, heldSlots, doctor, startTime, endTime, now) {
+    const overlaps = held => held.doctor === doctor &&
+      startTime.getTime() < new Date(held.endTime).getTime() &&
+      endTime.getTime() > new Date(held.startTime).getTime();
+    return heldSlots.some(overlaps) || entries.some(item =>
+      item.status === 'offered' && new Date(item.offer.expiresAt) > now && overlaps(item.offer)
+    );
+  }
+
+  /**
+   * Sends an offer to a patient whose entry is already marked as offered.
+   *
+   * @param {Object} entry - Offered entry
+   * @param {Object} offer - Offer from findOfferSlot()
+   * @returns {Promise<boolean>} True if the offer was sent
+   * @private
+   */
+  async sendOffer(entry, offer) {
+    const message = this.buildOfferMessage(entry, offer);
+    const sendResult = await whatsappService.sendNotification(entry.phone, {
+      text: message,
+      buttons: OFFER_BUTTONS,
+      template: {
+        name: OFFER_TEMPLATE,
+        bodyParameters: [
+          entry.patientName,
+          offer.doctor,
+          formatClinicDate(offer.startTime),
+          formatClinicTime(offer.startTime, { hour: 'numeric', minute: '2-digit', hour12: true }),
+          String(this.holdMinutes),
+        ],
+      },
+    });
+
+    if (!sendResult.success) {
+      const error = typeof sendResult.error === 'string' ? sendResult.error : JSON.stringify(sendResult.error);
+      console.error(`❌ [WAITLIST] Offer to ${entry.phone} failed:`, error);
+      await this.logOffer(entry, offer, 'NEEDS FOLLOW-UP***************', 'waitlist_offer_failed', error);
+      return false;
+    }
+
+    console.log(`✅ [WAITLIST] Offered ${offer.doctor} ${offer.startTime.toISOString()} to ${entry.patientName} as ${sendResult.via}`);
+    await deliveryTracker.trackOutbound(sendResult.messageId, {
+      conversationId: entry.conversationId,
+      phone: entry.phone,
+      kind: OUTBOUND_KINDS.WAITLIST_OFFER,
+      patientName: entry.patientName,
+    });
+    await this.logOffer(entry, offer, 'sent', 'waitlist_offer_sent');
+    return true;
+  }
+
+  /**
+   * Builds the offer text.
+   *
+   * @param {Object} entry - Waitlist entry
+   * @param {Object} offer - Offer { doctor, startTime, endTime }
+   * @returns {string} Offer message
+   *
+   * @example
+   * buildOfferMessage(entry, offer)
+   * // Output: "Good news, John Doe! An appointment has become available:\n\nDoctor: Dr GeneralA\n...\n\nI'm holding it for you for 15 minutes. Would you like to book it?"
+   */
+  buildOfferMessage(entry, offer) {
+    const formatTime = date => formatClinicTime(date, { hour: 'numeric', minute: '2-digit', hour12: true });
+    return `Good news, ${entry.patientName}! An appointment has become available:\n\n` +
+      `Doctor: ${offer.doctor}\n` +
+      `Treatment: ${entry.treatmentType}\n` +
+      `Date: ${formatClinicDate(offer.startTime)}\n` +
+      `Time: ${formatTime(offer.startTime)} - ${formatTime(offer.endTime)}\n\n` +
+      `I'm holding it for you for ${this.holdMinutes} minutes. Would you like to book it?`;
+  }
+
+  /**
+   * Puts an offered entry back to waiting; the offered slot is not offered to it again.
+   *
+   * @param {Object} entry - Offered entry (modified in place)
+   * @returns {Object} { entry, offer } with the released offer
+   * @private
+   */
+  resetEntry(entry) {
+    const offer = entry.offer;
+    entry.status = 'waiting';
+    entry.offer = null;
+    entry.declinedSlots.push(this.getSlotKey(offer.freedSlot));
+    return { entry, offer };
+  }
+
+  /**
+   * Removes entries whose date range has passed (in place).
+   *
+   * @param {Array} entries - Entries of the active clinic
+   * @param {Date} now - Current time
+   * @returns {void}
+   * @private
+   */
+  removePastEntries(entries, now) {
+    for (let index = entries.length - 1; index >= 0; index--) {
+      if (entries[index].status === 'waiting' && new Date(entries[index].to) <= now) {
+        entries.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Logs an offer event to the clinic's Sheets log.
+   *
+   * @param {Object} entry - Waitlist entry
+   * @param {Object} offer - Offer { doctor, startTime, endTime }
+   * @param {string} status - Log status
+   * @param {string} action - Log action (e.g., "waitlist_offer_sent")
+   * @param {string} [message] - Error message
+   * @returns {Promise<void>}
+   * @private
+   */
+  async logOffer(entry, offer, status, action, message = null) {
+    await googleSheetsService.logAction({
+      conversationId: entry.conversationId,
+      phone: entry.phone,
+      patientName: entry.patientName,
+      treatment: entry.treatmentType,
+      dentist: offer.doctor,
+      dateTime: `${new Date(offer.startTime).toISOString()} - ${new Date(offer.endTime).toISOString()}`,
+      ...(message ? { message } : {}),
+      status,
+      action,
+    });
+  }
+
+  /**
+   * Returns the key identifying a freed slot in declinedSlots.
+   *
+   * @param {Object} slot - Freed slot { doctor, startTime }
+   * @returns {string} Key (e.g., "Dr GeneralA|2026-10-20T07:00:00.000Z")
+   * @private
+   */
+  getSlotKey(slot) {
+    return `${slot.doctor}|${new Date(slot.startTime).toISOString()}`;
+  }
+
+  /**
+   * Loads the entries of the active clinic.
+   *
+   * @returns {Promise<Array>} Entries in joining order ([] if none or the store failed)
+   * @private
+   */
+  async load() {
+    try {
+      return (await this.store.get(tenantRegistry.getCurrentTenant().id)) || [];
+    } catch (error) {
+      console.error('❌ [WAITLIST] Error loading waitlist:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Changes the entries of the active clinic and saves them.
+   * Changes run one after another per clinic.
+   *
+   * @param {Function} mutate - Async function changing the entries array in place; its result is returned
+   * @returns {Promise<*>} Result of mutate
+   * @private
+   */
+  update(mutate) {
+    const tenantId = tenantRegistry.getCurrentTenant().id;
+    return conversationQueue.run(`waitlist:${tenantId}`, async () => {
+      const entries = (await this.store.get(tenantId)) || [];
+      const result = await mutate(entries);
+      await this.store.set(tenantId, entries, LIST_TTL_MS);
+      return result;
+    });
+  }
+}
+
+export const waitlist = new Waitlist();
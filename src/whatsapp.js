@@ -7,7 +7,13 @@
  * 
  * Key features:
  * - Sends text messages to phone numbers
+ * - Sends interactive reply-button messages (deterministic confirmations)
+ * - Sends interactive list messages (pick one of several bookings)
+ * - Sends approved template messages (named templates from WHATSAPP_TEMPLATES)
+ * - Chooses free text or template for business-initiated messages by the 24-hour
+ *   customer service window (customerServiceWindow.js)
  * - Verifies webhook during setup
+ * - Verifies X-Hub-Signature-256 on incoming webhook payloads
  * - Parses incoming webhook messages
  * - Error handling with detailed logging
  * 
@@ -16,12 +22,16 @@
  * - Phone Number ID
  * - Access Token (with messages.send permission)
  * - Verify Token (for webhook verification)
+ * - App Secret (for webhook payload signature verification)
  * 
  * @module whatsapp
  */
 
 import axios from 'axios';
+import crypto from 'crypto';
 import { config } from './config.js';
+import { tenantRegistry } from './tenants.js';
+import { customerServiceWindow } from './customerServiceWindow.js';
 
 /**
  * WhatsAppService class handles all WhatsApp Business API operations.
@@ -54,6 +64,29 @@ class WhatsAppService {
     this.apiUrl = config.whatsapp.apiUrl;
     this.phoneNumberId = config.whatsapp.phoneNumberId;
     this.accessToken = config.whatsapp.accessToken;
+    this.appSecret = config.whatsapp.appSecret;
+    this.rejectedSignatureCount = 0; // Webhook POSTs rejected due to bad/missing signature
+    this.templates = this.loadTemplates(); // key → { name, language }
+  }
+
+  /**
+   * Loads the named templates from WHATSAPP_TEMPLATES.
+   *
+   * Edge cases:
+   * - Not configured → no named templates (sendTemplate() uses the given name as is)
+   * - Invalid JSON → error logged, no named templates
+   *
+   * @returns {Object} Map of template key → { name, language }
+   * @private
+   */
+  loadTemplates() {
+    if (!config.whatsapp.templatesJson) return {};
+    try {
+      return JSON.parse(config.whatsapp.templatesJson);
+    } catch (error) {
+      console.error('❌ [WHATSAPP] Invalid WHATSAPP_TEMPLATES JSON:', error.message);
+      return {};
+    }
   }
 
   /**
@@ -116,20 +149,242 @@ class WhatsAppService {
    * // }
    */
   async sendMessage(phoneNumber, message) {
+    return this.postMessage(phoneNumber, {
+      type: 'text',
+      text: {
+        body: message,
+      },
+    });
+  }
+
+  /**
+   * Sends an interactive reply-button message via WhatsApp Business API.
+   * 
+   * Shows the message body with up to 3 tappable buttons. When the patient taps
+   * one, WhatsApp sends an 'interactive' message whose button_reply.id is the
+   * button's id, which parseWebhookMessage() exposes as buttonId. This makes
+   * confirmations deterministic (no AI call needed to interpret "yes").
+   * 
+   * WhatsApp limits:
+   * - Max 3 buttons
+   * - Button title max 20 characters
+   * - Body text max 1024 characters
+   * 
+   * @param {string} phoneNumber - Recipient's phone number (with country code)
+   * @param {string} bodyText - Message text shown above the buttons
+   * @param {Object[]} buttons - Buttons to show
+   * @param {string} buttons[].id - Button ID returned in the reply (max 256 chars)
+   * @param {string} buttons[].title - Button label (max 20 chars)
+   * @returns {Promise<Object>} Result object (same shape as sendMessage())
+   * 
+   * @example
+   * await sendInteractiveButtons("+1234567890", "I found an available slot:...", [
+   *   { id: "confirm", title: "Confirm" },
+   *   { id: "other_time", title: "Other time" },
+   *   { id: "cancel", title: "Cancel" }
+   * ])
+   * // Output: { success: true, messageId: "wamid.ABC123XYZ..." }
+   */
+  async sendInteractiveButtons(phoneNumber, bodyText, buttons) {
+    return this.postMessage(phoneNumber, {
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: {
+          text: bodyText.substring(0, 1024),
+        },
+        action: {
+          buttons: buttons.slice(0, 3).map(button => ({
+            type: 'reply',
+            reply: {
+              id: button.id,
+              title: button.title.substring(0, 20),
+            },
+          })),
+        },
+      },
+    });
+  }
+
+  /**
+   * Sends an interactive list message via WhatsApp Business API.
+   * 
+   * Shows the message body with a button that opens a list of rows. When the
+   * patient picks a row, WhatsApp sends an 'interactive' message whose
+   * list_reply.id is the row's id, which parseWebhookMessage() exposes as listRowId.
+   * 
+   * WhatsApp limits (values are truncated to fit):
+   * - Max 10 rows
+   * - Row title max 24 characters, description max 72 characters
+   * - Button text max 20 characters
+   * - Body text max 1024 characters
+   * 
+   * @param {string} phoneNumber - Recipient's phone number (with country code)
+   * @param {string} bodyText - Message text shown above the list button
+   * @param {string} buttonText - Label of the button that opens the list
+   * @param {Object[]} rows - List rows
+   * @param {string} rows[].id - Row ID returned in the reply (max 200 chars)
+   * @param {string} rows[].title - Row title
+   * @param {string} [rows[].description] - Row description (second line)
+   * @param {string} [sectionTitle='Appointments'] - Title of the single list section
+   * @returns {Promise<Object>} Result object (same shape as sendMessage())
+   * 
+   * @example
+   * await sendInteractiveList("+1234567890", "Which appointment would you like to cancel?", "Choose appointment", [
+   *   { id: "booking_evt123", title: "Tue, Jan 16, 10:00 AM", description: "Dr GeneralA · Cleaning" },
+   *   { id: "booking_evt456", title: "Fri, Jan 19, 2:30 PM", description: "Dr BracesA · Braces Maintenance" }
+   * ])
+   * // Output: { success: true, messageId: "wamid.ABC123XYZ..." }
+   */
+  async sendInteractiveList(phoneNumber, bodyText, buttonText, rows, sectionTitle = 'Appointments') {
+    return this.postMessage(phoneNumber, {
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: {
+          text: bodyText.substring(0, 1024),
+        },
+        action: {
+          button: buttonText.substring(0, 20),
+          sections: [{
+            title: sectionTitle.substring(0, 24),
+            rows: rows.slice(0, 10).map(row => ({
+              id: row.id,
+              title: row.title.substring(0, 24),
+              ...(row.description ? { description: row.description.substring(0, 72) } : {}),
+            })),
+          }],
+        },
+      },
+    });
+  }
+
+  /**
+   * Sends an approved template message via WhatsApp Business API.
+   * 
+   * Templates are the only messages WhatsApp delivers outside the 24-hour customer service
+   * window. The template name is looked up in the named templates (WHATSAPP_TEMPLATES);
+   * unknown names are sent as they are, in the default language (WHATSAPP_TEMPLATE_LANGUAGE).
+   * 
+   * @param {string} phoneNumber - Recipient's phone number (with country code)
+   * @param {string} templateName - Template key from WHATSAPP_TEMPLATES or approved template name
+   * @param {Object} [options] - Template options
+   * @param {string} [options.languageCode] - Language code (overrides the configured language, e.g. "de")
+   * @param {string[]} [options.bodyParameters] - Values of the body variables {{1}}, {{2}}, ...
+   * @param {Object[]} [options.components] - Raw template components (header, buttons, ...), sent after the body
+   * @returns {Promise<Object>} Result object (same shape as sendMessage())
+   * 
+   * @example
+   * await sendTemplate("+1234567890", "appointment_reminder", {
+   *   bodyParameters: ["John Doe", "Dr GeneralA", "10/21/2026", "9:00 AM"]
+   * })
+   * // Payload: { type: "template", template: { name: "appointment_reminder", language: { code: "en_US" },
+   * //   components: [{ type: "body", parameters: [{ type: "text", text: "John Doe" }, ...] }] } }
+   * // Output: { success: true, messageId: "wamid.ABC123XYZ..." }
+   */
+  async sendTemplate(phoneNumber, templateName, options = {}) {
+    const template = this.templates[templateName] || {};
+    const components = [
+      ...(options.bodyParameters?.length ? [{
+        type: 'body',
+        parameters: options.bodyParameters.map(text => ({ type: 'text', text: String(text) })),
+      }] : []),
+      ...(options.components || []),
+    ];
+
+    return this.postMessage(phoneNumber, {
+      type: 'template',
+      template: {
+        name: template.name || templateName,
+        language: {
+          code: options.languageCode || template.language || config.whatsapp.templateLanguage,
+        },
+        ...(components.length ? { components } : {}),
+      },
+    });
+  }
+
+  /**
+   * Sends a message the clinic starts (reminder, recall, staff follow-up).
+   * 
+   * Within 24 hours of the patient's last message the text is sent as is (with reply
+   * buttons if given); outside that window WhatsApp rejects free-form messages, so the
+   * template is sent instead.
+   * 
+   * Edge cases:
+   * - Window closed and no template given → not sent, { success: false, error }
+   * - Interactive message fails → plain text fallback
+   * 
+   * @param {string} phoneNumber - Recipient's phone number (with country code)
+   * @param {Object} message - Message in both forms
+   * @param {string} message.text - Free-form text
+   * @param {Object[]} [message.buttons] - Reply buttons for the free-form message (see sendInteractiveButtons())
+   * @param {Object} [message.template] - Template used outside the window
+   * @param {string} message.template.name - Template key or name (see sendTemplate())
+   * @param {string[]} [message.template.bodyParameters] - Body variable values
+   * @param {string} [message.template.languageCode] - Language code
+   * @returns {Promise<Object>} Result object (same shape as sendMessage()) plus via: 'text' | 'interactive' | 'template'
+   * 
+   * @example
+   * // Patient last wrote 3 days ago:
+   * await sendNotification("+1234567890", {
+   *   text: "Hi John! This is a reminder of your appointment: ...",
+   *   template: { name: "appointment_reminder", bodyParameters: ["John", "Dr GeneralA", "10/21/2026", "9:00 AM"] }
+   * })
+   * // Output: { success: true, messageId: "wamid...", via: "template" }
+   */
+  async sendNotification(phoneNumber, message) {
+    const conversationId = tenantRegistry.getConversationId(tenantRegistry.getCurrentTenant(), phoneNumber);
+
+    if (!(await customerServiceWindow.isOpen(conversationId))) {
+      if (!message.template) {
+        console.warn(`⚠️ [WHATSAPP] Customer service window closed for ${conversationId} and no template given, not sent`);
+        return { success: false, error: 'Outside the 24-hour customer service window (template required)' };
+      }
+      console.log(`📨 [WHATSAPP] Customer service window closed for ${conversationId}, sending template ${message.template.name}`);
+      const { name, ...options } = message.template;
+      return { ...(await this.sendTemplate(phoneNumber, name, options)), via: 'template' };
+    }
+
+    if (message.buttons?.length) {
+      const result = await this.sendInteractiveButtons(phoneNumber, message.text, message.buttons);
+      if (result.success) {
+        return { ...result, via: 'interactive' };
+      }
+      console.log('⚠️ [WHATSAPP] Interactive message failed, falling back to plain text');
+    }
+    return { ...(await this.sendMessage(phoneNumber, message.text)), via: 'text' };
+  }
+
+  /**
+   * Posts a message payload to the WhatsApp Graph API messages endpoint.
+   * 
+   * Shared by all send methods; adds messaging_product and recipient, handles
+   * authentication and converts API errors into { success: false, error }.
+   * Sends from the active tenant's phone number (see tenants.js), so patients get
+   * replies from the practice they wrote to.
+   * 
+   * @param {string} phoneNumber - Recipient's phone number (with country code)
+   * @param {Object} payload - Type-specific message fields (type, text/interactive/...)
+   * @returns {Promise<Object>} { success: true, messageId } or { success: false, error }
+   * @private
+   */
+  async postMessage(phoneNumber, payload) {
+    const { whatsapp } = tenantRegistry.getCurrentTenant();
+    const phoneNumberId = whatsapp.phoneNumberId || this.phoneNumberId;
+    const accessToken = whatsapp.accessToken || this.accessToken;
+
     try {
       const response = await axios.post(
-        `${this.apiUrl}/${this.phoneNumberId}/messages`,
+        `${this.apiUrl}/${phoneNumberId}/messages`,
         {
           messaging_product: 'whatsapp',
           to: phoneNumber,
-          type: 'text',
-          text: {
-            body: message,
-          },
+          ...payload,
         },
         {
           headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
+            'Authorization': `Bearer ${accessToken}`,
             'Content-Type': 'application/json',
           },
         }
@@ -194,125 +449,236 @@ class WhatsAppService {
   }
 
   /**
-   * Parses incoming WhatsApp webhook message payload.
+   * Verifies the X-Hub-Signature-256 header of an incoming webhook POST.
+   * 
+   * Meta signs every webhook payload with HMAC-SHA256 using the app secret and sends
+   * it as "sha256=<hex digest>". The digest must be computed over the raw request
+   * bytes (before JSON parsing), so index.js captures req.rawBody in express.json().
+   * Without this check anyone who knows the webhook URL could book or cancel
+   * appointments for arbitrary phone numbers.
+   * 
+   * Security:
+   * - Constant-time comparison (crypto.timingSafeEqual)
+   * - Missing/malformed header → rejected
+   * - Rejections are counted in rejectedSignatureCount and logged
+   * 
+   * Edge cases:
+   * - WHATSAPP_APP_SECRET not configured → every POST rejected (fails closed: without the
+   *   secret no request can be told apart from a forged one)
+   * - Missing raw body → rejected
+   * 
+   * @param {Buffer} rawBody - Raw request body bytes
+   * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header
+   * @returns {boolean} True if the signature is valid, false otherwise
+   * 
+   * @example
+   * // Valid signature from Meta:
+   * verifySignature(req.rawBody, "sha256=6f1c...e2")
+   * // Output: true
+   * 
+   * @example
+   * // App secret not configured:
+   * verifySignature(req.rawBody, "sha256=6f1c...e2")
+   * // Console: "🚫 [SIGNATURE] Rejected webhook: WHATSAPP_APP_SECRET not set (total rejected: 1)"
+   * // Output: false
+   * 
+   * @example
+   * // Forged request without signature:
+   * verifySignature(req.rawBody, undefined)
+   * // Console: "🚫 [SIGNATURE] Rejected webhook: missing signature header (total rejected: 1)"
+   * // Output: false
+   */
+  verifySignature(rawBody, signatureHeader) {
+    const reject = (reason) => {
+      this.rejectedSignatureCount++;
+      console.warn(`🚫 [SIGNATURE] Rejected webhook: ${reason} (total rejected: ${this.rejectedSignatureCount})`);
+      return false;
+    };
+
+    if (!this.appSecret) {
+      return reject('WHATSAPP_APP_SECRET not set');
+    }
+
+    if (!signatureHeader || !signatureHeader.startsWith('sha256=')) {
+      return reject('missing signature header');
+    }
+    if (!rawBody) {
+      return reject('missing raw body');
+    }
+
+    const expected = crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex');
+    const received = signatureHeader.slice('sha256='.length);
+
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    const receivedBuffer = Buffer.from(received, 'utf8');
+    if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+      return reject('signature mismatch');
+    }
+
+    return true;
+  }
+
+  /**
+   * Parses incoming WhatsApp webhook payload into a list of inbound events.
    * 
-   * Extracts phone number, message text, message ID, and timestamp from webhook body.
-   * Handles the nested structure of WhatsApp webhook payloads using optional chaining
-   * to safely access nested properties. Returns null if message structure is invalid.
+   * Two event types are produced:
+   * - 'message': a patient message (value.messages[])
+   * - 'status': a delivery status for one of our outbound messages (value.statuses[]),
+   *   sent → delivered → read, or failed
+   * 
+   * Meta may batch several messages into one webhook delivery (multiple entries,
+   * changes or messages), e.g. when a patient types several messages quickly.
+   * Every message across all entries/changes is returned, so none are dropped.
+   * Handles the nested structure using optional chaining; never throws.
    * 
    * Webhook structure:
-   * - body.entry[0].changes[0].value.messages[0] contains the message
-   * - Only text messages are supported (other types ignored)
-   * - Extracts: from (phone), text.body (message), id (message ID), timestamp
+   * - body.entry[].changes[].value.messages[] contains the messages
+   * - body.entry[].changes[].value.statuses[] contains delivery statuses
+   * - body.entry[].changes[].value.metadata.phone_number_id identifies the receiving number
+   * - Extracts: from (phone), text.body (message), id (message ID), timestamp, type
+   * - Button taps (type 'interactive', interactive.button_reply) → messageText is the
+   *   button title, buttonId is the button's id
+   * - List picks (type 'interactive', interactive.list_reply) → messageText is the
+   *   row title, listRowId is the row's id
+   * - Template quick-reply taps (type 'button') → messageText is the button text,
+   *   buttonId is the button's payload
+   * 
+   * Ordering:
+   * - Events are returned in payload order, stably sorted by message timestamp,
+   *   so they can be dispatched in the order the patient sent them (or WhatsApp reported them)
    * 
    * Edge cases:
-   * - Missing message → returns null
-   * - Invalid structure → returns null (error logged)
-   * - Non-text messages → returns null (only text supported)
-   * - Multiple messages → returns first message only
+   * - No messages or statuses → returns []
+   * - Invalid structure → returns [] (error logged)
+   * - Non-text messages → included with messageText '' (messageType tells the type)
+   * - Messages without sender → skipped
    * 
    * @param {Object} body - Webhook request body from WhatsApp
-   * @param {Object} [body.entry] - Webhook entry array (usually has 1 entry)
-   * @param {Object} [body.entry[0].changes] - Changes array (usually has 1 change)
-   * @param {Object} [body.entry[0].changes[0].value] - Change value object
-   * @param {Object[]} [body.entry[0].changes[0].value.messages] - Messages array
-   * @param {Object} [body.entry[0].changes[0].value.messages[0]] - First message object
-   * @param {string} [body.entry[0].changes[0].value.messages[0].from] - Sender phone number
-   * @param {Object} [body.entry[0].changes[0].value.messages[0].text] - Text message object
-   * @param {string} [body.entry[0].changes[0].value.messages[0].text.body] - Message text
-   * @param {string} [body.entry[0].changes[0].value.messages[0].id] - Message ID
-   * @param {string} [body.entry[0].changes[0].value.messages[0].timestamp] - Message timestamp
-   * @returns {Object|null} Parsed message object, or null if parsing fails
-   * @returns {string} [returns.phoneNumber] - Sender's phone number (with country code)
-   * @returns {string} [returns.messageText] - Message text content
-   * @returns {string} [returns.messageId] - WhatsApp message ID
-   * @returns {string} [returns.timestamp] - Message timestamp (Unix timestamp string)
+   * @param {Object[]} [body.entry] - Webhook entry array
+   * @param {Object[]} [body.entry[].changes] - Changes array per entry
+   * @param {Object} [body.entry[].changes[].value] - Change value object
+   * @param {Object[]} [body.entry[].changes[].value.messages] - Messages array
+   * @param {Object[]} [body.entry[].changes[].value.statuses] - Statuses array
+   * @returns {Object[]} Parsed events (empty array if none)
+   * @returns {string} returns[].type - 'message' or 'status'
+   * @returns {string} returns[].phoneNumber - Sender's phone number (with country code)
+   * @returns {string} returns[].messageText - Message text content ('' for non-text messages)
+   * @returns {string} returns[].messageId - WhatsApp message ID
+   * @returns {string} returns[].timestamp - Message timestamp (Unix timestamp string)
+   * @returns {string} returns[].messageType - WhatsApp message type ('text', 'image', etc.)
+   * @returns {string} [returns[].phoneNumberId] - Receiving business phone number ID (metadata)
+   * @returns {string|null} [returns[].buttonId] - ID of the tapped reply button (interactive replies, template quick-reply payload)
+   * @returns {string|null} [returns[].listRowId] - ID of the picked list row (interactive replies only)
+   * 
+   * Status events instead carry:
+   * - messageId (ID of our outbound message), status ('sent' | 'delivered' | 'read' | 'failed'),
+   *   recipientPhone, timestamp, errors (array, for 'failed'), phoneNumberId
    * 
    * @example
-   * // Valid webhook payload:
+   * // Two messages batched in one delivery:
    * parseWebhookMessage({
    *   entry: [{
    *     changes: [{
    *       value: {
-   *         messages: [{
-   *           from: "+1234567890",
-   *           text: { body: "Hello" },
-   *           id: "msg123",
-   *           timestamp: "1234567890"
-   *         }]
+   *         metadata: { phone_number_id: "1098765" },
+   *         messages: [
+   *           { from: "+1234567890", type: "text", text: { body: "yes" }, id: "msg1", timestamp: "1700000000" },
+   *           { from: "+1234567890", type: "text", text: { body: "actually 3pm" }, id: "msg2", timestamp: "1700000001" }
+   *         ]
    *       }
    *     }]
    *   }]
    * })
    * // Output:
-   * // {
-   * //   phoneNumber: "+1234567890",
-   * //   messageText: "Hello",
-   * //   messageId: "msg123",
-   * //   timestamp: "1234567890"
-   * // }
+   * // [
+   * //   { type: "message", phoneNumber: "+1234567890", messageText: "yes", messageId: "msg1", ... },
+   * //   { type: "message", phoneNumber: "+1234567890", messageText: "actually 3pm", messageId: "msg2", ... }
+   * // ]
    * 
    * @example
-   * // No message in payload:
-   * parseWebhookMessage({ entry: [] })
-   * // Output: null (no message to parse)
+   * // Patient tapped a reply button:
+   * // messages: [{ from: "+1234567890", type: "interactive", id: "msg3", timestamp: "1700000002",
+   * //              interactive: { type: "button_reply", button_reply: { id: "confirm", title: "Confirm" } } }]
+   * // Output: [{ type: "message", messageText: "Confirm", buttonId: "confirm", ... }]
    * 
    * @example
-   * // Invalid structure:
-   * parseWebhookMessage({})
-   * // Output: null (error logged to console)
+   * // Delivery status for a message we sent:
+   * parseWebhookMessage({
+   *   entry: [{ changes: [{ value: {
+   *     statuses: [{ id: "wamid.OUT1", status: "delivered", recipient_id: "1234567890", timestamp: "1700000005" }]
+   *   } }] }]
+   * })
+   * // Output:
+   * // [{ type: "status", messageId: "wamid.OUT1", status: "delivered", recipientPhone: "1234567890", ... }]
    * 
    * @example
-   * // Non-text message (image, video, etc.):
-   * // If messages[0] has no 'text' property:
-   * // Output: null (only text messages supported)
+   * // No message in payload:
+   * parseWebhookMessage({ entry: [] })
+   * // Output: [] (nothing to process)
    */
   parseWebhookMessage(body) {
     try {
-      console.log('🔍 parseWebhookMessage - Starting parsing...');
-      const entry = body.entry?.[0];
-      console.log('  - entry:', entry ? 'exists' : 'missing');
-      
-      const changes = entry?.changes?.[0];
-      console.log('  - changes:', changes ? 'exists' : 'missing');
-      
-      const value = changes?.value;
-      console.log('  - value:', value ? 'exists' : 'missing');
-      if (value) {
-        console.log('  - value keys:', Object.keys(value));
-      }
-      
-      const message = value?.messages?.[0];
-      console.log('  - message:', message ? 'exists' : 'missing');
-      
-      if (message) {
-        console.log('  - message keys:', Object.keys(message));
-        console.log('  - message type:', message.type);
-        console.log('  - has text:', !!message.text);
-      }
+      const events = [];
 
-      if (!message) {
-        console.log('⚠️ No message found in webhook payload');
-        return null;
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          const value = change.value;
+          const phoneNumberId = value?.metadata?.phone_number_id;
+
+          for (const message of value?.messages || []) {
+            if (!message?.from) {
+              console.log('⚠️ Skipping message without sender:', message?.id);
+              continue;
+            }
+
+            const buttonReply = message.interactive?.button_reply;
+            const listReply = message.interactive?.list_reply;
+            const templateButton = message.button; // Quick-reply button of a template message
+
+            events.push({
+              type: 'message',
+              phoneNumber: message.from,
+              messageText: message.text?.body || buttonReply?.title || listReply?.title || templateButton?.text || '',
+              messageId: message.id,
+              timestamp: message.timestamp,
+              messageType: message.type,
+              phoneNumberId,
+              buttonId: buttonReply?.id || templateButton?.payload || null,
+              listRowId: listReply?.id || null,
+            });
+          }
+
+          for (const status of value?.statuses || []) {
+            events.push({
+              type: 'status',
+              messageId: status.id,
+              status: status.status,
+              recipientPhone: status.recipient_id,
+              timestamp: status.timestamp,
+              errors: status.errors || [],
+              phoneNumberId,
+            });
+          }
+        }
       }
 
-      const phoneNumber = message.from;
-      const messageText = message.text?.body || '';
-      const messageId = message.id;
-      const timestamp = message.timestamp;
+      // Stable sort: keeps payload order for equal timestamps
+      events.sort((a, b) => (parseInt(a.timestamp, 10) || 0) - (parseInt(b.timestamp, 10) || 0));
 
-      console.log('✅ Message parsed:', { phoneNumber, messageText, messageId, timestamp });
+      console.log(`✅ Parsed ${events.length} event(s):`, events.map(e => ({
+        type: e.type,
+        phoneNumber: e.phoneNumber || e.recipientPhone,
+        messageText: e.messageText,
+        status: e.status,
+        messageId: e.messageId,
+        timestamp: e.timestamp,
+      })));
 
-      return {
-        phoneNumber,
-        messageText,
-        messageId,
-        timestamp,
-      };
+      return events;
     } catch (error) {
       console.error('❌ Error parsing webhook message:', error);
       console.error('Error stack:', error.stack);
-      return null;
+      return [];
     }
   }
 }
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { conversationQueue } from '../src/conversationQueue.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runs tasks of one conversation in arrival order', async () => {
+  const order = [];
+  await Promise.all([
+    conversationQueue.run('+1', async () => { await delay(20); order.push('yes'); }),
+    conversationQueue.run('+1', async () => { order.push('actually 3pm'); }),
+    conversationQueue.run('+1', async () => { await delay(5); order.push('thanks'); }),
+  ]);
+  assert.deepEqual(order, ['yes', 'actually 3pm', 'thanks']);
+});
+
+test('runs tasks of different conversations in parallel', async () => {
+  const order = [];
+  await Promise.all([
+    conversationQueue.run('+1', async () => { await delay(20); order.push('+1'); }),
+    conversationQueue.run('+2', async () => { order.push('+2'); }),
+  ]);
+  assert.deepEqual(order, ['+2', '+1']);
+});
+
+test('returns the task result and rejects with the task error', async () => {
+  assert.equal(await conversationQueue.run('+1', async () => 'reply'), 'reply');
+  await assert.rejects(conversationQueue.run('+1', async () => { throw new Error('boom'); }), /boom/);
+});
+
+test('a failing task does not block the tasks queued after it', async () => {
+  const failing = conversationQueue.run('+1', async () => { throw new Error('boom'); });
+  const next = conversationQueue.run('+1', async () => 'still runs');
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'still runs');
+});
+
+test('forgets a conversation once its queue is empty', async () => {
+  await conversationQueue.run('+3', async () => {});
+  await delay(0);
+  assert.equal(conversationQueue.tails.has('+3'), false);
+});
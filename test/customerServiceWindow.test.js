@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CustomerServiceWindow } from '../src/customerServiceWindow.js';
+import { MemorySessionStore } from '../src/sessionStore.js';
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+test('is open within 24 hours of the patient\'s last message', async () => {
+  const window = new CustomerServiceWindow(null);
+  try {
+    assert.equal(await window.isOpen('+491700000001'), false);
+    await window.recordInbound('+491700000001', hoursAgo(3));
+    assert.equal(await window.isOpen('+491700000001'), true);
+    assert.equal(await window.isOpen('+491700000001', new Date(Date.now() + 22 * 60 * 60 * 1000)), false);
+  } finally {
+    await window.destroy();
+  }
+});
+
+test('ignores an older timestamp from an out-of-order webhook', async () => {
+  const window = new CustomerServiceWindow(null);
+  try {
+    await window.recordInbound('+491700000001', hoursAgo(1));
+    await window.recordInbound('+491700000001', hoursAgo(30));
+    assert.equal(await window.isOpen('+491700000001'), true);
+  } finally {
+    await window.destroy();
+  }
+});
+
+test('uses a newer message received by another instance', async () => {
+  const store = new MemorySessionStore();
+  const first = new CustomerServiceWindow(store);
+  const second = new CustomerServiceWindow(store);
+  try {
+    await first.recordInbound('+491700000001', hoursAgo(30)); // Stale on this instance
+    await second.recordInbound('+491700000001', hoursAgo(1));
+    assert.equal(await first.isOpen('+491700000001'), true);
+    assert.deepEqual(await store.get('+491700000001'), {
+      conversationId: '+491700000001',
+      lastInboundAt: (await second.getLastInbound('+491700000001')).toISOString(),
+    });
+  } finally {
+    await first.destroy();
+    await second.destroy();
+  }
+});
+
+test('falls back to the in-process time when the store fails', async () => {
+  const failingStore = {
+    get: async () => { throw new Error('connection refused'); },
+    set: async () => { throw new Error('connection refused'); },
+    close: async () => {},
+  };
+  const window = new CustomerServiceWindow(failingStore);
+  try {
+    await window.recordInbound('+491700000001', hoursAgo(1));
+    assert.equal(await window.isOpen('+491700000001'), true);
+  } finally {
+    await window.destroy();
+  }
+});
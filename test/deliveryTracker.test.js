@@ -0,0 +1,115 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Dummy API key for this file (read by config.js on import)
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { DeliveryTracker, OUTBOUND_KINDS } = await import('../src/deliveryTracker.js');
+const { MemorySessionStore } = await import('../src/sessionStore.js');
+const { googleSheetsService } = await import('../src/googleSheets.js');
+
+let rows;
+beforeEach(() => {
+  rows = [];
+  googleSheetsService.logAction = async row => { rows.push(row); };
+});
+
+const confirmation = {
+  conversationId: '+491700000001',
+  phone: '+491700000001',
+  kind: OUTBOUND_KINDS.BOOKING_CONFIRMATION,
+  patientName: 'John Doe',
+  eventId: 'evt123',
+};
+
+test('records sent, delivered and read of a confirmation and logs delivered and read', async () => {
+  const tracker = new DeliveryTracker(null);
+  try {
+    await tracker.trackOutbound('wamid.OUT1', confirmation);
+    for (const status of ['sent', 'delivered', 'read']) {
+      await tracker.recordStatus({ type: 'status', messageId: 'wamid.OUT1', status, timestamp: '1760860800' });
+    }
+
+    const record = await tracker.recordStatus({ type: 'status', messageId: 'wamid.OUT1', status: 'read' }); // Redelivered
+    assert.deepEqual(record.statuses.map(entry => entry.status), ['sent', 'delivered', 'read']);
+    assert.deepEqual(rows.map(row => [row.action, row.status]), [
+      ['booking_confirmation_delivered', 'delivered'],
+      ['booking_confirmation_read', 'read'],
+    ]);
+  } finally {
+    await tracker.destroy();
+  }
+});
+
+test('records statuses arriving out of order', async () => {
+  const tracker = new DeliveryTracker(null);
+  try {
+    await tracker.trackOutbound('wamid.OUT1', confirmation);
+    await tracker.recordStatus({ type: 'status', messageId: 'wamid.OUT1', status: 'read' });
+    await tracker.recordStatus({ type: 'status', messageId: 'wamid.OUT1', status: 'delivered' });
+    const record = await tracker.recordStatus({ type: 'status', messageId: 'wamid.OUT1', status: 'sent' });
+
+    assert.deepEqual(record.statuses.map(entry => entry.status), ['read', 'delivered', 'sent']);
+    assert.deepEqual(rows.map(row => row.action), ['booking_confirmation_read', 'booking_confirmation_delivered']);
+  } finally {
+    await tracker.destroy();
+  }
+});
+
+test('flags a failed confirmation for follow-up', async () => {
+  const tracker = new DeliveryTracker(null);
+  try {
+    await tracker.trackOutbound('wamid.OUT1', confirmation);
+    await tracker.recordStatus({
+      type: 'status', messageId: 'wamid.OUT1', status: 'failed',
+      errors: [{ code: 131026, title: 'Message undeliverable' }],
+    });
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].action, 'booking_confirmation_failed');
+    assert.equal(rows[0].status, 'NEEDS FOLLOW-UP***************');
+    assert.equal(rows[0].message, '131026: Message undeliverable');
+    assert.equal(rows[0].eventId, 'evt123');
+  } finally {
+    await tracker.destroy();
+  }
+});
+
+test('logs only failures of regular replies', async () => {
+  const tracker = new DeliveryTracker(null);
+  try {
+    await tracker.trackOutbound('wamid.OUT2', { conversationId: '+491700000001', phone: '+491700000001' });
+    await tracker.recordStatus({ type: 'status', messageId: 'wamid.OUT2', status: 'delivered' });
+    await tracker.recordStatus({ type: 'status', messageId: 'wamid.OUT2', status: 'failed', errors: [{ code: 131047, title: 'Re-engagement message' }] });
+
+    assert.deepEqual(rows.map(row => [row.action, row.status]), [['message_failed', 'failed']]);
+  } finally {
+    await tracker.destroy();
+  }
+});
+
+test('correlates statuses of messages sent by another instance', async () => {
+  const store = new MemorySessionStore();
+  const sender = new DeliveryTracker(store);
+  const receiver = new DeliveryTracker(store);
+  try {
+    await sender.trackOutbound('wamid.OUT1', confirmation);
+    const record = await receiver.recordStatus({ type: 'status', messageId: 'wamid.OUT1', status: 'delivered' });
+    assert.equal(record.conversationId, '+491700000001');
+    assert.deepEqual(rows.map(row => row.action), ['booking_confirmation_delivered']);
+  } finally {
+    await sender.destroy();
+    await receiver.destroy();
+  }
+});
+
+test('ignores statuses of untracked messages except failures', async () => {
+  const tracker = new DeliveryTracker(null);
+  try {
+    assert.equal(await tracker.recordStatus({ type: 'status', messageId: 'wamid.X', status: 'delivered', recipientPhone: '+491700000001' }), null);
+    assert.equal(rows.length, 0);
+    await tracker.recordStatus({ type: 'status', messageId: 'wamid.X', status: 'failed', recipientPhone: '+491700000001' });
+    assert.deepEqual(rows.map(row => row.action), ['message_failed']);
+  } finally {
+    await tracker.destroy();
+  }
+});
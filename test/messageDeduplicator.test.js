@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageDeduplicator } from '../src/messageDeduplicator.js';
+import { MemorySessionStore } from '../src/sessionStore.js';
+
+test('claims a message ID once and rejects redeliveries', async () => {
+  const deduplicator = new MessageDeduplicator(null, 1);
+  try {
+    assert.equal(await deduplicator.claim('wamid.A'), true);
+    assert.equal(await deduplicator.claim('wamid.A'), false);
+    assert.equal(await deduplicator.claim('wamid.B'), true);
+  } finally {
+    await deduplicator.destroy();
+  }
+});
+
+test('rejects concurrent redeliveries of the same message', async () => {
+  const deduplicator = new MessageDeduplicator(new MemorySessionStore(), 1);
+  try {
+    const results = await Promise.all([deduplicator.claim('wamid.A'), deduplicator.claim('wamid.A')]);
+    assert.deepEqual(results.sort(), [false, true]);
+  } finally {
+    await deduplicator.destroy();
+  }
+});
+
+test('detects duplicates claimed by another instance through the shared store', async () => {
+  const store = new MemorySessionStore();
+  const first = new MessageDeduplicator(store, 1);
+  const second = new MessageDeduplicator(store, 1);
+  try {
+    assert.equal(await first.claim('wamid.A'), true);
+    assert.equal(await second.claim('wamid.A'), false);
+  } finally {
+    await first.destroy();
+    await second.destroy();
+  }
+});
+
+test('processes messages without an ID', async () => {
+  const deduplicator = new MessageDeduplicator(null, 1);
+  try {
+    assert.equal(await deduplicator.claim(undefined), true);
+    assert.equal(await deduplicator.claim(undefined), true);
+  } finally {
+    await deduplicator.destroy();
+  }
+});
+
+test('falls back to the in-memory check when the store fails', async () => {
+  const failingStore = {
+    get: async () => { throw new Error('connection refused'); },
+    set: async () => { throw new Error('connection refused'); },
+    setIfAbsent: async () => { throw new Error('connection refused'); },
+    close: async () => {},
+  };
+  const deduplicator = new MessageDeduplicator(failingStore, 1);
+  try {
+    assert.equal(await deduplicator.claim('wamid.A'), true);
+    assert.equal(await deduplicator.claim('wamid.A'), false);
+  } finally {
+    await deduplicator.destroy();
+  }
+});
+
+test('forgets IDs after the TTL', async () => {
+  const deduplicator = new MessageDeduplicator(null, 0);
+  try {
+    assert.equal(await deduplicator.claim('wamid.A'), true);
+    deduplicator.cleanupExpiredIds();
+    assert.equal(deduplicator.processedIds.size, 0);
+    assert.equal(await deduplicator.claim('wamid.A'), true);
+  } finally {
+    await deduplicator.destroy();
+  }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Dummy API key for this file (read by config.js on import)
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { PatientProfileStore } = await import('../src/patientProfiles.js');
+const { MemorySessionStore } = await import('../src/sessionStore.js');
+
+const booking = (patientName, dentist, day) => ({
+  patientName,
+  dentist,
+  treatment: 'Cleaning',
+  startTime: new Date(`2026-10-${day}T08:00:00Z`),
+  eventId: `evt${day}`,
+});
+
+test('keys profiles by normalized phone number', async () => {
+  const profiles = new PatientProfileStore(new MemorySessionStore());
+  await profiles.updateProfile('+49 (170) 123-4567', { name: 'John Doe' });
+
+  assert.equal((await profiles.getProfile('491701234567')).name, 'John Doe');
+  assert.equal(await profiles.getProfile('+491709999999'), null);
+  assert.equal(await profiles.updateProfile('no digits', { name: 'John Doe' }), null);
+});
+
+test('records bookings with the latest treatments first', async () => {
+  const profiles = new PatientProfileStore(new MemorySessionStore());
+  for (let day = 10; day < 17; day++) {
+    await profiles.recordBooking('+491701234567', booking('John Doe', day < 16 ? 'Dr GeneralA' : 'Dr GeneralB', day));
+  }
+
+  const profile = await profiles.getProfile('+491701234567');
+  assert.equal(profile.name, 'John Doe');
+  assert.equal(profile.preferredDentist, 'Dr GeneralB');
+  assert.deepEqual(profile.lastTreatments.map(entry => entry.eventId), ['evt16', 'evt15', 'evt14', 'evt13', 'evt12']);
+});
+
+test('records language, notes and reminder consent from messages', async () => {
+  const profiles = new PatientProfileStore(new MemorySessionStore());
+  await profiles.recordPreferences('+491701234567', { language: 'German', note: 'anxious about needles', reminderConsent: false });
+  await profiles.recordPreferences('+491701234567', { note: 'Anxious about needles' }); // Same note again
+
+  let profile = await profiles.getProfile('+491701234567');
+  assert.equal(profile.preferredLanguage, 'German');
+  assert.deepEqual(profile.notes, ['anxious about needles']);
+  assert.deepEqual(profile.consent, { reminders: false });
+
+  profile = await profiles.recordPreferences('+491701234567', { reminderConsent: true });
+  assert.deepEqual(profile.consent, { reminders: true });
+});
+
+test('writes nothing when no preference changed', async () => {
+  const store = new MemorySessionStore();
+  let writes = 0;
+  const set = store.set.bind(store);
+  store.set = (...args) => { writes++; return set(...args); };
+  const profiles = new PatientProfileStore(store);
+
+  await profiles.recordPreferences('+491701234567', { language: 'German' });
+  const unchanged = await profiles.recordPreferences('+491701234567', { language: 'German', reminderConsent: null });
+  assert.equal(unchanged.preferredLanguage, 'German');
+  assert.equal(writes, 1);
+  assert.equal(await profiles.recordPreferences('+491709999999', {}), null);
+});
+
+test('keeps the conversation going when the store fails', async () => {
+  const failingStore = {
+    get: async () => { throw new Error('connection refused'); },
+    set: async () => { throw new Error('connection refused'); },
+    close: async () => {},
+  };
+  const profiles = new PatientProfileStore(failingStore);
+  assert.equal(await profiles.getProfile('+491701234567'), null);
+  assert.equal(await profiles.recordBooking('+491701234567', booking('John Doe', 'Dr GeneralA', 20)), null);
+});
+
+test('matches names case-insensitively and by first name', () => {
+  const profiles = new PatientProfileStore(new MemorySessionStore());
+  assert.equal(profiles.isSamePerson('Emma Doe', 'emma'), true);
+  assert.equal(profiles.isSamePerson('emma doe', 'Emma  Doe'), true);
+  assert.equal(profiles.isSamePerson('Emma Doe', 'Emma Smith'), false);
+  assert.equal(profiles.isSamePerson('Emma Doe', 'Ben Doe'), false);
+  assert.equal(profiles.isSamePerson('Emma Doe', null), false);
+});
+
+test('adds family members booked from the phone as dependents', async () => {
+  const profiles = new PatientProfileStore(new MemorySessionStore());
+  await profiles.recordBooking('+491701234567', booking('John Doe', 'Dr GeneralA', 10));
+  await profiles.recordBooking('+491701234567', booking('Emma Doe', 'Dr BracesA', 11));
+  await profiles.recordBooking('+491701234567', booking('emma', 'Dr BracesA', 12)); // Same child, first name only
+  await profiles.recordBooking('+491701234567', booking('John Doe', 'Dr GeneralB', 13)); // Account holder again
+
+  const profile = await profiles.getProfile('+491701234567');
+  assert.equal(profile.name, 'John Doe');
+  assert.equal(profile.preferredDentist, 'Dr GeneralB'); // Dependents' bookings leave it alone
+  assert.deepEqual(profile.dependents, ['Emma Doe']);
+  assert.deepEqual(profiles.getPeople(profile), ['John Doe', 'Emma Doe']);
+});
+
+test('returns the usual dentist of the person the appointment is for', async () => {
+  const profiles = new PatientProfileStore(new MemorySessionStore());
+  await profiles.recordBooking('+491701234567', booking('John Doe', 'Dr GeneralA', 10));
+  await profiles.recordBooking('+491701234567', booking('Emma Doe', 'Dr BracesA', 11));
+  const profile = await profiles.getProfile('+491701234567');
+
+  assert.equal(profiles.getPreferredDentist(profile), 'Dr GeneralA');
+  assert.equal(profiles.getPreferredDentist(profile, 'john'), 'Dr GeneralA');
+  assert.equal(profiles.getPreferredDentist(profile, 'Emma'), 'Dr BracesA');
+  assert.equal(profiles.getPreferredDentist(profile, 'Ben Doe'), null);
+  assert.equal(profiles.getPreferredDentist(null, 'Emma'), null);
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Clinic timezone and a dummy API key for this file (read by config.js on import)
+process.env.CLINIC_TIMEZONE = 'Europe/Berlin';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { ReminderScheduler } = await import('../src/reminderScheduler.js');
+const { googleCalendarService } = await import('../src/googleCalendar.js');
+const { googleSheetsService } = await import('../src/googleSheets.js');
+const { whatsappService } = await import('../src/whatsapp.js');
+const { deliveryTracker } = await import('../src/deliveryTracker.js');
+const { patientProfiles } = await import('../src/patientProfiles.js');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-10-19T08:00:00Z');
+const createScheduler = () => new ReminderScheduler({ enabled: true, offsetsHours: [2, 48], cronSchedule: '*/5 * * * *' });
+
+const appointment = (id, hoursAhead, extra = {}) => ({
+  calendarEventId: id,
+  calendarId: 'cal_general_a',
+  patientPhone: '+491700000001',
+  patientName: 'John Doe',
+  doctor: 'Dr GeneralA',
+  treatment: 'Cleaning',
+  startTime: new Date(now.getTime() + hoursAhead * HOUR),
+  endTime: new Date(now.getTime() + hoursAhead * HOUR + 30 * 60 * 1000),
+  created: new Date(now.getTime() - 7 * 24 * HOUR),
+  privateProperties: {},
+  ...extra,
+});
+
+let calendar;
+let sent;
+let rows;
+let profiles;
+let sendSucceeds;
+beforeEach(() => {
+  calendar = [];
+  sent = [];
+  rows = [];
+  profiles = {};
+  sendSucceeds = true;
+  googleCalendarService.getUpcomingAppointments = async () => calendar;
+  googleCalendarService.setEventProperties = async (calendarId, eventId, properties) => {
+    const event = calendar.find(item => item.calendarEventId === eventId);
+    if (!event) return { success: false, error: 'Event not found' };
+    event.privateProperties = properties;
+    return { success: true };
+  };
+  const send = async phone => {
+    sent.push(phone);
+    return sendSucceeds ? { success: true, messageId: `wamid.${sent.length}`, via: 'text' } : { success: false, error: 'Message undeliverable' };
+  };
+  whatsappService.sendMessage = send;
+  whatsappService.sendNotification = send;
+  googleSheetsService.logAction = async row => { rows.push(row); };
+  deliveryTracker.trackOutbound = async () => {};
+  patientProfiles.getProfile = async phone => profiles[phone] || null;
+  patientProfiles.updateProfile = async () => null;
+});
+
+test('sends only the closest due reminder', () => {
+  const scheduler = createScheduler();
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 10), now), 48); // 48h mark passed, 2h not yet
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 1.5), now), 2); // Both passed: 2h only
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 72), now), null); // None due yet
+  assert.equal(scheduler.getDueOffset(appointment('evt1', -1), now), null); // Already started
+});
+
+test('skips a reminder already marked on the calendar event', () => {
+  const scheduler = createScheduler();
+  const marked = { reminder48h: '2026-10-18T08:00:00.000Z' };
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 10, { privateProperties: marked }), now), null);
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 1.5, { privateProperties: marked }), now), 2);
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 1.5, { privateProperties: { reminder2h: '...' } }), now), null);
+});
+
+test('skips a reminder whose time had passed when the appointment was booked', () => {
+  const scheduler = createScheduler();
+  const bookedJustNow = { created: new Date(now.getTime() - 15 * 60 * 1000) };
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 1.5, bookedJustNow), now), null); // 2h mark passed before booking
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 30, bookedJustNow), now), null);
+  assert.equal(scheduler.getDueOffset(appointment('evt1', 1.5, { created: new Date(now.getTime() - 3 * HOUR) }), now), 2);
+});
+
+test('never sends the same reminder twice', async () => {
+  const scheduler = createScheduler();
+  calendar = [appointment('evt1', 10), appointment('evt2', 72)];
+
+  assert.deepEqual(await scheduler.runOnce(now), { sent: 1, failed: 0 });
+  assert.deepEqual(await scheduler.runOnce(new Date(now.getTime() + 5 * 60 * 1000)), { sent: 0, failed: 0 });
+  assert.equal(sent.length, 1);
+  assert.ok(calendar[0].privateProperties.reminder48h);
+  assert.deepEqual(rows.map(row => row.action), ['reminder_48h_sent']);
+});
+
+test('skips patients who declined reminders', async () => {
+  const scheduler = createScheduler();
+  profiles['+491700000001'] = { consent: { reminders: false } };
+  calendar = [appointment('evt1', 10)];
+
+  assert.deepEqual(await scheduler.runOnce(now), { sent: 0, failed: 0 });
+  assert.equal(sent.length, 0);
+  assert.deepEqual(calendar[0].privateProperties, {});
+});
+
+test('retries when the event cannot be marked, and flags a failed send without retrying', async () => {
+  const scheduler = createScheduler();
+  calendar = [appointment('evt1', 10)];
+  const setEventProperties = googleCalendarService.setEventProperties;
+  googleCalendarService.setEventProperties = async () => ({ success: false, error: 'Calendar API unavailable' });
+
+  assert.deepEqual(await scheduler.runOnce(now), { sent: 0, failed: 0 }); // Not marked, not sent
+  assert.equal(sent.length, 0);
+
+  googleCalendarService.setEventProperties = setEventProperties;
+  sendSucceeds = false;
+  assert.deepEqual(await scheduler.runOnce(now), { sent: 0, failed: 1 });
+  assert.deepEqual(rows.map(row => [row.action, row.status]), [['reminder_48h_failed', 'NEEDS FOLLOW-UP***************']]);
+  assert.deepEqual(await scheduler.runOnce(now), { sent: 0, failed: 0 }); // Marked: staff follow up instead
+});
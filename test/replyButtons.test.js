@@ -0,0 +1,56 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+
+// Dummy API key for this file (read by config.js on import)
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { whatsappService } = await import('../src/whatsapp.js');
+const { openaiHandler } = await import('../src/openaiHandler.js');
+
+afterEach(() => mock.restoreAll());
+
+test('sends up to three reply buttons within WhatsApp\'s limits', async () => {
+  const post = mock.method(axios, 'post', async () => ({ data: { messages: [{ id: 'wamid.OUT1' }] } }));
+  const buttons = [
+    { id: 'confirm', title: 'Confirm' },
+    { id: 'other_time', title: 'Another time, please!!' },
+    { id: 'cancel', title: 'Cancel' },
+    { id: 'extra', title: 'Dropped' },
+  ];
+
+  const result = await whatsappService.sendInteractiveButtons('+491700000001', 'x'.repeat(1100), buttons);
+  assert.deepEqual(result, { success: true, messageId: 'wamid.OUT1' });
+
+  const payload = post.mock.calls[0].arguments[1];
+  assert.equal(payload.to, '+491700000001');
+  assert.equal(payload.type, 'interactive');
+  assert.equal(payload.interactive.type, 'button');
+  assert.equal(payload.interactive.body.text.length, 1024);
+  assert.deepEqual(payload.interactive.action.buttons.map(button => button.reply), [
+    { id: 'confirm', title: 'Confirm' },
+    { id: 'other_time', title: 'Another time, please' },
+    { id: 'cancel', title: 'Cancel' },
+  ]);
+});
+
+test('returns the API error when the buttons cannot be sent', async () => {
+  mock.method(axios, 'post', async () => {
+    const error = new Error('Request failed with status code 400');
+    error.response = { data: { error: { code: 131009, message: 'Parameter value is not valid' } } };
+    throw error;
+  });
+
+  const result = await whatsappService.sendInteractiveButtons('+491700000001', 'Confirm?', [{ id: 'confirm', title: 'Confirm' }]);
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error, { error: { code: 131009, message: 'Parameter value is not valid' } });
+});
+
+test('treats a tapped confirmation button as the answer without asking the AI', async () => {
+  assert.deepEqual(await openaiHandler.detectConfirmationOrDecline('Confirm', { buttonId: 'confirm' }),
+    { isConfirmation: true, isDecline: false, confidence: 1.0 });
+  for (const buttonId of ['other_time', 'cancel', 'keep']) {
+    const result = await openaiHandler.detectConfirmationOrDecline('', { buttonId });
+    assert.equal(result.isDecline, true, buttonId);
+    assert.equal(result.isConfirmation, false, buttonId);
+  }
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  serializeSession,
+  deserializeSession,
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+} from '../src/sessionStore.js';
+
+const tempFile = name => path.join(os.tmpdir(), `dental-store-${process.pid}-${Date.now()}-${name}.json`);
+
+test('deserializeSession revives date fields at any depth', () => {
+  const session = deserializeSession(serializeSession({
+    selectedSlot: { startTime: new Date('2024-01-16T10:00:00Z'), endTime: new Date('2024-01-16T10:30:00Z') },
+    availableSlots: [{ startTime: new Date('2024-01-17T09:00:00Z') }],
+    patientName: '2024-01-16T10:00:00.000Z',
+  }));
+  assert.ok(session.selectedSlot.startTime instanceof Date);
+  assert.equal(session.selectedSlot.endTime.toISOString(), '2024-01-16T10:30:00.000Z');
+  assert.ok(session.availableSlots[0].startTime instanceof Date);
+  assert.equal(typeof session.patientName, 'string');
+});
+
+test('memory store returns copies and expires entries', async () => {
+  const store = new MemorySessionStore();
+  const session = { bookingConfirmationPending: true };
+  await store.set('+1', session, 60000);
+  session.bookingConfirmationPending = false;
+  assert.deepEqual(await store.get('+1'), { bookingConfirmationPending: true });
+
+  await store.set('+2', { a: 1 }, -1);
+  assert.equal(await store.get('+2'), null);
+  await store.delete('+1');
+  assert.equal(await store.get('+1'), null);
+});
+
+test('file store persists sessions across instances and drops expired ones', async () => {
+  const filePath = tempFile('persist');
+  try {
+    const writer = new FileSessionStore(filePath);
+    await writer.set('+1', { selectedSlot: { startTime: new Date('2024-01-16T10:00:00Z') } }, 60000);
+    await writer.set('+2', { stale: true }, -1);
+
+    const reader = new FileSessionStore(filePath);
+    const session = await reader.get('+1');
+    assert.ok(session.selectedSlot.startTime instanceof Date);
+    assert.equal(await reader.get('+2'), null);
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+});
+
+test('file store keeps every key when writes run concurrently', async () => {
+  const filePath = tempFile('concurrent');
+  try {
+    const store = createSessionStore({ store: 'file', filePath });
+    const sameFile = createSessionStore({ store: 'file', filePath }, 'webhook:');
+    assert.equal(sameFile, store);
+
+    await Promise.all(['+1', '+2', '+3'].map((key, index) =>
+      (index % 2 ? sameFile : store).set(key, { key }, 60000)));
+
+    const entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.deepEqual(Object.keys(entries).sort(), ['+1', '+2', '+3']);
+    const leftovers = (await fs.readdir(path.dirname(filePath))).filter(name => name.startsWith(path.basename(filePath)) && name.endsWith('.tmp'));
+    assert.deepEqual(leftovers, []);
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+});
+
+test('setIfAbsent stores a key once until it expires', async () => {
+  const filePath = tempFile('absent');
+  try {
+    for (const store of [new MemorySessionStore(), new FileSessionStore(filePath)]) {
+      const results = await Promise.all([store.setIfAbsent('wamid.A', { n: 1 }, 60000), store.setIfAbsent('wamid.A', { n: 2 }, 60000)]);
+      assert.deepEqual(results, [true, false]);
+      assert.deepEqual(await store.get('wamid.A'), { n: 1 });
+
+      await store.set('wamid.B', { n: 1 }, -1);
+      assert.equal(await store.setIfAbsent('wamid.B', { n: 2 }, 60000), true);
+    }
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+});
+
+test('file store treats an unreadable file as empty', async () => {
+  const filePath = tempFile('corrupt');
+  try {
+    await fs.writeFile(filePath, '{not json', 'utf8');
+    const store = new FileSessionStore(filePath);
+    assert.equal(await store.get('+1'), null);
+    await store.set('+1', { ok: true }, 60000);
+    assert.deepEqual(await store.get('+1'), { ok: true });
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+});
+
+test('createSessionStore falls back to memory when misconfigured', () => {
+  assert.ok(createSessionStore({ store: 'redis' }) instanceof MemorySessionStore);
+  assert.ok(createSessionStore({ store: 'postgres' }) instanceof MemorySessionStore);
+  assert.ok(createSessionStore() instanceof MemorySessionStore);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Clinic timezone and a dummy API key for this file (read by config.js on import)
+process.env.CLINIC_TIMEZONE = 'Europe/Berlin';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { googleCalendarService } = await import('../src/googleCalendar.js');
+const { openaiHandler } = await import('../src/openaiHandler.js');
+
+// Free gap 10:10-12:40 Berlin (09:10-11:40 UTC)
+const gap = { doctor: 'Dr GeneralA', startTime: new Date('2024-01-15T09:10:00Z'), endTime: new Date('2024-01-15T11:40:00Z') };
+const iso = slots => slots.map(slot => slot.startTime.toISOString());
+
+test('splits a free gap into start times on the clinic grid', () => {
+  const starts = googleCalendarService.splitIntoStartTimes([gap], 30, 15);
+  // First grid point after 10:10 is 10:15; the last start still fitting 30 minutes is 12:00
+  assert.equal(starts[0].startTime.toISOString(), '2024-01-15T09:15:00.000Z');
+  assert.equal(starts.at(-1).startTime.toISOString(), '2024-01-15T11:00:00.000Z');
+  assert.equal(starts.length, 8);
+  assert.equal(starts[0].duration, 145); // Minutes left in the gap
+  assert.ok(starts.every(slot => slot.doctor === 'Dr GeneralA' && slot.endTime === gap.endTime));
+});
+
+test('uses the configured interval', () => {
+  assert.deepEqual(iso(googleCalendarService.splitIntoStartTimes([gap], 30, 60)), ['2024-01-15T10:00:00.000Z', '2024-01-15T11:00:00.000Z']);
+});
+
+test('returns no start times when the appointment does not fit', () => {
+  const shortGap = { ...gap, endTime: new Date('2024-01-15T09:35:00Z') };
+  assert.deepEqual(googleCalendarService.splitIntoStartTimes([shortGap], 30, 15), []);
+  assert.deepEqual(googleCalendarService.splitIntoStartTimes([], 30, 15), []);
+});
+
+test('treats a non-positive interval as one minute', () => {
+  const starts = googleCalendarService.splitIntoStartTimes([{ ...gap, endTime: new Date('2024-01-15T09:42:00Z') }], 30, 0);
+  assert.deepEqual(iso(starts), ['2024-01-15T09:10:00.000Z', '2024-01-15T09:11:00.000Z', '2024-01-15T09:12:00.000Z']);
+});
+
+test('offers the start times closest to the preferred time', () => {
+  const starts = googleCalendarService.splitIntoStartTimes([gap], 30, 15);
+  const options = openaiHandler.pickSlotOptions(starts, 3, { date: null, time: { hours: 11, minutes: 0 } });
+  assert.deepEqual(iso(options), ['2024-01-15T09:45:00.000Z', '2024-01-15T10:00:00.000Z', '2024-01-15T10:15:00.000Z']);
+});
+
+test('offers the earliest start times without a preferred time, spread across dentists', () => {
+  const otherDentist = { ...gap, doctor: 'Dr GeneralB', startTime: new Date('2024-01-15T10:00:00Z') };
+  const starts = googleCalendarService.splitIntoStartTimes([gap, otherDentist], 30, 15);
+  const options = openaiHandler.pickSlotOptions(starts, 2);
+  assert.deepEqual(options.map(slot => [slot.doctor, slot.startTime.toISOString()]), [
+    ['Dr GeneralA', '2024-01-15T09:15:00.000Z'],
+    ['Dr GeneralB', '2024-01-15T10:00:00.000Z'],
+  ]);
+  assert.deepEqual(openaiHandler.pickSlotOptions([], 3), []);
+});
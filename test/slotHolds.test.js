@@ -0,0 +1,119 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Clinic timezone and a dummy API key for this file (read by config.js on import)
+process.env.CLINIC_TIMEZONE = 'Europe/Berlin';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { SlotHolds, slotHolds } = await import('../src/slotHolds.js');
+const { MemorySessionStore } = await import('../src/sessionStore.js');
+const { openaiHandler } = await import('../src/openaiHandler.js');
+const { googleCalendarService } = await import('../src/googleCalendar.js');
+
+const now = new Date('2026-10-19T08:00:00Z');
+const slot = (doctor, start, minutes = 30) => ({
+  doctor,
+  startTime: new Date(start),
+  endTime: new Date(new Date(start).getTime() + minutes * 60 * 1000),
+});
+const tenA = slot('Dr GeneralA', '2026-10-20T08:00:00Z');
+const tenThirtyA = slot('Dr GeneralA', '2026-10-20T08:30:00Z');
+const tenB = slot('Dr GeneralB', '2026-10-20T08:00:00Z');
+
+const createHolds = (store = new MemorySessionStore()) => new SlotHolds({ holdMinutes: 10 }, store);
+const times = slots => slots.map(held => `${held.doctor} ${held.startTime.toISOString()}`);
+
+test('hides slots held for one conversation from the others', async () => {
+  const holds = createHolds();
+  assert.deepEqual(await holds.hold('+491700000001', [tenA, tenB], now), [tenA, tenB]);
+
+  assert.deepEqual(times(await holds.getHeldSlots('+491700000002', now)), ['Dr GeneralA 2026-10-20T08:00:00.000Z', 'Dr GeneralB 2026-10-20T08:00:00.000Z']);
+  assert.deepEqual(await holds.getHeldSlots('+491700000001', now), []);
+});
+
+test('does not hold a slot already held for another conversation', async () => {
+  const holds = createHolds();
+  await holds.hold('+491700000001', [tenA], now);
+
+  // Overlapping time with the same dentist is dropped; another dentist or a later time is held
+  const overlapping = slot('Dr GeneralA', '2026-10-20T08:15:00Z');
+  assert.deepEqual(await holds.hold('+491700000002', [overlapping, tenThirtyA, tenB], now), [tenThirtyA, tenB]);
+});
+
+test('gives a slot to one conversation only when two searches race', async () => {
+  const holds = createHolds();
+  const results = await Promise.all([
+    holds.hold('+491700000001', [tenA], now),
+    holds.hold('+491700000002', [tenA], now),
+  ]);
+  assert.deepEqual(results.map(held => held.length).sort(), [0, 1]);
+});
+
+test('replaces a conversation\'s holds when new slots are offered', async () => {
+  const holds = createHolds();
+  await holds.hold('+491700000001', [tenA], now);
+  assert.deepEqual(await holds.hold('+491700000001', [tenThirtyA], now), [tenThirtyA]);
+
+  assert.deepEqual(times(await holds.getHeldSlots(null, now)), ['Dr GeneralA 2026-10-20T08:30:00.000Z']);
+});
+
+test('releases a conversation\'s holds', async () => {
+  const holds = createHolds();
+  await holds.hold('+491700000001', [tenA], now);
+  await holds.release('+491700000001');
+
+  assert.deepEqual(await holds.getHeldSlots(null, now), []);
+  assert.deepEqual(await holds.hold('+491700000002', [tenA], now), [tenA]);
+});
+
+test('ignores expired holds', async () => {
+  const holds = createHolds();
+  await holds.hold('+491700000001', [tenA], now);
+  const later = new Date(now.getTime() + 11 * 60 * 1000);
+
+  assert.deepEqual(await holds.getHeldSlots(null, later), []);
+  assert.deepEqual(await holds.hold('+491700000002', [tenA], later), [tenA]);
+});
+
+test('offers the slots unheld when the store fails', async () => {
+  const failingStore = {
+    get: async () => { throw new Error('Redis down'); },
+    set: async () => { throw new Error('Redis down'); },
+    delete: async () => {},
+    close: async () => {},
+  };
+  const holds = createHolds(failingStore);
+
+  assert.deepEqual(await holds.hold('+491700000001', [tenA], now), [tenA]);
+  assert.deepEqual(await holds.getHeldSlots(null, now), []);
+});
+
+test('offers the next free slots when an option was just held for another patient', async () => {
+  // Tuesday to Thursday, Dr GeneralA is free 10:00-11:00 Berlin
+  googleCalendarService.getAvailableSlots = async () => ['2026-10-20', '2026-10-21', '2026-10-22'].map(day => ({
+    doctor: 'Dr GeneralA',
+    startTime: new Date(`${day}T08:00:00Z`),
+    endTime: new Date(`${day}T09:00:00Z`),
+    duration: 60,
+  }));
+  openaiHandler.extractDateTimeWithAI = async () => ({ date: null, time: null });
+  // Another patient's search holds Tuesday 10:00 after this search read the holds
+  slotHolds.getHeldSlots = async () => [];
+  mock.timers.enable({ apis: ['Date'], now });
+  try {
+    await slotHolds.hold('+491700000002', [tenA], now);
+    const session = { conversationId: '+491700000001', treatmentType: 'Cleaning', patientName: 'John Doe' };
+
+    const reply = await openaiHandler.checkAvailability(session.conversationId, session, 'next available');
+    assert.deepEqual(times(session.offeredSlots), [
+      'Dr GeneralA 2026-10-20T08:30:00.000Z',
+      'Dr GeneralA 2026-10-21T08:00:00.000Z',
+      'Dr GeneralA 2026-10-22T08:00:00.000Z',
+    ]);
+    assert.doesNotMatch(reply, /Nothing was free/);
+  } finally {
+    mock.timers.reset();
+    delete slotHolds.getHeldSlots;
+    await slotHolds.release('+491700000001');
+    await slotHolds.release('+491700000002');
+  }
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// UTC clinic timezone (times below read as written) and a dummy API key (read by config.js on import)
+process.env.CLINIC_TIMEZONE = 'UTC';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { openaiHandler } = await import('../src/openaiHandler.js');
+
+const slot = (doctor, start) => ({ doctor, startTime: new Date(start), endTime: new Date(new Date(start).getTime() + 30 * 60 * 1000) });
+const offered = [
+  slot('Dr GeneralA', '2026-10-19T09:00:00Z'), // Monday 9:00
+  slot('Dr GeneralB', '2026-10-20T10:00:00Z'), // Tuesday 10:00
+  slot('Dr GeneralA', '2026-10-20T14:30:00Z'), // Tuesday 14:30
+];
+const pick = (message, buttonId = null) => offered.indexOf(openaiHandler.selectOfferedSlot(message, offered, buttonId));
+
+test('picks the option of a tapped slot button', () => {
+  assert.equal(pick('2. Tue 10:00 AM', 'slot_2'), 1);
+  assert.equal(pick('', 'slot_9'), -1);
+});
+
+test('picks an option by number', () => {
+  assert.equal(pick('2'), 1);
+  assert.equal(pick('#1'), 0);
+  assert.equal(pick('3.'), 2);
+  assert.equal(pick('I will take option 3'), 2);
+  assert.equal(pick('5'), -1);
+});
+
+test('picks an option by ordinal', () => {
+  assert.equal(pick('the second one'), 1);
+  assert.equal(pick('First please'), 0);
+  assert.equal(pick('the last one'), 2);
+});
+
+test('picks an option by dentist, day and time', () => {
+  assert.equal(pick('the one with Dr GeneralB'), 1);
+  assert.equal(pick('tuesday with GeneralA'), 2);
+  assert.equal(pick('2:30 pm works'), 2);
+  assert.equal(pick('monday'), 0);
+});
+
+test('picks nothing when the reply does not identify exactly one option', () => {
+  assert.equal(pick('tuesday'), -1); // Two options on Tuesday
+  assert.equal(pick('Dr GeneralA'), -1);
+  assert.equal(pick('something next week'), -1);
+  assert.equal(pick('friday'), -1);
+});
+
+test('spreads options across days and dentists', () => {
+  const candidates = [
+    slot('Dr GeneralA', '2026-10-19T09:00:00Z'),
+    slot('Dr GeneralB', '2026-10-19T09:00:00Z'),
+    slot('Dr GeneralA', '2026-10-19T10:00:00Z'),
+    slot('Dr GeneralB', '2026-10-20T09:00:00Z'),
+  ];
+  const options = openaiHandler.pickSlotOptions(candidates, 3);
+  assert.deepEqual(options, [candidates[0], candidates[1], candidates[3]]);
+  assert.equal(openaiHandler.pickSlotOptions(candidates, 10).length, 4);
+  assert.deepEqual(openaiHandler.pickSlotOptions([], 3), []);
+});
+
+test('includes the best slot with the patient\'s usual dentist', () => {
+  const candidates = [
+    slot('Dr GeneralA', '2026-10-19T09:00:00Z'),
+    slot('Dr GeneralB', '2026-10-20T09:00:00Z'),
+    slot('Dr GeneralC', '2026-10-21T09:00:00Z'),
+    slot('Dr GeneralC', '2026-10-22T09:00:00Z'),
+  ];
+  assert.deepEqual(openaiHandler.pickSlotOptions(candidates, 2), [candidates[0], candidates[1]]);
+  assert.deepEqual(openaiHandler.pickSlotOptions(candidates, 2, null, 'Dr GeneralC'), [candidates[0], candidates[2]]);
+  assert.deepEqual(openaiHandler.pickSlotOptions(candidates, 2, null, 'Dr Unknown'), [candidates[0], candidates[1]]);
+});
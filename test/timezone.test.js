@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Clinic timezone for this file (read by config.js on import)
+process.env.CLINIC_TIMEZONE = 'Europe/Berlin';
+const {
+  getZonedParts,
+  zonedDateTime,
+  getTimezoneOffsetMinutes,
+  startOfClinicDay,
+  toClinicDateKey,
+  toClinicDateTimeString,
+  formatClinicDate,
+  formatClinicTime,
+} = await import('../src/utils/timezone.js');
+const { parseDateTimePreference, matchesDateTimePreference, minutesFromPreferredTime } = await import('../src/utils/dateParser.js');
+
+test('converts between instants and clinic wall-clock time', () => {
+  assert.deepEqual(getZonedParts(new Date('2024-01-15T08:30:00Z')), { year: 2024, month: 0, day: 15, hours: 9, minutes: 30, seconds: 0, weekday: 1 });
+  assert.equal(zonedDateTime(2024, 0, 15, 10, 0).toISOString(), '2024-01-15T09:00:00.000Z');
+  assert.equal(zonedDateTime(2024, 6, 1, 10, 0).toISOString(), '2024-07-01T08:00:00.000Z');
+  assert.equal(zonedDateTime(2024, 0, 15, 10, 0, 'America/New_York').toISOString(), '2024-01-15T15:00:00.000Z');
+});
+
+test('handles daylight saving time changes', () => {
+  assert.equal(getTimezoneOffsetMinutes(new Date('2024-03-30T12:00:00Z')), 60);
+  assert.equal(getTimezoneOffsetMinutes(new Date('2024-03-31T12:00:00Z')), 120);
+  // 10:00 on the day clocks go forward (Mar 31) is already summer time
+  assert.equal(zonedDateTime(2024, 2, 31, 10, 0).toISOString(), '2024-03-31T08:00:00.000Z');
+  // Clinic midnight after the change is 23 hours after the one before
+  const start = startOfClinicDay(new Date('2024-03-31T10:00:00Z'));
+  assert.equal(startOfClinicDay(start, 1).getTime() - start.getTime(), 23 * 60 * 60 * 1000);
+});
+
+test('uses the clinic day, not the server day', () => {
+  const lateEvening = new Date('2024-01-15T23:30:00Z'); // Jan 16, 00:30 in Berlin
+  assert.equal(toClinicDateKey(lateEvening), '2024-01-16');
+  assert.equal(startOfClinicDay(lateEvening, 1).toISOString(), '2024-01-16T23:00:00.000Z');
+  assert.equal(toClinicDateTimeString(new Date('2024-01-15T09:00:00Z')), '2024-01-15T10:00:00');
+  assert.equal(formatClinicDate(lateEvening), '1/16/2024');
+  assert.equal(formatClinicTime(new Date('2024-01-15T09:00:00Z'), { hour: 'numeric', minute: '2-digit' }), '10:00 AM');
+});
+
+test('formatting helpers return an empty string without a date', () => {
+  assert.equal(formatClinicDate(null), '');
+  assert.equal(formatClinicTime(undefined), '');
+});
+
+test('parses date preferences relative to the clinic day', () => {
+  const reference = new Date('2024-01-15T23:30:00Z'); // Tuesday Jan 16, 00:30 in Berlin
+  assert.equal(parseDateTimePreference('tomorrow', reference).date.toISOString(), '2024-01-17T00:00:00.000Z');
+  assert.equal(parseDateTimePreference('today', reference).date.toISOString(), '2024-01-16T00:00:00.000Z');
+  const nextMonday = parseDateTimePreference('next monday at 3pm', reference);
+  assert.equal(nextMonday.date.toISOString(), '2024-01-22T00:00:00.000Z');
+  assert.deepEqual(nextMonday.time, { hours: 15, minutes: 0 });
+  assert.deepEqual(parseDateTimePreference('at 10:30am', reference), { date: null, time: { hours: 10, minutes: 30 }, dateRange: null });
+  assert.deepEqual(parseDateTimePreference('Hello', reference), { date: null, time: null, dateRange: null });
+});
+
+test('matches slots against the preference in clinic time', () => {
+  const slot = new Date('2024-01-16T09:00:00Z'); // 10:00 in Berlin
+  const date = new Date('2024-01-16T00:00:00Z');
+  assert.equal(matchesDateTimePreference(slot, { date, time: { hours: 10, minutes: 0 } }), true);
+  assert.equal(matchesDateTimePreference(slot, { date, time: { hours: 11, minutes: 0 } }), true);
+  assert.equal(matchesDateTimePreference(slot, { date, time: { hours: 14, minutes: 0 } }), false);
+  assert.equal(matchesDateTimePreference(slot, { date: new Date('2024-01-17T00:00:00Z'), time: null }), false);
+  assert.equal(matchesDateTimePreference(new Date('2024-01-15T23:30:00Z'), { date, time: null }), true);
+  assert.equal(matchesDateTimePreference(slot, { date: null, time: null }), true);
+});
+
+test('measures the distance from the preferred time in clinic minutes', () => {
+  assert.equal(minutesFromPreferredTime(new Date('2024-01-16T09:45:00Z'), { time: { hours: 11, minutes: 0 } }), 15);
+  assert.equal(minutesFromPreferredTime(new Date('2024-01-16T09:45:00Z'), { time: null }), 0);
+  assert.equal(minutesFromPreferredTime(new Date('2024-01-16T09:45:00Z'), null), 0);
+});
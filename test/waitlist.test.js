@@ -0,0 +1,150 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Clinic timezone and a dummy API key for this file (read by config.js on import)
+process.env.CLINIC_TIMEZONE = 'Europe/Berlin';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { Waitlist } = await import('../src/waitlist.js');
+const { MemorySessionStore } = await import('../src/sessionStore.js');
+const { googleCalendarService } = await import('../src/googleCalendar.js');
+const { googleSheetsService } = await import('../src/googleSheets.js');
+const { whatsappService } = await import('../src/whatsapp.js');
+const { deliveryTracker } = await import('../src/deliveryTracker.js');
+const { slotHolds } = await import('../src/slotHolds.js');
+
+const now = new Date('2026-10-19T08:00:00Z');
+// Tuesday 10:00-10:30 Berlin was cancelled; Dr GeneralA is free 10:00-11:00
+const freedSlot = { doctor: 'Dr GeneralA', startTime: new Date('2026-10-20T08:00:00Z'), endTime: new Date('2026-10-20T08:30:00Z') };
+const freeGap = { doctor: 'Dr GeneralA', startTime: new Date('2026-10-20T08:00:00Z'), endTime: new Date('2026-10-20T09:00:00Z'), duration: 60 };
+
+let sent;
+let sendResult;
+beforeEach(() => {
+  sent = [];
+  sendResult = () => ({ success: true, messageId: `wamid.${sent.length}`, via: 'text' });
+  googleCalendarService.getAvailableSlots = async () => [freeGap];
+  googleSheetsService.logAction = async () => {};
+  deliveryTracker.trackOutbound = async () => {};
+  slotHolds.getHeldSlots = async () => [];
+  whatsappService.sendNotification = async (phone, message) => {
+    sent.push({ phone, message });
+    return sendResult(phone);
+  };
+});
+
+const createWaitlist = () => new Waitlist({ enabled: true, holdMinutes: 15, maxDays: 14 }, new MemorySessionStore());
+
+const joinPatient = (waitlist, phone) => waitlist.join({
+  conversationId: phone,
+  phone,
+  patientName: `Patient ${phone}`,
+  treatmentType: 'Cleaning',
+  dentistName: 'Dr GeneralA',
+  from: new Date('2026-10-19T22:00:00Z'),
+  to: new Date('2026-10-20T22:00:00Z'),
+});
+
+test('offers a freed slot to the first waiting patient and holds it', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  await joinPatient(waitlist, '+491700000002');
+
+  const entry = await waitlist.offerFreedSlot(freedSlot, { now });
+  assert.equal(entry.phone, '+491700000001');
+  assert.deepEqual(sent.map(message => message.phone), ['+491700000001']);
+
+  const offered = await waitlist.getOffer('+491700000001', now);
+  assert.equal(offered.offer.startTime.toISOString(), '2026-10-20T08:00:00.000Z');
+  assert.equal(offered.offer.expiresAt, '2026-10-19T08:15:00.000Z');
+  assert.equal((await waitlist.getHeldSlots('+491700000002', now)).length, 1);
+  assert.equal(await waitlist.getOffer('+491700000002', now), null);
+});
+
+test('sends the offer without holding up other waitlist changes', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  whatsappService.sendNotification = async () => {
+    // Joining during the send only completes if the clinic's list is not locked
+    const joined = await Promise.race([
+      joinPatient(waitlist, '+491700000002').then(() => true),
+      new Promise(resolve => setTimeout(() => resolve(false), 1000)),
+    ]);
+    assert.equal(joined, true);
+    return { success: true, messageId: 'wamid.1', via: 'text' };
+  };
+
+  assert.ok(await waitlist.offerFreedSlot(freedSlot, { now }));
+});
+
+test('offers a slot to one patient only when two cancellations race', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  await joinPatient(waitlist, '+491700000002');
+
+  const results = await Promise.all([waitlist.offerFreedSlot(freedSlot, { now }), waitlist.offerFreedSlot(freedSlot, { now })]);
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(sent.length, 1);
+});
+
+test('releases the hold and moves on when the offer cannot be sent', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  await joinPatient(waitlist, '+491700000002');
+  sendResult = phone => (phone === '+491700000001'
+    ? { success: false, error: 'Outside the customer service window and no template configured' }
+    : { success: true, messageId: 'wamid.2', via: 'text' });
+
+  const entry = await waitlist.offerFreedSlot(freedSlot, { now });
+  assert.equal(entry.phone, '+491700000002');
+  assert.equal(await waitlist.getOffer('+491700000001', now), null);
+  assert.ok(await waitlist.getOffer('+491700000002', now));
+});
+
+test('does not offer a time held for a patient deciding on offered slots', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  const heldUntil = minutes => [{ doctor: 'Dr GeneralA', startTime: freedSlot.startTime, endTime: new Date(freedSlot.startTime.getTime() + minutes * 60 * 1000) }];
+
+  slotHolds.getHeldSlots = async () => heldUntil(30);
+  assert.equal(await waitlist.offerFreedSlot(freedSlot, { now }), null);
+
+  slotHolds.getHeldSlots = async () => heldUntil(15); // 10:15 is still free
+  const entry = await waitlist.offerFreedSlot(freedSlot, { now });
+  assert.equal(entry.offer.startTime.toISOString(), '2026-10-20T08:15:00.000Z');
+});
+
+test('does not claim an offer held for another conversation since the calendar check', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  let checks = 0;
+  slotHolds.getHeldSlots = async () => (++checks === 1 ? [] : [freedSlot]);
+
+  assert.equal(await waitlist.offerFreedSlot(freedSlot, { now }), null);
+  assert.equal(sent.length, 0);
+  assert.equal(await waitlist.getOffer('+491700000001', now), null);
+});
+
+test('returns null when no waiting patient fits', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  googleCalendarService.getAvailableSlots = async () => [];
+
+  assert.equal(await waitlist.offerFreedSlot(freedSlot, { now }), null);
+  assert.equal(sent.length, 0);
+});
+
+test('moves an expired hold on to the next patient', async () => {
+  const waitlist = createWaitlist();
+  await joinPatient(waitlist, '+491700000001');
+  await joinPatient(waitlist, '+491700000002');
+  await waitlist.offerFreedSlot(freedSlot, { now });
+
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T08:20:00Z') }); // Hold expired at 08:15
+  try {
+    await waitlist.releaseExpiredOffers();
+    assert.deepEqual(sent.map(message => message.phone), ['+491700000001', '+491700000002']);
+    assert.ok(await waitlist.getOffer('+491700000002'));
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { whatsappService } from '../src/whatsapp.js';
+
+const textMessage = (id, body, timestamp, from = '+1234567890') => ({ from, id, timestamp, type: 'text', text: { body } });
+
+test('returns every message of a batched delivery across entries and changes', () => {
+  const events = whatsappService.parseWebhookMessage({
+    entry: [
+      { changes: [{ value: { metadata: { phone_number_id: '1098765' }, messages: [textMessage('msg1', 'yes', '1700000000'), textMessage('msg2', 'actually 3pm', '1700000001')] } }] },
+      { changes: [{ value: { metadata: { phone_number_id: '1098765' }, messages: [textMessage('msg3', 'hi', '1700000002', '+2222222222')] } }] },
+    ],
+  });
+  assert.deepEqual(events.map(event => event.messageId), ['msg1', 'msg2', 'msg3']);
+  assert.deepEqual(events.map(event => event.messageText), ['yes', 'actually 3pm', 'hi']);
+  assert.ok(events.every(event => event.type === 'message' && event.phoneNumberId === '1098765'));
+});
+
+test('orders events by timestamp and keeps payload order for equal timestamps', () => {
+  const events = whatsappService.parseWebhookMessage({
+    entry: [{ changes: [{ value: { messages: [
+      textMessage('late', 'second', '1700000005'),
+      textMessage('early', 'first', '1700000001'),
+      textMessage('late2', 'third', '1700000005'),
+    ] } }] }],
+  });
+  assert.deepEqual(events.map(event => event.messageId), ['early', 'late', 'late2']);
+});
+
+test('exposes button, list and template quick-reply ids', () => {
+  const events = whatsappService.parseWebhookMessage({
+    entry: [{ changes: [{ value: { messages: [
+      { from: '+1', id: 'b', timestamp: '1', type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: 'confirm', title: 'Confirm' } } },
+      { from: '+1', id: 'l', timestamp: '2', type: 'interactive', interactive: { type: 'list_reply', list_reply: { id: 'booking_1', title: 'Tue 10:00' } } },
+      { from: '+1', id: 't', timestamp: '3', type: 'button', button: { text: "I'll be there", payload: 'reminder_confirm' } },
+    ] } }] }],
+  });
+  assert.deepEqual(events.map(({ messageText, buttonId, listRowId }) => ({ messageText, buttonId, listRowId })), [
+    { messageText: 'Confirm', buttonId: 'confirm', listRowId: null },
+    { messageText: 'Tue 10:00', buttonId: null, listRowId: 'booking_1' },
+    { messageText: "I'll be there", buttonId: 'reminder_confirm', listRowId: null },
+  ]);
+});
+
+test('parses delivery statuses next to messages', () => {
+  const events = whatsappService.parseWebhookMessage({
+    entry: [{ changes: [{ value: {
+      statuses: [{ id: 'wamid.OUT1', status: 'failed', recipient_id: '1234567890', timestamp: '1700000005', errors: [{ code: 131047 }] }],
+      messages: [textMessage('msg1', 'yes', '1700000000')],
+    } }] }],
+  });
+  assert.deepEqual(events.map(event => event.type), ['message', 'status']);
+  assert.equal(events[1].status, 'failed');
+  assert.deepEqual(events[1].errors, [{ code: 131047 }]);
+});
+
+test('skips messages without sender and keeps non-text messages', () => {
+  const events = whatsappService.parseWebhookMessage({
+    entry: [{ changes: [{ value: { messages: [
+      { id: 'nosender', timestamp: '1', type: 'text', text: { body: 'x' } },
+      { from: '+1', id: 'img', timestamp: '2', type: 'image', image: { id: 'media1' } },
+    ] } }] }],
+  });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].messageType, 'image');
+  assert.equal(events[0].messageText, '');
+});
+
+test('returns an empty list for empty or malformed payloads', () => {
+  assert.deepEqual(whatsappService.parseWebhookMessage({ entry: [] }), []);
+  assert.deepEqual(whatsappService.parseWebhookMessage({}), []);
+  assert.deepEqual(whatsappService.parseWebhookMessage(null), []);
+  assert.deepEqual(whatsappService.parseWebhookMessage({ entry: [{ changes: [{}] }] }), []);
+});
@@ -0,0 +1,44 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { whatsappService } from '../src/whatsapp.js';
+
+const SECRET = 'test_app_secret';
+const body = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+const sign = (rawBody, secret = SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+beforeEach(() => {
+  whatsappService.appSecret = SECRET;
+  whatsappService.rejectedSignatureCount = 0;
+});
+
+test('accepts a payload signed with the app secret', () => {
+  assert.equal(whatsappService.verifySignature(body, sign(body)), true);
+  assert.equal(whatsappService.rejectedSignatureCount, 0);
+});
+
+test('rejects a payload signed with another secret or tampered with', () => {
+  assert.equal(whatsappService.verifySignature(body, sign(body, 'other_secret')), false);
+  const tampered = Buffer.from(body.toString().replace('[]', '[{}]'));
+  assert.equal(whatsappService.verifySignature(tampered, sign(body)), false);
+  assert.equal(whatsappService.rejectedSignatureCount, 2);
+});
+
+test('rejects missing or malformed signature headers', () => {
+  assert.equal(whatsappService.verifySignature(body, undefined), false);
+  assert.equal(whatsappService.verifySignature(body, sign(body).replace('sha256=', 'sha1=')), false);
+  assert.equal(whatsappService.verifySignature(body, 'sha256=abc'), false);
+  assert.equal(whatsappService.rejectedSignatureCount, 3);
+});
+
+test('rejects a request without raw body', () => {
+  assert.equal(whatsappService.verifySignature(undefined, sign(body)), false);
+  assert.equal(whatsappService.rejectedSignatureCount, 1);
+});
+
+test('rejects every request when the app secret is not configured', () => {
+  whatsappService.appSecret = undefined;
+  assert.equal(whatsappService.verifySignature(body, sign(body)), false);
+  assert.equal(whatsappService.rejectedSignatureCount, 1);
+});